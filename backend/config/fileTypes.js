@@ -0,0 +1,75 @@
+/**
+ * File types the server accepts, keyed by the MIME type stored for them.
+ * `extensions` are the file name extensions the type may carry, `declared`
+ * the extra Content-Types clients are known to send for it, and `category`
+ * groups it for browsing and statistics. The type itself is always detected
+ * from the content (see fileTypeService).
+ */
+const FILE_TYPES = {
+    // Images
+    'image/jpeg': { category: 'image', extensions: ['jpg', 'jpeg', 'jpe', 'jfif'], declared: ['image/jpg', 'image/pjpeg'] },
+    'image/png': { category: 'image', extensions: ['png'], declared: ['image/x-png'] },
+    'image/gif': { category: 'image', extensions: ['gif'], declared: [] },
+    'image/webp': { category: 'image', extensions: ['webp'], declared: [] },
+    'image/svg+xml': { category: 'image', extensions: ['svg'], declared: [] },
+    'image/bmp': { category: 'image', extensions: ['bmp', 'dib'], declared: ['image/x-ms-bmp', 'image/x-bmp'] },
+    'image/tiff': { category: 'image', extensions: ['tif', 'tiff'], declared: ['image/x-tiff'] },
+    // Documents
+    'application/pdf': { category: 'document', extensions: ['pdf'], declared: ['application/x-pdf'] },
+    'application/msword': { category: 'document', extensions: ['doc', 'dot'], declared: [] },
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': {
+        category: 'document', extensions: ['docx'], declared: []
+    },
+    'application/vnd.ms-excel': { category: 'document', extensions: ['xls', 'xlt'], declared: [] },
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': {
+        category: 'document', extensions: ['xlsx'], declared: []
+    },
+    'application/vnd.ms-powerpoint': { category: 'document', extensions: ['ppt', 'pps', 'pot'], declared: [] },
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation': {
+        category: 'document', extensions: ['pptx'], declared: []
+    },
+    'text/plain': { category: 'document', extensions: ['txt', 'text', 'log', 'md', 'markdown'], declared: ['text/markdown', 'text/x-markdown'] },
+    // Windows reports .csv files as Excel sheets
+    'text/csv': {
+        category: 'document',
+        extensions: ['csv'],
+        declared: ['application/csv', 'text/comma-separated-values', 'text/x-csv', 'application/vnd.ms-excel']
+    },
+    // Archives
+    'application/zip': { category: 'archive', extensions: ['zip'], declared: ['application/x-zip-compressed', 'application/x-zip'] },
+    'application/x-rar-compressed': { category: 'archive', extensions: ['rar'], declared: ['application/vnd.rar', 'application/x-rar'] },
+    'application/x-7z-compressed': { category: 'archive', extensions: ['7z'], declared: [] },
+    'application/gzip': { category: 'archive', extensions: ['gz', 'tgz'], declared: ['application/x-gzip', 'application/x-gtar-compressed'] },
+    // Videos
+    'video/mp4': { category: 'video', extensions: ['mp4', 'm4v'], declared: ['video/x-m4v'] },
+    'video/mpeg': { category: 'video', extensions: ['mpeg', 'mpg', 'mpe'], declared: [] },
+    'video/quicktime': { category: 'video', extensions: ['mov', 'qt'], declared: [] },
+    'video/x-msvideo': { category: 'video', extensions: ['avi'], declared: ['video/avi', 'video/msvideo'] },
+    'video/webm': { category: 'video', extensions: ['webm'], declared: [] },
+    // Audio
+    'audio/mpeg': { category: 'audio', extensions: ['mp3', 'mpga'], declared: ['audio/mp3', 'audio/x-mpeg'] },
+    'audio/wav': { category: 'audio', extensions: ['wav'], declared: ['audio/x-wav', 'audio/wave', 'audio/vnd.wave'] },
+    'audio/ogg': { category: 'audio', extensions: ['ogg', 'oga', 'opus'], declared: ['application/ogg', 'audio/opus'] },
+    'audio/webm': { category: 'audio', extensions: ['weba', 'webm'], declared: [] },
+    // Others
+    'application/json': { category: 'other', extensions: ['json'], declared: ['text/json'] },
+    'application/xml': { category: 'other', extensions: ['xml'], declared: ['text/xml'] }
+};
+
+const CATEGORIES = ['image', 'document', 'video', 'audio', 'archive', 'other'];
+
+/**
+ * Get the category of a stored MIME type
+ * @param {string} mimeType - MIME type
+ * @returns {string} Category ('other' for unknown types)
+ */
+const categoryOf = (mimeType) => (FILE_TYPES[mimeType] ? FILE_TYPES[mimeType].category : 'other');
+
+/**
+ * List the MIME types of a category
+ * @param {string} category - Category
+ * @returns {string[]} MIME types
+ */
+const typesIn = (category) => Object.keys(FILE_TYPES).filter(type => FILE_TYPES[type].category === category);
+
+module.exports = { FILE_TYPES, CATEGORIES, categoryOf, typesIn };
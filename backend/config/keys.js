@@ -0,0 +1,84 @@
+const logger = require('../utils/logger');
+
+const KEY_LENGTH = 32; // AES-256
+
+let masterKeys = null;
+
+/**
+ * Parse a hex-encoded 256-bit key
+ * @param {string} value - Hex string
+ * @param {string} id - Key ID (for error messages)
+ * @returns {Buffer} Key bytes
+ */
+const parseKey = (value, id) => {
+    const key = Buffer.from(String(value).trim(), 'hex');
+    if (key.length !== KEY_LENGTH) {
+        throw new Error(`Master key "${id}" must be ${KEY_LENGTH * 2} hex characters`);
+    }
+    return key;
+};
+
+/**
+ * Load the server master key(s) from the environment.
+ * MASTER_KEY holds the hex key used for all new wraps and MASTER_KEY_ID names it.
+ * PREVIOUS_MASTER_KEYS lists retired keys as comma-separated `id:hex` pairs; they
+ * are only used to unwrap until a master rotation job has re-wrapped everything.
+ * @returns {Map<string, Buffer>} Master keys by ID
+ */
+const loadMasterKeys = () => {
+    if (masterKeys) return masterKeys;
+
+    if (!process.env.MASTER_KEY) {
+        throw new Error('MASTER_KEY is not configured');
+    }
+
+    const currentId = getCurrentMasterKeyId();
+    const keys = new Map([[currentId, parseKey(process.env.MASTER_KEY, currentId)]]);
+
+    (process.env.PREVIOUS_MASTER_KEYS || '')
+        .split(',')
+        .map(entry => entry.trim())
+        .filter(Boolean)
+        .forEach(entry => {
+            const [id, value] = entry.split(':');
+            if (!id || !value || keys.has(id)) {
+                throw new Error(`Invalid PREVIOUS_MASTER_KEYS entry: ${id || entry}`);
+            }
+            keys.set(id, parseKey(value, id));
+        });
+
+    masterKeys = keys;
+    logger.info(`Loaded ${keys.size} master key(s), current: ${currentId}`);
+    return masterKeys;
+};
+
+/**
+ * Get the ID of the master key used for new wraps
+ * @returns {string} Master key ID
+ */
+const getCurrentMasterKeyId = () => process.env.MASTER_KEY_ID || 'master-1';
+
+/**
+ * Get a master key by ID
+ * @param {string} [id] - Master key ID (defaults to the current key)
+ * @returns {Buffer} Master key
+ */
+const getMasterKey = (id = getCurrentMasterKeyId()) => {
+    const key = loadMasterKeys().get(id);
+    if (!key) {
+        throw new Error(`Unknown master key: ${id}`);
+    }
+    return key;
+};
+
+/**
+ * Get the IDs of all configured master keys
+ * @returns {string[]} Master key IDs, current key first
+ */
+const getMasterKeyIds = () => Array.from(loadMasterKeys().keys());
+
+module.exports = {
+    getMasterKey,
+    getCurrentMasterKeyId,
+    getMasterKeyIds
+};
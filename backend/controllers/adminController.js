@@ -0,0 +1,546 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const File = require('../models/File');
+const Session = require('../models/Session');
+const AppError = require('../utils/AppError');
+const asyncHandler = require('../utils/asyncHandler');
+const sessionService = require('../services/sessionService');
+const sanitizeService = require('../services/sanitizeService');
+const storageService = require('../services/storageService');
+const versionService = require('../services/versionService');
+const renditionService = require('../services/renditionService');
+const logger = require('../utils/logger');
+
+const SORTABLE_FIELDS = ['createdAt', 'lastLogin', 'username', 'email', 'storageUsed'];
+
+/**
+ * Escape user input for use in a regular expression
+ * @param {string} value - Raw input
+ * @returns {string} Escaped input
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Shape a user for admin responses
+ * @param {Object} user - User document
+ * @param {number} [activeSessions] - Number of active sessions
+ * @returns {Object} User summary
+ */
+const formatUser = (user, activeSessions = 0) => ({
+    id: user._id,
+    username: user.username,
+    email: user.email,
+    role: user.role,
+    isActive: user.isActive,
+    isLocked: user.isLocked,
+    lockUntil: user.isLocked ? user.lockUntil : null,
+    loginAttempts: user.loginAttempts,
+    twoFactorEnabled: user.twoFactorEnabled,
+    storageUsed: user.storageUsed,
+    storageLimit: user.storageLimit,
+    metadataPolicy: sanitizeService.policyFor(user),
+    metadataPolicyLocked: user.metadataPolicyLocked,
+    lastLogin: user.lastLogin,
+    createdAt: user.createdAt,
+    activeSessions
+});
+
+/**
+ * Count active sessions per user
+ * @param {Object[]} userIds - User IDs
+ * @returns {Promise<Map<string, number>>} Counts by user ID
+ */
+const countActiveSessions = async (userIds) => {
+    const counts = await Session.aggregate([
+        { $match: { user: { $in: userIds }, revokedAt: null, expiresAt: { $gt: new Date() } } },
+        { $group: { _id: '$user', count: { $sum: 1 } } }
+    ]);
+
+    return new Map(counts.map(entry => [String(entry._id), entry.count]));
+};
+
+/**
+ * Load the user an admin action targets
+ * @param {string} userId - User ID from the route
+ * @returns {Promise<Object>} User document
+ */
+const findTargetUser = async (userId) => {
+    if (!mongoose.isValidObjectId(userId)) {
+        throw new AppError('Invalid user ID', 400);
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+        throw new AppError('User not found', 404);
+    }
+
+    return user;
+};
+
+/**
+ * List and search users
+ * @route GET /api/admin/users
+ */
+exports.getUsers = asyncHandler(async (req, res, next) => {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    const query = {};
+
+    if (req.query.search) {
+        const pattern = new RegExp(escapeRegex(String(req.query.search)), 'i');
+        query.$or = [{ username: pattern }, { email: pattern }];
+    }
+
+    if (req.query.role === 'user' || req.query.role === 'admin') {
+        query.role = req.query.role;
+    }
+
+    if (req.query.status === 'active') {
+        query.isActive = true;
+    } else if (req.query.status === 'inactive') {
+        query.isActive = false;
+    } else if (req.query.status === 'locked') {
+        query.lockUntil = { $gt: new Date() };
+    }
+
+    let sort = { createdAt: -1 };
+    if (req.query.sort) {
+        const sortField = String(req.query.sort).replace(/^-/, '');
+        if (SORTABLE_FIELDS.includes(sortField)) {
+            sort = { [sortField]: req.query.sort.startsWith('-') ? -1 : 1 };
+        }
+    }
+
+    const [users, total] = await Promise.all([
+        User.find(query).sort(sort).skip(skip).limit(limit),
+        User.countDocuments(query)
+    ]);
+
+    const sessions = await countActiveSessions(users.map(user => user._id));
+
+    res.status(200).json({
+        success: true,
+        data: {
+            users: users.map(user => formatUser(user, sessions.get(String(user._id)) || 0)),
+            pagination: {
+                page,
+                limit,
+                total,
+                pages: Math.ceil(total / limit)
+            }
+        }
+    });
+});
+
+/**
+ * Get one user with file totals
+ * @route GET /api/admin/users/:id
+ */
+exports.getUser = asyncHandler(async (req, res, next) => {
+    const user = await findTargetUser(req.params.id);
+
+    const [sessions, files] = await Promise.all([
+        countActiveSessions([user._id]),
+        File.aggregate([
+            { $match: { user: user._id } },
+            {
+                $group: {
+                    _id: null,
+                    count: { $sum: { $cond: ['$isDeleted', 0, 1] } },
+                    trashed: { $sum: { $cond: ['$isDeleted', 1, 0] } },
+                    size: { $sum: '$originalSize' }
+                }
+            }
+        ])
+    ]);
+
+    res.status(200).json({
+        success: true,
+        data: {
+            user: {
+                ...formatUser(user, sessions.get(String(user._id)) || 0),
+                files: {
+                    count: files[0]?.count || 0,
+                    trashed: files[0]?.trashed || 0,
+                    size: files[0]?.size || 0
+                }
+            }
+        }
+    });
+});
+
+/**
+ * Activate or deactivate a user. Deactivating signs them out everywhere.
+ * @route PATCH /api/admin/users/:id/status
+ */
+exports.setUserStatus = asyncHandler(async (req, res, next) => {
+    const { isActive } = req.body;
+
+    if (typeof isActive !== 'boolean') {
+        return next(new AppError('Please provide isActive as true or false', 400));
+    }
+
+    const user = await findTargetUser(req.params.id);
+
+    if (!isActive && String(user._id) === String(req.user._id)) {
+        return next(new AppError('You cannot deactivate your own account', 400));
+    }
+
+    user.isActive = isActive;
+    await user.save({ validateBeforeSave: false });
+
+    if (!isActive) {
+        await sessionService.revokeAll(user._id, 'admin');
+    }
+
+    logger.info(`User ${user.email} ${isActive ? 'activated' : 'deactivated'} by ${req.user.email}`);
+
+    res.status(200).json({
+        success: true,
+        message: `User ${isActive ? 'activated' : 'deactivated'}`,
+        data: { user: formatUser(user) }
+    });
+});
+
+/**
+ * Clear a user's failed login attempts and lockout
+ * @route POST /api/admin/users/:id/unlock
+ */
+exports.unlockUser = asyncHandler(async (req, res, next) => {
+    const user = await findTargetUser(req.params.id);
+
+    user.loginAttempts = 0;
+    user.lockUntil = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    logger.info(`User ${user.email} unlocked by ${req.user.email}`);
+
+    res.status(200).json({
+        success: true,
+        message: 'User unlocked',
+        data: { user: formatUser(user) }
+    });
+});
+
+/**
+ * Change a user's storage quota
+ * @route PATCH /api/admin/users/:id/storage-limit
+ */
+exports.setStorageLimit = asyncHandler(async (req, res, next) => {
+    const storageLimit = Number(req.body.storageLimit);
+
+    if (!Number.isSafeInteger(storageLimit) || storageLimit < 0) {
+        return next(new AppError('Storage limit must be a whole number of bytes', 400));
+    }
+
+    const user = await findTargetUser(req.params.id);
+
+    user.storageLimit = storageLimit;
+    await user.save({ validateBeforeSave: false });
+
+    logger.info(`Storage limit of ${user.email} set to ${storageLimit} bytes by ${req.user.email}`);
+
+    res.status(200).json({
+        success: true,
+        message: 'Storage limit updated',
+        data: { user: formatUser(user) }
+    });
+});
+
+/**
+ * Set how metadata in a user's uploaded images is handled, optionally
+ * locking it so the user cannot change it
+ * @route PATCH /api/admin/users/:id/metadata-policy
+ */
+exports.setMetadataPolicy = asyncHandler(async (req, res, next) => {
+    const { policy, locked } = req.body;
+
+    if (policy !== null && !sanitizeService.policies.includes(policy)) {
+        return next(new AppError(`Policy must be one of: ${sanitizeService.policies.join(', ')}, or null for the default`, 400));
+    }
+    if (locked !== undefined && typeof locked !== 'boolean') {
+        return next(new AppError('locked must be true or false', 400));
+    }
+
+    const user = await findTargetUser(req.params.id);
+
+    user.metadataPolicy = policy || undefined;
+    if (locked !== undefined) {
+        user.metadataPolicyLocked = locked;
+    }
+    await user.save({ validateBeforeSave: false });
+
+    logger.info(`Metadata policy of ${user.email} set to ${policy || 'default'}` +
+        `${user.metadataPolicyLocked ? ' (locked)' : ''} by ${req.user.email}`);
+
+    res.status(200).json({
+        success: true,
+        message: 'Metadata policy updated',
+        data: { user: formatUser(user) }
+    });
+});
+
+/**
+ * Sign a user out of every session
+ * @route POST /api/admin/users/:id/logout
+ */
+exports.forceLogout = asyncHandler(async (req, res, next) => {
+    const user = await findTargetUser(req.params.id);
+
+    const count = await sessionService.revokeAll(user._id, 'admin');
+
+    logger.info(`${count} session(s) of ${user.email} revoked by ${req.user.email}`);
+
+    res.status(200).json({
+        success: true,
+        message: `Signed out of ${count} session(s)`,
+        data: { revoked: count }
+    });
+});
+
+/**
+ * System-wide user, storage and upload statistics
+ * @route GET /api/admin/stats
+ */
+exports.getStats = asyncHandler(async (req, res, next) => {
+    const now = Date.now();
+    const day = 24 * 60 * 60 * 1000;
+    const since = (days) => new Date(now - days * day);
+
+    const [users, storage, files, uploadsByDay, activeSessions, topUsers] = await Promise.all([
+        User.aggregate([
+            {
+                $group: {
+                    _id: null,
+                    total: { $sum: 1 },
+                    active: { $sum: { $cond: ['$isActive', 1, 0] } },
+                    admins: { $sum: { $cond: [{ $eq: ['$role', 'admin'] }, 1, 0] } },
+                    locked: { $sum: { $cond: [{ $gt: ['$lockUntil', new Date()] }, 1, 0] } },
+                    twoFactor: { $sum: { $cond: ['$twoFactorEnabled', 1, 0] } },
+                    newLast30Days: { $sum: { $cond: [{ $gte: ['$createdAt', since(30)] }, 1, 0] } }
+                }
+            }
+        ]),
+
+        User.aggregate([
+            { $group: { _id: null, used: { $sum: '$storageUsed' }, allocated: { $sum: '$storageLimit' } } }
+        ]),
+
+        File.aggregate([
+            {
+                $group: {
+                    _id: null,
+                    total: { $sum: { $cond: ['$isDeleted', 0, 1] } },
+                    trashed: { $sum: { $cond: ['$isDeleted', 1, 0] } },
+                    size: { $sum: '$originalSize' },
+                    shared: { $sum: { $cond: [{ $ifNull: ['$shareToken', false] }, 1, 0] } },
+                    quarantined: { $sum: { $cond: [{ $eq: ['$scan.status', 'infected'] }, 1, 0] } },
+                    downloads: { $sum: '$downloadCount' },
+                    last24Hours: { $sum: { $cond: [{ $gte: ['$createdAt', since(1)] }, 1, 0] } },
+                    last7Days: { $sum: { $cond: [{ $gte: ['$createdAt', since(7)] }, 1, 0] } },
+                    last30Days: { $sum: { $cond: [{ $gte: ['$createdAt', since(30)] }, 1, 0] } }
+                }
+            }
+        ]),
+
+        File.aggregate([
+            { $match: { createdAt: { $gte: since(30) } } },
+            {
+                $group: {
+                    _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
+                    count: { $sum: 1 },
+                    size: { $sum: '$originalSize' }
+                }
+            },
+            { $sort: { _id: 1 } }
+        ]),
+
+        Session.countDocuments({ revokedAt: null, expiresAt: { $gt: new Date() } }),
+
+        User.find({ storageUsed: { $gt: 0 } })
+            .sort({ storageUsed: -1 })
+            .limit(5)
+            .select('username email storageUsed storageLimit')
+    ]);
+
+    const userTotals = users[0] || {};
+    const storageTotals = storage[0] || {};
+    const fileTotals = files[0] || {};
+
+    res.status(200).json({
+        success: true,
+        data: {
+            users: {
+                total: userTotals.total || 0,
+                active: userTotals.active || 0,
+                inactive: (userTotals.total || 0) - (userTotals.active || 0),
+                admins: userTotals.admins || 0,
+                locked: userTotals.locked || 0,
+                twoFactorEnabled: userTotals.twoFactor || 0,
+                newLast30Days: userTotals.newLast30Days || 0
+            },
+            storage: {
+                used: storageTotals.used || 0,
+                allocated: storageTotals.allocated || 0
+            },
+            files: {
+                total: fileTotals.total || 0,
+                trashed: fileTotals.trashed || 0,
+                size: fileTotals.size || 0,
+                shared: fileTotals.shared || 0,
+                quarantined: fileTotals.quarantined || 0,
+                downloads: fileTotals.downloads || 0
+            },
+            uploads: {
+                last24Hours: fileTotals.last24Hours || 0,
+                last7Days: fileTotals.last7Days || 0,
+                last30Days: fileTotals.last30Days || 0,
+                byDay: uploadsByDay.map(entry => ({ date: entry._id, count: entry.count, size: entry.size }))
+            },
+            activeSessions,
+            topUsers: topUsers.map(user => ({
+                id: user._id,
+                username: user.username,
+                email: user.email,
+                storageUsed: user.storageUsed,
+                storageLimit: user.storageLimit
+            }))
+        }
+    });
+});
+
+/**
+ * Load a quarantined (or released) file an admin action targets
+ * @param {string} fileId - File ID from the route
+ * @returns {Promise<Object>} File document with storagePath selected
+ */
+const findQuarantinedFile = async (fileId) => {
+    if (!mongoose.isValidObjectId(fileId)) {
+        throw new AppError('Invalid file ID', 400);
+    }
+
+    const file = await File.findOne({ _id: fileId, 'scan.status': { $in: ['infected', 'released'] } })
+        .setOptions({ includeDeleted: true })
+        .select('+storagePath');
+    if (!file) {
+        throw new AppError('Quarantined file not found', 404);
+    }
+
+    return file;
+};
+
+/**
+ * Shape a quarantined file for admin responses
+ * @param {Object} file - File document with the owner populated
+ * @returns {Object} File summary
+ */
+const formatQuarantinedFile = (file) => ({
+    id: file._id,
+    name: file.originalName,
+    size: file.originalSize,
+    mimeType: file.mimeType,
+    folder: file.folder,
+    version: file.version,
+    isDeleted: file.isDeleted,
+    owner: file.user && file.user._id
+        ? { id: file.user._id, username: file.user.username, email: file.user.email }
+        : { id: file.user },
+    scan: {
+        status: file.scan.status,
+        signature: file.scan.signature,
+        engine: file.scan.engine,
+        database: file.scan.database,
+        scannedAt: file.scan.scannedAt,
+        reviewedAt: file.scan.reviewedAt
+    },
+    uploadedAt: file.versionUploadedAt || file.createdAt
+});
+
+/**
+ * List files held in quarantine (or, with status=released, the ones an
+ * admin has let out)
+ * @route GET /api/admin/quarantine
+ */
+exports.getQuarantine = asyncHandler(async (req, res, next) => {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    const query = { 'scan.status': req.query.status === 'released' ? 'released' : 'infected' };
+
+    const [files, total] = await Promise.all([
+        File.find(query)
+            .setOptions({ includeDeleted: true })
+            .populate('user', 'username email')
+            .sort({ 'scan.scannedAt': -1 })
+            .skip(skip)
+            .limit(limit),
+        File.countDocuments(query).setOptions({ includeDeleted: true })
+    ]);
+
+    res.status(200).json({
+        success: true,
+        data: {
+            files: files.map(formatQuarantinedFile),
+            pagination: {
+                page,
+                limit,
+                total,
+                pages: Math.ceil(total / limit)
+            }
+        }
+    });
+});
+
+/**
+ * Release a quarantined file to its owner after review (a false positive).
+ * The file is kept exactly as it was uploaded.
+ * @route POST /api/admin/quarantine/:id/release
+ */
+exports.releaseQuarantinedFile = asyncHandler(async (req, res, next) => {
+    const file = await findQuarantinedFile(req.params.id);
+
+    if (file.scan.status !== 'infected') {
+        return next(new AppError('File has already been released', 400));
+    }
+
+    const previous = file.toObject();
+    file.scan.status = 'released';
+    file.scan.reviewedBy = req.user._id;
+    file.scan.reviewedAt = new Date();
+    Object.assign(file, renditionService.resetFields(file));
+    await file.save({ validateBeforeSave: false });
+
+    await renditionService.replaced(previous, file);
+
+    logger.info(`Quarantined file ${file._id} (${file.scan.signature}) released by ${req.user.email}`);
+
+    res.status(200).json({
+        success: true,
+        message: 'File released to its owner',
+        data: { file: formatQuarantinedFile(file) }
+    });
+});
+
+/**
+ * Permanently delete a quarantined file, older versions included
+ * @route DELETE /api/admin/quarantine/:id
+ */
+exports.deleteQuarantinedFile = asyncHandler(async (req, res, next) => {
+    const file = await findQuarantinedFile(req.params.id);
+
+    await storageService.forFile(file).delete(file.storagePath);
+    await renditionService.deleteRenditions(file);
+    const versionsSize = await versionService.deleteAllVersions(file);
+    await versionService.releaseStorage(file.user, file.originalSize + versionsSize);
+    await file.deleteOne();
+
+    logger.info(`Quarantined file ${file._id} (${file.scan.signature}) of user ${file.user} deleted by ${req.user.email}`);
+
+    res.status(200).json({
+        success: true,
+        message: 'File permanently deleted'
+    });
+});
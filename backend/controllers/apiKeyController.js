@@ -0,0 +1,102 @@
+const AppError = require('../utils/AppError');
+const asyncHandler = require('../utils/asyncHandler');
+const apiKeyService = require('../services/apiKeyService');
+const logger = require('../utils/logger');
+
+// Longest lifetime a key can be given, in days
+const MAX_EXPIRY_DAYS = 365 * 2;
+
+/**
+ * Shape an API key for responses (never includes the hash)
+ * @param {Object} apiKey - ApiKey document
+ * @returns {Object} Public fields
+ */
+const formatKey = (apiKey) => ({
+    id: apiKey._id,
+    name: apiKey.name,
+    hint: apiKey.hint,
+    scopes: apiKey.scopes,
+    expiresAt: apiKey.expiresAt,
+    lastUsedAt: apiKey.lastUsedAt,
+    lastUsedIp: apiKey.lastUsedIp,
+    revokedAt: apiKey.revokedAt,
+    isActive: apiKey.isActive,
+    createdAt: apiKey.createdAt
+});
+
+/**
+ * List the current user's API keys
+ * @route GET /api/auth/api-keys
+ */
+exports.getApiKeys = asyncHandler(async (req, res, next) => {
+    const keys = await apiKeyService.list(req.user.id);
+
+    res.status(200).json({
+        success: true,
+        data: { apiKeys: keys.map(formatKey) }
+    });
+});
+
+/**
+ * Create an API key. The key is only returned by this request.
+ * @route POST /api/auth/api-keys
+ */
+exports.createApiKey = asyncHandler(async (req, res, next) => {
+    const { name, scopes, expiresInDays } = req.body;
+
+    if (!name || typeof name !== 'string' || !name.trim()) {
+        return next(new AppError('Please provide a name for the API key', 400));
+    }
+
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+        return next(new AppError(`Please choose at least one scope: ${apiKeyService.scopes.join(', ')}`, 400));
+    }
+
+    const unknown = scopes.filter(scope => !apiKeyService.scopes.includes(scope));
+    if (unknown.length > 0) {
+        return next(new AppError(`Unknown scope(s): ${unknown.join(', ')}`, 400));
+    }
+
+    let expiresAt;
+    if (expiresInDays !== undefined && expiresInDays !== null && expiresInDays !== '') {
+        const days = Number(expiresInDays);
+        if (!Number.isInteger(days) || days < 1 || days > MAX_EXPIRY_DAYS) {
+            return next(new AppError(`Expiry must be between 1 and ${MAX_EXPIRY_DAYS} days`, 400));
+        }
+        expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    }
+
+    const { apiKey, key } = await apiKeyService.createKey(req.user, {
+        name: name.trim(),
+        scopes,
+        expiresAt
+    });
+
+    res.status(201).json({
+        success: true,
+        message: 'API key created. Copy it now; it will not be shown again.',
+        data: {
+            apiKey: formatKey(apiKey),
+            key
+        }
+    });
+});
+
+/**
+ * Revoke one of the current user's API keys
+ * @route DELETE /api/auth/api-keys/:id
+ */
+exports.revokeApiKey = asyncHandler(async (req, res, next) => {
+    const revoked = await apiKeyService.revoke(req.params.id, req.user.id);
+
+    if (!revoked) {
+        return next(new AppError('API key not found', 404));
+    }
+
+    logger.info(`API key ${req.params.id} revoked by ${req.user.email}`);
+
+    res.status(200).json({
+        success: true,
+        message: 'API key revoked'
+    });
+});
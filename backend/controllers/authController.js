@@ -1,9 +1,66 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const AppError = require('../utils/AppError');
 const asyncHandler = require('../utils/asyncHandler');
+const twoFactorService = require('../services/twoFactorService');
+const mailService = require('../services/mailService');
+const sessionService = require('../services/sessionService');
+const apiKeyService = require('../services/apiKeyService');
+const sanitizeService = require('../services/sanitizeService');
+const { REFRESH_COOKIE, getAccessTokenExpiry, setAuthCookies, clearAuthCookies } = require('../utils/authCookies');
+const { issueCsrfToken } = require('../middleware/csrf');
 const logger = require('../utils/logger');
 const validator = require('validator');
 
+/**
+ * Hand a session's tokens to the client. Browsers ask for `mode: "cookie"`
+ * and get them as HttpOnly cookies that scripts cannot read; other clients
+ * get them in the response body.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} tokens - `{ accessToken, refreshToken }`
+ * @returns {Object} Fields to include in the response data
+ */
+const deliverTokens = (req, res, { accessToken, refreshToken }) => {
+    const accessTokenExpiresAt = getAccessTokenExpiry(accessToken);
+
+    if ((req.body && req.body.mode === 'cookie') || req.authMode === 'cookie') {
+        setAuthCookies(res, { accessToken, refreshToken });
+        return { accessTokenExpiresAt };
+    }
+
+    return { token: accessToken, refreshToken, accessTokenExpiresAt };
+};
+
+/**
+ * Start a session and send the response for a completed login
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} user - Logged-in user
+ */
+const sendLoginResponse = async (req, res, user) => {
+    const tokens = await sessionService.createSession(user, req);
+
+    res.status(200).json({
+        success: true,
+        message: 'Login successful',
+        data: {
+            user: {
+                id: user._id,
+                username: user.username,
+                email: user.email,
+                role: user.role,
+                storageUsed: user.storageUsed,
+                storageLimit: user.storageLimit,
+                lastLogin: user.lastLogin,
+                twoFactorEnabled: user.twoFactorEnabled
+            },
+            ...deliverTokens(req, res, tokens)
+        }
+    });
+};
+
 /**
  * Register a new user
  * @route POST /api/auth/register
@@ -53,8 +110,8 @@ exports.register = asyncHandler(async (req, res, next) => {
         password
     });
 
-    // Generate token
-    const token = user.generateAuthToken();
+    // Start a session
+    const tokens = await sessionService.createSession(user, req);
 
     logger.info(`New user registered: ${user.email}`);
 
@@ -69,7 +126,7 @@ exports.register = asyncHandler(async (req, res, next) => {
                 storageUsed: user.storageUsed,
                 storageLimit: user.storageLimit
             },
-            token
+            ...deliverTokens(req, res, tokens)
         }
     });
 });
@@ -113,32 +170,285 @@ exports.login = asyncHandler(async (req, res, next) => {
         return next(new AppError('Invalid email or password', 401));
     }
 
+    // The password alone is not enough; exchange this token at /2fa/verify
+    if (user.twoFactorEnabled) {
+        logger.info(`Two-factor challenge issued: ${user.email}`);
+
+        return res.status(200).json({
+            success: true,
+            message: 'Two-factor authentication required',
+            data: {
+                twoFactorRequired: true,
+                pendingToken: user.generateTwoFactorToken()
+            }
+        });
+    }
+
     // Reset login attempts
     await user.resetLoginAttempts();
 
-    // Generate token
-    const token = user.generateAuthToken();
-
     logger.info(`User logged in: ${user.email}`);
 
+    await sendLoginResponse(req, res, user);
+});
+
+/**
+ * Complete a login with a TOTP or recovery code
+ * @route POST /api/auth/2fa/verify
+ */
+exports.verifyTwoFactor = asyncHandler(async (req, res, next) => {
+    const { pendingToken, code, recoveryCode } = req.body;
+
+    if (!pendingToken || (!code && !recoveryCode)) {
+        return next(new AppError('Please provide the login token and an authentication code', 400));
+    }
+
+    let decoded;
+    try {
+        decoded = jwt.verify(pendingToken, process.env.JWT_SECRET, {
+            audience: 'two-factor-pending',
+            issuer: 'secure-file-upload'
+        });
+    } catch (error) {
+        return next(new AppError('Your login attempt has expired. Please log in again.', 401));
+    }
+
+    const user = await User.findById(decoded.id)
+        .select('+twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastStep +passwordChangedAt');
+
+    if (!user || !user.twoFactorEnabled || user.changedPasswordAfter(decoded.iat)) {
+        return next(new AppError('Your login attempt has expired. Please log in again.', 401));
+    }
+
+    if (user.isLocked) {
+        const lockTime = Math.ceil((user.lockUntil - Date.now()) / 1000 / 60);
+        return next(new AppError(`Account is locked. Try again in ${lockTime} minutes`, 423));
+    }
+
+    if (!user.isActive) {
+        return next(new AppError('Your account has been deactivated', 401));
+    }
+
+    // Codes are consumed with conditional updates so parallel requests cannot reuse one
+    if (code) {
+        const step = twoFactorService.verifyCode(
+            twoFactorService.decryptSecret(user), code, user.twoFactorLastStep
+        );
+
+        const consumed = step !== null && (await User.updateOne(
+            {
+                _id: user._id,
+                $or: [
+                    { twoFactorLastStep: { $exists: false } },
+                    { twoFactorLastStep: null },
+                    { twoFactorLastStep: { $lt: step } }
+                ]
+            },
+            { $set: { twoFactorLastStep: step } }
+        )).modifiedCount === 1;
+
+        if (!consumed) {
+            await user.incrementLoginAttempts();
+            return next(new AppError('Invalid authentication code', 401));
+        }
+    } else {
+        const codes = user.twoFactorRecoveryCodes || [];
+        const index = await twoFactorService.findRecoveryCode(codes, recoveryCode);
+
+        const consumed = index !== -1 && (await User.updateOne(
+            { _id: user._id, twoFactorRecoveryCodes: codes[index] },
+            { $pull: { twoFactorRecoveryCodes: codes[index] } }
+        )).modifiedCount === 1;
+
+        if (!consumed) {
+            await user.incrementLoginAttempts();
+            return next(new AppError('Invalid recovery code', 401));
+        }
+
+        logger.warn(`Recovery code used by ${user.email} (${codes.length - 1} left)`);
+    }
+
+    await user.resetLoginAttempts();
+
+    logger.info(`User logged in with two-factor authentication: ${user.email}`);
+
+    await sendLoginResponse(req, res, user);
+});
+
+/**
+ * Get two-factor authentication status
+ * @route GET /api/auth/2fa
+ */
+exports.getTwoFactorStatus = asyncHandler(async (req, res, next) => {
+    const user = await User.findById(req.user.id).select('+twoFactorRecoveryCodes');
+
+    if (!user) {
+        return next(new AppError('User not found', 404));
+    }
+
     res.status(200).json({
         success: true,
-        message: 'Login successful',
         data: {
-            user: {
-                id: user._id,
-                username: user.username,
-                email: user.email,
-                role: user.role,
-                storageUsed: user.storageUsed,
-                storageLimit: user.storageLimit,
-                lastLogin: user.lastLogin
-            },
-            token
+            enabled: user.twoFactorEnabled,
+            recoveryCodesRemaining: user.twoFactorEnabled ? (user.twoFactorRecoveryCodes || []).length : 0
+        }
+    });
+});
+
+/**
+ * Start two-factor enrollment: generate a secret for the authenticator app
+ * @route POST /api/auth/2fa/enroll
+ */
+exports.enrollTwoFactor = asyncHandler(async (req, res, next) => {
+    const user = await User.findById(req.user.id).select('+twoFactorSecret +twoFactorLastStep');
+
+    if (!user) {
+        return next(new AppError('User not found', 404));
+    }
+
+    if (user.twoFactorEnabled) {
+        return next(new AppError('Two-factor authentication is already enabled', 400));
+    }
+
+    const secret = twoFactorService.generateSecret();
+    const otpauthUrl = twoFactorService.getOtpAuthUri(user, secret);
+
+    // Not enforced until confirmed with a first code
+    user.twoFactorSecret = twoFactorService.encryptSecret(user, secret);
+    user.twoFactorLastStep = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+        success: true,
+        data: {
+            secret,
+            otpauthUrl,
+            qrCode: await twoFactorService.getQrCode(otpauthUrl)
         }
     });
 });
 
+/**
+ * Confirm enrollment with a first code and turn two-factor authentication on
+ * @route POST /api/auth/2fa/confirm
+ */
+exports.confirmTwoFactor = asyncHandler(async (req, res, next) => {
+    const { code } = req.body;
+
+    if (!code) {
+        return next(new AppError('Please provide the code from your authenticator app', 400));
+    }
+
+    const user = await User.findById(req.user.id).select('+twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastStep');
+
+    if (!user) {
+        return next(new AppError('User not found', 404));
+    }
+
+    if (user.twoFactorEnabled) {
+        return next(new AppError('Two-factor authentication is already enabled', 400));
+    }
+
+    if (!user.twoFactorSecret) {
+        return next(new AppError('Start two-factor enrollment first', 400));
+    }
+
+    const step = twoFactorService.verifyCode(twoFactorService.decryptSecret(user), code);
+
+    if (step === null) {
+        return next(new AppError('Invalid authentication code', 400));
+    }
+
+    const { codes, hashes } = await twoFactorService.generateRecoveryCodes();
+
+    user.twoFactorEnabled = true;
+    user.twoFactorLastStep = step;
+    user.twoFactorRecoveryCodes = hashes;
+    await user.save({ validateBeforeSave: false });
+
+    logger.info(`Two-factor authentication enabled: ${user.email}`);
+
+    res.status(200).json({
+        success: true,
+        message: 'Two-factor authentication enabled',
+        data: { recoveryCodes: codes }
+    });
+});
+
+/**
+ * Turn two-factor authentication off
+ * @route POST /api/auth/2fa/disable
+ */
+exports.disableTwoFactor = asyncHandler(async (req, res, next) => {
+    const { password } = req.body;
+
+    if (!password) {
+        return next(new AppError('Please provide your password', 400));
+    }
+
+    const user = await User.findById(req.user.id).select('+password');
+
+    if (!user) {
+        return next(new AppError('User not found', 404));
+    }
+
+    if (!(await user.comparePassword(password))) {
+        return next(new AppError('Incorrect password', 401));
+    }
+
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = undefined;
+    user.twoFactorRecoveryCodes = undefined;
+    user.twoFactorLastStep = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    logger.info(`Two-factor authentication disabled: ${user.email}`);
+
+    res.status(200).json({
+        success: true,
+        message: 'Two-factor authentication disabled'
+    });
+});
+
+/**
+ * Replace the recovery codes, invalidating the old ones
+ * @route POST /api/auth/2fa/recovery-codes
+ */
+exports.regenerateRecoveryCodes = asyncHandler(async (req, res, next) => {
+    const { password } = req.body;
+
+    if (!password) {
+        return next(new AppError('Please provide your password', 400));
+    }
+
+    const user = await User.findById(req.user.id).select('+password +twoFactorRecoveryCodes');
+
+    if (!user) {
+        return next(new AppError('User not found', 404));
+    }
+
+    if (!user.twoFactorEnabled) {
+        return next(new AppError('Two-factor authentication is not enabled', 400));
+    }
+
+    if (!(await user.comparePassword(password))) {
+        return next(new AppError('Incorrect password', 401));
+    }
+
+    const { codes, hashes } = await twoFactorService.generateRecoveryCodes();
+
+    user.twoFactorRecoveryCodes = hashes;
+    await user.save({ validateBeforeSave: false });
+
+    logger.info(`Recovery codes regenerated: ${user.email}`);
+
+    res.status(200).json({
+        success: true,
+        message: 'New recovery codes generated',
+        data: { recoveryCodes: codes }
+    });
+});
+
 /**
  * Get current user profile
  * @route GET /api/auth/me
@@ -160,6 +470,10 @@ exports.getMe = asyncHandler(async (req, res, next) => {
                 role: user.role,
                 storageUsed: user.storageUsed,
                 storageLimit: user.storageLimit,
+                twoFactorEnabled: user.twoFactorEnabled,
+                metadataPolicy: sanitizeService.policyFor(user),
+                metadataPolicyChoice: user.metadataPolicy || null,
+                metadataPolicyLocked: user.metadataPolicyLocked || sanitizeService.enforced,
                 createdAt: user.createdAt,
                 lastLogin: user.lastLogin
             }
@@ -172,7 +486,7 @@ exports.getMe = asyncHandler(async (req, res, next) => {
  * @route PATCH /api/auth/update-profile
  */
 exports.updateProfile = asyncHandler(async (req, res, next) => {
-    const { username, email } = req.body;
+    const { username, email, metadataPolicy } = req.body;
 
     // Don't allow password update through this route
     if (req.body.password) {
@@ -216,6 +530,17 @@ exports.updateProfile = asyncHandler(async (req, res, next) => {
         updateData.email = email.toLowerCase();
     }
 
+    // How metadata in uploaded photos is handled; null goes back to the default
+    if (metadataPolicy !== undefined) {
+        sanitizeService.checkUserChoice(req.user, metadataPolicy);
+
+        if (metadataPolicy === null) {
+            updateData.$unset = { metadataPolicy: 1 };
+        } else {
+            updateData.metadataPolicy = metadataPolicy;
+        }
+    }
+
     if (Object.keys(updateData).length === 0) {
         return next(new AppError('Please provide data to update', 400));
     }
@@ -235,7 +560,8 @@ exports.updateProfile = asyncHandler(async (req, res, next) => {
             user: {
                 id: user._id,
                 username: user.username,
-                email: user.email
+                email: user.email,
+                metadataPolicy: sanitizeService.policyFor(user)
             }
         }
     });
@@ -285,23 +611,69 @@ exports.updatePassword = asyncHandler(async (req, res, next) => {
     user.password = newPassword;
     await user.save();
 
-    // Generate new token
-    const token = user.generateAuthToken();
+    // Sign out every device, then start a new session for this one
+    await sessionService.revokeAll(user._id, 'password-change');
+    const tokens = await sessionService.createSession(user, req);
 
     logger.info(`Password updated for user: ${user.email}`);
 
     res.status(200).json({
         success: true,
         message: 'Password updated successfully',
-        data: { token }
+        data: deliverTokens(req, res, tokens)
+    });
+});
+
+/**
+ * Exchange a refresh token for a new access token (the refresh token is rotated)
+ * @route POST /api/auth/refresh
+ */
+exports.refreshToken = asyncHandler(async (req, res, next) => {
+    const fromCookie = !req.body.refreshToken && req.cookies[REFRESH_COOKIE];
+    const refreshToken = req.body.refreshToken || fromCookie;
+
+    if (!refreshToken) {
+        return next(new AppError('Please provide a refresh token', 400));
+    }
+
+    if (fromCookie) {
+        req.authMode = 'cookie';
+    }
+
+    let result;
+    try {
+        result = await sessionService.refresh(refreshToken, req);
+    } catch (error) {
+        // A dead refresh cookie would otherwise be sent with every auth request
+        if (fromCookie) clearAuthCookies(res);
+        throw error;
+    }
+
+    res.status(200).json({
+        success: true,
+        data: deliverTokens(req, res, result)
+    });
+});
+
+/**
+ * Get a CSRF token for cookie-authenticated requests (also set as a cookie)
+ * @route GET /api/auth/csrf
+ */
+exports.getCsrfToken = asyncHandler(async (req, res, next) => {
+    res.status(200).json({
+        success: true,
+        data: { csrfToken: issueCsrfToken(req, res) }
     });
 });
 
 /**
- * Logout user (client-side token removal)
+ * Logout user by revoking the current session
  * @route POST /api/auth/logout
  */
 exports.logout = asyncHandler(async (req, res, next) => {
+    await sessionService.revoke(req.sessionId, 'logout');
+    clearAuthCookies(res);
+
     logger.info(`User logged out: ${req.user.email}`);
 
     res.status(200).json({
@@ -310,6 +682,169 @@ exports.logout = asyncHandler(async (req, res, next) => {
     });
 });
 
+/**
+ * List the current user's active sessions
+ * @route GET /api/auth/sessions
+ */
+exports.getSessions = asyncHandler(async (req, res, next) => {
+    const sessions = await sessionService.listActive(req.user.id);
+
+    res.status(200).json({
+        success: true,
+        data: {
+            sessions: sessions.map(session => ({
+                id: session._id,
+                userAgent: session.userAgent,
+                ip: session.ip,
+                createdAt: session.createdAt,
+                lastUsedAt: session.lastUsedAt,
+                expiresAt: session.expiresAt,
+                current: String(session._id) === String(req.sessionId)
+            }))
+        }
+    });
+});
+
+/**
+ * Revoke one of the current user's sessions
+ * @route DELETE /api/auth/sessions/:id
+ */
+exports.revokeSession = asyncHandler(async (req, res, next) => {
+    const revoked = await sessionService.revoke(req.params.id, 'revoked', req.user.id);
+
+    if (!revoked) {
+        return next(new AppError('Session not found', 404));
+    }
+
+    logger.info(`Session ${req.params.id} revoked by ${req.user.email}`);
+
+    res.status(200).json({
+        success: true,
+        message: 'Session revoked'
+    });
+});
+
+/**
+ * Revoke all of the current user's sessions except this one
+ * @route DELETE /api/auth/sessions
+ */
+exports.revokeAllSessions = asyncHandler(async (req, res, next) => {
+    const count = await sessionService.revokeAll(req.user.id, 'revoked', { except: req.sessionId });
+
+    res.status(200).json({
+        success: true,
+        message: `Signed out of ${count} other session(s)`,
+        data: { revoked: count }
+    });
+});
+
+/**
+ * Email a password reset link
+ * @route POST /api/auth/forgot-password
+ */
+exports.forgotPassword = asyncHandler(async (req, res, next) => {
+    const { email } = req.body;
+
+    if (!email || !validator.isEmail(String(email))) {
+        return next(new AppError('Please provide a valid email', 400));
+    }
+
+    // Same answer whether or not the account exists, so emails cannot be probed
+    const response = {
+        success: true,
+        message: 'If an account exists for that email, a password reset link has been sent'
+    };
+
+    const user = await User.findOne({ email: String(email).toLowerCase() });
+
+    if (!user || !user.isActive) {
+        logger.info(`Password reset requested for unknown or inactive account: ${email}`);
+        return res.status(200).json(response);
+    }
+
+    const resetToken = user.createPasswordResetToken();
+    await user.save({ validateBeforeSave: false });
+
+    const baseUrl = process.env.FRONTEND_URL || `${req.protocol}://${req.get('host')}`;
+    // In the fragment so the token is never sent to a server or in a Referer
+    const resetUrl = `${baseUrl.replace(/\/$/, '')}/#reset-password/${resetToken}`;
+    const expiresInMinutes = Math.round((user.passwordResetExpires - Date.now()) / 60000);
+
+    try {
+        await mailService.sendPasswordReset(user, resetUrl, expiresInMinutes);
+    } catch (error) {
+        user.passwordResetToken = undefined;
+        user.passwordResetExpires = undefined;
+        await user.save({ validateBeforeSave: false });
+
+        logger.error(`Failed to send password reset email to ${user.email}:`, error);
+        return next(new AppError('There was an error sending the email. Please try again later.', 500));
+    }
+
+    logger.info(`Password reset requested: ${user.email}`);
+
+    res.status(200).json(response);
+});
+
+/**
+ * Set a new password with a reset token
+ * @route POST /api/auth/reset-password/:token
+ */
+exports.resetPassword = asyncHandler(async (req, res, next) => {
+    const { password, confirmPassword } = req.body;
+
+    if (!password || !confirmPassword) {
+        return next(new AppError('Please provide all required fields', 400));
+    }
+
+    if (password !== confirmPassword) {
+        return next(new AppError('Passwords do not match', 400));
+    }
+
+    if (password.length < 8) {
+        return next(new AppError('Password must be at least 8 characters long', 400));
+    }
+
+    // Check password strength
+    const passwordRegex = /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/;
+    if (!passwordRegex.test(password)) {
+        return next(new AppError('Password must contain at least one uppercase letter, one lowercase letter, one number, and one special character', 400));
+    }
+
+    const hashedToken = crypto
+        .createHash('sha256')
+        .update(req.params.token)
+        .digest('hex');
+
+    const user = await User.findOne({
+        passwordResetToken: hashedToken,
+        passwordResetExpires: { $gt: Date.now() }
+    });
+
+    if (!user) {
+        return next(new AppError('Password reset link is invalid or has expired', 400));
+    }
+
+    // Saving sets passwordChangedAt, which invalidates every token issued before now.
+    // File keys are wrapped by the master key, not derived from the password,
+    // so encrypted files stay readable.
+    user.password = password;
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    user.loginAttempts = 0;
+    user.lockUntil = undefined;
+    await user.save();
+
+    await sessionService.revokeAll(user._id, 'password-change');
+
+    logger.info(`Password reset completed: ${user.email}`);
+
+    res.status(200).json({
+        success: true,
+        message: 'Password reset successfully. Please log in with your new password.'
+    });
+});
+
 /**
  * Delete user account
  * @route DELETE /api/auth/delete-account
@@ -338,6 +873,10 @@ exports.deleteAccount = asyncHandler(async (req, res, next) => {
     user.isActive = false;
     await user.save({ validateBeforeSave: false });
 
+    await sessionService.revokeAll(user._id, 'deactivated');
+    await apiKeyService.revokeAll(user._id);
+    clearAuthCookies(res);
+
     logger.info(`Account deactivated: ${user.email}`);
 
     res.status(200).json({
@@ -0,0 +1,57 @@
+const asyncHandler = require('../utils/asyncHandler');
+const keyRotationService = require('../services/keyRotationService');
+const resumableUploadService = require('../services/resumableUploadService');
+const renditionService = require('../services/renditionService');
+const expiryService = require('../services/expiryService');
+
+/**
+ * Background work for deployments without a long-running process (Vercel).
+ * A server started with `npm start` does the same work itself, so these
+ * endpoints are only needed when the app runs as serverless functions. Each
+ * one finishes its work before responding, since an invocation may be frozen
+ * as soon as the response is sent.
+ */
+
+/**
+ * @desc    Resume key rotation jobs that are pending or whose worker died
+ * @route   GET /api/cron/key-rotation
+ * @access  Scheduler
+ */
+exports.resumeKeyRotation = asyncHandler(async (req, res) => {
+    const resumed = await keyRotationService.resumeJobs();
+
+    res.status(200).json({ success: true, data: { resumed } });
+});
+
+/**
+ * @desc    Remove expired resumable uploads
+ * @route   GET /api/cron/uploads
+ * @access  Scheduler
+ */
+exports.cleanupUploads = asyncHandler(async (req, res) => {
+    const removed = await resumableUploadService.cleanupExpired();
+
+    res.status(200).json({ success: true, data: { removed } });
+});
+
+/**
+ * @desc    Generate previews (and read MRZs) still pending
+ * @route   GET /api/cron/renditions
+ * @access  Scheduler
+ */
+exports.processRenditions = asyncHandler(async (req, res) => {
+    const processed = await renditionService.processPending();
+
+    res.status(200).json({ success: true, data: { processed } });
+});
+
+/**
+ * @desc    Send the identity document expiry reminders that are due
+ * @route   GET /api/cron/expiry-reminders
+ * @access  Scheduler
+ */
+exports.sendExpiryReminders = asyncHandler(async (req, res) => {
+    const reminded = await expiryService.sendReminders();
+
+    res.status(200).json({ success: true, data: { reminded } });
+});
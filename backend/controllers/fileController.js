@@ -1,13 +1,208 @@
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const File = require('../models/File');
 const User = require('../models/User');
+const { CATEGORIES, typesIn } = require('../config/fileTypes');
 const AppError = require('../utils/AppError');
 const asyncHandler = require('../utils/asyncHandler');
 const encryptionService = require('../services/encryptionService');
+const keyService = require('../services/keyService');
+const storageService = require('../services/storageService');
+const versionService = require('../services/versionService');
+const folderService = require('../services/folderService');
+const archiveService = require('../services/archiveService');
+const renditionService = require('../services/renditionService');
+const metadataService = require('../services/metadataService');
+const sanitizeService = require('../services/sanitizeService');
+const fileTypeService = require('../services/fileTypeService');
+const scanService = require('../services/scanService');
+const archiveInspectionService = require('../services/archiveInspectionService');
+const identityService = require('../services/identityService');
+const expiryService = require('../services/expiryService');
+const sessionService = require('../services/sessionService');
+const apiKeyService = require('../services/apiKeyService');
 const logger = require('../utils/logger');
 
+/**
+ * Pipe a chain of streams into the response.
+ * If nothing has been sent yet when an error occurs, the download headers are
+ * cleared so the caller can still respond with a JSON error; otherwise the
+ * response is aborted.
+ * @param {Object} res - Express response
+ * @param {...Stream} streams - Source stream followed by transforms
+ * @returns {Promise<void>} Resolves once everything has been written
+ */
+const pipeToResponse = async (res, ...streams) => {
+    const last = streams[streams.length - 1];
+
+    res.on('close', () => last.destroy());
+    last.pipe(res);
+
+    try {
+        await pipeline(...streams);
+    } catch (error) {
+        if (res.headersSent) {
+            res.destroy(error);
+        } else {
+            last.unpipe(res);
+            res.status(200);
+            ['Content-Type', 'Content-Length', 'Content-Disposition', 'Content-Range', 'Cache-Control', 'ETag', 'Accept-Ranges']
+                .forEach(header => res.removeHeader(header));
+        }
+        throw error;
+    }
+};
+
+/**
+ * Resolve the byte range requested through Range/If-Range.
+ * Only files in the chunked format support random access; for anything else,
+ * or a multi-range/malformed/stale request, the whole file is sent.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} file - File document
+ * @returns {Object|null} `{ start, end }` (inclusive) or null for the whole file
+ */
+const getRequestedRange = (req, res, file) => {
+    if (!req.headers.range || file.encryptionMetadata.format !== 'chunked') {
+        return null;
+    }
+
+    // A stale validator means the client's partial copy is of another version
+    const ifRange = req.headers['if-range'];
+    if (ifRange && ifRange !== `"${file.checksum}"`) {
+        return null;
+    }
+
+    const ranges = req.range(file.originalSize, { combine: true });
+
+    if (ranges === -1) {
+        res.setHeader('Content-Range', `bytes */${file.originalSize}`);
+        throw new AppError('Requested range not satisfiable', 416);
+    }
+
+    if (!Array.isArray(ranges) || ranges.type !== 'bytes' || ranges.length !== 1) {
+        return null;
+    }
+
+    return ranges[0];
+};
+
+/**
+ * Decrypt a stored file into the response, sending 206 Partial Content when
+ * a range is given. Full responses are checksum-verified; partial responses
+ * rely on the per-chunk authentication tags.
+ * @param {Object} res - Express response
+ * @param {Object} file - File document with storagePath selected
+ * @param {Buffer|string} fileKey - File data key (or legacy user key)
+ * @param {Object|null} range - Range from getRequestedRange
+ * @param {Object} options - Response options
+ * @param {string} options.disposition - 'attachment' or 'inline'
+ * @param {string} options.cacheControl - Cache-Control header value
+ * @returns {Promise<void>} Resolves once the response has been written
+ */
+const sendDecryptedFile = async (res, file, fileKey, range, options) => {
+    const storage = storageService.forFile(file);
+
+    // Browser-encrypted content is only meaningful to the client that decrypts it
+    res.setHeader('Content-Type', file.isClientEncrypted ? 'application/octet-stream' : file.mimeType);
+    res.setHeader('Content-Disposition', `${options.disposition}; filename="${encodeURIComponent(file.originalName)}"`);
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    res.setHeader('Cache-Control', options.cacheControl);
+    res.setHeader('ETag', `"${file.checksum}"`);
+    res.setHeader('Accept-Ranges', file.encryptionMetadata.format === 'chunked' ? 'bytes' : 'none');
+
+    if (!range) {
+        res.setHeader('Content-Length', file.originalSize);
+        return pipeToResponse(
+            res,
+            storage.createReadStream(file.storagePath),
+            encryptionService.createDecryptStream(fileKey, file.encryptionMetadata.format),
+            encryptionService.createDigestStream(file.checksum)
+        );
+    }
+
+    const header = encryptionService.parseHeader(
+        await storage.read(file.storagePath, 0, encryptionService.headerLength - 1)
+    );
+    const { cipherStart, cipherEnd, stream } = encryptionService.createRangeDecryptStream(
+        fileKey, header, file.originalSize, range.start, range.end
+    );
+
+    res.status(206);
+    res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${file.originalSize}`);
+    res.setHeader('Content-Length', range.end - range.start + 1);
+
+    return pipeToResponse(
+        res,
+        storage.createReadStream(file.storagePath, { start: cipherStart, end: cipherEnd }),
+        stream
+    );
+};
+
+/**
+ * Check a staged upload's type, scan it, inspect archives, sanitize it, read
+ * its metadata and encrypt it into storage under a fresh data key
+ * @param {Object} user - Owner with key fields selected
+ * @param {Object} file - Multer file
+ * @param {StorageDriver} storage - Target storage driver
+ * @param {string} encryptedName - Stored file name
+ * @param {string} storageKey - Target key
+ * @param {ObjectId} fileId - File the blob will belong to, which its data key is bound to
+ * @returns {Promise<Object>} Blob fields for a File or FileVersion
+ */
+const encryptUpload = async (user, file, storage, encryptedName, storageKey, fileId) => {
+    // The content decides the type; the client's claim only has to agree
+    const mimeType = await fileTypeService.verifyFile(file.path, file.originalname, file.mimetype);
+
+    // Scanned exactly as it arrived; infected content is stored untouched
+    const scan = await scanService.scanFile(file.path);
+
+    let metadata;
+    let archive;
+    if (!scanService.isQuarantined({ scan })) {
+        // Archives that break the limits or hold unsafe paths are refused
+        if (archiveInspectionService.supports(mimeType)) {
+            archive = await archiveInspectionService.inspectFile(file.path, mimeType);
+        }
+
+        // Metadata is removed from the plaintext before anything is stored
+        const sanitization = await sanitizeService.sanitizeFile(user, file.path, mimeType);
+        metadata = { ...(await metadataService.extractFromFile(file.path, mimeType)), sanitization };
+    } else {
+        logger.warn(`Malware found in upload ${file.originalname} by user ${user.email}: ${scan.signature}`);
+    }
+
+    // Each file gets its own data key, wrapped by the user's key
+    const { dataKey, keyId, keyVersion, wrappedKey } = await keyService.createDataKey(user, fileId);
+
+    // Encrypt the staged plaintext straight into storage
+    const encrypted = await encryptionService.encryptStream(
+        fs.createReadStream(file.path),
+        storage.createWriteStream(storageKey),
+        dataKey
+    );
+
+    return {
+        encryptedName,
+        mimeType,
+        metadata,
+        scan,
+        archive,
+        originalSize: encrypted.metadata.originalSize,
+        encryptedSize: encrypted.metadata.encryptedSize,
+        checksum: encrypted.checksum,
+        encryptedChecksum: encrypted.encryptedChecksum,
+        storagePath: storageKey,
+        storageBackend: storage.name,
+        isClientEncrypted: false,
+        encryptionMetadata: { ...encrypted.metadata, keyId, keyVersion, wrappedKey }
+    };
+};
+
 /**
  * Upload files
  * @route POST /api/files/upload
@@ -19,67 +214,69 @@ exports.uploadFiles = asyncHandler(async (req, res, next) => {
         return next(new AppError('No files uploaded', 400));
     }
 
-    // Get user with encryption key
-    const user = await User.findById(req.user.id).select('+encryptionKey');
+    // Clean up uploaded files
+    const discardUploads = () => files.forEach(file => {
+        if (fs.existsSync(file.path)) {
+            fs.unlinkSync(file.path);
+        }
+    });
+
+    // Get user with encryption keys
+    const user = await User.findById(req.user.id).select('+encryptionKey +encryptionKeys +currentKeyId');
 
     if (!user) {
-        // Clean up uploaded files
-        files.forEach(file => {
-            if (fs.existsSync(file.path)) {
-                fs.unlinkSync(file.path);
-            }
-        });
+        discardUploads();
         return next(new AppError('User not found', 404));
     }
 
     // Check storage limit
     const totalSize = files.reduce((acc, file) => acc + file.size, 0);
     if (user.storageUsed + totalSize > user.storageLimit) {
-        // Clean up uploaded files
-        files.forEach(file => {
-            if (fs.existsSync(file.path)) {
-                fs.unlinkSync(file.path);
-            }
-        });
+        discardUploads();
         return next(new AppError('Storage limit exceeded', 400));
     }
 
+    // Uploading to a folder that does not exist yet creates it
+    let folder;
+    try {
+        folder = folderService.normalizePath(req.body.folder);
+        await folderService.ensurePath(user._id, folder);
+    } catch (error) {
+        discardUploads();
+        return next(error);
+    }
+
+    const storage = storageService.getDriver();
     const uploadedFiles = [];
     const errors = [];
 
     for (const file of files) {
+        const encryptedName = `${file.filename}.encrypted`;
+        const storageKey = storage.createKey(user._id, encryptedName);
+
         try {
-            // Generate checksums
-            const originalChecksum = await encryptionService.generateFileChecksum(file.path);
-
-            // Read original file
-            const originalData = fs.readFileSync(file.path);
-
-            // Encrypt the file
-            const encrypted = encryptionService.encrypt(originalData, user.encryptionKey);
-
-            // Write encrypted data back
-            fs.writeFileSync(file.path, encrypted.data);
-
-            // Generate encrypted file checksum
-            const encryptedChecksum = await encryptionService.generateFileChecksum(file.path);
-
-            // Create file record
-            const fileRecord = await File.create({
-                user: user._id,
-                originalName: file.originalname,
-                encryptedName: file.filename,
-                mimeType: file.mimetype,
-                originalSize: file.size,
-                encryptedSize: encrypted.data.length,
-                checksum: originalChecksum,
-                encryptedChecksum: encryptedChecksum,
-                storagePath: file.path,
-                folder: req.body.folder || '/',
-                tags: req.body.tags ? req.body.tags.split(',').map(t => t.trim()) : [],
-                description: req.body.description || '',
-                encryptionMetadata: encrypted.metadata
-            });
+            // Uploading a name that already exists in the folder adds a version
+            const existing = await versionService.findExisting(user._id, folder, file.originalname);
+            const fileId = existing ? existing._id : new mongoose.Types.ObjectId();
+
+            const blob = await encryptUpload(user, file, storage, encryptedName, storageKey, fileId);
+
+            const fileRecord = existing
+                ? await versionService.addVersion(existing, blob, { originalName: file.originalname })
+                : await File.create({
+                    _id: fileId,
+                    ...blob,
+                    ...renditionService.resetFields(blob),
+                    user: user._id,
+                    originalName: file.originalname,
+                    folder,
+                    tags: req.body.tags ? req.body.tags.split(',').map(t => t.trim()) : [],
+                    description: req.body.description || ''
+                });
+
+            if (fileRecord.renditionStatus === 'pending') {
+                renditionService.enqueue(fileRecord._id);
+            }
 
             uploadedFiles.push({
                 id: fileRecord._id,
@@ -88,23 +285,30 @@ exports.uploadFiles = asyncHandler(async (req, res, next) => {
                 formattedSize: fileRecord.formattedSize,
                 mimeType: fileRecord.mimeType,
                 category: fileRecord.category,
-                uploadedAt: fileRecord.createdAt
+                version: fileRecord.version,
+                isNewVersion: !!existing,
+                quarantined: scanService.isQuarantined(fileRecord),
+                uploadedAt: fileRecord.versionUploadedAt || fileRecord.createdAt
             });
 
-            logger.info(`File uploaded: ${fileRecord.originalName} by user ${user.email}`);
+            logger.info(`File uploaded: ${fileRecord.originalName} by user ${user.email}` +
+                (existing ? ` (version ${fileRecord.version})` : ''));
 
         } catch (error) {
             logger.error(`Failed to upload file ${file.originalname}:`, error);
 
-            // Clean up the file
-            if (fs.existsSync(file.path)) {
-                fs.unlinkSync(file.path);
-            }
+            // Clean up the stored blob
+            await storage.delete(storageKey).catch(cleanupError => {
+                logger.error(`Failed to remove blob ${storageKey}:`, cleanupError);
+            });
 
             errors.push({
                 filename: file.originalname,
                 error: error.message
             });
+        } finally {
+            // The plaintext staging copy never outlives the request
+            fs.rmSync(file.path, { force: true });
         }
     }
 
@@ -124,6 +328,78 @@ exports.uploadFiles = asyncHandler(async (req, res, next) => {
     });
 });
 
+// Numeric metadata that can be filtered (minX/maxX) and sorted on
+const METADATA_RANGE_FIELDS = ['width', 'height', 'duration', 'pages'];
+
+/**
+ * Shape a file's extracted metadata for responses
+ * @param {Object} file - File document
+ * @returns {Object|undefined} Metadata, if any was extracted
+ */
+const formatMetadata = (file) => {
+    const metadata = file.metadata && file.metadata.extractedAt ? file.metadata : null;
+    if (!metadata) return undefined;
+
+    const exif = metadata.exif && Object.values(metadata.exif).some(value => value !== undefined)
+        ? metadata.exif
+        : undefined;
+
+    return {
+        width: metadata.width,
+        height: metadata.height,
+        duration: metadata.duration,
+        pages: metadata.pages,
+        encoding: metadata.encoding,
+        exif,
+        sanitization: metadata.sanitization && metadata.sanitization.policy ? metadata.sanitization : undefined
+    };
+};
+
+/**
+ * Shape a file's malware scan result for responses
+ * @param {Object} file - File document
+ * @returns {Object|undefined} Scan result, if the file was scanned
+ */
+const formatScan = (file) => {
+    if (!file.scan || !file.scan.status) return undefined;
+
+    return {
+        status: file.scan.status,
+        signature: file.scan.signature,
+        engine: file.scan.engine,
+        database: file.scan.database,
+        scannedAt: file.scan.scannedAt
+    };
+};
+
+/**
+ * Shape a file's archive inspection for responses
+ * @param {Object} file - File document
+ * @param {boolean} withEntries - Whether to include the entry listing
+ * @returns {Object|undefined} Inspection summary, if the file is an inspected archive
+ */
+const formatArchive = (file, withEntries) => {
+    if (!file.archive || !file.archive.status) return undefined;
+
+    return {
+        format: file.archive.format,
+        status: file.archive.status,
+        entryCount: file.archive.entryCount,
+        expandedSize: file.archive.expandedSize,
+        depth: file.archive.depth,
+        entries: withEntries && file.archive.entries
+            ? file.archive.entries.map(({ path, size, compressedSize, isDirectory, encrypted, depth }) => ({
+                path, size, compressedSize, isDirectory, encrypted, depth
+            }))
+            : undefined,
+        truncated: file.archive.truncated,
+        inspectedAt: file.archive.inspectedAt
+    };
+};
+
+// Sent for every attempt to read or share a quarantined file
+const QUARANTINED_MESSAGE = 'This file has been quarantined because malware was found in it. An administrator will review it.';
+
 /**
  * Get all files for current user
  * @route GET /api/files
@@ -142,18 +418,34 @@ exports.getFiles = asyncHandler(async (req, res, next) => {
     }
 
     // Filter by category
-    if (req.query.category) {
-        const categoryMimeTypes = {
-            image: /^image\//,
-            document: /^application\/(pdf|msword|vnd\.)/,
-            video: /^video\//,
-            audio: /^audio\//,
-            archive: /^application\/(zip|x-rar|x-7z|gzip)/
-        };
+    if (req.query.category === 'other') {
+        query.mimeType = { $nin: CATEGORIES.filter(category => category !== 'other').flatMap(typesIn) };
+    } else if (CATEGORIES.includes(req.query.category)) {
+        query.mimeType = { $in: typesIn(req.query.category) };
+    }
 
-        if (categoryMimeTypes[req.query.category]) {
-            query.mimeType = categoryMimeTypes[req.query.category];
+    // Filter identity documents by expiry (expiring=30d includes the expired
+    // ones unless expired=false; expired=true lists only those)
+    if (req.query.expiring !== undefined || req.query.expired !== undefined) {
+        query['documentExpiry.date'] = expiryService.filter(req.query.expiring, req.query.expired);
+    }
+
+    // Filter by metadata ranges (minWidth=1920, maxDuration=60, ...)
+    METADATA_RANGE_FIELDS.forEach(field => {
+        const suffix = field.charAt(0).toUpperCase() + field.slice(1);
+        const range = {};
+        const min = parseFloat(req.query[`min${suffix}`]);
+        const max = parseFloat(req.query[`max${suffix}`]);
+
+        if (Number.isFinite(min)) range.$gte = min;
+        if (Number.isFinite(max)) range.$lte = max;
+        if (Object.keys(range).length > 0) {
+            query[`metadata.${field}`] = range;
         }
+    });
+
+    if (req.query.encoding) {
+        query['metadata.encoding'] = String(req.query.encoding).toLowerCase();
     }
 
     // Search
@@ -164,10 +456,13 @@ exports.getFiles = asyncHandler(async (req, res, next) => {
     // Sort
     let sort = { createdAt: -1 };
     if (req.query.sort) {
-        const sortField = req.query.sort.startsWith('-')
+        let sortField = req.query.sort.startsWith('-')
             ? req.query.sort.substring(1)
             : req.query.sort;
         const sortOrder = req.query.sort.startsWith('-') ? -1 : 1;
+        if (METADATA_RANGE_FIELDS.includes(sortField)) {
+            sortField = `metadata.${sortField}`;
+        }
         sort = { [sortField]: sortOrder };
     }
 
@@ -176,7 +471,7 @@ exports.getFiles = asyncHandler(async (req, res, next) => {
             .sort(sort)
             .skip(skip)
             .limit(limit)
-            .select('-storagePath -accessLog'),
+            .select('-storagePath -accessLog -archive.entries'),
         File.countDocuments(query)
     ]);
 
@@ -196,7 +491,16 @@ exports.getFiles = asyncHandler(async (req, res, next) => {
                 description: file.description,
                 isPublic: file.isPublic,
                 hasShare: !!file.shareToken,
+                clientEncrypted: file.isClientEncrypted,
                 downloadCount: file.downloadCount,
+                version: file.version,
+                previewStatus: file.renditionStatus,
+                metadata: formatMetadata(file),
+                scan: formatScan(file),
+                quarantined: scanService.isQuarantined(file),
+                archive: formatArchive(file, false),
+                documentExpiry: expiryService.format(file),
+                expired: expiryService.format(file)?.status === 'expired',
                 createdAt: file.createdAt,
                 updatedAt: file.updatedAt
             })),
@@ -224,6 +528,15 @@ exports.getFile = asyncHandler(async (req, res, next) => {
         return next(new AppError('File not found', 404));
     }
 
+    // Identity document fields are stored encrypted with the file's data key
+    let identity;
+    if (file.identity && file.identity.data) {
+        const user = await User.findById(req.user.id).select('+encryptionKey +encryptionKeys +currentKeyId');
+        identity = identityService.read(file, keyService.getFileKey(user, file));
+    } else {
+        identity = identityService.read(file);
+    }
+
     res.status(200).json({
         success: true,
         data: {
@@ -244,6 +557,19 @@ exports.getFile = asyncHandler(async (req, res, next) => {
                 downloadCount: file.downloadCount,
                 maxDownloads: file.maxDownloads,
                 checksum: file.checksum,
+                clientEncrypted: file.isClientEncrypted,
+                clientEncryption: file.isClientEncrypted ? file.clientEncryption : undefined,
+                version: file.version,
+                versionUploadedAt: file.versionUploadedAt || file.createdAt,
+                restoredFrom: file.restoredFrom,
+                previewStatus: file.renditionStatus,
+                renditions: file.renditions.map(({ size, width, height }) => ({ size, width, height })),
+                metadata: formatMetadata(file),
+                scan: formatScan(file),
+                quarantined: scanService.isQuarantined(file),
+                archive: formatArchive(file, true),
+                identity,
+                documentExpiry: expiryService.format(file),
                 createdAt: file.createdAt,
                 updatedAt: file.updatedAt
             }
@@ -256,8 +582,8 @@ exports.getFile = asyncHandler(async (req, res, next) => {
  * @route GET /api/files/:id/download
  */
 exports.downloadFile = asyncHandler(async (req, res, next) => {
-    // Get user with encryption key
-    const user = await User.findById(req.user.id).select('+encryptionKey');
+    // Get user with encryption keys
+    const user = await User.findById(req.user.id).select('+encryptionKey +encryptionKeys +currentKeyId');
 
     if (!user) {
         return next(new AppError('User not found', 404));
@@ -272,48 +598,320 @@ exports.downloadFile = asyncHandler(async (req, res, next) => {
         return next(new AppError('File not found', 404));
     }
 
-    // Check if file exists on disk
-    if (!fs.existsSync(file.storagePath)) {
-        logger.error(`File not found on disk: ${file.storagePath}`);
+    if (scanService.isQuarantined(file)) {
+        return next(new AppError(QUARANTINED_MESSAGE, 403));
+    }
+
+    // Check if the blob exists in storage
+    if (!(await storageService.forFile(file).exists(file.storagePath))) {
+        logger.error(`File not found in ${file.storageBackend} storage: ${file.storagePath}`);
         return next(new AppError('File not found on server', 404));
     }
 
+    const range = getRequestedRange(req, res, file);
+
+    // Seeking within a file is not a new download
+    if (!range || range.start === 0) {
+        file.downloadCount += 1;
+        file.logAccess('download', req.ip, req.get('User-Agent'));
+        await file.save();
+    }
+
     try {
-        // Read encrypted file
-        const encryptedData = fs.readFileSync(file.storagePath);
+        // Decrypt and verify while streaming
+        await sendDecryptedFile(res, file, keyService.getFileKey(user, file), range, {
+            disposition: 'attachment',
+            cacheControl: 'private, no-transform'
+        });
 
-        // Decrypt the file
-        const decrypted = encryptionService.decrypt(encryptedData, user.encryptionKey);
+        logger.info(`File downloaded: ${file.originalName} by user ${user.email}`);
 
-        // Verify checksum
-        const checksum = encryptionService.hash(decrypted.data);
-        if (checksum !== file.checksum) {
-            logger.error(`Checksum mismatch for file: ${file._id}`);
-            return next(new AppError('File integrity check failed', 500));
+    } catch (error) {
+        logger.error('Download error:', error);
+        if (!res.headersSent) {
+            return next(new AppError('Failed to download file: ' + error.message, 500));
         }
+    }
+});
 
-        // Update download count
-        file.downloadCount += 1;
+/**
+ * Shape a file's version history, newest first, with what changed relative
+ * to the version before each one
+ * @param {Object} file - File document (the current version)
+ * @param {Object[]} versions - Archived versions, newest first
+ * @returns {Object[]} Versions
+ */
+const formatVersions = (file, versions) => {
+    const entries = [
+        {
+            version: file.version || 1,
+            isCurrent: true,
+            name: file.originalName,
+            size: file.originalSize,
+            mimeType: file.mimeType,
+            checksum: file.checksum,
+            restoredFrom: file.restoredFrom,
+            uploadedAt: file.versionUploadedAt || file.createdAt
+        },
+        ...versions.map(version => ({
+            version: version.version,
+            isCurrent: false,
+            name: version.originalName,
+            size: version.originalSize,
+            mimeType: version.mimeType,
+            checksum: version.checksum,
+            restoredFrom: version.restoredFrom,
+            uploadedAt: version.uploadedAt
+        }))
+    ];
+
+    return entries.map((entry, index) => {
+        const previous = entries[index + 1];
+
+        return {
+            ...entry,
+            changes: previous ? {
+                from: previous.version,
+                sizeDelta: entry.size - previous.size,
+                contentChanged: entry.checksum !== previous.checksum,
+                typeChanged: entry.mimeType !== previous.mimeType
+            } : null
+        };
+    });
+};
+
+/**
+ * Parse the version number in the route
+ * @param {string} value - Route parameter
+ * @returns {number} Version number, or NaN
+ */
+const parseVersion = (value) => (/^\d+$/.test(value) ? parseInt(value, 10) : NaN);
+
+/**
+ * Upload a new version of a file
+ * @route POST /api/files/:id
+ * @route POST /api/files/:id/versions
+ */
+exports.uploadVersion = asyncHandler(async (req, res, next) => {
+    const upload = req.file;
+
+    if (!upload) {
+        return next(new AppError('No file uploaded', 400));
+    }
+
+    try {
+        const user = await User.findById(req.user.id).select('+encryptionKey +encryptionKeys +currentKeyId');
+
+        if (!user) {
+            return next(new AppError('User not found', 404));
+        }
+
+        const file = await File.findOne({
+            _id: req.params.id,
+            user: req.user.id
+        }).select('+storagePath');
+
+        if (!file) {
+            return next(new AppError('File not found', 404));
+        }
+
+        // Every version counts towards the quota
+        if (user.storageUsed + upload.size > user.storageLimit) {
+            return next(new AppError('Storage limit exceeded', 400));
+        }
+
+        const storage = storageService.getDriver();
+        const encryptedName = `${upload.filename}.encrypted`;
+        const storageKey = storage.createKey(user._id, encryptedName);
+
+        let updated;
+        try {
+            const blob = await encryptUpload(user, upload, storage, encryptedName, storageKey, file._id);
+            updated = await versionService.addVersion(file, blob, { originalName: upload.originalname });
+        } catch (error) {
+            await storage.delete(storageKey).catch(cleanupError => {
+                logger.error(`Failed to remove blob ${storageKey}:`, cleanupError);
+            });
+            throw error;
+        }
+
+        await user.updateStorageUsed(updated.originalSize);
+
+        logger.info(`New version ${updated.version} of ${updated.originalName} uploaded by user ${user.email}`);
+
+        res.status(201).json({
+            success: true,
+            message: `Version ${updated.version} uploaded`,
+            data: {
+                file: {
+                    id: updated._id,
+                    name: updated.originalName,
+                    size: updated.originalSize,
+                    formattedSize: updated.formattedSize,
+                    mimeType: updated.mimeType,
+                    version: updated.version,
+                    uploadedAt: updated.versionUploadedAt
+                }
+            }
+        });
+    } finally {
+        // The plaintext staging copy never outlives the request
+        fs.rmSync(upload.path, { force: true });
+    }
+});
+
+/**
+ * List a file's versions
+ * @route GET /api/files/:id/versions
+ */
+exports.getVersions = asyncHandler(async (req, res, next) => {
+    const file = await File.findOne({
+        _id: req.params.id,
+        user: req.user.id
+    }).setOptions({ includeDeleted: true });
+
+    if (!file) {
+        return next(new AppError('File not found', 404));
+    }
+
+    const versions = await versionService.listVersions(file);
+    const history = formatVersions(file, versions);
+
+    res.status(200).json({
+        success: true,
+        data: {
+            versions: history,
+            totalSize: history.reduce((acc, version) => acc + version.size, 0)
+        }
+    });
+});
+
+/**
+ * Download an older version of a file
+ * @route GET /api/files/:id/versions/:version/download
+ */
+exports.downloadVersion = asyncHandler(async (req, res, next) => {
+    const user = await User.findById(req.user.id).select('+encryptionKey +encryptionKeys +currentKeyId');
+
+    if (!user) {
+        return next(new AppError('User not found', 404));
+    }
+
+    const file = await File.findOne({
+        _id: req.params.id,
+        user: req.user.id
+    });
+
+    if (!file) {
+        return next(new AppError('File not found', 404));
+    }
+
+    const version = await versionService.getVersion(file, parseVersion(req.params.version));
+
+    if (scanService.isQuarantined(version)) {
+        return next(new AppError(QUARANTINED_MESSAGE, 403));
+    }
+
+    if (!(await storageService.forFile(version).exists(version.storagePath))) {
+        logger.error(`Version not found in ${version.storageBackend} storage: ${version.storagePath}`);
+        return next(new AppError('File not found on server', 404));
+    }
+
+    const range = getRequestedRange(req, res, version);
+
+    if (!range || range.start === 0) {
         file.logAccess('download', req.ip, req.get('User-Agent'));
         await file.save();
+    }
 
-        // Set response headers
-        res.setHeader('Content-Type', file.mimeType);
-        res.setHeader('Content-Disposition', `attachment; filename="${encodeURIComponent(file.originalName)}"`);
-        res.setHeader('Content-Length', decrypted.data.length);
-        res.setHeader('X-Content-Type-Options', 'nosniff');
-
-        // Send decrypted file
-        res.send(decrypted.data);
+    try {
+        await sendDecryptedFile(res, version, keyService.getFileKey(user, version), range, {
+            disposition: 'attachment',
+            cacheControl: 'private, no-transform'
+        });
 
-        logger.info(`File downloaded: ${file.originalName} by user ${user.email}`);
+        logger.info(`File version downloaded: ${file.originalName} v${version.version} by user ${user.email}`);
 
     } catch (error) {
         logger.error('Download error:', error);
-        return next(new AppError('Failed to download file: ' + error.message, 500));
+        if (!res.headersSent) {
+            return next(new AppError('Failed to download file: ' + error.message, 500));
+        }
     }
 });
 
+/**
+ * Make an older version current again
+ * @route POST /api/files/:id/versions/:version/restore
+ */
+exports.restoreVersion = asyncHandler(async (req, res, next) => {
+    const file = await File.findOne({
+        _id: req.params.id,
+        user: req.user.id
+    }).select('+storagePath');
+
+    if (!file) {
+        return next(new AppError('File not found', 404));
+    }
+
+    const version = parseVersion(req.params.version);
+    const updated = await versionService.restoreVersion(file, version);
+
+    logger.info(`File ${updated.originalName} restored to version ${version} by user ${req.user.email}`);
+
+    res.status(200).json({
+        success: true,
+        message: `Version ${version} restored as version ${updated.version}`,
+        data: {
+            file: {
+                id: updated._id,
+                name: updated.originalName,
+                size: updated.originalSize,
+                version: updated.version,
+                restoredFrom: updated.restoredFrom
+            }
+        }
+    });
+});
+
+/**
+ * Delete older versions by a retention rule: everything but the `keep`
+ * newest older versions, optionally only those older than `olderThanDays`
+ * @route POST /api/files/:id/versions/prune
+ */
+exports.pruneVersions = asyncHandler(async (req, res, next) => {
+    const keep = Number(req.body.keep);
+    const { olderThanDays } = req.body;
+
+    if (!Number.isInteger(keep) || keep < 0) {
+        return next(new AppError('Please provide keep as the number of older versions to keep', 400));
+    }
+
+    if (olderThanDays !== undefined && (!Number.isInteger(olderThanDays) || olderThanDays < 1)) {
+        return next(new AppError('olderThanDays must be a whole number of days', 400));
+    }
+
+    const file = await File.findOne({
+        _id: req.params.id,
+        user: req.user.id
+    }).setOptions({ includeDeleted: true });
+
+    if (!file) {
+        return next(new AppError('File not found', 404));
+    }
+
+    const { deletedCount, freedSpace } = await versionService.prune(file, { keep, olderThanDays });
+
+    res.status(200).json({
+        success: true,
+        message: `${deletedCount} version(s) deleted`,
+        data: {
+            deletedCount,
+            freedSpace
+        }
+    });
+});
+
 /**
  * Generate share link
  * @route POST /api/files/:id/share
@@ -330,6 +928,10 @@ exports.shareFile = asyncHandler(async (req, res, next) => {
         return next(new AppError('File not found', 404));
     }
 
+    if (scanService.isQuarantined(file)) {
+        return next(new AppError(QUARANTINED_MESSAGE, 403));
+    }
+
     // Generate share token
     const expireTime = expiresIn
         ? parseInt(expiresIn) * 24 * 60 * 60 * 1000
@@ -386,6 +988,11 @@ exports.downloadSharedFile = asyncHandler(async (req, res, next) => {
         return next(new AppError('Share link has expired or download limit reached', 410));
     }
 
+    // A new version may have been found infected after the link was created
+    if (scanService.isQuarantined(file)) {
+        return next(new AppError(QUARANTINED_MESSAGE, 403));
+    }
+
     // Check password if required
     if (file.sharePassword) {
         if (!password) {
@@ -404,52 +1011,62 @@ exports.downloadSharedFile = asyncHandler(async (req, res, next) => {
         }
     }
 
-    // Get file owner for encryption key
-    const owner = await User.findById(file.user).select('+encryptionKey');
+    // Get file owner for encryption keys
+    const owner = await User.findById(file.user).select('+encryptionKey +encryptionKeys +currentKeyId');
 
     if (!owner) {
         return next(new AppError('File owner not found', 404));
     }
 
-    // Check if file exists on disk
-    if (!fs.existsSync(file.storagePath)) {
-        logger.error(`Shared file not found on disk: ${file.storagePath}`);
+    // Check if the blob exists in storage
+    if (!(await storageService.forFile(file).exists(file.storagePath))) {
+        logger.error(`Shared file not found in ${file.storageBackend} storage: ${file.storagePath}`);
         return next(new AppError('File not found on server', 404));
     }
 
-    try {
-        // Read encrypted file
-        const encryptedData = fs.readFileSync(file.storagePath);
-
-        // Decrypt the file
-        const decrypted = encryptionService.decrypt(encryptedData, owner.encryptionKey);
-
-        // Verify checksum
-        const checksum = encryptionService.hash(decrypted.data);
-        if (checksum !== file.checksum) {
-            logger.error(`Checksum mismatch for shared file: ${file._id}`);
-            return next(new AppError('File integrity check failed', 500));
-        }
+    // Images kept with their metadata are cleaned before they leave the server
+    const sanitize = sanitizeService.needsSanitizing(file);
+    if (sanitize && file.originalSize > sanitizeService.maxSize) {
+        return next(new AppError('This image is too large to be shared without its metadata', 413));
+    }
+    const range = sanitize ? null : getRequestedRange(req, res, file);
 
-        // Update download count
+    // Seeking within a file is not a new download
+    if (!range || range.start === 0) {
         file.downloadCount += 1;
         file.logAccess('download', req.ip, req.get('User-Agent'));
         await file.save();
+    }
 
-        // Set response headers
-        res.setHeader('Content-Type', file.mimeType);
-        res.setHeader('Content-Disposition', `attachment; filename="${encodeURIComponent(file.originalName)}"`);
-        res.setHeader('Content-Length', decrypted.data.length);
-        res.setHeader('X-Content-Type-Options', 'nosniff');
-
-        // Send decrypted file
-        res.send(decrypted.data);
+    try {
+        if (sanitize) {
+            const content = await sanitizeService.readSanitized(file, keyService.getFileKey(owner, file));
+
+            res.setHeader('Content-Type', file.mimeType);
+            res.setHeader('Content-Disposition', `attachment; filename="${encodeURIComponent(file.originalName)}"`);
+            res.setHeader('X-Content-Type-Options', 'nosniff');
+            res.setHeader('Cache-Control', 'private, no-transform');
+            res.setHeader('Accept-Ranges', 'none');
+            res.setHeader('Content-Length', content.length);
+            res.end(content);
+        } else {
+            // Decrypt and verify while streaming
+            await sendDecryptedFile(res, file, keyService.getFileKey(owner, file), range, {
+                disposition: 'attachment',
+                cacheControl: 'private, no-transform'
+            });
+        }
 
         logger.info(`Shared file downloaded: ${file.originalName}`);
 
     } catch (error) {
         logger.error('Shared download error:', error);
-        return next(new AppError('Failed to download file: ' + error.message, 500));
+        if (!res.headersSent) {
+            if (error instanceof AppError) {
+                return next(error);
+            }
+            return next(new AppError('Failed to download file: ' + error.message, 500));
+        }
     }
 });
 
@@ -486,7 +1103,7 @@ exports.revokeShare = asyncHandler(async (req, res, next) => {
  * @route PATCH /api/files/:id
  */
 exports.updateFile = asyncHandler(async (req, res, next) => {
-    const { originalName, folder, tags, description } = req.body;
+    const { originalName, folder, tags, description, documentExpiry } = req.body;
 
     const file = await File.findOne({
         _id: req.params.id,
@@ -509,11 +1126,10 @@ exports.updateFile = asyncHandler(async (req, res, next) => {
     }
 
     if (folder !== undefined) {
-        // Validate folder path
-        if (folder.length > 500) {
-            return next(new AppError('Folder path too long', 400));
-        }
-        file.folder = folder.startsWith('/') ? folder : '/' + folder;
+        // The target folder must exist
+        const path = folderService.normalizePath(folder);
+        await folderService.requireFolder(req.user.id, path);
+        file.folder = path;
     }
 
     if (tags !== undefined) {
@@ -528,6 +1144,16 @@ exports.updateFile = asyncHandler(async (req, res, next) => {
         file.description = description.substring(0, 500);
     }
 
+    // Expiry typed in by the owner (YYYY-MM-DD); null or '' stops tracking
+    if (documentExpiry !== undefined) {
+        if (!documentExpiry) {
+            file.documentExpiry = undefined;
+        } else if (expiryService.format(file)?.date !== documentExpiry) {
+            // Reminders start over for the new date
+            file.documentExpiry = expiryService.build(documentExpiry, 'manual');
+        }
+    }
+
     file.logAccess('update', req.ip, req.get('User-Agent'));
     await file.save();
 
@@ -543,6 +1169,7 @@ exports.updateFile = asyncHandler(async (req, res, next) => {
                 folder: file.folder,
                 tags: file.tags,
                 description: file.description,
+                documentExpiry: expiryService.format(file),
                 updatedAt: file.updatedAt
             }
         }
@@ -568,15 +1195,15 @@ exports.deleteFile = asyncHandler(async (req, res, next) => {
     if (permanent === 'true') {
         // Permanent delete
         try {
-            // Delete file from disk
-            if (fs.existsSync(file.storagePath)) {
-                fs.unlinkSync(file.storagePath);
-            }
+            // Delete blobs from storage, older versions included
+            await storageService.forFile(file).delete(file.storagePath);
+            await renditionService.deleteRenditions(file);
+            const versionsSize = await versionService.deleteAllVersions(file);
 
             // Update user storage
             const user = await User.findById(req.user.id);
             if (user) {
-                user.storageUsed = Math.max(0, user.storageUsed - file.originalSize);
+                user.storageUsed = Math.max(0, user.storageUsed - file.originalSize - versionsSize);
                 await user.save({ validateBeforeSave: false });
             }
 
@@ -624,6 +1251,9 @@ exports.restoreFile = asyncHandler(async (req, res, next) => {
         return next(new AppError('File not found in trash', 404));
     }
 
+    // Its folder may have been deleted since
+    await folderService.ensurePath(file.user, file.folder);
+
     file.restore();
     await file.save();
 
@@ -697,12 +1327,12 @@ exports.emptyTrash = asyncHandler(async (req, res, next) => {
 
     for (const file of files) {
         try {
-            // Delete from disk
-            if (fs.existsSync(file.storagePath)) {
-                fs.unlinkSync(file.storagePath);
-            }
+            // Delete from storage, older versions included
+            await storageService.forFile(file).delete(file.storagePath);
+            await renditionService.deleteRenditions(file);
 
             freedSpace += file.originalSize;
+            freedSpace += await versionService.deleteAllVersions(file);
             await file.deleteOne();
             deletedCount++;
 
@@ -720,13 +1350,16 @@ exports.emptyTrash = asyncHandler(async (req, res, next) => {
         }
     }
 
-    logger.info(`Trash emptied: ${deletedCount} files deleted`);
+    const deletedFolders = await folderService.purgeTrash(req.user.id);
+
+    logger.info(`Trash emptied: ${deletedCount} files and ${deletedFolders} folders deleted`);
 
     res.status(200).json({
         success: true,
         message: `${deletedCount} file(s) permanently deleted`,
         data: {
             deletedCount,
+            deletedFolders,
             freedSpace
         }
     });
@@ -744,7 +1377,8 @@ exports.getStats = asyncHandler(async (req, res, next) => {
         totalSize,
         categoryStats,
         recentUploads,
-        topDownloaded
+        topDownloaded,
+        documents
     ] = await Promise.all([
         // Total files count
         File.countDocuments({ user: userId }),
@@ -762,13 +1396,10 @@ exports.getStats = asyncHandler(async (req, res, next) => {
                 $group: {
                     _id: {
                         $switch: {
-                            branches: [
-                                { case: { $regexMatch: { input: '$mimeType', regex: /^image\// } }, then: 'image' },
-                                { case: { $regexMatch: { input: '$mimeType', regex: /^video\// } }, then: 'video' },
-                                { case: { $regexMatch: { input: '$mimeType', regex: /^audio\// } }, then: 'audio' },
-                                { case: { $regexMatch: { input: '$mimeType', regex: /^application\/(pdf|msword|vnd\.)/ } }, then: 'document' },
-                                { case: { $regexMatch: { input: '$mimeType', regex: /^application\/(zip|x-rar|x-7z|gzip)/ } }, then: 'archive' }
-                            ],
+                            branches: CATEGORIES.filter(category => category !== 'other').map(category => ({
+                                case: { $in: ['$mimeType', typesIn(category)] },
+                                then: category
+                            })),
                             default: 'other'
                         }
                     },
@@ -788,7 +1419,10 @@ exports.getStats = asyncHandler(async (req, res, next) => {
         File.find({ user: userId, downloadCount: { $gt: 0 } })
             .sort({ downloadCount: -1 })
             .limit(5)
-            .select('originalName downloadCount')
+            .select('originalName downloadCount'),
+
+        // Identity documents by expiry status
+        expiryService.countByStatus(req.user._id)
     ]);
 
     res.status(200).json({
@@ -809,7 +1443,8 @@ exports.getStats = asyncHandler(async (req, res, next) => {
             topDownloaded: topDownloaded.map(f => ({
                 name: f.originalName,
                 downloads: f.downloadCount
-            }))
+            })),
+            documents
         }
     });
 });
@@ -845,11 +1480,11 @@ exports.bulkDelete = asyncHandler(async (req, res, next) => {
     for (const file of files) {
         try {
             if (permanent === true) {
-                // Delete from disk
-                if (fs.existsSync(file.storagePath)) {
-                    fs.unlinkSync(file.storagePath);
-                }
+                // Delete from storage, older versions included
+                await storageService.forFile(file).delete(file.storagePath);
+                await renditionService.deleteRenditions(file);
                 freedSpace += file.originalSize;
+                freedSpace += await versionService.deleteAllVersions(file);
                 await file.deleteOne();
             } else {
                 file.softDelete();
@@ -885,46 +1520,48 @@ exports.bulkDelete = asyncHandler(async (req, res, next) => {
 });
 
 /**
- * Get folders
- * @route GET /api/files/folders
+ * Download selected files and/or a folder as one ZIP, built on the fly
+ * @route POST /api/files/archive
  */
-exports.getFolders = asyncHandler(async (req, res, next) => {
-    const folders = await File.distinct('folder', { user: req.user.id });
+exports.createArchive = asyncHandler(async (req, res, next) => {
+    const { fileIds, folder } = req.body;
 
-    // Build folder tree
-    const folderTree = {};
-    folders.forEach(folder => {
-        const parts = folder.split('/').filter(Boolean);
-        let current = folderTree;
-        parts.forEach((part, index) => {
-            if (!current[part]) {
-                current[part] = { _files: 0, _subfolders: {} };
-            }
-            if (index === parts.length - 1) {
-                current[part]._path = folder;
-            }
-            current = current[part]._subfolders;
-        });
-    });
+    if (fileIds !== undefined && !Array.isArray(fileIds)) {
+        return next(new AppError('fileIds must be an array', 400));
+    }
 
-    // Get file counts per folder
-    const folderCounts = await File.aggregate([
-        { $match: { user: req.user._id, isDeleted: { $ne: true } } },
-        { $group: { _id: '$folder', count: { $sum: 1 } } }
-    ]);
+    const user = await User.findById(req.user.id).select('+encryptionKey +encryptionKeys +currentKeyId');
 
-    const countsMap = folderCounts.reduce((acc, f) => {
-        acc[f._id] = f.count;
-        return acc;
-    }, {});
+    if (!user) {
+        return next(new AppError('User not found', 404));
+    }
 
-    res.status(200).json({
-        success: true,
-        data: {
-            folders: folders.sort(),
-            folderCounts: countsMap
+    const files = await archiveService.resolveFiles(user._id, { fileIds, folder });
+
+    const archiveName = folder && folderService.normalizePath(folder) !== '/'
+        ? folderService.normalizePath(folder).split('/').pop()
+        : `files-${new Date().toISOString().slice(0, 10)}`;
+
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${encodeURIComponent(archiveName)}.zip"`);
+    res.setHeader('Cache-Control', 'private, no-store');
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+
+    try {
+        await archiveService.streamArchive(res, user, files);
+        res.end();
+
+        await File.updateMany(
+            { _id: { $in: files.map(file => file._id) } },
+            { $inc: { downloadCount: 1 } }
+        );
+    } catch (error) {
+        logger.error('Archive error:', error);
+        if (!res.headersSent) {
+            return next(new AppError('Failed to create archive: ' + error.message, 500));
         }
-    });
+        res.destroy(error);
+    }
 });
 
 /**
@@ -942,7 +1579,8 @@ exports.moveFiles = asyncHandler(async (req, res, next) => {
         return next(new AppError('Please provide target folder', 400));
     }
 
-    const folder = targetFolder.startsWith('/') ? targetFolder : '/' + targetFolder;
+    const folder = folderService.normalizePath(targetFolder);
+    await folderService.requireFolder(req.user.id, folder);
 
     const result = await File.updateMany(
         { _id: { $in: fileIds }, user: req.user.id },
@@ -961,11 +1599,61 @@ exports.moveFiles = asyncHandler(async (req, res, next) => {
 });
 
 /**
- * Preview file (for images)
+ * Mime type prefixes that can be previewed inline
+ */
+const PREVIEWABLE_TYPES = ['image/', 'video/', 'audio/'];
+
+/**
+ * Send an inline preview, honouring Range so media can be seeked
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ * @param {Object} file - File document with storagePath selected
+ * @param {Object} user - Owner with encryption keys selected
+ */
+const sendPreview = async (req, res, next, file, user) => {
+    if (scanService.isQuarantined(file)) {
+        return next(new AppError(QUARANTINED_MESSAGE, 403));
+    }
+
+    if (file.isClientEncrypted) {
+        return next(new AppError('Preview is not available for end-to-end encrypted files', 400));
+    }
+
+    if (!PREVIEWABLE_TYPES.some(type => file.mimeType.startsWith(type))) {
+        return next(new AppError('Preview only available for images, video and audio', 400));
+    }
+
+    if (!(await storageService.forFile(file).exists(file.storagePath))) {
+        return next(new AppError('File not found on server', 404));
+    }
+
+    const range = getRequestedRange(req, res, file);
+
+    if (!range || range.start === 0) {
+        file.logAccess('view', req.ip, req.get('User-Agent'));
+        await file.save();
+    }
+
+    try {
+        await sendDecryptedFile(res, file, keyService.getFileKey(user, file), range, {
+            disposition: 'inline',
+            cacheControl: 'private, max-age=3600, no-transform'
+        });
+    } catch (error) {
+        logger.error('Preview error:', error);
+        if (!res.headersSent) {
+            return next(new AppError('Failed to preview file', 500));
+        }
+    }
+};
+
+/**
+ * Preview file (images, video and audio)
  * @route GET /api/files/:id/preview
  */
 exports.previewFile = asyncHandler(async (req, res, next) => {
-    const user = await User.findById(req.user.id).select('+encryptionKey');
+    const user = await User.findById(req.user.id).select('+encryptionKey +encryptionKeys +currentKeyId');
 
     if (!user) {
         return next(new AppError('User not found', 404));
@@ -980,28 +1668,159 @@ exports.previewFile = asyncHandler(async (req, res, next) => {
         return next(new AppError('File not found', 404));
     }
 
-    // Only allow preview for images
-    if (!file.mimeType.startsWith('image/')) {
-        return next(new AppError('Preview only available for images', 400));
+    await sendPreview(req, res, next, file, user);
+});
+
+/**
+ * Get a generated preview image of a file
+ * @route GET /api/files/:id/thumbnail?size=thumbnail|medium
+ */
+exports.getThumbnail = asyncHandler(async (req, res, next) => {
+    const size = req.query.size || 'thumbnail';
+
+    if (!renditionService.sizes.includes(size)) {
+        return next(new AppError(`Size must be one of: ${renditionService.sizes.join(', ')}`, 400));
     }
 
-    if (!fs.existsSync(file.storagePath)) {
-        return next(new AppError('File not found on server', 404));
+    const file = await File.findOne({
+        _id: req.params.id,
+        user: req.user.id
+    });
+
+    if (!file) {
+        return next(new AppError('File not found', 404));
+    }
+
+    const rendition = renditionService.getRendition(file, size);
+
+    if (!rendition) {
+        // Files uploaded before previews existed get them on first request
+        if (!file.renditionStatus && renditionService.supports(file)) {
+            await File.updateOne({ _id: file._id, renditionStatus: { $exists: false } }, { renditionStatus: 'pending' });
+            renditionService.enqueue(file._id);
+        }
+
+        const status = file.renditionStatus || (renditionService.supports(file) ? 'pending' : 'unsupported');
+        res.setHeader('Cache-Control', 'no-store');
+        return next(new AppError(
+            status === 'pending' || status === 'processing' ? 'Preview is being generated' : 'No preview available for this file',
+            404
+        ));
+    }
+
+    // Renditions only change along with the content
+    const etag = `"${file.checksum}-${size}"`;
+    if (req.headers['if-none-match'] === etag) {
+        return res.status(304).end();
+    }
+
+    const user = await User.findById(req.user.id).select('+encryptionKey +encryptionKeys +currentKeyId');
+
+    if (!user) {
+        return next(new AppError('User not found', 404));
     }
 
+    res.setHeader('Content-Type', rendition.mimeType);
+    res.setHeader('Content-Length', rendition.originalSize);
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    res.setHeader('Cache-Control', 'private, max-age=86400');
+    res.setHeader('ETag', etag);
+
     try {
-        const encryptedData = fs.readFileSync(file.storagePath);
-        const decrypted = encryptionService.decrypt(encryptedData, user.encryptionKey);
+        await pipeToResponse(res, ...renditionService.createReadStreams(user, file, rendition));
+    } catch (error) {
+        logger.error('Thumbnail error:', error);
+        if (!res.headersSent) {
+            return next(new AppError('Failed to load preview', 500));
+        }
+    }
+});
 
-        file.logAccess('view', req.ip, req.get('User-Agent'));
-        await file.save();
+/**
+ * Create a short-lived link for media elements, which cannot send an
+ * Authorization header with their range requests
+ * @route POST /api/files/:id/stream
+ */
+exports.createStreamLink = asyncHandler(async (req, res, next) => {
+    const file = await File.findOne({
+        _id: req.params.id,
+        user: req.user.id
+    });
+
+    if (!file) {
+        return next(new AppError('File not found', 404));
+    }
+
+    if (scanService.isQuarantined(file)) {
+        return next(new AppError(QUARANTINED_MESSAGE, 403));
+    }
+
+    if (file.isClientEncrypted) {
+        return next(new AppError('Preview is not available for end-to-end encrypted files', 400));
+    }
+
+    if (!PREVIEWABLE_TYPES.some(type => file.mimeType.startsWith(type))) {
+        return next(new AppError('Preview only available for images, video and audio', 400));
+    }
+
+    // The link lives only as long as the session or API key that created it
+    const credential = req.apiKey ? { key: req.apiKey._id } : { sid: req.sessionId };
 
-        res.setHeader('Content-Type', file.mimeType);
-        res.setHeader('Cache-Control', 'private, max-age=3600');
-        res.send(decrypted.data);
+    const expiresIn = process.env.STREAM_TOKEN_EXPIRES_IN || '2h';
+    const token = jwt.sign(
+        { file: file._id, user: req.user.id, ...credential },
+        process.env.JWT_SECRET,
+        { expiresIn, audience: 'file-stream', issuer: 'secure-file-upload' }
+    );
+
+    const { exp } = jwt.decode(token);
 
+    res.status(200).json({
+        success: true,
+        data: {
+            streamUrl: `${req.protocol}://${req.get('host')}/api/files/stream/${token}`,
+            expiresAt: new Date(exp * 1000)
+        }
+    });
+});
+
+/**
+ * Stream a file through a link created by createStreamLink
+ * @route GET /api/files/stream/:token
+ */
+exports.streamFile = asyncHandler(async (req, res, next) => {
+    let payload;
+    try {
+        payload = jwt.verify(req.params.token, process.env.JWT_SECRET, {
+            audience: 'file-stream',
+            issuer: 'secure-file-upload'
+        });
     } catch (error) {
-        logger.error('Preview error:', error);
-        return next(new AppError('Failed to preview file', 500));
+        return next(new AppError('Stream link is invalid or has expired', 401));
+    }
+
+    const credentialActive = payload.key
+        ? await apiKeyService.isActive(payload.key, payload.user)
+        : await sessionService.isActive(payload.sid, payload.user);
+
+    if (!credentialActive) {
+        return next(new AppError('Stream link is invalid or has expired', 401));
     }
-});
\ No newline at end of file
+
+    const user = await User.findById(payload.user).select('+encryptionKey +encryptionKeys +currentKeyId +passwordChangedAt');
+
+    if (!user || !user.isActive || user.changedPasswordAfter(payload.iat)) {
+        return next(new AppError('Stream link is invalid or has expired', 401));
+    }
+
+    const file = await File.findOne({
+        _id: payload.file,
+        user: user._id
+    }).select('+storagePath');
+
+    if (!file) {
+        return next(new AppError('File not found', 404));
+    }
+
+    await sendPreview(req, res, next, file, user);
+});
@@ -0,0 +1,186 @@
+const mongoose = require('mongoose');
+const Folder = require('../models/Folder');
+const AppError = require('../utils/AppError');
+const asyncHandler = require('../utils/asyncHandler');
+const folderService = require('../services/folderService');
+const logger = require('../utils/logger');
+
+/**
+ * Shape a folder for responses
+ * @param {Object} folder - Folder document
+ * @param {Object} [stats] - Aggregates from folderService.aggregate
+ * @returns {Object} Folder summary
+ */
+const formatFolder = (folder, stats) => ({
+    id: folder._id,
+    name: folder.name,
+    parent: folder.parent,
+    path: folder.path,
+    description: folder.description,
+    color: folder.color,
+    isDeleted: folder.isDeleted || undefined,
+    deletedAt: folder.deletedAt,
+    ...stats,
+    createdAt: folder.createdAt,
+    updatedAt: folder.updatedAt
+});
+
+/**
+ * Reject route IDs that are not ObjectIds
+ * @param {string} id - Folder ID from the route or body
+ * @throws {AppError} If the ID is malformed
+ */
+const checkFolderId = (id) => {
+    if (!mongoose.isValidObjectId(id)) {
+        throw new AppError('Invalid folder ID', 400);
+    }
+};
+
+/**
+ * List all folders with file counts and sizes
+ * @route GET /api/files/folders
+ */
+exports.getFolders = asyncHandler(async (req, res, next) => {
+    // Folders that so far only exist as paths on older files
+    await folderService.backfill(req.user.id);
+
+    const folders = await Folder.find({ user: req.user.id }).sort({ path: 1 });
+    const stats = await folderService.aggregate(req.user._id, folders);
+
+    res.status(200).json({
+        success: true,
+        data: {
+            folders: folders.map(folder => formatFolder(folder, stats.get(folder.path)))
+        }
+    });
+});
+
+/**
+ * Create a folder
+ * @route POST /api/files/folders
+ */
+exports.createFolder = asyncHandler(async (req, res, next) => {
+    const { name, parent, description, color } = req.body;
+
+    if (parent) {
+        checkFolderId(parent);
+    }
+
+    const folder = await folderService.createFolder(req.user.id, { name, parent, description, color });
+
+    res.status(201).json({
+        success: true,
+        message: 'Folder created',
+        data: { folder: formatFolder(folder) }
+    });
+});
+
+/**
+ * Get a folder with its subfolders and aggregates
+ * @route GET /api/files/folders/:id
+ */
+exports.getFolder = asyncHandler(async (req, res, next) => {
+    checkFolderId(req.params.id);
+
+    const folder = await folderService.getFolder(req.user.id, req.params.id);
+    const descendants = await Folder.find({ user: req.user.id, path: folderService.subtree(folder.path) })
+        .sort({ path: 1 });
+
+    const stats = await folderService.aggregate(req.user._id, descendants);
+    const children = descendants.filter(child => child.parent && child.parent.equals(folder._id));
+
+    res.status(200).json({
+        success: true,
+        data: {
+            folder: {
+                ...formatFolder(folder, stats.get(folder.path)),
+                children: children.map(child => formatFolder(child, stats.get(child.path)))
+            }
+        }
+    });
+});
+
+/**
+ * Rename, move or describe a folder. Moving and renaming carry its
+ * subfolders and files along.
+ * @route PATCH /api/files/folders/:id
+ */
+exports.updateFolder = asyncHandler(async (req, res, next) => {
+    checkFolderId(req.params.id);
+
+    const { name, parent, description, color } = req.body;
+
+    if (parent) {
+        checkFolderId(parent);
+    }
+
+    let folder = await folderService.getFolder(req.user.id, req.params.id);
+    let moved = { movedFolders: 0, movedFiles: 0 };
+
+    if (name !== undefined || parent !== undefined) {
+        moved = await folderService.relocateFolder(folder, { name, parent });
+        folder = moved.folder;
+    }
+
+    if (description !== undefined || color !== undefined) {
+        if (description !== undefined) {
+            folder.description = String(description).substring(0, 500);
+        }
+        if (color !== undefined) {
+            folder.color = color || undefined;
+        }
+        await folder.save();
+    }
+
+    logger.info(`Folder updated: ${folder.path} by user ${req.user.email}`);
+
+    res.status(200).json({
+        success: true,
+        message: 'Folder updated',
+        data: {
+            folder: formatFolder(folder),
+            movedFolders: moved.movedFolders,
+            movedFiles: moved.movedFiles
+        }
+    });
+});
+
+/**
+ * Move a folder and everything in it to the trash
+ * @route DELETE /api/files/folders/:id
+ */
+exports.deleteFolder = asyncHandler(async (req, res, next) => {
+    checkFolderId(req.params.id);
+
+    const folder = await folderService.getFolder(req.user.id, req.params.id);
+    const { folders, files } = await folderService.trashFolder(folder);
+
+    res.status(200).json({
+        success: true,
+        message: `Folder moved to trash with ${files} file(s) and ${folders - 1} subfolder(s)`,
+        data: {
+            folders,
+            files
+        }
+    });
+});
+
+/**
+ * Restore a trashed folder and everything deleted with it
+ * @route POST /api/files/folders/:id/restore
+ */
+exports.restoreFolder = asyncHandler(async (req, res, next) => {
+    checkFolderId(req.params.id);
+
+    const folder = await folderService.getFolder(req.user.id, req.params.id, { includeDeleted: true });
+    const { folders, files } = await folderService.restoreFolder(folder);
+
+    res.status(200).json({
+        success: true,
+        message: `Folder restored with ${files} file(s)`,
+        data: {
+            folders,
+            files
+        }
+    });
+});
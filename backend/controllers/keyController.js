@@ -0,0 +1,174 @@
+const mongoose = require('mongoose');
+const KeyRotationJob = require('../models/KeyRotationJob');
+const AppError = require('../utils/AppError');
+const asyncHandler = require('../utils/asyncHandler');
+const keyRotationService = require('../services/keyRotationService');
+const logger = require('../utils/logger');
+
+/**
+ * Run a rotation job without holding the request open
+ * @param {Object} job - Job document
+ */
+const runInBackground = (job) => {
+    keyRotationService.runJob(job._id).catch(error => {
+        logger.error(`Key rotation job ${job._id} failed:`, error);
+    });
+};
+
+/**
+ * Summarise a job for API responses (items are omitted, they can be large)
+ * @param {Object} job - Job document
+ * @returns {Object} Job summary
+ */
+const formatJob = (job) => ({
+    id: job._id,
+    type: job.type,
+    user: job.user,
+    mode: job.mode,
+    toKeyId: job.toKeyId,
+    status: job.status,
+    total: job.total,
+    processed: job.processed,
+    failed: job.failed,
+    progress: job.progress,
+    lastError: job.lastError,
+    initiatedBy: job.initiatedBy,
+    startedAt: job.startedAt,
+    completedAt: job.completedAt,
+    createdAt: job.createdAt
+});
+
+/**
+ * Rotate a user's key-encryption-key
+ * @route POST /api/admin/keys/rotate-user/:userId
+ */
+exports.rotateUserKey = asyncHandler(async (req, res, next) => {
+    if (!mongoose.isValidObjectId(req.params.userId)) {
+        return next(new AppError('Invalid user ID', 400));
+    }
+
+    const job = await keyRotationService.startUserRotation(req.params.userId, {
+        mode: req.body.mode,
+        initiatedBy: req.user._id
+    });
+
+    runInBackground(job);
+
+    logger.info(`Key rotation for user ${req.params.userId} started by ${req.user.email}`);
+
+    res.status(202).json({
+        success: true,
+        message: 'Key rotation started',
+        data: { job: formatJob(job) }
+    });
+});
+
+/**
+ * Re-wrap all user keys under the current master key
+ * @route POST /api/admin/keys/rotate-master
+ */
+exports.rotateMasterKey = asyncHandler(async (req, res, next) => {
+    const job = await keyRotationService.startMasterRotation({
+        initiatedBy: req.user._id
+    });
+
+    runInBackground(job);
+
+    logger.info(`Master key rotation started by ${req.user.email}`);
+
+    res.status(202).json({
+        success: true,
+        message: 'Master key rotation started',
+        data: { job: formatJob(job) }
+    });
+});
+
+/**
+ * List key rotation jobs
+ * @route GET /api/admin/keys/jobs
+ */
+exports.getJobs = asyncHandler(async (req, res, next) => {
+    const { status, type, page = 1, limit = 20 } = req.query;
+
+    const query = {};
+    if (status) query.status = String(status);
+    if (type) query.type = String(type);
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [jobs, total] = await Promise.all([
+        KeyRotationJob.find(query)
+            .select('-items')
+            .sort('-createdAt')
+            .skip(skip)
+            .limit(parseInt(limit)),
+        KeyRotationJob.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+        success: true,
+        data: {
+            jobs: jobs.map(formatJob),
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total,
+                pages: Math.ceil(total / parseInt(limit))
+            }
+        }
+    });
+});
+
+/**
+ * Get a key rotation job with its failed items
+ * @route GET /api/admin/keys/jobs/:id
+ */
+exports.getJob = asyncHandler(async (req, res, next) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        return next(new AppError('Invalid job ID', 400));
+    }
+
+    const job = await KeyRotationJob.findById(req.params.id);
+    if (!job) {
+        return next(new AppError('Job not found', 404));
+    }
+
+    res.status(200).json({
+        success: true,
+        data: {
+            job: {
+                ...formatJob(job),
+                failures: job.items
+                    .filter(item => item.status === 'failed')
+                    .map(item => ({ target: item.target, error: item.error, updatedAt: item.updatedAt }))
+            }
+        }
+    });
+});
+
+/**
+ * Resume an interrupted or partially failed job
+ * @route POST /api/admin/keys/jobs/:id/resume
+ */
+exports.resumeJob = asyncHandler(async (req, res, next) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        return next(new AppError('Invalid job ID', 400));
+    }
+
+    const job = await KeyRotationJob.findById(req.params.id).select('-items');
+    if (!job) {
+        return next(new AppError('Job not found', 404));
+    }
+
+    if (job.status === 'completed') {
+        return next(new AppError('Job has already completed', 400));
+    }
+
+    runInBackground(job);
+
+    res.status(202).json({
+        success: true,
+        message: 'Key rotation resumed',
+        data: { job: formatJob(job) }
+    });
+});
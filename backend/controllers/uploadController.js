@@ -0,0 +1,266 @@
+const { PassThrough } = require('stream');
+const mongoose = require('mongoose');
+const File = require('../models/File');
+const User = require('../models/User');
+const AppError = require('../utils/AppError');
+const asyncHandler = require('../utils/asyncHandler');
+const resumableUploadService = require('../services/resumableUploadService');
+const folderService = require('../services/folderService');
+const fileTypeService = require('../services/fileTypeService');
+const logger = require('../utils/logger');
+
+/**
+ * Parse a tus Upload-Metadata header ("key base64value,key2 base64value2")
+ * @param {string} [header] - Header value
+ * @returns {Object} Decoded key/value pairs
+ */
+const parseMetadata = (header) => {
+    const metadata = {};
+    if (!header) return metadata;
+
+    header.split(',').forEach(pair => {
+        const [key, value] = pair.trim().split(' ');
+        if (key) {
+            metadata[key] = value ? Buffer.from(value, 'base64').toString('utf8') : '';
+        }
+    });
+
+    return metadata;
+};
+
+/**
+ * Parse a non-negative integer header
+ * @param {string} [value] - Header value
+ * @returns {number|null} Parsed value, or null if missing or invalid
+ */
+const parseLength = (value) => {
+    if (value === undefined || !/^\d+$/.test(value)) return null;
+    return parseInt(value, 10);
+};
+
+/**
+ * Expose the request body as a stream that ends (rather than errors) when the
+ * client disconnects, so the bytes received so far can still be stored
+ * @param {Object} req - Express request
+ * @returns {PassThrough} Body stream
+ */
+const readBody = (req) => {
+    const body = new PassThrough();
+    let ended = false;
+
+    const finish = () => {
+        if (ended) return;
+        ended = true;
+        req.unpipe(body);
+        body.end();
+    };
+
+    req.pipe(body, { end: false });
+    req.once('end', finish);
+    req.once('close', finish);
+    req.once('error', finish);
+
+    return body;
+};
+
+/**
+ * Parse the client-side encryption parameters sent with an upload
+ * @param {string} [value] - JSON from the "encryption" metadata key
+ * @returns {Object|undefined} Parameters, or undefined for a plain upload
+ * @throws {AppError} If the parameters are malformed or unsupported
+ */
+const parseClientEncryption = (value) => {
+    if (!value) return undefined;
+
+    let params;
+    try {
+        params = JSON.parse(value);
+    } catch (error) {
+        throw new AppError('Invalid encryption metadata', 400);
+    }
+
+    if (!params || params.algorithm !== 'aes-256-gcm' || params.keyDerivation !== 'pbkdf2-sha256' ||
+        !Number.isInteger(params.iterations) || params.iterations <= 0 ||
+        !Number.isInteger(params.formatVersion)) {
+        throw new AppError('Unsupported client-side encryption parameters', 400);
+    }
+
+    return {
+        algorithm: params.algorithm,
+        keyDerivation: params.keyDerivation,
+        iterations: params.iterations,
+        formatVersion: params.formatVersion
+    };
+};
+
+/**
+ * Set the headers describing an upload's state
+ * @param {Object} res - Express response
+ * @param {Object} session - Upload session
+ */
+const setUploadHeaders = (res, session) => {
+    res.setHeader('Upload-Offset', session.offset);
+    res.setHeader('Upload-Max-Chunk-Size', resumableUploadService.maxChunkSize);
+    res.setHeader('Cache-Control', 'no-store');
+    if (session.status !== 'completed') {
+        res.setHeader('Upload-Expires', session.expiresAt.toUTCString());
+    }
+};
+
+/**
+ * Load the current user with the keys needed to encrypt
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} User document
+ */
+const getUploader = async (userId) => {
+    const user = await User.findById(userId).select('+encryptionKey +encryptionKeys +currentKeyId');
+    if (!user) {
+        throw new AppError('User not found', 404);
+    }
+    return user;
+};
+
+/**
+ * Create a resumable upload (tus creation)
+ * @route POST /api/files/tus
+ */
+exports.createUpload = asyncHandler(async (req, res, next) => {
+    if (req.get('Upload-Defer-Length')) {
+        return next(new AppError('Upload-Defer-Length is not supported', 400));
+    }
+
+    const length = parseLength(req.get('Upload-Length'));
+    if (length === null) {
+        return next(new AppError('Upload-Length header is required', 400));
+    }
+
+    const metadata = parseMetadata(req.get('Upload-Metadata'));
+    const filename = metadata.filename || metadata.name;
+    const mimeType = metadata.filetype || metadata.type || 'application/octet-stream';
+
+    if (!filename) {
+        return next(new AppError('Upload-Metadata must include a filename', 400));
+    }
+
+    // The content is checked once all of it has arrived
+    try {
+        fileTypeService.checkDeclared(filename, mimeType);
+    } catch (error) {
+        logger.warn(`Rejected resumable upload: ${filename} (${mimeType})`);
+        return next(error);
+    }
+
+    const clientEncryption = parseClientEncryption(metadata.encryption);
+    const user = await getUploader(req.user.id);
+
+    // An explicit new version of one of the user's files
+    let targetFile;
+    if (metadata.fileId) {
+        targetFile = mongoose.isValidObjectId(metadata.fileId)
+            ? await File.findOne({ _id: metadata.fileId, user: user._id }).select('_id folder')
+            : null;
+
+        if (!targetFile) {
+            return next(new AppError('File not found', 404));
+        }
+    }
+
+    // Uploading to a folder that does not exist yet creates it
+    const folder = targetFile ? targetFile.folder : folderService.normalizePath(metadata.folder);
+    if (!targetFile) {
+        await folderService.ensurePath(user._id, folder);
+    }
+
+    const session = await resumableUploadService.createUpload(user, {
+        length,
+        filename,
+        mimeType,
+        folder,
+        targetFile: targetFile ? targetFile._id : undefined,
+        tags: metadata.tags ? metadata.tags.split(',').map(t => t.trim()).filter(Boolean) : [],
+        description: metadata.description,
+        clientEncryption
+    });
+
+    // Opportunistically drop abandoned uploads
+    resumableUploadService.cleanupExpired().catch(error => {
+        logger.error('Failed to clean up expired uploads:', error);
+    });
+
+    setUploadHeaders(res, session);
+    res.setHeader('Location', `${req.baseUrl}/tus/${session._id}`);
+    res.status(201).end();
+});
+
+/**
+ * Get the current offset of an upload (tus HEAD)
+ * @route HEAD /api/files/tus/:id
+ */
+exports.getUploadOffset = asyncHandler(async (req, res, next) => {
+    let session = await resumableUploadService.getUpload(req.user.id, req.params.id);
+
+    // All bytes arrived but the server stopped before the file was created
+    if (session.status !== 'completed' && session.offset === session.length) {
+        session = await resumableUploadService.resumeCompletion(session, await getUploader(req.user.id));
+    }
+
+    setUploadHeaders(res, session);
+    res.setHeader('Upload-Length', session.length);
+    res.status(200).end();
+});
+
+/**
+ * Append bytes to an upload (tus PATCH)
+ * @route PATCH /api/files/tus/:id
+ */
+exports.appendToUpload = asyncHandler(async (req, res, next) => {
+    if (req.get('Content-Type') !== 'application/offset+octet-stream') {
+        return next(new AppError('Content-Type must be application/offset+octet-stream', 415));
+    }
+
+    const offset = parseLength(req.get('Upload-Offset'));
+    if (offset === null) {
+        return next(new AppError('Upload-Offset header is required', 400));
+    }
+
+    const session = await resumableUploadService.getUpload(req.user.id, req.params.id);
+
+    if (session.status === 'completed') {
+        if (offset !== session.length) {
+            return next(new AppError(`Upload-Offset mismatch: expected ${session.length}`, 409));
+        }
+        setUploadHeaders(res, session);
+        return res.status(204).end();
+    }
+
+    const contentLength = parseLength(req.get('Content-Length'));
+    if (contentLength !== null && contentLength > resumableUploadService.maxChunkSize) {
+        return next(new AppError(`Chunk too large. Send at most ${resumableUploadService.maxChunkSize} bytes per request`, 413));
+    }
+    if (contentLength !== null && offset + contentLength > session.length) {
+        return next(new AppError('Upload exceeds its declared length', 413));
+    }
+
+    const user = await getUploader(req.user.id);
+    const locked = await resumableUploadService.lock(session, offset);
+    const updated = await resumableUploadService.appendChunk(locked, user, readBody(req));
+
+    if (updated.status === 'completed') {
+        res.setHeader('Upload-File-Id', String(updated.file));
+    }
+
+    setUploadHeaders(res, updated);
+    res.status(204).end();
+});
+
+/**
+ * Abandon an upload (tus termination)
+ * @route DELETE /api/files/tus/:id
+ */
+exports.deleteUpload = asyncHandler(async (req, res, next) => {
+    const session = await resumableUploadService.getUpload(req.user.id, req.params.id);
+
+    await resumableUploadService.terminate(session);
+
+    res.status(204).end();
+});
@@ -1,27 +1,66 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const AppError = require('../utils/AppError');
 const asyncHandler = require('../utils/asyncHandler');
+const sessionService = require('../services/sessionService');
+const apiKeyService = require('../services/apiKeyService');
+const { ACCESS_COOKIE } = require('../utils/authCookies');
 const logger = require('../utils/logger');
 
+/**
+ * Find the access token of a request: a Bearer Authorization header, or
+ * failing that the HttpOnly session cookie
+ * @param {Object} req - Express request
+ * @returns {{ token: string, mode: string }|null} Token and where it came from
+ */
+const getAccessToken = (req) => {
+    if (req.headers.authorization && req.headers.authorization.startsWith('Bearer ')) {
+        return { token: req.headers.authorization.split(' ')[1], mode: 'bearer' };
+    }
+
+    if (req.cookies && req.cookies[ACCESS_COOKIE]) {
+        return { token: req.cookies[ACCESS_COOKIE], mode: 'cookie' };
+    }
+
+    return null;
+};
+
 // Protect routes - Verify JWT token
 exports.protect = asyncHandler(async (req, res, next) => {
-    let token;
+    // Scripts authenticate with an API key instead of a session
+    if (req.headers.authorization && req.headers.authorization.startsWith('ApiKey ')) {
+        const { apiKey, user } = await apiKeyService.authenticate(req.headers.authorization.slice(7).trim(), req);
 
-    // Check for token in headers
-    if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-        token = req.headers.authorization.split(' ')[1];
+        req.user = user;
+        req.apiKey = apiKey;
+        req.authMode = 'apiKey';
+        return next();
     }
 
+    const credentials = getAccessToken(req);
+
     // Check if token exists
-    if (!token) {
+    if (!credentials) {
         return next(new AppError('You are not logged in. Please log in to get access.', 401));
     }
 
+    const { token } = credentials;
+
     try {
         // Verify token
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+        // Tokens issued for a single purpose (stream links, 2FA challenges) are not sessions
+        if (decoded.aud) {
+            return next(new AppError('Invalid token. Please log in again.', 401));
+        }
+
+        // Check the session has not been logged out or revoked
+        if (!(await sessionService.isActive(decoded.sid, decoded.id))) {
+            return next(new AppError('Your session has ended. Please log in again.', 401));
+        }
+
         // Check if user still exists
         const currentUser = await User.findById(decoded.id).select('+passwordChangedAt');
         
@@ -41,6 +80,8 @@ exports.protect = asyncHandler(async (req, res, next) => {
 
         // Grant access to protected route
         req.user = currentUser;
+        req.sessionId = decoded.sid;
+        req.authMode = credentials.mode;
         next();
 
     } catch (error) {
@@ -58,6 +99,24 @@ exports.protect = asyncHandler(async (req, res, next) => {
     }
 });
 
+// Require API keys to carry a scope; sessions may do anything their user can
+exports.requireScope = (scope) => {
+    return (req, res, next) => {
+        if (req.apiKey && !req.apiKey.scopes.includes(scope)) {
+            return next(new AppError(`This API key does not have the ${scope} scope.`, 403));
+        }
+        next();
+    };
+};
+
+// Reject API keys on routes that manage the account itself
+exports.sessionOnly = (req, res, next) => {
+    if (req.apiKey) {
+        return next(new AppError('API keys cannot be used for this action. Please log in.', 403));
+    }
+    next();
+};
+
 // Restrict to specific roles
 exports.restrictTo = (...roles) => {
     return (req, res, next) => {
@@ -70,22 +129,21 @@ exports.restrictTo = (...roles) => {
 
 // Optional authentication - doesn't require login but attaches user if logged in
 exports.optionalAuth = asyncHandler(async (req, res, next) => {
-    let token;
-
-    if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-        token = req.headers.authorization.split(' ')[1];
-    }
+    const credentials = getAccessToken(req);
 
-    if (!token) {
+    if (!credentials) {
         return next();
     }
 
     try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        const currentUser = await User.findById(decoded.id);
+        const decoded = jwt.verify(credentials.token, process.env.JWT_SECRET);
+        const isSession = !decoded.aud && await sessionService.isActive(decoded.sid, decoded.id);
+        const currentUser = isSession ? await User.findById(decoded.id).select('+passwordChangedAt') : null;
         
-        if (currentUser && currentUser.isActive) {
+        if (currentUser && currentUser.isActive && !currentUser.changedPasswordAfter(decoded.iat)) {
             req.user = currentUser;
+            req.sessionId = decoded.sid;
+            req.authMode = credentials.mode;
         }
     } catch (error) {
         // Token invalid, but continue without user
@@ -93,4 +151,27 @@ exports.optionalAuth = asyncHandler(async (req, res, next) => {
     }
 
     next();
-});
\ No newline at end of file
+});
+
+/**
+ * Only let the scheduler (e.g. Vercel Cron) run scheduled jobs: it sends
+ * CRON_SECRET as a Bearer token, compared in constant time
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+exports.protectCron = (req, res, next) => {
+    const secret = process.env.CRON_SECRET;
+    if (!secret) {
+        return next(new AppError('Scheduled jobs are not configured on this server.', 503));
+    }
+
+    const expected = Buffer.from(`Bearer ${secret}`);
+    const actual = Buffer.from(req.headers.authorization || '');
+
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return next(new AppError('Invalid scheduler credentials.', 401));
+    }
+
+    next();
+};
@@ -0,0 +1,97 @@
+const crypto = require('crypto');
+const AppError = require('../utils/AppError');
+const { ACCESS_COOKIE, REFRESH_COOKIE } = require('../utils/authCookies');
+
+const CSRF_COOKIE = 'csrf_token';
+const CSRF_HEADER = 'X-CSRF-Token';
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Sign a random value so that a token planted in the cookie by someone else
+ * (e.g. from a sibling subdomain) is not accepted
+ * @param {string} value - Random value
+ * @returns {string} Signature
+ */
+const sign = (value) => crypto.createHmac('sha256', process.env.JWT_SECRET).update(`csrf:${value}`).digest('base64url');
+
+/**
+ * Check a token's signature
+ * @param {string} token - "<value>.<signature>"
+ * @returns {boolean} Whether this server issued the token
+ */
+const isValidToken = (token) => {
+    const [value, signature] = String(token || '').split('.');
+    if (!value || !signature) return false;
+
+    const expected = Buffer.from(sign(value));
+    const actual = Buffer.from(signature);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+/**
+ * Get the request's CSRF token, issuing a new one in a cookie if it has none.
+ * The cookie is readable by scripts so the frontend can echo it back in the
+ * X-CSRF-Token header (double submit).
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {string} CSRF token
+ */
+exports.issueCsrfToken = (req, res) => {
+    const existing = req.cookies && req.cookies[CSRF_COOKIE];
+    if (isValidToken(existing)) {
+        return existing;
+    }
+
+    const value = crypto.randomBytes(32).toString('base64url');
+    const token = `${value}.${sign(value)}`;
+
+    res.cookie(CSRF_COOKIE, token, {
+        httpOnly: false,
+        secure: process.env.COOKIE_SECURE !== 'false',
+        sameSite: 'strict',
+        path: '/'
+    });
+
+    return token;
+};
+
+/**
+ * Check whether a request carries its own credential in the Authorization
+ * header. protect() then ignores the cookies; any other header value (e.g.
+ * `Authorization: x`) leaves it falling back to them.
+ * @param {Object} req - Express request
+ * @returns {boolean} True for a Bearer token or API key
+ */
+const hasCredentialHeader = (req) => /^(Bearer|ApiKey) \S/.test(req.headers.authorization || '');
+
+/**
+ * Require a matching CSRF header and cookie on state-changing requests that
+ * are (or are about to be) authenticated by cookie. Requests that send a
+ * Bearer token or API key do not use the cookies, so a forged request gains
+ * nothing and they are let through.
+ */
+exports.csrfProtection = (req, res, next) => {
+    if (SAFE_METHODS.includes(req.method) || hasCredentialHeader(req)) {
+        return next();
+    }
+
+    const cookies = req.cookies || {};
+    const usesCookies = cookies[ACCESS_COOKIE] || cookies[REFRESH_COOKIE] ||
+        (req.body && req.body.mode === 'cookie');
+
+    if (!usesCookies) {
+        return next();
+    }
+
+    const header = req.get(CSRF_HEADER);
+    const cookie = cookies[CSRF_COOKIE];
+
+    if (!header || !cookie || header !== cookie || !isValidToken(cookie)) {
+        return next(new AppError('Invalid or missing CSRF token. Please reload the page and try again.', 403));
+    }
+
+    next();
+};
+
+exports.CSRF_COOKIE = CSRF_COOKIE;
+exports.CSRF_HEADER = CSRF_HEADER;
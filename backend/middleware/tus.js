@@ -0,0 +1,20 @@
+const AppError = require('../utils/AppError');
+
+const TUS_VERSION = '1.0.0';
+
+/**
+ * Tag responses with the tus protocol version and reject clients speaking
+ * another version
+ */
+exports.tusResumable = (req, res, next) => {
+    res.setHeader('Tus-Resumable', TUS_VERSION);
+
+    if (req.get('Tus-Resumable') !== TUS_VERSION) {
+        res.setHeader('Tus-Version', TUS_VERSION);
+        return next(new AppError(`Unsupported tus version. This server supports ${TUS_VERSION}`, 412));
+    }
+
+    next();
+};
+
+exports.TUS_VERSION = TUS_VERSION;
@@ -1,85 +1,41 @@
 const multer = require('multer');
+const os = require('os');
 const path = require('path');
 const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
 const AppError = require('../utils/AppError');
+const fileTypeService = require('../services/fileTypeService');
 const logger = require('../utils/logger');
 
-// Ensure upload directory exists
-const uploadDir = process.env.UPLOAD_PATH || './uploads';
-if (!fs.existsSync(uploadDir)) {
-    fs.mkdirSync(uploadDir, { recursive: true });
+// Plaintext uploads are staged here until they are encrypted into storage
+const stagingDir = process.env.UPLOAD_TMP_PATH || path.join(os.tmpdir(), 'secure-file-upload');
+if (!fs.existsSync(stagingDir)) {
+    fs.mkdirSync(stagingDir, { recursive: true });
 }
 
 // Configure storage
 const storage = multer.diskStorage({
     destination: (req, file, cb) => {
-        // Create user-specific folder
-        const userFolder = path.join(uploadDir, req.user.id);
-        if (!fs.existsSync(userFolder)) {
-            fs.mkdirSync(userFolder, { recursive: true });
-        }
-        cb(null, userFolder);
+        cb(null, stagingDir);
     },
     filename: (req, file, cb) => {
         // Generate unique filename
         const uniqueId = uuidv4();
         const extension = path.extname(file.originalname);
-        const filename = `${uniqueId}${extension}.encrypted`;
-        cb(null, filename);
+        cb(null, `${uniqueId}${extension}`);
     }
 });
 
-// Allowed file types
-const allowedMimeTypes = [
-    // Images
-    'image/jpeg',
-    'image/png',
-    'image/gif',
-    'image/webp',
-    'image/svg+xml',
-    'image/bmp',
-    'image/tiff',
-    // Documents
-    'application/pdf',
-    'application/msword',
-    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-    'application/vnd.ms-excel',
-    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-    'application/vnd.ms-powerpoint',
-    'application/vnd.openxmlformats-officedocument.presentationml.presentation',
-    'text/plain',
-    'text/csv',
-    // Archives
-    'application/zip',
-    'application/x-rar-compressed',
-    'application/x-7z-compressed',
-    'application/gzip',
-    // Videos
-    'video/mp4',
-    'video/mpeg',
-    'video/quicktime',
-    'video/x-msvideo',
-    'video/webm',
-    // Audio
-    'audio/mpeg',
-    'audio/wav',
-    'audio/ogg',
-    'audio/webm',
-    // Others
-    'application/json',
-    'application/xml',
-    'application/octet-stream'
-];
-
-// File filter
+// File filter: only the declared type and name are known at this point, so
+// this turns away what can never be accepted; the content itself is checked
+// once it has been staged (see fileTypeService)
 const fileFilter = (req, file, cb) => {
-    // Check mime type
-    if (allowedMimeTypes.includes(file.mimetype)) {
+    try {
+        fileTypeService.checkDeclared(file.originalname, file.mimetype);
         cb(null, true);
-    } else {
+    } catch (error) {
         logger.warn(`Rejected file upload: ${file.originalname} (${file.mimetype})`);
-        cb(new AppError(`File type not allowed: ${file.mimetype}`, 400), false);
+        cb(error, false);
     }
 };
 
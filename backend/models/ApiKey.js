@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+const API_KEY_SCOPES = ['files:read', 'files:write', 'files:share'];
+
+// A named credential for scripts. The key is shown once when it is created;
+// only a hash of its secret is stored.
+const apiKeySchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'API key must belong to a user'],
+        index: true
+    },
+    name: {
+        type: String,
+        required: [true, 'Please provide a name for the API key'],
+        trim: true,
+        maxlength: [100, 'API key name cannot exceed 100 characters']
+    },
+    // SHA-256 of the key's secret
+    keyHash: {
+        type: String,
+        required: true,
+        select: false
+    },
+    // Last characters of the key, to tell keys apart in lists
+    hint: String,
+    scopes: {
+        type: [{ type: String, enum: API_KEY_SCOPES }],
+        validate: {
+            validator: scopes => scopes.length > 0,
+            message: 'An API key needs at least one scope'
+        }
+    },
+    expiresAt: Date,
+    lastUsedAt: Date,
+    lastUsedIp: String,
+    revokedAt: Date
+}, {
+    timestamps: true
+});
+
+apiKeySchema.index({ user: 1, revokedAt: 1 });
+
+// Whether the key can still be used
+apiKeySchema.virtual('isActive').get(function() {
+    return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+});
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+module.exports = ApiKey;
+module.exports.API_KEY_SCOPES = API_KEY_SCOPES;
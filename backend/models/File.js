@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { categoryOf } = require('../config/fileTypes');
 
 const fileSchema = new mongoose.Schema({
     user: {
@@ -18,6 +19,7 @@ const fileSchema = new mongoose.Schema({
         required: [true, 'Encrypted filename is required'],
         unique: true
     },
+    // Detected from the content on upload (see fileTypeService)
     mimeType: {
         type: String,
         required: [true, 'MIME type is required']
@@ -40,11 +42,18 @@ const fileSchema = new mongoose.Schema({
         type: String,
         required: [true, 'Encrypted file checksum is required']
     },
+    // Key of the encrypted blob within its storage backend
+    // (a filesystem path for the local backend)
     storagePath: {
         type: String,
         required: [true, 'Storage path is required'],
         select: false
     },
+    storageBackend: {
+        type: String,
+        enum: ['local', 's3', 'gridfs'],
+        default: 'local'
+    },
     isPublic: {
         type: Boolean,
         default: false
@@ -90,12 +99,115 @@ const fileSchema = new mongoose.Schema({
     deletedAt: {
         type: Date
     },
+    // Read from the content on upload (see metadataService)
     metadata: {
         width: Number,
         height: Number,
+        // Seconds
         duration: Number,
         pages: Number,
-        encoding: String
+        encoding: String,
+        // Camera details; GPS coordinates are never stored
+        exif: {
+            make: String,
+            model: String,
+            software: String,
+            takenAt: Date,
+            orientation: Number,
+            exposureTime: Number,
+            fNumber: Number,
+            iso: Number,
+            focalLength: Number,
+            hasLocation: Boolean
+        },
+        extractedAt: Date,
+        // What the upload's sanitization step removed before encryption
+        sanitization: {
+            policy: String,
+            removed: [String],
+            removedBytes: Number,
+            // Why an image under the strip policy was stored unchanged
+            skipped: String,
+            sanitizedAt: Date
+        }
+    },
+    // Malware scan of the content on upload (see scanService); infected
+    // files are quarantined until an admin releases or deletes them
+    scan: {
+        status: {
+            type: String,
+            enum: ['clean', 'infected', 'released', 'error', 'skipped']
+        },
+        signature: String,
+        engine: String,
+        database: String,
+        error: String,
+        scannedAt: Date,
+        reviewedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        reviewedAt: Date
+    },
+    // Entry listing of an uploaded archive (see archiveInspectionService);
+    // only the first entries are kept, the counts cover all of them
+    archive: {
+        format: String,
+        status: {
+            type: String,
+            enum: ['inspected', 'unsupported']
+        },
+        entryCount: Number,
+        expandedSize: Number,
+        depth: Number,
+        entries: {
+            type: [{
+                _id: false,
+                path: String,
+                size: Number,
+                compressedSize: Number,
+                isDirectory: Boolean,
+                encrypted: Boolean,
+                depth: Number
+            }],
+            default: undefined
+        },
+        truncated: Boolean,
+        inspectedAt: Date
+    },
+    // Machine-readable zone of a passport or ID card, read with the previews
+    // (see identityService); the document fields are encrypted with the
+    // file's data key
+    identity: {
+        status: {
+            type: String,
+            enum: ['pending', 'found', 'not_found', 'unsupported', 'failed']
+        },
+        format: {
+            type: String,
+            enum: ['TD1', 'TD2', 'TD3']
+        },
+        // Whether every check digit matched
+        valid: Boolean,
+        // Sealed JSON of { fields, checks } (see encryptionService.sealBuffer)
+        data: String,
+        error: String,
+        extractedAt: Date
+    },
+    // Expiry of an identity document, read from its MRZ or entered by the
+    // owner (see expiryService). Unlike the MRZ fields it is stored in the
+    // clear so that filters and reminders can query it.
+    documentExpiry: {
+        date: Date,
+        source: {
+            type: String,
+            enum: ['mrz', 'manual']
+        },
+        // Reminders already sent for this date, e.g. 'before-30'
+        reminders: {
+            type: [String],
+            default: undefined
+        }
     },
     encryptionMetadata: {
         algorithm: {
@@ -109,8 +221,67 @@ const fileSchema = new mongoose.Schema({
         iterations: {
             type: Number,
             default: 100000
-        }
+        },
+        // Files written before the chunked stream format have no format field
+        format: {
+            type: String,
+            enum: ['legacy', 'chunked'],
+            default: 'legacy'
+        },
+        formatVersion: Number,
+        chunkSize: Number,
+        // Envelope encryption: per-file data key wrapped by the owner's key
+        keyId: String,
+        keyVersion: Number,
+        // Bound to this file (see keyService.dataKeyContext)
+        wrappedKey: String
+    },
+    // Encrypted in the browser before upload; the stored "plaintext" is
+    // ciphertext the server cannot read, so it is never previewed
+    isClientEncrypted: {
+        type: Boolean,
+        default: false
+    },
+    clientEncryption: {
+        algorithm: String,
+        keyDerivation: String,
+        iterations: Number,
+        formatVersion: Number
+    },
+    // Number of the current version; older versions are FileVersion documents
+    version: {
+        type: Number,
+        default: 1
+    },
+    // When the current version was uploaded (createdAt is the first upload)
+    versionUploadedAt: Date,
+    // Set when the current version is a restored copy of an older one
+    restoredFrom: Number,
+    // Encrypted WebP previews of the current version (see renditionService)
+    renditions: [{
+        _id: false,
+        size: {
+            type: String,
+            enum: ['thumbnail', 'medium']
+        },
+        storagePath: String,
+        storageBackend: String,
+        mimeType: String,
+        width: Number,
+        height: Number,
+        originalSize: Number,
+        encryptedSize: Number,
+        format: String,
+        generatedAt: Date
+    }],
+    renditionStatus: {
+        type: String,
+        enum: ['pending', 'processing', 'ready', 'failed', 'unsupported']
     },
+    renditionError: String,
+    // Times generation started for the current content; work cut off by a
+    // crash or a serverless time limit counts too
+    renditionAttempts: Number,
     accessLog: [{
         action: {
             type: String,
@@ -135,6 +306,10 @@ fileSchema.index({ user: 1, folder: 1 });
 fileSchema.index({ shareToken: 1 });
 fileSchema.index({ originalName: 'text', tags: 'text', description: 'text' });
 fileSchema.index({ isDeleted: 1, deletedAt: 1 });
+fileSchema.index({ user: 1, 'encryptionMetadata.keyId': 1 });
+fileSchema.index({ renditionStatus: 1 });
+fileSchema.index({ 'scan.status': 1 });
+fileSchema.index({ 'documentExpiry.date': 1 });
 
 // Virtual for formatted file size
 fileSchema.virtual('formattedSize').get(function() {
@@ -150,22 +325,9 @@ fileSchema.virtual('extension').get(function() {
     return parts.length > 1 ? parts.pop().toLowerCase() : '';
 });
 
-// Virtual for file type category
+// Virtual for file type category, from the type detected on upload
 fileSchema.virtual('category').get(function() {
-    const imageTypes = ['jpg', 'jpeg', 'png', 'gif', 'webp', 'svg', 'bmp', 'tiff'];
-    const documentTypes = ['pdf', 'doc', 'docx', 'xls', 'xlsx', 'ppt', 'pptx', 'txt', 'csv'];
-    const videoTypes = ['mp4', 'mpeg', 'mov', 'avi', 'webm'];
-    const audioTypes = ['mp3', 'wav', 'ogg'];
-    const archiveTypes = ['zip', 'rar', '7z', 'gz'];
-
-    const ext = this.extension;
-
-    if (imageTypes.includes(ext)) return 'image';
-    if (documentTypes.includes(ext)) return 'document';
-    if (videoTypes.includes(ext)) return 'video';
-    if (audioTypes.includes(ext)) return 'audio';
-    if (archiveTypes.includes(ext)) return 'archive';
-    return 'other';
+    return categoryOf(this.mimeType);
 });
 
 // Check if share is valid
@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+
+// A superseded version of a File. The current version's blob is described by
+// the File itself; when a new version is uploaded the File's blob fields are
+// copied here first. Every version keeps its own ciphertext and data key and
+// counts towards the owner's storageUsed until it is pruned.
+const fileVersionSchema = new mongoose.Schema({
+    file: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'File',
+        required: [true, 'Version must belong to a file']
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Version must belong to a user'],
+        index: true
+    },
+    version: {
+        type: Number,
+        required: [true, 'Version number is required'],
+        min: 1
+    },
+    // When this version's content was uploaded
+    uploadedAt: {
+        type: Date,
+        required: true
+    },
+    // Set when this version was made current by restoring an older one
+    restoredFrom: Number,
+    // Name the content was uploaded under
+    originalName: {
+        type: String,
+        required: [true, 'Original filename is required'],
+        trim: true
+    },
+    encryptedName: {
+        type: String,
+        required: [true, 'Encrypted filename is required']
+    },
+    mimeType: {
+        type: String,
+        required: [true, 'MIME type is required']
+    },
+    originalSize: {
+        type: Number,
+        required: [true, 'Original file size is required'],
+        min: [0, 'File size cannot be negative']
+    },
+    encryptedSize: {
+        type: Number,
+        required: [true, 'Encrypted file size is required'],
+        min: [0, 'File size cannot be negative']
+    },
+    checksum: {
+        type: String,
+        required: [true, 'File checksum is required']
+    },
+    encryptedChecksum: {
+        type: String,
+        required: [true, 'Encrypted file checksum is required']
+    },
+    storagePath: {
+        type: String,
+        required: [true, 'Storage path is required'],
+        select: false
+    },
+    storageBackend: {
+        type: String,
+        enum: ['local', 's3', 'gridfs'],
+        default: 'local'
+    },
+    // Same shape as File.encryptionMetadata
+    encryptionMetadata: {
+        algorithm: String,
+        keyDerivation: String,
+        iterations: Number,
+        format: {
+            type: String,
+            enum: ['legacy', 'chunked'],
+            default: 'legacy'
+        },
+        formatVersion: Number,
+        chunkSize: Number,
+        keyId: String,
+        keyVersion: Number,
+        wrappedKey: String
+    },
+    // Same shape as File.metadata
+    metadata: mongoose.Schema.Types.Mixed,
+    // Same shape as File.scan
+    scan: mongoose.Schema.Types.Mixed,
+    // Same shape as File.archive
+    archive: mongoose.Schema.Types.Mixed,
+    // Same shape as File.documentExpiry
+    documentExpiry: mongoose.Schema.Types.Mixed,
+    isClientEncrypted: {
+        type: Boolean,
+        default: false
+    },
+    clientEncryption: {
+        algorithm: String,
+        keyDerivation: String,
+        iterations: Number,
+        formatVersion: Number
+    }
+}, {
+    timestamps: true
+});
+
+fileVersionSchema.index({ file: 1, version: -1 }, { unique: true });
+fileVersionSchema.index({ user: 1, 'encryptionMetadata.keyId': 1 });
+
+const FileVersion = mongoose.model('FileVersion', fileVersionSchema);
+
+module.exports = FileVersion;
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+// A folder in a user's tree. `parent` is the structural link; `path` is the
+// same position spelled out ("/Projects/2024") and is what File.folder holds,
+// so it is rewritten for the folder, its descendants and their files whenever
+// the folder is renamed or moved. The root ("/") is implicit.
+const folderSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Folder must belong to a user'],
+        index: true
+    },
+    name: {
+        type: String,
+        required: [true, 'Folder name is required'],
+        trim: true,
+        maxlength: [255, 'Folder name cannot exceed 255 characters']
+    },
+    parent: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Folder',
+        default: null
+    },
+    path: {
+        type: String,
+        required: true,
+        maxlength: [500, 'Folder path too long']
+    },
+    description: {
+        type: String,
+        maxlength: [500, 'Description cannot exceed 500 characters'],
+        default: ''
+    },
+    color: {
+        type: String,
+        match: [/^#[0-9a-fA-F]{6}$/, 'Color must be a hex value like #3b82f6']
+    },
+    isDeleted: {
+        type: Boolean,
+        default: false
+    },
+    // Shared by everything trashed in one folder delete, so it can be restored together
+    deletedAt: Date
+}, {
+    timestamps: true
+});
+
+folderSchema.index(
+    { user: 1, path: 1 },
+    { unique: true, partialFilterExpression: { isDeleted: false } }
+);
+folderSchema.index({ user: 1, parent: 1 });
+
+// Depth below the root (1 for top-level folders)
+folderSchema.virtual('depth').get(function() {
+    return this.path.split('/').filter(Boolean).length;
+});
+
+// Pre-find middleware to exclude deleted folders by default
+folderSchema.pre(/^find/, function(next) {
+    if (!this.getOptions().includeDeleted) {
+        this.where({ isDeleted: { $ne: true } });
+    }
+    next();
+});
+
+const Folder = mongoose.model('Folder', folderSchema);
+
+module.exports = Folder;
@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+const keyRotationJobSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: ['user', 'master'],
+        required: [true, 'Rotation type is required']
+    },
+    // Owner whose files are being moved to a new key (user rotations only)
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        index: true
+    },
+    // rewrap: re-wrap data keys only; reencrypt: new data keys and new ciphertext
+    mode: {
+        type: String,
+        enum: ['rewrap', 'reencrypt'],
+        default: 'rewrap'
+    },
+    fromKeyIds: [String],
+    toKeyId: {
+        type: String,
+        required: [true, 'Target key ID is required']
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'running', 'completed', 'failed'],
+        default: 'pending',
+        index: true
+    },
+    initiatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    total: {
+        type: Number,
+        default: 0
+    },
+    processed: {
+        type: Number,
+        default: 0
+    },
+    failed: {
+        type: Number,
+        default: 0
+    },
+    // One entry per file or older file version (user rotations) or per user (master rotations)
+    items: [{
+        _id: false,
+        target: {
+            type: mongoose.Schema.Types.ObjectId,
+            required: true
+        },
+        kind: {
+            type: String,
+            enum: ['file', 'version'],
+            default: 'file'
+        },
+        status: {
+            type: String,
+            enum: ['pending', 'done', 'failed'],
+            default: 'pending'
+        },
+        error: String,
+        // Ciphertext written by an interrupted re-encryption, cleaned up on resume
+        pendingPath: String,
+        pendingBackend: String,
+        updatedAt: Date
+    }],
+    lockedAt: Date,
+    startedAt: Date,
+    completedAt: Date,
+    lastError: String
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Percentage of items finished
+keyRotationJobSchema.virtual('progress').get(function() {
+    if (!this.total) return 100;
+    return Math.round((this.processed / this.total) * 10000) / 100;
+});
+
+// Whether the job still has work to do
+keyRotationJobSchema.virtual('isActive').get(function() {
+    return this.status === 'pending' || this.status === 'running';
+});
+
+const KeyRotationJob = mongoose.model('KeyRotationJob', keyRotationJobSchema);
+
+module.exports = KeyRotationJob;
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// One document per login (a refresh token "family"). The refresh token is
+// rotated on every use; only hashes are stored.
+const sessionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Session must belong to a user'],
+        index: true
+    },
+    // SHA-256 of the refresh token that is currently valid
+    tokenHash: {
+        type: String,
+        required: true,
+        select: false
+    },
+    // Hashes of refresh tokens already rotated out; presenting one again means
+    // the token was stolen, so the whole session is revoked
+    previousTokenHashes: {
+        type: [String],
+        select: false
+    },
+    // When tokenHash last changed; the token it replaced stays usable briefly
+    rotatedAt: Date,
+    userAgent: String,
+    ip: String,
+    lastUsedAt: {
+        type: Date,
+        default: Date.now
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    revokedAt: Date,
+    revokedReason: {
+        type: String,
+        enum: ['logout', 'revoked', 'reuse', 'password-change', 'deactivated', 'admin']
+    }
+}, {
+    timestamps: true
+});
+
+// Expired sessions are removed by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+sessionSchema.index({ user: 1, revokedAt: 1 });
+
+// Whether the session can still be used
+sessionSchema.virtual('isActive').get(function() {
+    return !this.revokedAt && this.expiresAt > new Date();
+});
+
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+
+const uploadSessionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Upload must belong to a user'],
+        index: true
+    },
+    originalName: {
+        type: String,
+        required: [true, 'Original filename is required'],
+        trim: true
+    },
+    mimeType: {
+        type: String,
+        required: [true, 'MIME type is required']
+    },
+    folder: {
+        type: String,
+        default: '/'
+    },
+    tags: [String],
+    description: {
+        type: String,
+        default: ''
+    },
+    // Existing file this upload becomes a new version of
+    targetFile: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'File'
+    },
+    // Upload-Length and Upload-Offset, in plaintext bytes
+    length: {
+        type: Number,
+        required: [true, 'Upload length is required'],
+        min: 0
+    },
+    offset: {
+        type: Number,
+        default: 0
+    },
+    status: {
+        type: String,
+        enum: ['uploading', 'completed'],
+        default: 'uploading'
+    },
+    // Where the assembled ciphertext will be written
+    storageBackend: {
+        type: String,
+        required: true
+    },
+    storagePath: {
+        type: String,
+        required: true
+    },
+    encryptedName: {
+        type: String,
+        required: true
+    },
+    // Chunked-format header (salt and nonce prefix), base64
+    header: {
+        type: String,
+        required: true
+    },
+    keyId: String,
+    keyVersion: Number,
+    // Bound to this session; re-wrapped for the file on completion
+    wrappedKey: String,
+    // Client-side encryption parameters when the browser encrypted the file
+    clientEncryption: {
+        algorithm: String,
+        keyDerivation: String,
+        iterations: Number,
+        formatVersion: Number
+    },
+    // Sealed chunks received so far, one blob per PATCH, in order
+    parts: [{
+        _id: false,
+        key: String,
+        size: Number
+    }],
+    // Plaintext that did not fill a whole chunk yet, encrypted (see sealBuffer)
+    tail: {
+        type: String,
+        select: false
+    },
+    file: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'File'
+    },
+    // Held while a PATCH or completion is in progress
+    lockedAt: Date,
+    expiresAt: {
+        type: Date,
+        index: true
+    }
+}, {
+    timestamps: true
+});
+
+// Whether the upload can no longer be resumed
+uploadSessionSchema.virtual('isExpired').get(function() {
+    return this.status !== 'completed' && this.expiresAt && this.expiresAt < new Date();
+});
+
+const UploadSession = mongoose.model('UploadSession', uploadSessionSchema);
+
+module.exports = UploadSession;
@@ -3,6 +3,7 @@ const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const validator = require('validator');
+const keyService = require('../services/keyService');
 
 const userSchema = new mongoose.Schema({
     username: {
@@ -30,14 +31,29 @@ const userSchema = new mongoose.Schema({
         minlength: [8, 'Password must be at least 8 characters'],
         select: false
     },
+    // Legacy per-user key, only kept to decrypt files from before envelope encryption
     encryptionKey: {
         type: String,
-        required: true,
         select: false
     },
     encryptionKeySalt: {
         type: String,
-        required: true,
+        select: false
+    },
+    // Key-encryption-keys, each wrapped by a server master key
+    encryptionKeys: {
+        type: [{
+            _id: false,
+            keyId: { type: String, required: true },
+            version: { type: Number, default: 1 },
+            masterKeyId: { type: String, required: true },
+            wrappedKey: { type: String, required: true },
+            createdAt: { type: Date, default: Date.now }
+        }],
+        select: false
+    },
+    currentKeyId: {
+        type: String,
         select: false
     },
     role: {
@@ -69,13 +85,36 @@ const userSchema = new mongoose.Schema({
     },
     lockUntil: Date,
     lastLogin: Date,
+    // What happens to EXIF/XMP/IPTC in uploaded images (see sanitizeService);
+    // unset follows the server default
+    metadataPolicy: {
+        type: String,
+        enum: ['strip', 'keep']
+    },
+    // Set by an admin: the user cannot change metadataPolicy
+    metadataPolicyLocked: {
+        type: Boolean,
+        default: false
+    },
     twoFactorEnabled: {
         type: Boolean,
         default: false
     },
+    // Encrypted under the master key (see twoFactorService); set during
+    // enrollment, but only enforced once twoFactorEnabled is true
     twoFactorSecret: {
         type: String,
         select: false
+    },
+    // bcrypt hashes of unused recovery codes
+    twoFactorRecoveryCodes: {
+        type: [String],
+        select: false
+    },
+    // Last accepted TOTP time step, so a code cannot be replayed
+    twoFactorLastStep: {
+        type: Number,
+        select: false
     }
 }, {
     timestamps: true,
@@ -117,19 +156,14 @@ userSchema.pre('save', async function(next) {
     }
 });
 
-// Generate encryption key for new users
-// Generate encryption key for new users - runs BEFORE validation
+// Generate a wrapped key-encryption-key for new users - runs BEFORE validation
 userSchema.pre('validate', function(next) {
     if (!this.isNew) return next();
 
     try {
-        const salt = crypto.randomBytes(32).toString('hex');
-        const key = crypto.randomBytes(32).toString('hex');
-        
-        this.encryptionKeySalt = salt;
-        this.encryptionKey = crypto
-            .pbkdf2Sync(key, salt, 100000, 32, 'sha512')
-            .toString('hex');
+        const entry = keyService.createUserKey(this);
+        this.encryptionKeys = [entry];
+        this.currentKeyId = entry.keyId;
 
         next();
     } catch (error) {
@@ -146,17 +180,31 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
     }
 };
 
-// Generate JWT token
-userSchema.methods.generateAuthToken = function() {
+// Generate a short-lived access token for a session (see sessionService)
+userSchema.methods.generateAuthToken = function(sessionId) {
     return jwt.sign(
         { 
             id: this._id,
+            sid: sessionId,
             username: this.username,
             role: this.role
         },
         process.env.JWT_SECRET,
         { 
-            expiresIn: process.env.JWT_EXPIRES_IN || '7d',
+            expiresIn: process.env.ACCESS_TOKEN_EXPIRES_IN || '15m',
+            issuer: 'secure-file-upload'
+        }
+    );
+};
+
+// Generate the short-lived token that proves the password step of a 2FA login
+userSchema.methods.generateTwoFactorToken = function() {
+    return jwt.sign(
+        { id: this._id },
+        process.env.JWT_SECRET,
+        {
+            expiresIn: process.env.TWO_FACTOR_TOKEN_EXPIRES_IN || '5m',
+            audience: 'two-factor-pending',
             issuer: 'secure-file-upload'
         }
     );
@@ -185,7 +233,7 @@ userSchema.methods.createPasswordResetToken = function() {
     return resetToken;
 };
 
-// Get user's encryption key
+// Get user's legacy encryption key
 userSchema.methods.getEncryptionKey = function() {
     return this.encryptionKey;
 };
@@ -0,0 +1,34 @@
+const express = require('express');
+const router = express.Router();
+const adminController = require('../controllers/adminController');
+const keyController = require('../controllers/keyController');
+const { protect, restrictTo, sessionOnly } = require('../middleware/auth');
+
+// All admin routes require an admin logged in (not an API key)
+router.use(protect, sessionOnly, restrictTo('admin'));
+
+// Users
+router.get('/users', adminController.getUsers);
+router.get('/users/:id', adminController.getUser);
+router.patch('/users/:id/status', adminController.setUserStatus);
+router.post('/users/:id/unlock', adminController.unlockUser);
+router.patch('/users/:id/storage-limit', adminController.setStorageLimit);
+router.patch('/users/:id/metadata-policy', adminController.setMetadataPolicy);
+router.post('/users/:id/logout', adminController.forceLogout);
+
+// Files quarantined by the malware scan
+router.get('/quarantine', adminController.getQuarantine);
+router.post('/quarantine/:id/release', adminController.releaseQuarantinedFile);
+router.delete('/quarantine/:id', adminController.deleteQuarantinedFile);
+
+// System statistics
+router.get('/stats', adminController.getStats);
+
+// Key rotation
+router.post('/keys/rotate-user/:userId', keyController.rotateUserKey);
+router.post('/keys/rotate-master', keyController.rotateMasterKey);
+router.get('/keys/jobs', keyController.getJobs);
+router.get('/keys/jobs/:id', keyController.getJob);
+router.post('/keys/jobs/:id/resume', keyController.resumeJob);
+
+module.exports = router;
@@ -1,14 +1,20 @@
 const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/authController');
-const { protect } = require('../middleware/auth');
+const apiKeyController = require('../controllers/apiKeyController');
+const { protect, sessionOnly } = require('../middleware/auth');
 
 // Public routes
+router.get('/csrf', authController.getCsrfToken);
 router.post('/register', authController.register);
 router.post('/login', authController.login);
+router.post('/2fa/verify', authController.verifyTwoFactor);
+router.post('/refresh', authController.refreshToken);
+router.post('/forgot-password', authController.forgotPassword);
+router.post('/reset-password/:token', authController.resetPassword);
 
-// Protected routes
-router.use(protect);
+// Protected routes (the account cannot be managed with an API key)
+router.use(protect, sessionOnly);
 
 router.get('/me', authController.getMe);
 router.post('/logout', authController.logout);
@@ -17,4 +23,21 @@ router.patch('/update-password', authController.updatePassword);
 router.delete('/delete-account', authController.deleteAccount);
 router.get('/storage', authController.getStorageInfo);
 
+// Sessions
+router.get('/sessions', authController.getSessions);
+router.delete('/sessions', authController.revokeAllSessions);
+router.delete('/sessions/:id', authController.revokeSession);
+
+// API keys
+router.get('/api-keys', apiKeyController.getApiKeys);
+router.post('/api-keys', apiKeyController.createApiKey);
+router.delete('/api-keys/:id', apiKeyController.revokeApiKey);
+
+// Two-factor authentication
+router.get('/2fa', authController.getTwoFactorStatus);
+router.post('/2fa/enroll', authController.enrollTwoFactor);
+router.post('/2fa/confirm', authController.confirmTwoFactor);
+router.post('/2fa/disable', authController.disableTwoFactor);
+router.post('/2fa/recovery-codes', authController.regenerateRecoveryCodes);
+
 module.exports = router;
\ No newline at end of file
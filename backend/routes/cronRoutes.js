@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const cronController = require('../controllers/cronController');
+const { protectCron } = require('../middleware/auth');
+
+// Called on a schedule (see vercel.json "crons"), never by users
+router.use(protectCron);
+
+router.get('/key-rotation', cronController.resumeKeyRotation);
+router.get('/uploads', cronController.cleanupUploads);
+router.get('/renditions', cronController.processRenditions);
+router.get('/expiry-reminders', cronController.sendExpiryReminders);
+
+module.exports = router;
@@ -1,34 +1,66 @@
 const express = require('express');
 const router = express.Router();
 const fileController = require('../controllers/fileController');
-const { protect } = require('../middleware/auth');
-const { uploadMultiple } = require('../middleware/upload');
-const { downloadLimiter } = require('../middleware/rateLimiter');
+const uploadController = require('../controllers/uploadController');
+const folderController = require('../controllers/folderController');
+const { protect, requireScope } = require('../middleware/auth');
+const { uploadSingle, uploadMultiple } = require('../middleware/upload');
+const { downloadLimiter, uploadLimiter } = require('../middleware/rateLimiter');
+const { tusResumable } = require('../middleware/tus');
 
 // Public routes (shared files)
 router.get('/shared/:token', downloadLimiter, fileController.downloadSharedFile);
+router.get('/stream/:token', fileController.streamFile);
 
-// Protected routes
+// Protected routes (sessions, or API keys with the scope named on each route)
 router.use(protect);
 
+const read = requireScope('files:read');
+const write = requireScope('files:write');
+const share = requireScope('files:share');
+
 // File operations
-router.post('/upload', uploadMultiple('files', 10), fileController.uploadFiles);
-router.get('/', fileController.getFiles);
-router.get('/stats', fileController.getStats);
-router.get('/folders', fileController.getFolders);
-router.get('/trash', fileController.getTrash);
-router.delete('/trash', fileController.emptyTrash);
-router.post('/bulk-delete', fileController.bulkDelete);
-router.post('/move', fileController.moveFiles);
+router.post('/upload', write, uploadMultiple('files', 10), fileController.uploadFiles);
+router.get('/', read, fileController.getFiles);
+router.get('/stats', read, fileController.getStats);
+router.get('/trash', read, fileController.getTrash);
+router.delete('/trash', write, fileController.emptyTrash);
+router.post('/bulk-delete', write, fileController.bulkDelete);
+router.post('/move', write, fileController.moveFiles);
+router.post('/archive', read, downloadLimiter, fileController.createArchive);
+
+// Folders
+router.get('/folders', read, folderController.getFolders);
+router.post('/folders', write, folderController.createFolder);
+router.get('/folders/:id', read, folderController.getFolder);
+router.patch('/folders/:id', write, folderController.updateFolder);
+router.delete('/folders/:id', write, folderController.deleteFolder);
+router.post('/folders/:id/restore', write, folderController.restoreFolder);
+
+// Resumable uploads (tus protocol)
+router.post('/tus', uploadLimiter, tusResumable, write, uploadController.createUpload);
+router.head('/tus/:id', tusResumable, write, uploadController.getUploadOffset);
+router.patch('/tus/:id', tusResumable, write, uploadController.appendToUpload);
+router.delete('/tus/:id', tusResumable, write, uploadController.deleteUpload);
 
 // Single file operations
-router.get('/:id', fileController.getFile);
-router.patch('/:id', fileController.updateFile);
-router.delete('/:id', fileController.deleteFile);
-router.get('/:id/download', downloadLimiter, fileController.downloadFile);
-router.get('/:id/preview', fileController.previewFile);
-router.post('/:id/share', fileController.shareFile);
-router.delete('/:id/share', fileController.revokeShare);
-router.post('/:id/restore', fileController.restoreFile);
-
-module.exports = router;
\ No newline at end of file
+router.get('/:id', read, fileController.getFile);
+router.patch('/:id', write, fileController.updateFile);
+router.delete('/:id', write, fileController.deleteFile);
+router.get('/:id/download', read, downloadLimiter, fileController.downloadFile);
+router.get('/:id/preview', read, fileController.previewFile);
+router.get('/:id/thumbnail', read, fileController.getThumbnail);
+router.post('/:id/stream', read, fileController.createStreamLink);
+router.post('/:id/share', share, fileController.shareFile);
+router.delete('/:id/share', share, fileController.revokeShare);
+router.post('/:id/restore', write, fileController.restoreFile);
+
+// File versions (a new version is uploaded to the file itself or to its versions)
+router.post('/:id', write, uploadSingle('file'), fileController.uploadVersion);
+router.get('/:id/versions', read, fileController.getVersions);
+router.post('/:id/versions', write, uploadSingle('file'), fileController.uploadVersion);
+router.post('/:id/versions/prune', write, fileController.pruneVersions);
+router.get('/:id/versions/:version/download', read, downloadLimiter, fileController.downloadVersion);
+router.post('/:id/versions/:version/restore', write, fileController.restoreVersion);
+
+module.exports = router;
@@ -0,0 +1,88 @@
+/**
+ * Key rotation command
+ *
+ * Usage:
+ *   npm run rotate-keys -- user <userId|email> [--reencrypt]
+ *   npm run rotate-keys -- master
+ *   npm run rotate-keys -- resume [jobId]
+ *
+ * To rotate the master key, move the old MASTER_KEY into PREVIOUS_MASTER_KEYS
+ * (as "<id>:<hex>"), set the new MASTER_KEY and MASTER_KEY_ID, then run `master`.
+ */
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const User = require('../models/User');
+const keyRotationService = require('../services/keyRotationService');
+const logger = require('../utils/logger');
+
+const usage = () => {
+    console.log('Usage: rotate-keys user <userId|email> [--reencrypt] | master | resume [jobId]');
+    process.exit(1);
+};
+
+const findUser = async (idOrEmail) => {
+    const query = mongoose.isValidObjectId(idOrEmail)
+        ? { _id: idOrEmail }
+        : { email: String(idOrEmail).toLowerCase() };
+
+    const user = await User.findOne(query);
+    if (!user) {
+        throw new Error(`User not found: ${idOrEmail}`);
+    }
+    return user;
+};
+
+const report = (job) => {
+    if (!job) {
+        console.log('Job is locked by another worker or already finished');
+        return;
+    }
+    console.log(`Job ${job._id}: ${job.status} (${job.processed}/${job.total} processed, ${job.failed} failed)`);
+    if (job.lastError) {
+        console.log(job.lastError);
+    }
+};
+
+const main = async () => {
+    const [command, arg, ...flags] = process.argv.slice(2);
+    if (!command) usage();
+
+    await connectDB();
+
+    switch (command) {
+        case 'user': {
+            if (!arg) usage();
+            const user = await findUser(arg);
+            const job = await keyRotationService.startUserRotation(user._id, {
+                mode: flags.includes('--reencrypt') ? 'reencrypt' : 'rewrap'
+            });
+            report(await keyRotationService.runJob(job._id));
+            break;
+        }
+        case 'master': {
+            const job = await keyRotationService.startMasterRotation();
+            report(await keyRotationService.runJob(job._id));
+            break;
+        }
+        case 'resume': {
+            if (arg) {
+                report(await keyRotationService.runJob(arg));
+            } else {
+                const count = await keyRotationService.resumeJobs();
+                console.log(`Resumed ${count} job(s)`);
+            }
+            break;
+        }
+        default:
+            usage();
+    }
+};
+
+main()
+    .catch(error => {
+        logger.error(`Key rotation failed: ${error.message}`);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
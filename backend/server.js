@@ -3,6 +3,7 @@ const mongoose = require('mongoose');
 const cors = require('cors');
 const helmet = require('helmet');
 const compression = require('compression');
+const cookieParser = require('cookie-parser');
 const mongoSanitize = require('express-mongo-sanitize');
 const hpp = require('hpp');
 const path = require('path');
@@ -15,8 +16,15 @@ if (process.env.NODE_ENV !== 'production') {
 const connectDB = require('./config/db');
 const errorHandler = require('./middleware/errorHandler');
 const rateLimiter = require('./middleware/rateLimiter');
+const { csrfProtection } = require('./middleware/csrf');
 const authRoutes = require('./routes/authRoutes');
 const fileRoutes = require('./routes/fileRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+const cronRoutes = require('./routes/cronRoutes');
+const keyRotationService = require('./services/keyRotationService');
+const resumableUploadService = require('./services/resumableUploadService');
+const renditionService = require('./services/renditionService');
+const expiryService = require('./services/expiryService');
 const AppError = require('./utils/AppError');
 const logger = require('./utils/logger');
 
@@ -43,7 +51,7 @@ app.use(helmet({
             defaultSrc: ["'self'"],
             styleSrc: ["'self'", "'unsafe-inline'", "https://fonts.googleapis.com", "https://cdnjs.cloudflare.com", "https://cdn.jsdelivr.net"],
             fontSrc: ["'self'", "https://fonts.gstatic.com", "https://cdnjs.cloudflare.com"],
-            scriptSrc: ["'self'", "'unsafe-inline'", "https://cdnjs.cloudflare.com", "https://cdn.jsdelivr.net"],
+            scriptSrc: ["'self'", "https://cdnjs.cloudflare.com", "https://cdn.jsdelivr.net"],
             imgSrc: ["'self'", "data:", "blob:"],
             connectSrc: ["'self'", "https://*.vercel.app"]
         }
@@ -56,13 +64,22 @@ app.use(cors({
         ? [process.env.FRONTEND_URL, /\.vercel\.app$/]
         : ['http://localhost:3000', 'http://127.0.0.1:5500', 'http://localhost:5500', 'http://localhost:5000'],
     credentials: true,
-    methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH'],
-    allowedHeaders: ['Content-Type', 'Authorization']
+    methods: ['GET', 'HEAD', 'POST', 'PUT', 'DELETE', 'PATCH'],
+    allowedHeaders: [
+        'Content-Type', 'Authorization', 'X-CSRF-Token', 'Range', 'If-Range',
+        'Tus-Resumable', 'Upload-Length', 'Upload-Offset', 'Upload-Metadata'
+    ],
+    exposedHeaders: [
+        'Content-Disposition', 'Content-Range', 'Accept-Ranges', 'ETag',
+        'Location', 'Tus-Resumable', 'Tus-Version', 'Upload-Offset', 'Upload-Length', 'Upload-Expires', 'Upload-File-Id',
+        'Upload-Max-Chunk-Size'
+    ]
 }));
 
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+app.use(cookieParser());
 
 // Data sanitization against NoSQL injection
 app.use(mongoSanitize());
@@ -77,6 +94,9 @@ app.use(compression());
 app.use('/api', rateLimiter.apiLimiter);
 app.use('/api/auth/login', rateLimiter.authLimiter);
 app.use('/api/auth/register', rateLimiter.authLimiter);
+app.use('/api/auth/2fa/verify', rateLimiter.authLimiter);
+app.use('/api/auth/forgot-password', rateLimiter.authLimiter);
+app.use('/api/auth/reset-password', rateLimiter.authLimiter);
 app.use('/api/files/upload', rateLimiter.uploadLimiter);
 
 // Request logging
@@ -92,9 +112,14 @@ const frontendPath = path.join(__dirname, '../frontend');
 app.use(express.static(publicPath));
 app.use(express.static(frontendPath));
 
+// Cookie-authenticated requests that change state must carry a CSRF token
+app.use('/api', csrfProtection);
+
 // API Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/files', fileRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/cron', cronRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -155,11 +180,33 @@ process.on('unhandledRejection', (err) => {
     logger.error(err.stack);
 });
 
-// Start server only in development (not on Vercel)
+// Start server only in development (not on Vercel). The background work
+// below needs a long-running process; serverless deployments run it through
+// the /api/cron endpoints instead (see vercel.json "crons" and CRON_SECRET).
 if (process.env.NODE_ENV !== 'production') {
     const PORT = process.env.PORT || 5000;
     app.listen(PORT, () => {
         logger.info(`Server running in ${process.env.NODE_ENV} mode on port ${PORT}`);
+
+        // Pick up key rotation jobs interrupted by a restart
+        connectOnce()
+            .then(() => keyRotationService.resumeJobs())
+            .catch(error => logger.error('Failed to resume key rotation jobs:', error));
+
+        // Drop resumable uploads abandoned while the server was down
+        connectOnce()
+            .then(() => resumableUploadService.cleanupExpired())
+            .catch(error => logger.error('Failed to clean up expired uploads:', error));
+
+        // Finish previews that were still being generated
+        connectOnce()
+            .then(() => renditionService.resumePending())
+            .catch(error => logger.error('Failed to resume preview generation:', error));
+
+        // Remind owners of identity documents that expire
+        connectOnce()
+            .then(() => expiryService.start())
+            .catch(error => logger.error('Failed to start expiry reminders:', error));
     });
 }
 
@@ -0,0 +1,180 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const ApiKey = require('../models/ApiKey');
+const User = require('../models/User');
+const AppError = require('../utils/AppError');
+const logger = require('../utils/logger');
+
+const { API_KEY_SCOPES } = ApiKey;
+const KEY_PATTERN = /^svk_([a-f0-9]{24})_([A-Za-z0-9_-]{43})$/;
+
+/**
+ * API keys let scripts call the file API without a password. A key looks like
+ * "svk_<keyId>_<secret>"; only a hash of the secret is stored, and each key is
+ * limited to the scopes it was created with.
+ */
+class ApiKeyService {
+    constructor() {
+        this.scopes = API_KEY_SCOPES;
+        this.maxActiveKeys = parseInt(process.env.MAX_API_KEYS_PER_USER) || 25;
+    }
+
+    /**
+     * Hash a key secret for storage
+     * @param {string} secret - Key secret
+     * @returns {string} Hex digest
+     */
+    hashSecret(secret) {
+        return crypto.createHash('sha256').update(secret).digest('hex');
+    }
+
+    /**
+     * Filter matching a user's usable keys
+     * @param {string} userId - User ID
+     * @returns {Object} Query filter
+     */
+    activeFilter(userId) {
+        return {
+            user: userId,
+            revokedAt: null,
+            $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+        };
+    }
+
+    /**
+     * Create a key
+     * @param {Object} user - Owner
+     * @param {Object} options - Key options
+     * @param {string} options.name - Name shown in the key list
+     * @param {string[]} options.scopes - Granted scopes
+     * @param {Date} [options.expiresAt] - When the key stops working
+     * @returns {Promise<Object>} `{ apiKey, key }`; the key is not stored and cannot be shown again
+     */
+    async createKey(user, { name, scopes, expiresAt }) {
+        const activeCount = await ApiKey.countDocuments(this.activeFilter(user._id));
+        if (activeCount >= this.maxActiveKeys) {
+            throw new AppError(`You can have at most ${this.maxActiveKeys} active API keys. Revoke one first.`, 400);
+        }
+
+        const _id = new mongoose.Types.ObjectId();
+        const secret = crypto.randomBytes(32).toString('base64url');
+        const key = `svk_${_id}_${secret}`;
+
+        const apiKey = await ApiKey.create({
+            _id,
+            user: user._id,
+            name,
+            keyHash: this.hashSecret(secret),
+            hint: key.slice(-4),
+            scopes: [...new Set(scopes)],
+            expiresAt
+        });
+
+        logger.info(`API key ${apiKey._id} (${apiKey.scopes.join(', ')}) created by user ${user._id}`);
+
+        return { apiKey, key };
+    }
+
+    /**
+     * Resolve the key presented with a request
+     * @param {string} key - Key from the Authorization header
+     * @param {Object} req - Express request
+     * @returns {Promise<Object>} `{ apiKey, user }`
+     * @throws {AppError} If the key is unknown, revoked or expired
+     */
+    async authenticate(key, req) {
+        const match = KEY_PATTERN.exec(String(key || ''));
+        if (!match) {
+            throw new AppError('Invalid API key.', 401);
+        }
+
+        const [, keyId, secret] = match;
+        const apiKey = await ApiKey.findById(keyId).select('+keyHash');
+
+        const expected = Buffer.from(apiKey ? apiKey.keyHash : '', 'hex');
+        const actual = Buffer.from(this.hashSecret(secret), 'hex');
+
+        if (!apiKey || expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+            throw new AppError('Invalid API key.', 401);
+        }
+
+        if (apiKey.revokedAt) {
+            throw new AppError('This API key has been revoked.', 401);
+        }
+
+        if (apiKey.expiresAt && apiKey.expiresAt <= new Date()) {
+            throw new AppError('This API key has expired.', 401);
+        }
+
+        const user = await User.findById(apiKey.user);
+        if (!user || !user.isActive) {
+            throw new AppError('The account this API key belongs to is not active.', 401);
+        }
+
+        // Usage tracking should never fail the request
+        ApiKey.updateOne(
+            { _id: apiKey._id },
+            { $set: { lastUsedAt: new Date(), lastUsedIp: req.ip } }
+        ).catch(error => logger.error(`Failed to record use of API key ${apiKey._id}:`, error));
+
+        return { apiKey, user };
+    }
+
+    /**
+     * Check that a key is neither revoked nor expired, e.g. for links
+     * issued through it
+     * @param {string} keyId - Key ID
+     * @param {string} userId - Owner
+     * @returns {Promise<boolean>} Whether the key is active
+     */
+    async isActive(keyId, userId) {
+        if (!keyId || !mongoose.isValidObjectId(keyId)) return false;
+
+        return !!(await ApiKey.exists({
+            _id: keyId,
+            user: userId,
+            revokedAt: null,
+            $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+        }));
+    }
+
+    /**
+     * List a user's keys, newest first
+     * @param {string} userId - User ID
+     * @returns {Promise<Object[]>} Keys, including revoked and expired ones
+     */
+    list(userId) {
+        return ApiKey.find({ user: userId }).sort({ createdAt: -1 });
+    }
+
+    /**
+     * Revoke a key
+     * @param {string} keyId - Key ID
+     * @param {string} userId - Owner
+     * @returns {Promise<boolean>} Whether an unrevoked key was revoked
+     */
+    async revoke(keyId, userId) {
+        const result = await ApiKey.updateOne(
+            { _id: keyId, user: userId, revokedAt: null },
+            { $set: { revokedAt: new Date() } }
+        );
+
+        return result.modifiedCount > 0;
+    }
+
+    /**
+     * Revoke every key of a user
+     * @param {string} userId - User ID
+     * @returns {Promise<number>} Number of keys revoked
+     */
+    async revokeAll(userId) {
+        const result = await ApiKey.updateMany(
+            { user: userId, revokedAt: null },
+            { $set: { revokedAt: new Date() } }
+        );
+
+        return result.modifiedCount;
+    }
+}
+
+module.exports = new ApiKeyService();
@@ -0,0 +1,795 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { spawn } = require('child_process');
+const { Readable, Transform, Writable, pipeline: pipelineCallback } = require('stream');
+const { pipeline } = require('stream/promises');
+const { v4: uuidv4 } = require('uuid');
+const { bufferReader } = require('../utils/exif');
+const { diskReader, storedReader } = require('../utils/readers');
+const { readCentralDirectory } = require('../utils/zip');
+const AppError = require('../utils/AppError');
+const logger = require('../utils/logger');
+
+// Archive MIME types and the format inspected for each
+const FORMATS = {
+    'application/zip': 'zip',
+    'application/gzip': 'gzip',
+    'application/x-7z-compressed': '7z',
+    'application/x-rar-compressed': 'rar'
+};
+
+// Names that mark an entry as an archive where the content cannot be read
+const ARCHIVE_NAME = /\.(zip|gz|tgz|7z|rar)$/i;
+
+// Entries smaller than this are not held to the compression ratio limit
+const RATIO_MIN_SIZE = 1024 * 1024;
+
+// How much compressed data is read at a time
+const WINDOW_SIZE = 1024 * 1024;
+
+// Largest tar metadata record (long name or pax header) accepted
+const MAX_TAR_RECORD = 64 * 1024;
+
+const ZIP_LOCAL_SIGNATURE = 0x04034b50;
+const S_IFMT = 0o170000;
+const S_IFLNK = 0o120000;
+
+/**
+ * Reject an archive
+ * @param {string} reason - What is wrong with it
+ * @returns {AppError} Error to throw
+ */
+const rejection = (reason) => new AppError(`Archive rejected: ${reason}`, 400);
+
+/**
+ * Recognise an archive from its first bytes
+ * @param {Buffer} head - Start of the content
+ * @returns {string|null} Format, or null if it is not an archive
+ */
+const archiveFormatOf = (head) => {
+    const signature = head.toString('latin1', 0, 6);
+
+    if (signature.startsWith('PK\x03\x04') || signature.startsWith('PK\x05\x06')) return 'zip';
+    if (head[0] === 0x1f && head[1] === 0x8b) return 'gzip';
+    if (signature === '7z\xbc\xaf\x27\x1c') return '7z';
+    if (signature === 'Rar!\x1a\x07') return 'rar';
+    return null;
+};
+
+/**
+ * Read part of a file in windows
+ * @param {Object} reader - `{ size, read(start, length) }`
+ * @param {number} start - First byte
+ * @param {number} length - Number of bytes
+ * @returns {AsyncGenerator<Buffer>} Chunks
+ */
+async function* readWindows(reader, start, length) {
+    const end = Math.min(start + length, reader.size);
+
+    for (let position = start; position < end; position += WINDOW_SIZE) {
+        const chunk = await reader.read(position, Math.min(WINDOW_SIZE, end - position));
+        if (chunk.length === 0) return;
+        yield chunk;
+    }
+}
+
+/**
+ * Read exact byte counts from a stream of chunks
+ * @param {AsyncIterable<Buffer>} source - Chunks
+ * @returns {Object} `{ read(length), skip(length) }`; reads are short only at the end
+ */
+const chunkReader = (source) => {
+    const iterator = source[Symbol.asyncIterator]();
+    const chunks = [];
+    let buffered = 0;
+    let ended = false;
+
+    const fill = async (length) => {
+        while (buffered < length && !ended) {
+            const { value, done } = await iterator.next();
+            if (done) {
+                ended = true;
+            } else {
+                chunks.push(value);
+                buffered += value.length;
+            }
+        }
+    };
+
+    const take = (length) => {
+        const all = chunks.length === 1 ? chunks[0] : Buffer.concat(chunks);
+        chunks.length = 0;
+        if (all.length > length) chunks.push(all.subarray(length));
+        buffered = all.length - length;
+        return all.subarray(0, length);
+    };
+
+    return {
+        async read(length) {
+            await fill(length);
+            return take(Math.min(length, buffered));
+        },
+        async skip(length) {
+            while (length > 0) {
+                await fill(Math.min(length, WINDOW_SIZE));
+                if (buffered === 0) return;
+
+                const count = Math.min(length, buffered);
+                take(count);
+                length -= count;
+            }
+        }
+    };
+};
+
+/**
+ * Parse a numeric tar header field (octal, or base-256 for large values)
+ * @param {Buffer} header - Header block
+ * @param {number} offset - Field offset
+ * @param {number} length - Field length
+ * @returns {number} Value
+ */
+const parseTarNumber = (header, offset, length) => {
+    if (header[offset] & 0x80) {
+        let value = header[offset] & 0x7f;
+        for (let i = 1; i < length; i++) {
+            value = value * 256 + header[offset + i];
+        }
+        return value;
+    }
+
+    const text = header.toString('latin1', offset, offset + length).replace(/[\0 ]+/g, '');
+    return text ? parseInt(text, 8) : 0;
+};
+
+/**
+ * Check a tar header block's checksum
+ * @param {Buffer} header - Header block
+ * @returns {boolean} True if it is a valid header
+ */
+const isTarHeader = (header) => {
+    if (header.length !== 512) return false;
+
+    let sum = 0;
+    for (let i = 0; i < 512; i++) {
+        sum += i >= 148 && i < 156 ? 0x20 : header[i];
+    }
+    return sum === parseTarNumber(header, 148, 8);
+};
+
+/**
+ * Read a tar string field
+ * @param {Buffer} header - Header block
+ * @param {number} offset - Field offset
+ * @param {number} length - Field length
+ * @returns {string} Value
+ */
+const tarString = (header, offset, length) => header.toString('utf8', offset, offset + length).replace(/\0[\s\S]*$/, '');
+
+/**
+ * Parse the records of a pax extended header ("<length> <key>=<value>\n")
+ * @param {Buffer} data - Header content
+ * @returns {Object} Values by key
+ */
+const parsePax = (data) => {
+    const values = {};
+    const text = data.toString('utf8');
+
+    for (let at = 0; at < text.length;) {
+        const space = text.indexOf(' ', at);
+        const length = parseInt(text.substring(at, space), 10);
+        if (space < 0 || !(length > 0)) break;
+
+        const record = text.substring(space + 1, at + length - 1);
+        const equals = record.indexOf('=');
+        if (equals > 0) {
+            values[record.substring(0, equals)] = record.substring(equals + 1);
+        }
+        at += length;
+    }
+
+    return values;
+};
+
+/**
+ * Inspects uploaded archives before they are stored: every entry is listed
+ * and checked for an unsafe path, and the archive as a whole is held to
+ * limits on entry count, expanded size, compression ratio and nesting depth.
+ * ZIP and gzip (including .tar.gz) are read here and actually decompressed,
+ * so sizes that lie are caught; nested archives are inspected in turn.
+ * 7z and RAR are listed by an external tool (libarchive's bsdtar by
+ * default); their declared sizes are trusted and archives inside them are
+ * counted towards the depth but not opened. Without the tool they are
+ * stored uninspected.
+ */
+class ArchiveInspectionService {
+    constructor() {
+        this.maxEntries = parseInt(process.env.ARCHIVE_MAX_ENTRIES) || 10000;
+        this.maxExpandedSize = parseInt(process.env.ARCHIVE_MAX_EXPANDED_SIZE) || 1024 * 1024 * 1024; // 1GB
+        this.maxRatio = parseInt(process.env.ARCHIVE_MAX_RATIO) || 100;
+        this.maxDepth = parseInt(process.env.ARCHIVE_MAX_DEPTH) || 3;
+        // Nested archives are decompressed into memory to be inspected
+        this.maxNestedSize = parseInt(process.env.ARCHIVE_MAX_NESTED_SIZE) || 64 * 1024 * 1024; // 64MB
+        // Entries kept in the stored listing; the counts cover all of them
+        this.listingLimit = parseInt(process.env.ARCHIVE_LISTING_LIMIT) || 1000;
+        this.lister = process.env.ARCHIVE_LISTER_PATH || 'bsdtar';
+        this.timeout = parseInt(process.env.ARCHIVE_INSPECTION_TIMEOUT) || 60 * 1000;
+        this.tempDir = process.env.UPLOAD_TMP_PATH || path.join(os.tmpdir(), 'secure-file-upload');
+    }
+
+    /**
+     * Check whether a MIME type is an archive that gets inspected
+     * @param {string} mimeType - Detected MIME type
+     * @returns {boolean} True for ZIP, gzip, 7z and RAR
+     */
+    supports(mimeType) {
+        return !!FORMATS[mimeType];
+    }
+
+    /**
+     * Inspect a staged plaintext upload
+     * @param {string} filePath - Path to the plaintext
+     * @param {string} mimeType - Detected MIME type
+     * @returns {Promise<Object>} Inspection record for File.archive
+     * @throws {AppError} If the archive breaks a limit or cannot be read
+     */
+    async inspectFile(filePath, mimeType) {
+        const { size } = await fs.promises.stat(filePath);
+        return this.inspect(diskReader(filePath, size), mimeType, filePath);
+    }
+
+    /**
+     * Inspect a stored file in the chunked format
+     * @param {StorageDriver} storage - Driver holding the blob
+     * @param {string} storagePath - Blob key
+     * @param {Buffer} fileKey - File data key
+     * @param {number} size - Plaintext size
+     * @param {string} mimeType - Detected MIME type
+     * @returns {Promise<Object>} Inspection record for File.archive
+     * @throws {AppError} If the archive breaks a limit or cannot be read
+     */
+    inspectStored(storage, storagePath, fileKey, size, mimeType) {
+        return this.inspect(storedReader(storage, storagePath, fileKey, size), mimeType);
+    }
+
+    /**
+     * Inspect an archive through a reader
+     * @param {Object} reader - `{ size, read(start, length) }`
+     * @param {string} mimeType - Detected MIME type
+     * @param {string} [filePath] - Plaintext on disk, if there is one
+     * @returns {Promise<Object>} Inspection record for File.archive
+     * @throws {AppError} If the archive breaks a limit or cannot be read
+     */
+    async inspect(reader, mimeType, filePath) {
+        const context = { entries: [], entryCount: 0, expandedSize: 0, depth: 0, format: FORMATS[mimeType] };
+
+        try {
+            await this.inspectArchive(reader, FORMATS[mimeType], '', 1, context, filePath);
+        } catch (error) {
+            if (error instanceof AppError) {
+                logger.warn(error.message);
+                throw error;
+            }
+            if (error.code === 'ENOENT' && error.syscall && error.syscall.startsWith('spawn')) {
+                logger.warn(`Archive lister ${this.lister} not installed; ${context.format} archive stored uninspected`);
+                return { format: context.format, status: 'unsupported', inspectedAt: new Date() };
+            }
+
+            logger.warn(`Archive inspection failed: ${error.message}`);
+            throw new AppError('The archive is damaged or could not be read', 400);
+        }
+
+        return {
+            format: context.format,
+            status: 'inspected',
+            entryCount: context.entryCount,
+            expandedSize: context.expandedSize,
+            depth: context.depth,
+            entries: context.entries,
+            truncated: context.entryCount > context.entries.length,
+            inspectedAt: new Date()
+        };
+    }
+
+    /**
+     * Inspect one archive, at the top level or nested in another
+     * @param {Object} reader - Reader over the archive
+     * @param {string} format - 'zip', 'gzip', '7z' or 'rar'
+     * @param {string} prefix - Path of the archive inside its parents ('' at the top)
+     * @param {number} depth - Nesting level (1 at the top)
+     * @param {Object} context - Totals shared by the whole inspection
+     * @param {string} [filePath] - The archive on disk, if it is there
+     * @returns {Promise<void>}
+     */
+    async inspectArchive(reader, format, prefix, depth, context, filePath) {
+        if (depth > this.maxDepth) {
+            throw rejection(`archives are nested more than ${this.maxDepth} levels deep`);
+        }
+        context.depth = Math.max(context.depth, depth);
+
+        const expandedBefore = context.expandedSize;
+
+        if (format === 'zip') {
+            await this.inspectZip(reader, prefix, depth, context);
+        } else if (format === 'gzip') {
+            await this.inspectGzip(reader, prefix, depth, context);
+        } else {
+            await this.withFile(reader, filePath, file => this.inspectListed(file, prefix, depth, context));
+        }
+
+        const expanded = context.expandedSize - expandedBefore;
+        if (expanded > RATIO_MIN_SIZE && expanded / Math.max(reader.size, 1) > this.maxRatio) {
+            throw rejection(`it expands more than ${this.maxRatio} times its size`);
+        }
+    }
+
+    /**
+     * Count an entry against the limits and add it to the listing
+     * @param {Object} context - Inspection totals
+     * @param {string} prefix - Path of the containing archive
+     * @param {number} depth - Nesting level of the containing archive
+     * @param {Object} entry - `{ path, size, compressedSize, isDirectory, encrypted, linkTarget }`
+     */
+    addEntry(context, prefix, depth, entry) {
+        this.checkPath(entry.path);
+        if (entry.linkTarget !== undefined) {
+            this.checkLinkTarget(entry.path, entry.linkTarget);
+        }
+
+        context.entryCount++;
+        if (context.entryCount > this.maxEntries) {
+            throw rejection(`it has more than ${this.maxEntries} entries`);
+        }
+
+        context.expandedSize += entry.size || 0;
+        if (context.expandedSize > this.maxExpandedSize) {
+            throw rejection(`it expands to more than ${Math.round(this.maxExpandedSize / (1024 * 1024))}MB`);
+        }
+
+        if (entry.compressedSize !== undefined && entry.size > RATIO_MIN_SIZE &&
+            entry.size / Math.max(entry.compressedSize, 1) > this.maxRatio) {
+            throw rejection(`"${prefix}${entry.path}" is compressed more than ${this.maxRatio}:1`);
+        }
+
+        if (context.entries.length < this.listingLimit) {
+            context.entries.push({
+                path: prefix + entry.path,
+                size: entry.size,
+                compressedSize: entry.compressedSize,
+                isDirectory: !!entry.isDirectory,
+                encrypted: entry.encrypted || undefined,
+                depth
+            });
+        }
+    }
+
+    /**
+     * Reject entry names that would be written outside the extraction folder
+     * @param {string} name - Entry name
+     * @throws {AppError} If it is absolute or climbs out with ".."
+     */
+    checkPath(name) {
+        const normalized = String(name).replace(/\\/g, '/');
+
+        if (!normalized || normalized.includes('\0') || normalized.startsWith('/') ||
+            /^[a-zA-Z]:/.test(normalized) || normalized.split('/').includes('..')) {
+            throw rejection(`entry "${name}" has an unsafe path`);
+        }
+    }
+
+    /**
+     * Reject links that point outside the extraction folder
+     * @param {string} name - Link entry name
+     * @param {string} target - Link target
+     * @throws {AppError} If the target is absolute or resolves outside
+     */
+    checkLinkTarget(name, target) {
+        const normalized = String(target).replace(/\\/g, '/');
+        const resolved = path.posix.normalize(path.posix.join(path.posix.dirname(name.replace(/\\/g, '/')), normalized));
+
+        if (!normalized || normalized.startsWith('/') || /^[a-zA-Z]:/.test(normalized) ||
+            resolved === '..' || resolved.startsWith('../')) {
+            throw rejection(`link "${name}" points outside the archive`);
+        }
+    }
+
+    /**
+     * Inspect a ZIP archive from its central directory, decompressing every
+     * entry to confirm its size
+     * @param {Object} reader - Reader over the archive
+     * @param {string} prefix - Path of the archive inside its parents
+     * @param {number} depth - Nesting level
+     * @param {Object} context - Inspection totals
+     * @returns {Promise<void>}
+     */
+    async inspectZip(reader, prefix, depth, context) {
+        const directory = await readCentralDirectory(reader, { maxEntries: this.maxEntries - context.entryCount + 1 });
+        if (!directory) {
+            throw new Error('ZIP central directory not found');
+        }
+        if (context.entryCount + directory.total > this.maxEntries) {
+            throw rejection(`it has more than ${this.maxEntries} entries`);
+        }
+
+        for (const entry of directory.entries) {
+            const isLink = entry.mode !== undefined && (entry.mode & S_IFMT) === S_IFLNK;
+
+            this.addEntry(context, prefix, depth, {
+                path: entry.name,
+                size: entry.size,
+                compressedSize: entry.compressedSize,
+                isDirectory: entry.isDirectory,
+                encrypted: entry.encrypted
+            });
+
+            // Encrypted entries and rare compression methods cannot be opened
+            if (entry.isDirectory || entry.encrypted || ![0, 8].includes(entry.method)) continue;
+
+            const content = await this.readZipEntry(reader, entry, prefix, isLink);
+
+            if (isLink) {
+                this.checkLinkTarget(entry.name, content.toString('utf8'));
+            } else if (content) {
+                await this.inspectNested(content, `${prefix}${entry.name}/`, depth + 1, context);
+            }
+        }
+    }
+
+    /**
+     * Decompress one ZIP entry, checking it produces exactly its declared
+     * size. Link targets and nested archives are kept; anything else is only
+     * counted.
+     * @param {Object} reader - Reader over the archive
+     * @param {Object} entry - Central directory entry
+     * @param {string} prefix - Path of the archive inside its parents
+     * @param {boolean} isLink - Whether the entry is a symbolic link
+     * @returns {Promise<Buffer|null>} Content, if kept
+     */
+    async readZipEntry(reader, entry, prefix, isLink) {
+        const header = await reader.read(entry.offset, 30);
+        if (header.length < 30 || header.readUInt32LE(0) !== ZIP_LOCAL_SIGNATURE) {
+            throw new Error(`Local header of ${entry.name} not found`);
+        }
+
+        // Extraction tools may use the local name rather than the central one
+        const nameLength = header.readUInt16LE(26);
+        const localName = (await reader.read(entry.offset + 30, nameLength)).toString('utf8');
+        this.checkPath(localName);
+
+        const dataStart = entry.offset + 30 + nameLength + header.readUInt16LE(28);
+        const label = `${prefix}${entry.name}`;
+
+        let bytes = 0;
+        let keep = null;
+        const kept = [];
+
+        const sink = new Writable({
+            write: (chunk, encoding, callback) => {
+                bytes += chunk.length;
+                if (bytes > entry.size) {
+                    return callback(rejection(`"${label}" is larger than it declares`));
+                }
+
+                if (keep === null) {
+                    keep = isLink || archiveFormatOf(chunk) !== null;
+                }
+                if (keep) {
+                    if (bytes > this.maxNestedSize) {
+                        return callback(rejection(`nested archive "${label}" is too large to inspect`));
+                    }
+                    kept.push(chunk);
+                }
+                callback();
+            }
+        });
+
+        await pipeline(
+            Readable.from(readWindows(reader, dataStart, entry.compressedSize)),
+            ...(entry.method === 8 ? [zlib.createInflateRaw()] : []),
+            sink
+        );
+
+        if (bytes !== entry.size) {
+            throw rejection(`"${label}" is smaller than it declares`);
+        }
+
+        return keep ? Buffer.concat(kept) : null;
+    }
+
+    /**
+     * Inspect a gzip file: a tarball is listed entry by entry, anything else
+     * is one compressed file. Decompression is counted as it goes, so a
+     * gzip bomb is stopped early.
+     * @param {Object} reader - Reader over the archive
+     * @param {string} prefix - Path of the archive inside its parents
+     * @param {number} depth - Nesting level
+     * @param {Object} context - Inspection totals
+     * @returns {Promise<void>}
+     */
+    async inspectGzip(reader, prefix, depth, context) {
+        const budget = this.maxExpandedSize - context.expandedSize;
+        const maxRatio = this.maxRatio;
+        let expanded = 0;
+
+        const counter = new Transform({
+            transform(chunk, encoding, callback) {
+                expanded += chunk.length;
+                if (expanded > budget) {
+                    return callback(rejection(`it expands to more than ${Math.round(budget / (1024 * 1024))}MB`));
+                }
+                if (expanded > RATIO_MIN_SIZE && expanded / Math.max(reader.size, 1) > maxRatio) {
+                    return callback(rejection(`it expands more than ${maxRatio} times its size`));
+                }
+                callback(null, chunk);
+            }
+        });
+
+        const stream = pipelineCallback(
+            Readable.from(readWindows(reader, 0, reader.size)),
+            zlib.createGunzip(),
+            counter,
+            () => {}
+        );
+
+        try {
+            const input = chunkReader(stream);
+            const first = await input.read(512);
+
+            if (isTarHeader(first)) {
+                if (depth === 1) context.format = 'tar.gz';
+                await this.inspectTar(input, first, prefix, depth, context);
+                return;
+            }
+
+            // A single compressed file, named in the header if at all
+            const name = (await this.gzipName(reader)) || 'content';
+            const content = archiveFormatOf(first) ? [first] : null;
+
+            while (true) {
+                const chunk = await input.read(WINDOW_SIZE);
+                if (chunk.length === 0) break;
+
+                if (content) {
+                    if (expanded > this.maxNestedSize) {
+                        throw rejection(`nested archive "${prefix}${name}" is too large to inspect`);
+                    }
+                    content.push(chunk);
+                }
+            }
+
+            this.addEntry(context, prefix, depth, { path: name, size: expanded, compressedSize: reader.size });
+
+            if (content) {
+                await this.inspectNested(Buffer.concat(content), `${prefix}${name}/`, depth + 1, context);
+            }
+        } finally {
+            stream.destroy();
+        }
+    }
+
+    /**
+     * Read the original file name from a gzip header
+     * @param {Object} reader - Reader over the gzip file
+     * @returns {Promise<string|undefined>} Name, if the header has one
+     */
+    async gzipName(reader) {
+        const header = await reader.read(0, 10 + 2 + 64 * 1024);
+        const flags = header[3];
+        if (!(flags & 0x08)) return undefined;
+
+        let at = 10;
+        if (flags & 0x04) at += 2 + header.readUInt16LE(10);
+
+        const end = header.indexOf(0, at);
+        return end > at ? header.toString('latin1', at, end) : undefined;
+    }
+
+    /**
+     * List the entries of a tar stream
+     * @param {Object} input - chunkReader over the uncompressed tar
+     * @param {Buffer} first - First header block, already read
+     * @param {string} prefix - Path of the archive inside its parents
+     * @param {number} depth - Nesting level
+     * @param {Object} context - Inspection totals
+     * @returns {Promise<void>}
+     */
+    async inspectTar(input, first, prefix, depth, context) {
+        let header = first;
+        let extended = {};
+
+        const readRecord = async (size) => {
+            if (size > MAX_TAR_RECORD) {
+                throw new Error('Tar metadata record too large');
+            }
+            const data = await input.read(size);
+            await input.skip((512 - (size % 512)) % 512);
+            return data;
+        };
+
+        while (header.length === 512 && !header.every(byte => byte === 0)) {
+            if (!isTarHeader(header)) {
+                throw new Error('Invalid tar header');
+            }
+
+            const size = parseTarNumber(header, 124, 12);
+            const type = header[156] ? String.fromCharCode(header[156]) : '0';
+
+            if (type === 'L' || type === 'K') {
+                // GNU long name or link target for the next entry
+                const value = tarString(await readRecord(size), 0, size);
+                extended[type === 'L' ? 'path' : 'linkpath'] = value;
+            } else if (type === 'x') {
+                extended = { ...extended, ...parsePax(await readRecord(size)) };
+            } else if (type === 'g') {
+                await readRecord(size);
+            } else {
+                const ustarPrefix = header.toString('latin1', 257, 262) === 'ustar' ? tarString(header, 345, 155) : '';
+                const headerName = tarString(header, 0, 100);
+                const name = extended.path || (ustarPrefix ? `${ustarPrefix}/${headerName}` : headerName);
+                const isLink = type === '1' || type === '2';
+                const isFile = type === '0' || type === '7';
+                const entrySize = isFile ? (extended.size ? parseInt(extended.size, 10) : size) : 0;
+
+                this.addEntry(context, prefix, depth, {
+                    path: name,
+                    size: entrySize,
+                    isDirectory: type === '5',
+                    linkTarget: isLink ? (extended.linkpath || tarString(header, 157, 100)) : undefined
+                });
+
+                const dataSize = isFile ? entrySize : size;
+                const head = await input.read(Math.min(dataSize, 512));
+                if (isFile && archiveFormatOf(head)) {
+                    if (entrySize > this.maxNestedSize) {
+                        throw rejection(`nested archive "${prefix}${name}" is too large to inspect`);
+                    }
+                    const content = Buffer.concat([head, await input.read(entrySize - head.length)]);
+                    await this.inspectNested(content, `${prefix}${name}/`, depth + 1, context);
+                } else {
+                    await input.skip(dataSize - head.length);
+                }
+                await input.skip((512 - (dataSize % 512)) % 512);
+
+                extended = {};
+            }
+
+            header = await input.read(512);
+        }
+    }
+
+    /**
+     * Inspect an archive found inside another one
+     * @param {Buffer} content - The nested archive
+     * @param {string} prefix - Its path, ending in '/'
+     * @param {number} depth - Its nesting level
+     * @param {Object} context - Inspection totals
+     * @returns {Promise<void>}
+     */
+    async inspectNested(content, prefix, depth, context) {
+        const format = archiveFormatOf(content);
+        if (!format) return;
+
+        try {
+            await this.inspectArchive(bufferReader(content), format, prefix, depth, context);
+        } catch (error) {
+            // Without the lister a nested 7z or RAR still counts towards the depth
+            if (error.code === 'ENOENT' && error.syscall && error.syscall.startsWith('spawn')) return;
+            throw error;
+        }
+    }
+
+    /**
+     * Inspect a 7z or RAR archive through the external lister
+     * @param {string} filePath - Archive on disk
+     * @param {string} prefix - Path of the archive inside its parents
+     * @param {number} depth - Nesting level
+     * @param {Object} context - Inspection totals
+     * @returns {Promise<void>}
+     */
+    async inspectListed(filePath, prefix, depth, context) {
+        const lines = await this.list(filePath, this.maxEntries - context.entryCount + 1);
+
+        for (const line of lines) {
+            // "-rw-r--r--  0 user group  1234 Jun 11 08:21 path/name[ -> target]"
+            const match = /^([-dlbcps?])\S{9}\s+\d+\s+\S+\s+\S+\s+(\d+)\s+\S+\s+\d+\s+\S+\s(.*)$/.exec(line);
+            if (!match) continue;
+
+            const [, kind, size, rest] = match;
+            const [name, target] = kind === 'l' ? rest.split(' -> ') : [rest];
+
+            this.addEntry(context, prefix, depth, {
+                path: name,
+                size: kind === '-' ? parseInt(size, 10) : 0,
+                isDirectory: kind === 'd',
+                linkTarget: kind === 'l' ? target : undefined
+            });
+
+            if (kind === '-' && ARCHIVE_NAME.test(name) && depth + 1 > this.maxDepth) {
+                throw rejection(`archives are nested more than ${this.maxDepth} levels deep`);
+            }
+            if (kind === '-' && ARCHIVE_NAME.test(name)) {
+                context.depth = Math.max(context.depth, depth + 1);
+            }
+        }
+    }
+
+    /**
+     * Run the external lister on an archive
+     * @param {string} filePath - Archive on disk
+     * @param {number} maxLines - Stop (and reject) after this many entries
+     * @returns {Promise<string[]>} Listing lines
+     * @throws {Error} With code ENOENT if the lister is not installed
+     */
+    list(filePath, maxLines) {
+        return new Promise((resolve, reject) => {
+            const child = spawn(this.lister, ['-tvf', filePath], { stdio: ['ignore', 'pipe', 'pipe'] });
+
+            let output = '';
+            let lineCount = 0;
+            let stderr = '';
+            let settled = false;
+
+            const finish = (error, lines) => {
+                if (settled) return;
+                settled = true;
+                clearTimeout(timer);
+                if (error) {
+                    child.kill('SIGKILL');
+                    reject(error);
+                } else {
+                    resolve(lines);
+                }
+            };
+
+            const timer = setTimeout(() => finish(new Error('Archive listing timed out')), this.timeout);
+
+            child.on('error', error => finish(error));
+            child.stdout.on('data', (chunk) => {
+                output += chunk.toString('utf8');
+                lineCount += chunk.toString('utf8').split('\n').length - 1;
+                if (lineCount > maxLines) {
+                    finish(rejection(`it has more than ${this.maxEntries} entries`));
+                }
+            });
+            child.stderr.on('data', (chunk) => {
+                stderr = (stderr + chunk).slice(-500);
+            });
+            child.on('close', (code) => {
+                if (code === 0) {
+                    finish(null, output.split('\n').filter(Boolean));
+                } else {
+                    finish(new Error(`Archive listing failed: ${stderr.trim() || `exit code ${code}`}`));
+                }
+            });
+        });
+    }
+
+    /**
+     * Run a function on the archive as a file on disk, writing a private
+     * temporary copy when it only exists elsewhere (the lister needs to seek)
+     * @param {Object} reader - Reader over the archive
+     * @param {string} [filePath] - The archive on disk, if it is there
+     * @param {Function} fn - Receives the path
+     * @returns {Promise<*>} What fn returns
+     */
+    async withFile(reader, filePath, fn) {
+        if (filePath) return fn(filePath);
+
+        await fs.promises.mkdir(this.tempDir, { recursive: true });
+        const tempPath = path.join(this.tempDir, `${uuidv4()}.inspect`);
+
+        try {
+            await pipeline(
+                Readable.from(readWindows(reader, 0, reader.size)),
+                fs.createWriteStream(tempPath, { mode: 0o600 })
+            );
+            return await fn(tempPath);
+        } finally {
+            await fs.promises.rm(tempPath, { force: true });
+        }
+    }
+}
+
+module.exports = new ArchiveInspectionService();
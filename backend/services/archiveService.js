@@ -0,0 +1,150 @@
+const { Readable } = require('stream');
+const File = require('../models/File');
+const AppError = require('../utils/AppError');
+const ZipWriter = require('../utils/ZipWriter');
+const encryptionService = require('./encryptionService');
+const keyService = require('./keyService');
+const storageService = require('./storageService');
+const folderService = require('./folderService');
+const logger = require('../utils/logger');
+
+const MANIFEST_NAME = 'MANIFEST.sha256';
+
+// Already compressed content gains nothing from deflate
+const STORED_TYPES = /^(image\/(jpeg|png|gif|webp)|video\/|audio\/|application\/(zip|x-rar-compressed|x-7z-compressed|gzip|x-gzip|pdf))/;
+
+/**
+ * Make a file name safe to use as one path segment inside an archive
+ * @param {string} name - Original name
+ * @returns {string} Safe name
+ */
+const safeSegment = (name) => {
+    const cleaned = String(name).replace(/[/\\\x00-\x1f]/g, '_').trim();
+    return cleaned === '' || cleaned === '.' || cleaned === '..' ? '_' : cleaned;
+};
+
+/**
+ * Builds ZIP downloads of a user's files on the fly: each file is decrypted,
+ * verified against its checksum and compressed straight into the response,
+ * so nothing is staged on disk.
+ */
+class ArchiveService {
+    constructor() {
+        this.maxFiles = parseInt(process.env.ARCHIVE_MAX_FILES) || 1000;
+        this.maxSize = parseInt(process.env.ARCHIVE_MAX_SIZE) || 10 * 1024 * 1024 * 1024; // 10GB
+    }
+
+    /**
+     * Resolve the files an archive request selects
+     * @param {string} userId - Owner
+     * @param {Object} selection - Selection
+     * @param {string[]} [selection.fileIds] - Individual files
+     * @param {string} [selection.folder] - Folder path; everything below it is included
+     * @returns {Promise<Object[]>} Files with storagePath selected, sorted by path
+     */
+    async resolveFiles(userId, { fileIds, folder }) {
+        const hasIds = Array.isArray(fileIds) && fileIds.length > 0;
+
+        if (!hasIds && folder === undefined) {
+            throw new AppError('Please provide file IDs or a folder to download', 400);
+        }
+
+        const conditions = [];
+        if (hasIds) {
+            conditions.push({ _id: { $in: fileIds } });
+        }
+        if (folder !== undefined) {
+            const path = folderService.normalizePath(folder);
+            await folderService.requireFolder(userId, path);
+            conditions.push({ folder: folderService.subtree(path) });
+        }
+
+        // Quarantined files are left out, as they cannot be downloaded
+        const files = await File.find({ user: userId, $or: conditions, 'scan.status': { $ne: 'infected' } })
+            .select('+storagePath')
+            .sort({ folder: 1, originalName: 1 })
+            .limit(this.maxFiles + 1);
+
+        if (files.length === 0) {
+            throw new AppError('No files found', 404);
+        }
+        if (files.length > this.maxFiles) {
+            throw new AppError(`Cannot download more than ${this.maxFiles} files at once`, 400);
+        }
+
+        const totalSize = files.reduce((acc, file) => acc + file.originalSize, 0);
+        if (totalSize > this.maxSize) {
+            throw new AppError(`Selection too large. Maximum archive size is ${Math.round(this.maxSize / (1024 * 1024))}MB.`, 400);
+        }
+
+        return files;
+    }
+
+    /**
+     * Work out each file's path inside the archive from its folder, keeping
+     * names unique
+     * @param {Object[]} files - Files
+     * @returns {string[]} Entry names, in the same order
+     */
+    entryNames(files) {
+        const used = new Set([MANIFEST_NAME.toLowerCase()]);
+
+        return files.map(file => {
+            const folder = (file.folder || '/').split('/').filter(Boolean).map(safeSegment);
+            const name = safeSegment(file.originalName);
+            const dot = name.lastIndexOf('.');
+            const [base, ext] = dot > 0 ? [name.slice(0, dot), name.slice(dot)] : [name, ''];
+
+            let candidate = [...folder, name].join('/');
+            for (let n = 2; used.has(candidate.toLowerCase()); n++) {
+                candidate = [...folder, `${base} (${n})${ext}`].join('/');
+            }
+
+            used.add(candidate.toLowerCase());
+            return candidate;
+        });
+    }
+
+    /**
+     * Stream the archive into the response, followed by a manifest of SHA-256
+     * checksums in `sha256sum` format. Once the first byte is sent, a failure
+     * can only abort the response.
+     * @param {Object} res - Express response (headers already set)
+     * @param {Object} user - Owner with key fields selected
+     * @param {Object[]} files - Files from resolveFiles
+     * @returns {Promise<void>} Resolves once the archive has been written
+     */
+    async streamArchive(res, user, files) {
+        const zip = new ZipWriter(res);
+        const names = this.entryNames(files);
+        const manifest = [];
+
+        for (const [index, file] of files.entries()) {
+            const digest = encryptionService.createDigestStream(file.checksum);
+
+            await zip.addEntry(
+                names[index],
+                [
+                    storageService.forFile(file).createReadStream(file.storagePath),
+                    encryptionService.createDecryptStream(keyService.getFileKey(user, file), file.encryptionMetadata.format),
+                    digest
+                ],
+                {
+                    date: file.versionUploadedAt || file.createdAt,
+                    store: file.isClientEncrypted || STORED_TYPES.test(file.mimeType)
+                }
+            );
+
+            // Browser-encrypted files go in as the ciphertext the server holds
+            manifest.push(`${digest.digest}  ${names[index]}`);
+        }
+
+        await zip.addEntry(MANIFEST_NAME, Readable.from([Buffer.from(manifest.join('\n') + '\n', 'utf8')]));
+
+        await zip.finalize();
+
+        logger.info(`Archive of ${files.length} file(s) downloaded by user ${user.email}`);
+    }
+}
+
+module.exports = new ArchiveService();
@@ -1,8 +1,14 @@
 const crypto = require('crypto');
 const fs = require('fs');
-const path = require('path');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
 const logger = require('../utils/logger');
 
+// Chunked format: MAGIC | version (1) | chunkSize (4) | salt | noncePrefix,
+// followed by chunks of (ciphertext | tag), each sealed with its own nonce.
+const FORMAT_MAGIC = Buffer.from('SVEC');
+const FORMAT_VERSION = 1;
+
 class EncryptionService {
     constructor() {
         this.algorithm = 'aes-256-gcm';
@@ -11,6 +17,10 @@ class EncryptionService {
         this.saltLength = 64;
         this.tagLength = 16;
         this.pbkdf2Iterations = 100000;
+        this.noncePrefixLength = 8;
+        this.chunkSize = parseInt(process.env.ENCRYPTION_CHUNK_SIZE) || 64 * 1024; // 64KB
+        this.maxChunkSize = 16 * 1024 * 1024;
+        this.headerLength = FORMAT_MAGIC.length + 1 + 4 + this.saltLength + this.noncePrefixLength;
     }
 
     /**
@@ -53,6 +63,20 @@ class EncryptionService {
         );
     }
 
+    /**
+     * Derive the per-file stream key. Random data keys (Buffers) are expanded
+     * with HKDF; legacy per-user key strings go through PBKDF2.
+     * @param {Buffer|string} keyMaterial - File data key or legacy user key
+     * @param {Buffer} salt - Salt from the file header
+     * @returns {Buffer} Derived key
+     */
+    deriveFileKey(keyMaterial, salt) {
+        if (Buffer.isBuffer(keyMaterial)) {
+            return Buffer.from(crypto.hkdfSync('sha256', keyMaterial, salt, 'securevault-file', this.keyLength));
+        }
+        return this.deriveKey(keyMaterial, salt);
+    }
+
     /**
      * Encrypt data
      * @param {Buffer} data - Data to encrypt
@@ -132,138 +156,406 @@ class EncryptionService {
         }
     }
 
+    /**
+     * Create a transform stream that encrypts plaintext into the chunked format
+     * @param {Buffer|string} userKey - File data key, or legacy user key
+     * @param {Object} [options] - Stream options
+     * @param {number} [options.chunkSize] - Plaintext bytes per chunk
+     * @returns {EncryptStream} Transform stream emitting header + sealed chunks
+     */
+    createEncryptStream(userKey, options = {}) {
+        const chunkSize = options.chunkSize || this.chunkSize;
+        const salt = this.generateSalt();
+        const noncePrefix = crypto.randomBytes(this.noncePrefixLength);
+        const key = this.deriveFileKey(userKey, salt);
+        const header = this.buildHeader(chunkSize, salt, noncePrefix);
+
+        return new EncryptStream(this, key, header, noncePrefix, chunkSize);
+    }
+
+    /**
+     * Start a chunked ciphertext whose plaintext arrives in separate pieces
+     * (resumable uploads). Returns the header to persist; pass it to
+     * createSealStream for each piece.
+     * @param {Object} [options] - Options
+     * @param {number} [options.chunkSize] - Plaintext bytes per chunk
+     * @returns {Buffer} Serialized file header
+     */
+    createHeader(options = {}) {
+        return this.buildHeader(
+            options.chunkSize || this.chunkSize,
+            this.generateSalt(),
+            crypto.randomBytes(this.noncePrefixLength)
+        );
+    }
+
+    /**
+     * Create a transform stream that seals one piece of a chunked ciphertext
+     * started with createHeader. Only complete chunks are emitted; leftover
+     * plaintext is exposed as `tail` once the stream ends so it can be fed to
+     * the next piece. The chunk ending at `totalSize` is sealed as final.
+     * @param {Buffer|string} userKey - File data key, or legacy user key
+     * @param {Buffer} header - Serialized file header
+     * @param {Object} options - Piece position
+     * @param {number} options.offset - Plaintext bytes already received (including tail)
+     * @param {number} options.totalSize - Total plaintext size in bytes
+     * @param {Buffer} [options.tail] - Plaintext left over from the previous piece
+     * @returns {SealStream} Transform stream emitting sealed chunks (no header)
+     */
+    createSealStream(userKey, header, options) {
+        const parsed = this.parseHeader(header);
+        const key = this.deriveFileKey(userKey, parsed.salt);
+
+        return new SealStream(this, key, parsed, options);
+    }
+
+    /**
+     * Encrypt a small buffer under a random IV (for state kept outside the
+     * chunked format, such as an upload's unsealed tail)
+     * @param {Buffer} key - 256-bit key
+     * @param {Buffer} data - Data to encrypt
+     * @param {string} context - Additional authenticated data
+     * @returns {string} Base64 of iv + tag + ciphertext
+     */
+    sealBuffer(key, data, context) {
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv(this.algorithm, key, iv);
+        cipher.setAAD(Buffer.from(context));
+
+        const encrypted = Buffer.concat([cipher.update(data), cipher.final()]);
+
+        return Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString('base64');
+    }
+
+    /**
+     * Decrypt a buffer produced by sealBuffer
+     * @param {Buffer} key - 256-bit key
+     * @param {string} sealed - Base64 of iv + tag + ciphertext
+     * @param {string} context - Additional authenticated data used when sealing
+     * @returns {Buffer} Decrypted data
+     */
+    openBuffer(key, sealed, context) {
+        const data = Buffer.from(sealed, 'base64');
+        const decipher = crypto.createDecipheriv(this.algorithm, key, data.subarray(0, 12));
+        decipher.setAAD(Buffer.from(context));
+        decipher.setAuthTag(data.subarray(12, 12 + this.tagLength));
+
+        return Buffer.concat([decipher.update(data.subarray(12 + this.tagLength)), decipher.final()]);
+    }
+
+    /**
+     * Create a transform stream that decrypts stored ciphertext
+     * @param {Buffer|string} userKey - File data key, or legacy user key
+     * @param {string} [format='chunked'] - Storage format ('chunked' or 'legacy')
+     * @returns {Transform} Transform stream emitting plaintext
+     */
+    createDecryptStream(userKey, format = 'chunked') {
+        if (format === 'legacy') {
+            return new LegacyDecryptStream(this, userKey);
+        }
+        return new DecryptStream(this, userKey);
+    }
+
+    /**
+     * Create a transform stream that decrypts only the chunks covering a
+     * plaintext byte range. Feed it the ciphertext bytes from `cipherStart`
+     * to `cipherEnd` (inclusive).
+     * @param {Buffer|string} userKey - File data key, or legacy user key
+     * @param {Object} header - Parsed file header (see parseHeader)
+     * @param {number} plaintextSize - Total plaintext size in bytes
+     * @param {number} start - First plaintext byte (inclusive)
+     * @param {number} end - Last plaintext byte (inclusive)
+     * @returns {Object} Ciphertext offsets and the decrypt stream
+     */
+    createRangeDecryptStream(userKey, header, plaintextSize, start, end) {
+        const { chunkSize } = header;
+        const sealedSize = chunkSize + this.tagLength;
+        const firstChunk = Math.floor(start / chunkSize);
+        const lastChunk = Math.floor(end / chunkSize);
+        const finalChunk = Math.max(1, Math.ceil(plaintextSize / chunkSize)) - 1;
+
+        if (start > end || end >= plaintextSize) {
+            throw new Error('Invalid plaintext range');
+        }
+
+        const stream = new DecryptStream(this, userKey, {
+            header,
+            key: this.deriveFileKey(userKey, header.salt),
+            startIndex: firstChunk,
+            finalIndex: finalChunk,
+            skip: start - firstChunk * chunkSize,
+            length: end - start + 1
+        });
+
+        return {
+            cipherStart: this.headerLength + firstChunk * sealedSize,
+            cipherEnd: Math.min(
+                this.headerLength + (lastChunk + 1) * sealedSize,
+                this.encryptedSizeFor(plaintextSize, chunkSize)
+            ) - 1,
+            stream
+        };
+    }
+
+    /**
+     * Read and parse the header of a chunked ciphertext on disk
+     * @param {string} filePath - Path to encrypted file
+     * @returns {Promise<Object>} Parsed header fields
+     */
+    async readFileHeader(filePath) {
+        const handle = await fs.promises.open(filePath, 'r');
+        try {
+            const header = Buffer.alloc(this.headerLength);
+            const { bytesRead } = await handle.read(header, 0, this.headerLength, 0);
+            return this.parseHeader(header.subarray(0, bytesRead));
+        } finally {
+            await handle.close();
+        }
+    }
+
+    /**
+     * Create a pass-through stream that hashes and counts the bytes flowing through it
+     * @param {string} [expectedChecksum] - Fail the stream on flush if the digest differs
+     * @returns {DigestStream} Stream exposing `digest` and `bytes` once finished
+     */
+    createDigestStream(expectedChecksum) {
+        return new DigestStream(expectedChecksum);
+    }
+
+    /**
+     * Build the versioned header that prefixes every chunked ciphertext
+     * @param {number} chunkSize - Plaintext bytes per chunk
+     * @param {Buffer} salt - Key derivation salt
+     * @param {Buffer} noncePrefix - Random per-file nonce prefix
+     * @returns {Buffer} Serialized header
+     */
+    buildHeader(chunkSize, salt, noncePrefix) {
+        const header = Buffer.alloc(this.headerLength);
+        let offset = FORMAT_MAGIC.copy(header, 0);
+        offset = header.writeUInt8(FORMAT_VERSION, offset);
+        offset = header.writeUInt32BE(chunkSize, offset);
+        offset += salt.copy(header, offset);
+        noncePrefix.copy(header, offset);
+        return header;
+    }
+
+    /**
+     * Parse and validate a chunked ciphertext header
+     * @param {Buffer} header - First `headerLength` bytes of the ciphertext
+     * @returns {Object} Parsed header fields
+     */
+    parseHeader(header) {
+        if (header.length < this.headerLength || !header.subarray(0, FORMAT_MAGIC.length).equals(FORMAT_MAGIC)) {
+            throw new Error('Unrecognized encrypted file format');
+        }
+
+        let offset = FORMAT_MAGIC.length;
+        const version = header.readUInt8(offset);
+        offset += 1;
+
+        if (version !== FORMAT_VERSION) {
+            throw new Error(`Unsupported encrypted file format version: ${version}`);
+        }
+
+        const chunkSize = header.readUInt32BE(offset);
+        offset += 4;
+
+        if (chunkSize === 0 || chunkSize > this.maxChunkSize) {
+            throw new Error('Invalid chunk size in encrypted file header');
+        }
+
+        const salt = header.subarray(offset, offset + this.saltLength);
+        offset += this.saltLength;
+        const noncePrefix = header.subarray(offset, offset + this.noncePrefixLength);
+
+        return {
+            version,
+            chunkSize,
+            salt,
+            noncePrefix,
+            raw: header.subarray(0, this.headerLength)
+        };
+    }
+
+    /**
+     * Build the GCM nonce for a chunk
+     * @param {Buffer} noncePrefix - Per-file nonce prefix
+     * @param {number} index - Chunk index
+     * @returns {Buffer} 12-byte nonce
+     */
+    chunkNonce(noncePrefix, index) {
+        const nonce = Buffer.alloc(this.noncePrefixLength + 4);
+        noncePrefix.copy(nonce, 0);
+        nonce.writeUInt32BE(index, this.noncePrefixLength);
+        return nonce;
+    }
+
+    /**
+     * Build the additional authenticated data for a chunk. Binding the header,
+     * the chunk index and the final flag stops chunks from being reordered,
+     * dropped, or the stream from being truncated at a chunk boundary.
+     * @param {Buffer} header - Serialized file header
+     * @param {number} index - Chunk index
+     * @param {boolean} isFinal - Whether this is the last chunk
+     * @returns {Buffer} AAD
+     */
+    chunkAAD(header, index, isFinal) {
+        const trailer = Buffer.alloc(5);
+        trailer.writeUInt32BE(index, 0);
+        trailer.writeUInt8(isFinal ? 1 : 0, 4);
+        return Buffer.concat([header, trailer]);
+    }
+
+    /**
+     * Seal one plaintext chunk
+     * @param {Buffer} key - Derived file key
+     * @param {Buffer} header - Serialized file header
+     * @param {Buffer} noncePrefix - Per-file nonce prefix
+     * @param {number} index - Chunk index
+     * @param {Buffer} plaintext - Chunk plaintext
+     * @param {boolean} isFinal - Whether this is the last chunk
+     * @returns {Buffer} Ciphertext followed by its auth tag
+     */
+    sealChunk(key, header, noncePrefix, index, plaintext, isFinal) {
+        const cipher = crypto.createCipheriv(this.algorithm, key, this.chunkNonce(noncePrefix, index), {
+            authTagLength: this.tagLength
+        });
+        cipher.setAAD(this.chunkAAD(header, index, isFinal));
+        return Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+    }
+
+    /**
+     * Open one sealed chunk
+     * @param {Buffer} key - Derived file key
+     * @param {Buffer} header - Serialized file header
+     * @param {Buffer} noncePrefix - Per-file nonce prefix
+     * @param {number} index - Chunk index
+     * @param {Buffer} sealed - Ciphertext followed by its auth tag
+     * @param {boolean} isFinal - Whether this is the last chunk
+     * @returns {Buffer} Chunk plaintext
+     */
+    openChunk(key, header, noncePrefix, index, sealed, isFinal) {
+        if (sealed.length < this.tagLength) {
+            throw new Error('Truncated encrypted chunk');
+        }
+
+        const decipher = crypto.createDecipheriv(this.algorithm, key, this.chunkNonce(noncePrefix, index), {
+            authTagLength: this.tagLength
+        });
+        decipher.setAAD(this.chunkAAD(header, index, isFinal));
+        decipher.setAuthTag(sealed.subarray(sealed.length - this.tagLength));
+
+        return Buffer.concat([
+            decipher.update(sealed.subarray(0, sealed.length - this.tagLength)),
+            decipher.final()
+        ]);
+    }
+
+    /**
+     * Calculate the ciphertext size for a given plaintext size
+     * @param {number} plaintextSize - Plaintext size in bytes
+     * @param {number} [chunkSize] - Plaintext bytes per chunk
+     * @returns {number} Encrypted size in bytes
+     */
+    encryptedSizeFor(plaintextSize, chunkSize = this.chunkSize) {
+        const chunks = Math.max(1, Math.ceil(plaintextSize / chunkSize));
+        return this.headerLength + plaintextSize + chunks * this.tagLength;
+    }
+
+    /**
+     * Encrypt a stream into a destination stream
+     * @param {Readable} source - Plaintext stream
+     * @param {Writable} destination - Receives the ciphertext
+     * @param {Buffer|string} userKey - File data key, or legacy user key
+     * @returns {Promise<Object>} Encryption result
+     */
+    async encryptStream(source, destination, userKey) {
+        const plainDigest = this.createDigestStream();
+        const encryptedDigest = this.createDigestStream();
+        const cipher = this.createEncryptStream(userKey);
+
+        await pipeline(source, plainDigest, cipher, encryptedDigest, destination);
+
+        return {
+            success: true,
+            checksum: plainDigest.digest,
+            encryptedChecksum: encryptedDigest.digest,
+            metadata: {
+                ...this.getStreamMetadata(cipher.chunkSize, Buffer.isBuffer(userKey)),
+                originalSize: plainDigest.bytes,
+                encryptedSize: encryptedDigest.bytes
+            }
+        };
+    }
+
     /**
      * Encrypt a file
      * @param {string} inputPath - Path to input file
      * @param {string} outputPath - Path to output encrypted file
-     * @param {string} userKey - User's encryption key
+     * @param {Buffer|string} userKey - File data key, or legacy user key
      * @returns {Promise<Object>} Encryption result
      */
     async encryptFile(inputPath, outputPath, userKey) {
-        return new Promise((resolve, reject) => {
-            try {
-                const salt = this.generateSalt();
-                const iv = this.generateIV();
-                const key = this.deriveKey(userKey, salt);
-
-                const cipher = crypto.createCipheriv(this.algorithm, key, iv);
-
-                const input = fs.createReadStream(inputPath);
-                const output = fs.createWriteStream(outputPath);
-
-                // Write salt and IV at the beginning
-                output.write(salt);
-                output.write(iv);
-
-                // Reserve space for auth tag (will be written at the end)
-                const tagPlaceholder = Buffer.alloc(this.tagLength);
-                output.write(tagPlaceholder);
-
-                let bytesWritten = this.saltLength + this.ivLength + this.tagLength;
-
-                input.pipe(cipher).pipe(output);
-
-                output.on('finish', () => {
-                    // Get auth tag and write it
-                    const authTag = cipher.getAuthTag();
-                    
-                    // Open file and write auth tag at the correct position
-                    const fd = fs.openSync(outputPath, 'r+');
-                    fs.writeSync(fd, authTag, 0, this.tagLength, this.saltLength + this.ivLength);
-                    fs.closeSync(fd);
-
-                    const stats = fs.statSync(outputPath);
-
-                    resolve({
-                        success: true,
-                        outputPath,
-                        metadata: {
-                            algorithm: this.algorithm,
-                            originalSize: fs.statSync(inputPath).size,
-                            encryptedSize: stats.size
-                        }
-                    });
-                });
-
-                input.on('error', (error) => {
-                    reject(new Error('Failed to read input file: ' + error.message));
-                });
-
-                output.on('error', (error) => {
-                    reject(new Error('Failed to write output file: ' + error.message));
-                });
-
-                cipher.on('error', (error) => {
-                    reject(new Error('Encryption failed: ' + error.message));
-                });
-
-            } catch (error) {
-                reject(error);
-            }
-        });
+        try {
+            const result = await this.encryptStream(
+                fs.createReadStream(inputPath),
+                fs.createWriteStream(outputPath),
+                userKey
+            );
+            return { ...result, outputPath };
+        } catch (error) {
+            fs.rmSync(outputPath, { force: true });
+            throw new Error('Encryption failed: ' + error.message);
+        }
     }
 
     /**
      * Decrypt a file
      * @param {string} inputPath - Path to encrypted file
      * @param {string} outputPath - Path to output decrypted file
-     * @param {string} userKey - User's encryption key
+     * @param {Buffer|string} userKey - File data key, or legacy user key
+     * @param {string} [format='chunked'] - Storage format ('chunked' or 'legacy')
      * @returns {Promise<Object>} Decryption result
      */
-    async decryptFile(inputPath, outputPath, userKey) {
-        return new Promise((resolve, reject) => {
-            try {
-                const fd = fs.openSync(inputPath, 'r');
-                
-                // Read salt, IV, and auth tag
-                const salt = Buffer.alloc(this.saltLength);
-                const iv = Buffer.alloc(this.ivLength);
-                const authTag = Buffer.alloc(this.tagLength);
-
-                fs.readSync(fd, salt, 0, this.saltLength, 0);
-                fs.readSync(fd, iv, 0, this.ivLength, this.saltLength);
-                fs.readSync(fd, authTag, 0, this.tagLength, this.saltLength + this.ivLength);
-                fs.closeSync(fd);
-
-                const key = this.deriveKey(userKey, salt);
-
-                const decipher = crypto.createDecipheriv(this.algorithm, key, iv);
-                decipher.setAuthTag(authTag);
-
-                const headerSize = this.saltLength + this.ivLength + this.tagLength;
-                const input = fs.createReadStream(inputPath, { start: headerSize });
-                const output = fs.createWriteStream(outputPath);
-
-                input.pipe(decipher).pipe(output);
-
-                output.on('finish', () => {
-                    resolve({
-                        success: true,
-                        outputPath,
-                        size: fs.statSync(outputPath).size
-                    });
-                });
-
-                input.on('error', (error) => {
-                    reject(new Error('Failed to read encrypted file: ' + error.message));
-                });
-
-                output.on('error', (error) => {
-                    reject(new Error('Failed to write output file: ' + error.message));
-                });
-
-                decipher.on('error', (error) => {
-                    // Clean up partial output file
-                    if (fs.existsSync(outputPath)) {
-                        fs.unlinkSync(outputPath);
-                    }
-                    reject(new Error('Decryption failed: Invalid key or corrupted file'));
-                });
-
-            } catch (error) {
-                reject(error);
-            }
-        });
+    async decryptFile(inputPath, outputPath, userKey, format = 'chunked') {
+        const digest = this.createDigestStream();
+
+        try {
+            await pipeline(
+                fs.createReadStream(inputPath),
+                this.createDecryptStream(userKey, format),
+                digest,
+                fs.createWriteStream(outputPath)
+            );
+        } catch (error) {
+            // Clean up partial output file
+            fs.rmSync(outputPath, { force: true });
+            throw new Error('Decryption failed: Invalid key or corrupted file');
+        }
+
+        return {
+            success: true,
+            outputPath,
+            checksum: digest.digest,
+            size: digest.bytes
+        };
+    }
+
+    /**
+     * Get the encryption metadata stored alongside chunked ciphertexts
+     * @param {number} [chunkSize] - Plaintext bytes per chunk
+     * @param {boolean} [withDataKey=true] - Whether a random data key (HKDF) was used
+     * @returns {Object} Encryption metadata
+     */
+    getStreamMetadata(chunkSize = this.chunkSize, withDataKey = true) {
+        return {
+            algorithm: this.algorithm,
+            keyDerivation: withDataKey ? 'hkdf' : 'pbkdf2',
+            iterations: withDataKey ? null : this.pbkdf2Iterations,
+            format: 'chunked',
+            formatVersion: FORMAT_VERSION,
+            chunkSize
+        };
     }
 
     /**
@@ -303,4 +595,297 @@ class EncryptionService {
     }
 }
 
+/**
+ * Encrypts a plaintext stream into sealed chunks. The last chunk is held back
+ * until flush so it can be marked final.
+ */
+class EncryptStream extends Transform {
+    constructor(service, key, header, noncePrefix, chunkSize) {
+        super();
+        this.service = service;
+        this.key = key;
+        this.header = header;
+        this.noncePrefix = noncePrefix;
+        this.chunkSize = chunkSize;
+        this.index = 0;
+        this.pending = [];
+        this.pendingLength = 0;
+        this.push(header);
+    }
+
+    _transform(data, encoding, callback) {
+        try {
+            this.pending.push(data);
+            this.pendingLength += data.length;
+
+            // Keep at least one byte back so the final chunk is never emitted early
+            if (this.pendingLength > this.chunkSize) {
+                let buffer = Buffer.concat(this.pending, this.pendingLength);
+                while (buffer.length > this.chunkSize) {
+                    this.push(this.sealNext(buffer.subarray(0, this.chunkSize), false));
+                    buffer = buffer.subarray(this.chunkSize);
+                }
+                this.pending = [buffer];
+                this.pendingLength = buffer.length;
+            }
+            callback();
+        } catch (error) {
+            callback(error);
+        }
+    }
+
+    _flush(callback) {
+        try {
+            this.push(this.sealNext(Buffer.concat(this.pending, this.pendingLength), true));
+            this.pending = [];
+            this.pendingLength = 0;
+            callback();
+        } catch (error) {
+            callback(error);
+        }
+    }
+
+    sealNext(plaintext, isFinal) {
+        return this.service.sealChunk(this.key, this.header, this.noncePrefix, this.index++, plaintext, isFinal);
+    }
+}
+
+/**
+ * Seals one piece of a chunked ciphertext whose header was written earlier.
+ * Complete chunks are sealed as they fill; whatever is left when the input
+ * ends stays in `tail` unless it completes the file.
+ */
+class SealStream extends Transform {
+    constructor(service, key, header, options) {
+        super();
+        this.service = service;
+        this.key = key;
+        this.header = header.raw;
+        this.noncePrefix = header.noncePrefix;
+        this.chunkSize = header.chunkSize;
+        this.totalSize = options.totalSize;
+        this.finalIndex = Math.max(0, Math.ceil(options.totalSize / header.chunkSize) - 1);
+        this.tail = options.tail || Buffer.alloc(0);
+        // Everything before the tail has been sealed (including the final chunk once complete)
+        this.index = Math.ceil((options.offset - this.tail.length) / header.chunkSize);
+        this.offset = options.offset;
+        this.received = 0;
+    }
+
+    _transform(data, encoding, callback) {
+        try {
+            if (this.offset + this.received + data.length > this.totalSize) {
+                throw new Error('Upload exceeds its declared length');
+            }
+            this.received += data.length;
+
+            let buffer = this.tail.length ? Buffer.concat([this.tail, data]) : data;
+            while (buffer.length >= this.chunkSize) {
+                this.sealNext(buffer.subarray(0, this.chunkSize));
+                buffer = buffer.subarray(this.chunkSize);
+            }
+            this.tail = buffer;
+            callback();
+        } catch (error) {
+            callback(error);
+        }
+    }
+
+    _flush(callback) {
+        try {
+            // The last (short) chunk completes the file
+            if (this.index === this.finalIndex && this.offset + this.received === this.totalSize) {
+                this.sealNext(this.tail);
+                this.tail = Buffer.alloc(0);
+            }
+            callback();
+        } catch (error) {
+            callback(error);
+        }
+    }
+
+    sealNext(plaintext) {
+        const isFinal = this.index === this.finalIndex;
+        this.push(this.service.sealChunk(this.key, this.header, this.noncePrefix, this.index++, plaintext, isFinal));
+    }
+}
+
+/**
+ * Decrypts a chunked ciphertext stream, verifying every chunk before it is emitted.
+ * For range reads the header and key are supplied up front, the stream starts
+ * at `startIndex`, and output is trimmed to `skip`/`length`.
+ */
+class DecryptStream extends Transform {
+    constructor(service, userKey, options = {}) {
+        super();
+        this.service = service;
+        this.userKey = userKey;
+        this.index = options.startIndex || 0;
+        this.finalIndex = options.finalIndex;
+        this.header = options.header || null;
+        this.key = options.key || null;
+        this.sealedSize = this.header ? this.header.chunkSize + service.tagLength : 0;
+        this.skip = options.skip || 0;
+        this.remaining = options.length === undefined ? Infinity : options.length;
+        this.buffer = Buffer.alloc(0);
+    }
+
+    _transform(data, encoding, callback) {
+        try {
+            this.buffer = this.buffer.length ? Buffer.concat([this.buffer, data]) : data;
+
+            if (!this.header) {
+                if (this.buffer.length < this.service.headerLength) {
+                    return callback();
+                }
+                this.header = this.service.parseHeader(this.buffer);
+                this.key = this.service.deriveFileKey(this.userKey, this.header.salt);
+                this.sealedSize = this.header.chunkSize + this.service.tagLength;
+                this.buffer = this.buffer.subarray(this.service.headerLength);
+            }
+
+            // Hold back the last full chunk until we know whether more data follows
+            while (this.buffer.length > this.sealedSize) {
+                this.emitPlaintext(this.openNext(this.buffer.subarray(0, this.sealedSize), false));
+                this.buffer = this.buffer.subarray(this.sealedSize);
+            }
+            callback();
+        } catch (error) {
+            callback(new Error('Decryption failed: Invalid key or corrupted data'));
+        }
+    }
+
+    _flush(callback) {
+        try {
+            if (!this.header) {
+                throw new Error('Missing encrypted file header');
+            }
+            this.emitPlaintext(this.openNext(this.buffer, true));
+            if (this.remaining !== Infinity && this.remaining > 0) {
+                throw new Error('Encrypted file ended before the requested range');
+            }
+            callback();
+        } catch (error) {
+            callback(new Error('Decryption failed: Invalid key or corrupted data'));
+        }
+    }
+
+    openNext(sealed, atEnd) {
+        const { raw, noncePrefix } = this.header;
+        const isFinal = this.finalIndex === undefined ? atEnd : this.index === this.finalIndex;
+        return this.service.openChunk(this.key, raw, noncePrefix, this.index++, sealed, isFinal);
+    }
+
+    emitPlaintext(plaintext) {
+        if (this.skip > 0) {
+            const skipped = Math.min(this.skip, plaintext.length);
+            plaintext = plaintext.subarray(skipped);
+            this.skip -= skipped;
+        }
+        if (plaintext.length > this.remaining) {
+            plaintext = plaintext.subarray(0, this.remaining);
+        }
+        this.remaining -= plaintext.length;
+        if (plaintext.length > 0) {
+            this.push(plaintext);
+        }
+    }
+}
+
+/**
+ * Decrypts files written in the original single-shot format
+ * (salt | iv | authTag | ciphertext). The tag only covers the whole file, so
+ * tampering is detected at the end of the stream rather than per chunk.
+ */
+class LegacyDecryptStream extends Transform {
+    constructor(service, userKey) {
+        super();
+        this.service = service;
+        this.userKey = userKey;
+        this.decipher = null;
+        this.buffer = Buffer.alloc(0);
+        this.prefixLength = service.saltLength + service.ivLength + service.tagLength;
+    }
+
+    _transform(data, encoding, callback) {
+        try {
+            if (this.decipher) {
+                this.push(this.decipher.update(data));
+                return callback();
+            }
+
+            this.buffer = Buffer.concat([this.buffer, data]);
+            if (this.buffer.length < this.prefixLength) {
+                return callback();
+            }
+
+            const { saltLength, ivLength, tagLength } = this.service;
+            const salt = this.buffer.subarray(0, saltLength);
+            const iv = this.buffer.subarray(saltLength, saltLength + ivLength);
+            const authTag = this.buffer.subarray(saltLength + ivLength, this.prefixLength);
+
+            this.decipher = crypto.createDecipheriv(
+                this.service.algorithm,
+                this.service.deriveKey(this.userKey, salt),
+                iv
+            );
+            this.decipher.setAuthTag(authTag);
+            this.push(this.decipher.update(this.buffer.subarray(this.prefixLength)));
+            this.buffer = null;
+            callback();
+        } catch (error) {
+            callback(new Error('Decryption failed: Invalid key or corrupted data'));
+        }
+    }
+
+    _flush(callback) {
+        try {
+            if (!this.decipher) {
+                throw new Error('Truncated encrypted file');
+            }
+            this.push(this.decipher.final());
+            callback();
+        } catch (error) {
+            callback(new Error('Decryption failed: Invalid key or corrupted data'));
+        }
+    }
+}
+
+/**
+ * Pass-through stream that computes a SHA-256 digest and byte count. When an
+ * expected checksum is given, the most recent chunk is held back until the
+ * digest has been verified so a mismatch never delivers a complete body.
+ */
+class DigestStream extends Transform {
+    constructor(expectedChecksum) {
+        super();
+        this.expectedChecksum = expectedChecksum;
+        this.hash = crypto.createHash('sha256');
+        this.bytes = 0;
+        this.digest = null;
+        this.held = null;
+    }
+
+    _transform(data, encoding, callback) {
+        this.hash.update(data);
+        this.bytes += data.length;
+
+        if (!this.expectedChecksum) {
+            return callback(null, data);
+        }
+
+        const previous = this.held;
+        this.held = data;
+        callback(null, previous);
+    }
+
+    _flush(callback) {
+        this.digest = this.hash.digest('hex');
+        if (this.expectedChecksum && this.digest !== this.expectedChecksum) {
+            return callback(new Error('File integrity check failed'));
+        }
+        callback(null, this.held);
+    }
+}
+
 module.exports = new EncryptionService();
\ No newline at end of file
@@ -0,0 +1,273 @@
+const File = require('../models/File');
+const User = require('../models/User');
+const AppError = require('../utils/AppError');
+const mailService = require('./mailService');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Files looked at per reminder run
+const BATCH_SIZE = 500;
+
+/**
+ * Parse a comma-separated list of day counts
+ * @param {string|undefined} value - Environment value
+ * @param {number[]} fallback - Used when the variable is not set
+ * @returns {number[]} Day counts (an empty value turns the list off)
+ */
+const parseDays = (value, fallback) => {
+    if (value === undefined) return fallback;
+
+    return value.split(',')
+        .map(day => parseInt(day, 10))
+        .filter(day => Number.isInteger(day) && day >= 0);
+};
+
+/**
+ * Start of the current day in UTC; expiry dates are stored as UTC midnight
+ * of the last day the document is valid
+ * @param {Date} [now] - Current time
+ * @returns {Date} Today at 00:00 UTC
+ */
+const startOfDay = (now = new Date()) => new Date(Math.floor(now.getTime() / DAY_MS) * DAY_MS);
+
+/**
+ * Tracks the expiry dates of identity documents, read from their MRZ (see
+ * identityService) or typed in by the owner. A document is expired once its
+ * expiry day has passed and expiring within DOCUMENT_EXPIRY_WARNING_DAYS of
+ * it. Owners are reminded by email EXPIRY_REMINDER_DAYS_BEFORE days before
+ * and EXPIRY_REMINDER_DAYS_AFTER days after expiry; each reminder is sent
+ * once per date.
+ */
+class ExpiryService {
+    constructor() {
+        this.warningDays = parseInt(process.env.DOCUMENT_EXPIRY_WARNING_DAYS) || 30;
+        this.remindBefore = parseDays(process.env.EXPIRY_REMINDER_DAYS_BEFORE, [30, 7]);
+        this.remindAfter = parseDays(process.env.EXPIRY_REMINDER_DAYS_AFTER, [0]);
+        this.interval = parseInt(process.env.EXPIRY_REMINDER_INTERVAL) || 60 * 60 * 1000;
+        this.timer = null;
+    }
+
+    /**
+     * Reminders in the order they fall due, as days relative to expiry
+     * @returns {Object[]} `{ key, offset }`, e.g. `{ key: 'before-7', offset: -7 }`
+     */
+    get schedule() {
+        return [
+            ...this.remindBefore.map(days => ({ key: `before-${days}`, offset: -days })),
+            ...this.remindAfter.map(days => ({ key: `after-${days}`, offset: days }))
+        ].sort((a, b) => a.offset - b.offset);
+    }
+
+    /**
+     * Classify an expiry date
+     * @param {Date} date - Expiry date
+     * @param {Date} [now] - Current time
+     * @returns {string} 'expired', 'expiring' or 'valid'
+     */
+    statusOf(date, now = new Date()) {
+        const today = startOfDay(now);
+
+        if (date < today) return 'expired';
+        if (date <= new Date(today.getTime() + this.warningDays * DAY_MS)) return 'expiring';
+        return 'valid';
+    }
+
+    /**
+     * Shape a file's document expiry for responses
+     * @param {Object} file - File document
+     * @returns {Object|undefined} `{ date, source, status }`, if the file has one
+     */
+    format(file) {
+        if (!file.documentExpiry || !file.documentExpiry.date) return undefined;
+
+        return {
+            date: file.documentExpiry.date.toISOString().substring(0, 10),
+            source: file.documentExpiry.source,
+            status: this.statusOf(file.documentExpiry.date)
+        };
+    }
+
+    /**
+     * Build the document expiry fields for a date
+     * @param {string} date - Expiry date (YYYY-MM-DD)
+     * @param {string} source - 'mrz' or 'manual'
+     * @returns {Object} Value for File.documentExpiry
+     * @throws {AppError} If the date is not a valid YYYY-MM-DD date
+     */
+    build(date, source) {
+        const parsed = /^\d{4}-\d{2}-\d{2}$/.test(date) ? new Date(`${date}T00:00:00Z`) : null;
+
+        if (!parsed || isNaN(parsed) || parsed.toISOString().substring(0, 10) !== date) {
+            throw new AppError('Document expiry must be a date in YYYY-MM-DD format', 400);
+        }
+
+        return { date: parsed, source, reminders: [] };
+    }
+
+    /**
+     * Build the file list condition on documentExpiry.date
+     * @param {string} [expiring] - Window such as '30d': documents expiring
+     * within it, including those already expired
+     * @param {string} [expired] - 'true' for only expired documents, 'false'
+     * for only unexpired ones
+     * @returns {Object} Condition on documentExpiry.date
+     * @throws {AppError} If the window is not in the '<days>d' form
+     */
+    filter(expiring, expired) {
+        const today = startOfDay();
+        const condition = { $type: 'date' };
+
+        if (expiring !== undefined) {
+            const match = /^(\d{1,4})d$/.exec(String(expiring));
+            if (!match) {
+                throw new AppError('expiring must be a number of days, e.g. 30d', 400);
+            }
+            condition.$lte = new Date(today.getTime() + parseInt(match[1], 10) * DAY_MS);
+        }
+
+        if (expired === 'true') {
+            condition.$lt = today;
+        } else if (expired === 'false') {
+            condition.$gte = today;
+        }
+
+        return condition;
+    }
+
+    /**
+     * Count a user's documents by expiry status
+     * @param {ObjectId} userId - Owner
+     * @returns {Promise<Object>} `{ valid, expiring, expired }`
+     */
+    async countByStatus(userId) {
+        const today = startOfDay();
+        const warnUntil = new Date(today.getTime() + this.warningDays * DAY_MS);
+
+        const groups = await File.aggregate([
+            { $match: { user: userId, isDeleted: { $ne: true }, 'documentExpiry.date': { $type: 'date' } } },
+            {
+                $group: {
+                    _id: {
+                        $switch: {
+                            branches: [
+                                { case: { $lt: ['$documentExpiry.date', today] }, then: 'expired' },
+                                { case: { $lte: ['$documentExpiry.date', warnUntil] }, then: 'expiring' }
+                            ],
+                            default: 'valid'
+                        }
+                    },
+                    count: { $sum: 1 }
+                }
+            }
+        ]);
+
+        return groups.reduce((counts, group) => {
+            counts[group._id] = group.count;
+            return counts;
+        }, { valid: 0, expiring: 0, expired: 0 });
+    }
+
+    /**
+     * Send the reminders that have fallen due, one email per owner. When
+     * several reminders of a document are due (e.g. after downtime) only the
+     * latest is sent. Quarantined and trashed documents, and those of
+     * deactivated owners, are left out.
+     * @param {Date} [now] - Current time
+     * @returns {Promise<number>} Number of documents reminded about
+     */
+    async sendReminders(now = new Date()) {
+        const schedule = this.schedule;
+        if (schedule.length === 0) return 0;
+
+        const today = startOfDay(now);
+        // Day on or after which a reminder is due, per expiry date
+        const dueFrom = reminder => new Date(today.getTime() - reminder.offset * DAY_MS);
+
+        // Match a file only on the latest reminder due for its date, so one
+        // whose latest reminder was sent never matches (whatever became of the
+        // earlier ones, e.g. after the schedule changed)
+        const conditions = schedule.map((reminder, i) => {
+            const next = schedule[i + 1];
+            return {
+                'documentExpiry.date': next
+                    ? { $lte: dueFrom(reminder), $gt: dueFrom(next) }
+                    : { $lte: dueFrom(reminder) },
+                'documentExpiry.reminders': { $ne: reminder.key }
+            };
+        });
+
+        const inactiveUsers = await User.find({ isActive: false }).distinct('_id');
+
+        const files = await File.find({
+            $or: conditions,
+            user: { $nin: inactiveUsers },
+            isDeleted: { $ne: true },
+            'scan.status': { $ne: 'infected' }
+        })
+            .select('user originalName documentExpiry')
+            .limit(BATCH_SIZE);
+
+        const byUser = new Map();
+        for (const file of files) {
+            const { date } = file.documentExpiry;
+            const due = schedule.filter(reminder => date <= dueFrom(reminder));
+
+            const key = String(file.user);
+            if (!byUser.has(key)) byUser.set(key, []);
+            byUser.get(key).push({ file, due });
+        }
+
+        let sent = 0;
+        for (const [userId, documents] of byUser) {
+            const user = await User.findById(userId).select('email username isActive');
+
+            // Deactivated since the query ran: try again once they are back
+            if (user && user.isActive === false) continue;
+
+            try {
+                // Files of deleted owners are marked below without an email
+                if (user) {
+                    await mailService.sendExpiryReminder(user, documents.map(({ file }) => ({
+                        name: file.originalName,
+                        expiresOn: file.documentExpiry.date.toISOString().substring(0, 10),
+                        daysLeft: Math.round((file.documentExpiry.date - today) / DAY_MS)
+                    })));
+                }
+            } catch (error) {
+                // Left unmarked, so the next run tries again
+                logger.error(`Failed to send expiry reminder to user ${userId}:`, error);
+                continue;
+            }
+
+            for (const { file, due } of documents) {
+                await File.updateOne(
+                    { _id: file._id, 'documentExpiry.date': file.documentExpiry.date },
+                    { $addToSet: { 'documentExpiry.reminders': { $each: due.map(reminder => reminder.key) } } }
+                );
+            }
+            if (user) sent += documents.length;
+        }
+
+        if (sent > 0) {
+            logger.info(`Sent expiry reminders for ${sent} document(s)`);
+        }
+        return sent;
+    }
+
+    /**
+     * Send due reminders now and then every EXPIRY_REMINDER_INTERVAL ms
+     */
+    start() {
+        if (this.timer || this.schedule.length === 0) return;
+
+        const run = () => this.sendReminders()
+            .catch(error => logger.error('Failed to send expiry reminders:', error));
+
+        run();
+        this.timer = setInterval(run, this.interval);
+        this.timer.unref();
+    }
+}
+
+module.exports = new ExpiryService();
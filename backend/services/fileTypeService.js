@@ -0,0 +1,406 @@
+const fs = require('fs');
+const path = require('path');
+const { FILE_TYPES } = require('../config/fileTypes');
+const { diskReader, storedReader } = require('../utils/readers');
+const { readCentralDirectory } = require('../utils/zip');
+const AppError = require('../utils/AppError');
+const logger = require('../utils/logger');
+
+// How much of the start of a file is examined for its signature
+const HEAD_SIZE = 4096;
+
+// How much of a text file is examined to tell text from binary content
+const TEXT_SAMPLE_SIZE = 8 * 1024;
+
+// Declared types that make no claim about the content
+const GENERIC_TYPES = ['', 'application/octet-stream', 'binary/octet-stream', 'application/unknown'];
+
+// Office Open XML documents are ZIP archives holding one of these parts
+const OOXML_PARTS = {
+    'word/document.xml': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'xl/workbook.xml': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'ppt/presentation.xml': 'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+};
+
+// Legacy Office documents are OLE compound files holding one of these streams
+const OLE_STREAMS = {
+    WordDocument: 'application/msword',
+    Workbook: 'application/vnd.ms-excel',
+    Book: 'application/vnd.ms-excel',
+    'PowerPoint Document': 'application/vnd.ms-powerpoint'
+};
+
+// OLE sector numbers at or above this mark the end of a chain
+const OLE_MAX_SECTOR = 0xfffffffa;
+
+// Directory sectors read before an OLE file is given up on
+const OLE_MAX_DIRECTORY_SECTORS = 64;
+
+// ISO media brands and the type they make a file
+const QUICKTIME_BRANDS = ['qt  '];
+const MP4_BRANDS = ['isom', 'iso2', 'iso4', 'iso5', 'iso6', 'mp41', 'mp42', 'avc1', 'M4V ', 'M4VH', 'M4VP', 'dash', 'mmp4', 'MSNV', 'f4v '];
+
+// Control characters that do not occur in text
+const BINARY_BYTES = /[\x00-\x08\x0e-\x1a\x1c-\x1f]/;
+
+/**
+ * Get the lower-cased extension of a file name
+ * @param {string} filename - File name
+ * @returns {string} Extension without the dot, or '' if there is none
+ */
+const extensionOf = (filename) => path.extname(filename || '').slice(1).toLowerCase();
+
+/**
+ * Strip parameters from a Content-Type and lower-case it
+ * @param {string} [mimeType] - Declared type
+ * @returns {string} Bare MIME type
+ */
+const normalizeType = (mimeType) => String(mimeType || '').split(';')[0].trim().toLowerCase();
+
+/**
+ * Detects the type of uploaded files from their content (file signatures,
+ * container structure, and for text the characters themselves) instead of
+ * trusting the Content-Type the client declares. The detected type must be
+ * on the allowlist and agree with the declared type and the file name
+ * extension; it is what gets stored as the file's MIME type.
+ */
+class FileTypeService {
+    constructor() {
+        // ALLOWED_FILE_TYPES narrows the built-in list (comma-separated)
+        const configured = (process.env.ALLOWED_FILE_TYPES || '')
+            .split(',')
+            .map(type => type.trim())
+            .filter(type => FILE_TYPES[type]);
+        this.allowedTypes = configured.length > 0 ? configured : Object.keys(FILE_TYPES);
+    }
+
+    /**
+     * Check whether a MIME type may be stored
+     * @param {string} mimeType - Detected MIME type
+     * @returns {boolean} True if allowed
+     */
+    isAllowed(mimeType) {
+        return this.allowedTypes.includes(mimeType);
+    }
+
+    /**
+     * Check whether a type is consistent with what the client declared
+     * @param {string} mimeType - Candidate MIME type
+     * @param {string} declaredType - Declared Content-Type
+     * @param {string} filename - Original file name
+     * @returns {boolean} True if both the declared type and extension fit
+     */
+    matches(mimeType, declaredType, filename) {
+        const type = FILE_TYPES[mimeType];
+        const declared = normalizeType(declaredType);
+        const extension = extensionOf(filename);
+
+        const declaredFits = GENERIC_TYPES.includes(declared) || declared === mimeType || type.declared.includes(declared);
+        const extensionFits = !extension || type.extensions.includes(extension);
+
+        return declaredFits && extensionFits;
+    }
+
+    /**
+     * Reject an upload whose declared type and name can never pass the
+     * content check. Used before any bytes arrive; it proves nothing about
+     * the content itself.
+     * @param {string} filename - Original file name
+     * @param {string} declaredType - Declared Content-Type
+     * @throws {AppError} If no allowed type fits the declaration
+     */
+    checkDeclared(filename, declaredType) {
+        if (!this.allowedTypes.some(type => this.matches(type, declaredType, filename))) {
+            throw new AppError(`File type not allowed: ${normalizeType(declaredType) || extensionOf(filename) || 'unknown'}`, 400);
+        }
+    }
+
+    /**
+     * Resolve the declared type of content that cannot be inspected
+     * (encrypted in the browser), after checking it is allowed
+     * @param {string} filename - Original file name
+     * @param {string} declaredType - Declared Content-Type
+     * @returns {string} MIME type to store
+     * @throws {AppError} If no allowed type fits the declaration
+     */
+    resolveDeclared(filename, declaredType) {
+        this.checkDeclared(filename, declaredType);
+
+        const declared = normalizeType(declaredType);
+        return this.allowedTypes.find(type => type === declared)
+            || this.allowedTypes.find(type => FILE_TYPES[type].declared.includes(declared))
+            || this.allowedTypes.find(type => this.matches(type, declaredType, filename));
+    }
+
+    /**
+     * Detect and verify the type of a staged plaintext upload
+     * @param {string} filePath - Path to the plaintext
+     * @param {string} filename - Original file name
+     * @param {string} declaredType - Declared Content-Type
+     * @returns {Promise<string>} MIME type to store
+     * @throws {AppError} If the content is not allowed or does not match
+     */
+    async verifyFile(filePath, filename, declaredType) {
+        const { size } = await fs.promises.stat(filePath);
+        return this.verify(diskReader(filePath, size), filename, declaredType);
+    }
+
+    /**
+     * Detect and verify the type of a stored file in the chunked format
+     * @param {StorageDriver} storage - Driver holding the blob
+     * @param {string} storagePath - Blob key
+     * @param {Buffer} fileKey - File data key
+     * @param {number} size - Plaintext size
+     * @param {string} filename - Original file name
+     * @param {string} declaredType - Declared Content-Type
+     * @returns {Promise<string>} MIME type to store
+     * @throws {AppError} If the content is not allowed or does not match
+     */
+    verifyStored(storage, storagePath, fileKey, size, filename, declaredType) {
+        return this.verify(storedReader(storage, storagePath, fileKey, size), filename, declaredType);
+    }
+
+    /**
+     * Detect a file's type and check it against the allowlist, the declared
+     * type and the extension
+     * @param {Object} reader - `{ size, read(start, length) }`
+     * @param {string} filename - Original file name
+     * @param {string} declaredType - Declared Content-Type
+     * @returns {Promise<string>} MIME type to store
+     * @throws {AppError} If the content is not allowed or does not match
+     */
+    async verify(reader, filename, declaredType) {
+        const candidates = await this.detect(reader);
+
+        if (candidates.length === 0) {
+            logger.warn(`Rejected upload: ${filename} (${declaredType}), content not recognised`);
+            throw new AppError('File type not allowed: the content is not a recognised format', 400);
+        }
+
+        const allowed = candidates.filter(type => this.isAllowed(type));
+        const match = allowed.find(type => this.matches(type, declaredType, filename));
+
+        // Report the most specific type, not a looser reading of the same
+        // content (HTML is also plain text)
+        if (!match && !this.isAllowed(candidates[0])) {
+            logger.warn(`Rejected upload: ${filename} (${declaredType}), content is ${candidates[0]}`);
+            throw new AppError(`File type not allowed: ${candidates[0]}`, 400);
+        }
+        if (!match) {
+            logger.warn(`Rejected upload: ${filename} (${declaredType}), content is ${allowed[0]}`);
+            throw new AppError(`File content (${allowed[0]}) does not match its type or extension`, 400);
+        }
+
+        return match;
+    }
+
+    /**
+     * Detect the possible types of some content. Some content fits several
+     * types (any text is also valid CSV, a Word document is also a ZIP
+     * archive); the most specific comes first.
+     * @param {Object} reader - `{ size, read(start, length) }`
+     * @returns {Promise<string[]>} Candidate MIME types, empty if unrecognised
+     */
+    async detect(reader) {
+        const head = await reader.read(0, HEAD_SIZE);
+        const ascii = (start, end) => head.toString('latin1', start, end);
+        const startsWith = (...bytes) => bytes.every((byte, i) => head[i] === byte);
+
+        if (startsWith(0xff, 0xd8, 0xff)) return ['image/jpeg'];
+        if (startsWith(0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a)) return ['image/png'];
+        if (ascii(0, 6) === 'GIF87a' || ascii(0, 6) === 'GIF89a') return ['image/gif'];
+        if (ascii(0, 4) === 'II*\0' || ascii(0, 4) === 'MM\0*') return ['image/tiff'];
+        if (ascii(0, 2) === 'BM' && head.length >= 18 && [12, 40, 52, 56, 64, 108, 124].includes(head.readUInt32LE(14))) {
+            return ['image/bmp'];
+        }
+
+        if (ascii(0, 4) === 'RIFF') {
+            const form = ascii(8, 12);
+            if (form === 'WEBP') return ['image/webp'];
+            if (form === 'WAVE') return ['audio/wav'];
+            if (form === 'AVI ') return ['video/x-msvideo'];
+            return [];
+        }
+
+        // PDF readers accept the header anywhere in the first kilobyte
+        if (ascii(0, 1024).includes('%PDF-')) return ['application/pdf'];
+
+        if (ascii(0, 4) === 'PK\x03\x04' || ascii(0, 4) === 'PK\x05\x06') return this.detectZip(reader);
+        if (startsWith(0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1)) return this.detectOle(reader, head);
+        if (ascii(0, 6) === 'Rar!\x1a\x07') return ['application/x-rar-compressed'];
+        if (startsWith(0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c)) return ['application/x-7z-compressed'];
+        if (startsWith(0x1f, 0x8b)) return ['application/gzip'];
+
+        if (ascii(4, 8) === 'ftyp') return this.detectIsoMedia(head);
+        // QuickTime files from before the ftyp box start straight with an atom
+        if (['moov', 'mdat', 'wide', 'free', 'skip', 'pnot'].includes(ascii(4, 8)) && head.readUInt32BE(0) >= 8) {
+            return ['video/quicktime'];
+        }
+        if (startsWith(0x1a, 0x45, 0xdf, 0xa3)) {
+            return ascii(0, 64).includes('webm') ? ['video/webm', 'audio/webm'] : ['video/x-matroska'];
+        }
+        if (startsWith(0x00, 0x00, 0x01, 0xba) || startsWith(0x00, 0x00, 0x01, 0xb3)) return ['video/mpeg'];
+        if (ascii(0, 4) === 'OggS') return ['audio/ogg'];
+        // A UTF-16 byte order mark also looks like an MPEG audio frame
+        if (startsWith(0xff, 0xfe) || startsWith(0xfe, 0xff)) return this.detectText(reader, head);
+        if (ascii(0, 3) === 'ID3' || this.isMpegAudioFrame(head)) return ['audio/mpeg'];
+
+        return this.detectText(reader, head);
+    }
+
+    /**
+     * Tell Office Open XML documents from plain ZIP archives
+     * @param {Object} reader - Reader
+     * @returns {Promise<string[]>} Candidate MIME types
+     */
+    async detectZip(reader) {
+        const directory = await readCentralDirectory(reader, { maxEntries: 1000 });
+        if (!directory) return [];
+
+        const part = directory.entries.find(entry => OOXML_PARTS[entry.name]);
+        return part ? [OOXML_PARTS[part.name], 'application/zip'] : ['application/zip'];
+    }
+
+    /**
+     * Tell Word, Excel and PowerPoint files apart by the streams in their OLE
+     * compound file directory. Other compound files (installers, Outlook
+     * messages...) are reported as such.
+     * @param {Object} reader - Reader
+     * @param {Buffer} head - Start of the file
+     * @returns {Promise<string[]>} Candidate MIME types
+     */
+    async detectOle(reader, head) {
+        if (head.length < 512) return [];
+
+        const sectorSize = 1 << head.readUInt16LE(30);
+        if (sectorSize !== 512 && sectorSize !== 4096) return [];
+
+        const entriesPerFatSector = sectorSize / 4;
+        const sectorOffset = (sector) => (sector + 1) * sectorSize;
+
+        // Next sector of a chain, for chains covered by the header's FAT list
+        const nextSector = async (sector) => {
+            const index = Math.floor(sector / entriesPerFatSector);
+            if (index >= 109) return OLE_MAX_SECTOR;
+
+            const fatSector = head.readUInt32LE(76 + index * 4);
+            if (fatSector >= OLE_MAX_SECTOR) return OLE_MAX_SECTOR;
+
+            const entry = await reader.read(sectorOffset(fatSector) + (sector % entriesPerFatSector) * 4, 4);
+            return entry.length === 4 ? entry.readUInt32LE(0) : OLE_MAX_SECTOR;
+        };
+
+        let sector = head.readUInt32LE(48);
+        for (let count = 0; sector < OLE_MAX_SECTOR && count < OLE_MAX_DIRECTORY_SECTORS; count++) {
+            const directory = await reader.read(sectorOffset(sector), sectorSize);
+
+            for (let at = 0; at + 128 <= directory.length; at += 128) {
+                const nameLength = directory.readUInt16LE(at + 64);
+                // Type 2 is a stream
+                if (directory[at + 66] !== 2 || nameLength < 2 || nameLength > 64) continue;
+
+                const name = directory.toString('utf16le', at, at + nameLength - 2);
+                if (OLE_STREAMS[name]) return [OLE_STREAMS[name]];
+            }
+
+            sector = await nextSector(sector);
+        }
+
+        return ['application/x-ole-storage'];
+    }
+
+    /**
+     * Tell MP4 from QuickTime (and other ISO media) by the ftyp brands
+     * @param {Buffer} head - Start of the file
+     * @returns {string[]} Candidate MIME types
+     */
+    detectIsoMedia(head) {
+        const boxSize = Math.min(head.readUInt32BE(0), head.length);
+        const major = head.toString('latin1', 8, 12);
+
+        const brands = [major];
+        for (let at = 16; at + 4 <= boxSize; at += 4) {
+            brands.push(head.toString('latin1', at, at + 4));
+        }
+
+        if (QUICKTIME_BRANDS.includes(major)) return ['video/quicktime'];
+        if (major === 'M4A ' || major === 'M4B ') return ['audio/mp4'];
+        if (['heic', 'heix', 'mif1', 'msf1'].includes(major)) return ['image/heic'];
+        if (major.startsWith('3g')) return ['video/3gpp'];
+        if (brands.some(brand => MP4_BRANDS.includes(brand))) return ['video/mp4'];
+        if (brands.some(brand => QUICKTIME_BRANDS.includes(brand))) return ['video/quicktime'];
+        return [];
+    }
+
+    /**
+     * Check for an MPEG audio frame header (MP3 without an ID3 tag)
+     * @param {Buffer} head - Start of the file
+     * @returns {boolean} True if the file starts with a valid frame header
+     */
+    isMpegAudioFrame(head) {
+        if (head.length < 4 || head[0] !== 0xff || (head[1] & 0xe0) !== 0xe0) return false;
+
+        const version = (head[1] >> 3) & 0x03;
+        const layer = (head[1] >> 1) & 0x03;
+        const bitrate = head[2] >> 4;
+        const sampleRate = (head[2] >> 2) & 0x03;
+
+        return version !== 1 && layer !== 0 && bitrate !== 0 && bitrate !== 15 && sampleRate !== 3;
+    }
+
+    /**
+     * Recognise text, and the text formats it fits
+     * @param {Object} reader - Reader
+     * @param {Buffer} head - Start of the file
+     * @returns {Promise<string[]>} Candidate MIME types, empty for binary content
+     */
+    async detectText(reader, head) {
+        const sample = reader.size > head.length ? await reader.read(0, TEXT_SAMPLE_SIZE) : head;
+
+        let text;
+        if ((sample[0] === 0xff && sample[1] === 0xfe) || (sample[0] === 0xfe && sample[1] === 0xff)) {
+            const units = sample.subarray(2, 2 + ((sample.length - 2) & ~1));
+            text = sample[0] === 0xff ? units.toString('utf16le') : Buffer.from(units).swap16().toString('utf16le');
+        } else {
+            if (BINARY_BYTES.test(sample.toString('latin1'))) return [];
+            text = sample.toString('utf8');
+        }
+        if (BINARY_BYTES.test(text)) return [];
+
+        const start = text.replace(/^\uFEFF/, '').trimStart();
+        const candidates = [];
+
+        if (start.startsWith('<')) {
+            if (/^<(!doctype html|html|head|body|script)[\s>]/i.test(start)) {
+                candidates.push('text/html');
+            } else {
+                if (/<svg[\s>]/i.test(start)) candidates.push('image/svg+xml');
+                candidates.push('application/xml');
+            }
+        } else if (/^[{[]/.test(start) && this.isJson(text, reader.size <= sample.length)) {
+            candidates.push('application/json');
+        }
+
+        return [...candidates, 'text/plain', 'text/csv'];
+    }
+
+    /**
+     * Check that text parses as JSON; a sample of a larger file is given the
+     * benefit of the doubt
+     * @param {string} text - Text
+     * @param {boolean} complete - Whether the text is the whole file
+     * @returns {boolean} True if it is (or may be) JSON
+     */
+    isJson(text, complete) {
+        if (!complete) return true;
+
+        try {
+            JSON.parse(text.replace(/^\uFEFF/, ''));
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+}
+
+module.exports = new FileTypeService();
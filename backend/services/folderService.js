@@ -0,0 +1,414 @@
+const File = require('../models/File');
+const Folder = require('../models/Folder');
+const AppError = require('../utils/AppError');
+const logger = require('../utils/logger');
+
+const MAX_PATH_LENGTH = 500;
+const MAX_NAME_LENGTH = 255;
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} value - Raw string
+ * @returns {string} Escaped string
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Folder tree operations. Files keep their folder as a path string, so every
+ * change to a folder's position is applied to the paths of everything below
+ * it, trashed entries included.
+ */
+class FolderService {
+    /**
+     * Validate a single folder name
+     * @param {string} name - Folder name
+     * @returns {string} Trimmed name
+     * @throws {AppError} If the name is empty or not allowed
+     */
+    validateName(name) {
+        const trimmed = typeof name === 'string' ? name.trim() : '';
+
+        if (!trimmed) {
+            throw new AppError('Please provide a folder name', 400);
+        }
+        if (trimmed.length > MAX_NAME_LENGTH) {
+            throw new AppError(`Folder name cannot exceed ${MAX_NAME_LENGTH} characters`, 400);
+        }
+        if (trimmed === '.' || trimmed === '..' || /[/\\\x00-\x1f]/.test(trimmed)) {
+            throw new AppError(`Invalid folder name: ${trimmed}`, 400);
+        }
+
+        return trimmed;
+    }
+
+    /**
+     * Normalise a folder path to "/a/b" form ("/" for the root)
+     * @param {string} [value] - Path from a request
+     * @returns {string} Normalised path
+     * @throws {AppError} If a segment is invalid or the path is too long
+     */
+    normalizePath(value) {
+        if (value === undefined || value === null || value === '') return '/';
+        if (typeof value !== 'string') {
+            throw new AppError('Folder must be a path', 400);
+        }
+
+        const segments = value.split('/').filter(segment => segment.trim() !== '');
+        const path = '/' + segments.map(segment => this.validateName(segment)).join('/');
+
+        if (path.length > MAX_PATH_LENGTH) {
+            throw new AppError('Folder path too long', 400);
+        }
+
+        return path;
+    }
+
+    /**
+     * Query matching a path and everything below it
+     * @param {string} path - Folder path
+     * @returns {Object} MongoDB condition
+     */
+    subtree(path) {
+        return { $regex: `^${escapeRegex(path)}(/|$)` };
+    }
+
+    /**
+     * Find one of a user's folders
+     * @param {string} userId - Owner
+     * @param {string} folderId - Folder ID
+     * @param {Object} [options] - Options
+     * @param {boolean} [options.includeDeleted] - Also find trashed folders
+     * @returns {Promise<Object>} Folder
+     * @throws {AppError} If there is no such folder
+     */
+    async getFolder(userId, folderId, options = {}) {
+        const folder = await Folder.findOne({ _id: folderId, user: userId })
+            .setOptions({ includeDeleted: !!options.includeDeleted });
+
+        if (!folder) {
+            throw new AppError('Folder not found', 404);
+        }
+
+        return folder;
+    }
+
+    /**
+     * Check that a path names an existing folder (the root always exists)
+     * @param {string} userId - Owner
+     * @param {string} path - Normalised path
+     * @returns {Promise<Object|null>} Folder, or null for the root
+     * @throws {AppError} If the folder does not exist
+     */
+    async requireFolder(userId, path) {
+        if (path === '/') return null;
+
+        const folder = await Folder.findOne({ user: userId, path });
+        if (!folder) {
+            throw new AppError(`Folder not found: ${path}`, 404);
+        }
+
+        return folder;
+    }
+
+    /**
+     * Create every missing folder along a path, as uploads to a new path do
+     * @param {string} userId - Owner
+     * @param {string} path - Normalised path
+     * @returns {Promise<Object|null>} Deepest folder, or null for the root
+     */
+    async ensurePath(userId, path) {
+        let parent = null;
+        let current = '';
+
+        for (const name of path.split('/').filter(Boolean)) {
+            current += `/${name}`;
+
+            let folder = await Folder.findOne({ user: userId, path: current });
+            if (!folder) {
+                try {
+                    folder = await Folder.create({
+                        user: userId,
+                        name,
+                        parent: parent ? parent._id : null,
+                        path: current
+                    });
+                } catch (error) {
+                    // Created by a concurrent request
+                    if (error.code !== 11000) throw error;
+                    folder = await Folder.findOne({ user: userId, path: current });
+                }
+            }
+
+            parent = folder;
+        }
+
+        return parent;
+    }
+
+    /**
+     * Create a folder
+     * @param {string} userId - Owner
+     * @param {Object} options - Folder description
+     * @param {string} options.name - Folder name
+     * @param {string} [options.parent] - Parent folder ID (root if omitted)
+     * @param {string} [options.description] - Description
+     * @param {string} [options.color] - Hex color
+     * @returns {Promise<Object>} Created folder
+     */
+    async createFolder(userId, options) {
+        const name = this.validateName(options.name);
+        const parent = options.parent ? await this.getFolder(userId, options.parent) : null;
+        const path = this.childPath(parent, name);
+
+        try {
+            const folder = await Folder.create({
+                user: userId,
+                name,
+                parent: parent ? parent._id : null,
+                path,
+                description: options.description,
+                color: options.color
+            });
+
+            logger.info(`Folder created: ${path} by user ${userId}`);
+            return folder;
+        } catch (error) {
+            if (error.code === 11000) {
+                throw new AppError('A folder with this name already exists here', 409);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Path of a child folder
+     * @param {Object|null} parent - Parent folder, or null for the root
+     * @param {string} name - Child name
+     * @returns {string} Child path
+     */
+    childPath(parent, name) {
+        const path = `${parent ? parent.path : ''}/${name}`;
+
+        if (path.length > MAX_PATH_LENGTH) {
+            throw new AppError('Folder path too long', 400);
+        }
+
+        return path;
+    }
+
+    /**
+     * Rename and/or move a folder, rewriting the paths of its descendants and
+     * of every file inside it
+     * @param {Object} folder - Folder to change
+     * @param {Object} changes - Changes
+     * @param {string} [changes.name] - New name
+     * @param {string|null} [changes.parent] - New parent ID (null for the root)
+     * @returns {Promise<Object>} `{ folder, movedFolders, movedFiles }`
+     */
+    async relocateFolder(folder, changes) {
+        const name = changes.name !== undefined ? this.validateName(changes.name) : folder.name;
+
+        let parent;
+        if (changes.parent === undefined) {
+            parent = folder.parent ? await Folder.findById(folder.parent) : null;
+        } else {
+            parent = changes.parent ? await this.getFolder(folder.user, changes.parent) : null;
+        }
+
+        if (parent && (parent._id.equals(folder._id) || parent.path.startsWith(`${folder.path}/`))) {
+            throw new AppError('A folder cannot be moved into itself', 400);
+        }
+
+        const oldPath = folder.path;
+        const newPath = this.childPath(parent, name);
+
+        if (newPath === oldPath) {
+            return { folder, movedFolders: 0, movedFiles: 0 };
+        }
+
+        if (await Folder.exists({ user: folder.user, path: newPath })) {
+            throw new AppError('A folder with this name already exists here', 409);
+        }
+
+        folder.name = name;
+        folder.parent = parent ? parent._id : null;
+        folder.path = newPath;
+
+        try {
+            await folder.save();
+        } catch (error) {
+            if (error.code === 11000) {
+                throw new AppError('A folder with this name already exists here', 409);
+            }
+            throw error;
+        }
+
+        const rewrite = (path) => newPath + path.slice(oldPath.length);
+        const below = { $regex: `^${escapeRegex(oldPath)}/` };
+
+        const descendants = await Folder.find({ user: folder.user, path: below })
+            .setOptions({ includeDeleted: true })
+            .select('path');
+        if (descendants.length > 0) {
+            await Folder.bulkWrite(descendants.map(descendant => ({
+                updateOne: {
+                    filter: { _id: descendant._id },
+                    update: { $set: { path: rewrite(descendant.path) } }
+                }
+            })));
+        }
+
+        const files = await File.find({ user: folder.user, folder: this.subtree(oldPath) })
+            .setOptions({ includeDeleted: true })
+            .select('folder');
+        if (files.length > 0) {
+            await File.bulkWrite(files.map(file => ({
+                updateOne: {
+                    filter: { _id: file._id },
+                    update: { $set: { folder: rewrite(file.folder) } }
+                }
+            })));
+        }
+
+        logger.info(`Folder ${oldPath} moved to ${newPath} (${descendants.length} subfolders, ${files.length} files)`);
+
+        return { folder, movedFolders: descendants.length, movedFiles: files.length };
+    }
+
+    /**
+     * Move a folder, its subfolders and their files to the trash. Everything
+     * gets the same deletedAt so it can be restored as one.
+     * @param {Object} folder - Folder to delete
+     * @returns {Promise<Object>} `{ folders, files }` counts trashed
+     */
+    async trashFolder(folder) {
+        const deletedAt = new Date();
+        const update = { $set: { isDeleted: true, deletedAt } };
+
+        const [folders, files] = await Promise.all([
+            Folder.updateMany(
+                { user: folder.user, path: this.subtree(folder.path), isDeleted: { $ne: true } },
+                update
+            ),
+            File.updateMany(
+                { user: folder.user, folder: this.subtree(folder.path), isDeleted: { $ne: true } },
+                update
+            )
+        ]);
+
+        logger.info(`Folder ${folder.path} moved to trash (${folders.modifiedCount} folders, ${files.modifiedCount} files)`);
+
+        return { folders: folders.modifiedCount, files: files.modifiedCount };
+    }
+
+    /**
+     * Restore a trashed folder with everything that was trashed along with it.
+     * Missing parents are recreated.
+     * @param {Object} folder - Trashed folder
+     * @returns {Promise<Object>} `{ folders, files }` counts restored
+     */
+    async restoreFolder(folder) {
+        if (!folder.isDeleted) {
+            throw new AppError('Folder is not in the trash', 400);
+        }
+
+        if (await Folder.exists({ user: folder.user, path: folder.path })) {
+            throw new AppError('A folder with this name already exists here; rename or move it first', 409);
+        }
+
+        const parentPath = folder.path.slice(0, folder.path.lastIndexOf('/')) || '/';
+        const parent = await this.ensurePath(folder.user, parentPath);
+
+        const batch = { user: folder.user, path: this.subtree(folder.path), isDeleted: true, deletedAt: folder.deletedAt };
+        const restore = { $set: { isDeleted: false }, $unset: { deletedAt: 1 } };
+
+        await Folder.updateOne({ _id: folder._id }, { $set: { parent: parent ? parent._id : null } })
+            .setOptions({ includeDeleted: true });
+
+        const folders = await Folder.updateMany(batch, restore);
+        const files = await File.updateMany(
+            { user: folder.user, folder: this.subtree(folder.path), isDeleted: true, deletedAt: folder.deletedAt },
+            restore
+        );
+
+        logger.info(`Folder ${folder.path} restored (${folders.modifiedCount} folders, ${files.modifiedCount} files)`);
+
+        return { folders: folders.modifiedCount, files: files.modifiedCount };
+    }
+
+    /**
+     * Permanently remove a user's trashed folders (their files are deleted
+     * separately, with their blobs)
+     * @param {string} userId - Owner
+     * @returns {Promise<number>} Folders removed
+     */
+    async purgeTrash(userId) {
+        const result = await Folder.deleteMany({ user: userId, isDeleted: true });
+        return result.deletedCount;
+    }
+
+    /**
+     * Create Folder documents for paths that so far only exist on files
+     * @param {string} userId - Owner
+     * @returns {Promise<void>}
+     */
+    async backfill(userId) {
+        const [paths, existing] = await Promise.all([
+            File.distinct('folder', { user: userId, isDeleted: { $ne: true } }),
+            Folder.distinct('path', { user: userId, isDeleted: { $ne: true } })
+        ]);
+
+        const known = new Set(existing);
+        for (const path of paths) {
+            if (path && path !== '/' && !known.has(path)) {
+                try {
+                    await this.ensurePath(userId, this.normalizePath(path));
+                } catch (error) {
+                    logger.warn(`Could not create folder for path ${path}: ${error.message}`);
+                }
+            }
+        }
+    }
+
+    /**
+     * File counts and sizes for a user's folders, both directly inside each
+     * folder and including everything below it
+     * @param {Object} userId - Owner (ObjectId, used in an aggregation)
+     * @param {Object[]} folders - Folders to report on
+     * @returns {Promise<Map<string, Object>>} Aggregates by folder path
+     */
+    async aggregate(userId, folders) {
+        const direct = await File.aggregate([
+            { $match: { user: userId, isDeleted: { $ne: true } } },
+            { $group: { _id: '$folder', count: { $sum: 1 }, size: { $sum: '$originalSize' } } }
+        ]);
+
+        const byPath = new Map(direct.map(entry => [entry._id, entry]));
+        const paths = folders.map(folder => folder.path);
+        const result = new Map();
+
+        folders.forEach(folder => {
+            const own = byPath.get(folder.path) || { count: 0, size: 0 };
+            const totals = { fileCount: 0, size: 0 };
+
+            byPath.forEach((entry, path) => {
+                if (path === folder.path || (path && path.startsWith(`${folder.path}/`))) {
+                    totals.fileCount += entry.count;
+                    totals.size += entry.size;
+                }
+            });
+
+            result.set(folder.path, {
+                fileCount: own.count,
+                size: own.size,
+                subfolderCount: paths.filter(path => path.startsWith(`${folder.path}/`)).length,
+                totalFileCount: totals.fileCount,
+                totalSize: totals.size
+            });
+        });
+
+        return result;
+    }
+}
+
+module.exports = new FolderService();
@@ -0,0 +1,263 @@
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { createWorker, OEM, PSM } = require('tesseract.js');
+const bundledModel = require('@tesseract.js-data/eng');
+const File = require('../models/File');
+const { parseMrz } = require('../utils/mrz');
+const encryptionService = require('./encryptionService');
+const expiryService = require('./expiryService');
+const logger = require('../utils/logger');
+
+// Width images are scaled to before OCR; MRZ characters need ~20px to read
+const OCR_WIDTH = 2000;
+
+// The MRZ sits at the bottom of a passport page or ID card, so that part is
+// read first and the whole image only if nothing is found there
+const MRZ_REGION = 0.4;
+
+const MRZ_CHARACTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789<';
+
+/**
+ * Reads the machine-readable zone (MRZ) of passports and ID cards in
+ * uploaded images and PDFs. Text is recognised in-process by Tesseract
+ * compiled to WebAssembly (tesseract.js), using the English model pinned in
+ * package.json (@tesseract.js-data/eng). An OCR-B/MRZ model can be used
+ * instead by pointing MRZ_TESSDATA_PATH at a directory holding
+ * `<MRZ_OCR_LANGUAGE>.traineddata` (optionally gzipped). Nothing is
+ * downloaded or sent elsewhere. TD1, TD2 and TD3 layouts are parsed and their
+ * check digits verified. The document fields are stored encrypted with the
+ * file's data key. Extraction is off unless IDENTITY_EXTRACTION=true, and
+ * runs in the background alongside preview generation (see renditionService).
+ */
+class IdentityService {
+    constructor() {
+        this.enabled = process.env.IDENTITY_EXTRACTION === 'true';
+        this.language = process.env.MRZ_OCR_LANGUAGE || bundledModel.code;
+        this.tessdataPath = process.env.MRZ_TESSDATA_PATH || bundledModel.langPath;
+        this.timeout = parseInt(process.env.MRZ_OCR_TIMEOUT) || 30 * 1000;
+        // Longest edge PDF pages are rendered at for OCR
+        this.pdfScale = OCR_WIDTH;
+    }
+
+    /**
+     * Check whether a file's identity fields are waiting to be read
+     * @param {Object} file - File document
+     * @returns {boolean} True if extraction is pending
+     */
+    isPending(file) {
+        return !!(file.identity && file.identity.status === 'pending');
+    }
+
+    /**
+     * Additional authenticated data binding sealed fields to their file
+     * @param {Object} file - File document
+     * @returns {string} Context
+     */
+    context(file) {
+        return `identity:${file._id}`;
+    }
+
+    /**
+     * Read, seal and save the MRZ of a file whose identity fields are pending.
+     * Failures are recorded on the file rather than thrown.
+     * @param {Object} file - File with storagePath selected
+     * @param {Buffer|string} fileKey - File data key (legacy user keys are not supported)
+     * @param {sharp.Sharp} image - Decoded image or first PDF page
+     * @returns {Promise<void>}
+     */
+    async process(file, fileKey, image) {
+        if (!Buffer.isBuffer(fileKey)) {
+            await this.setStatus(file, 'unsupported', 'File predates per-file keys');
+            return;
+        }
+
+        const result = await this.extract(image);
+
+        const identity = {
+            status: result.status,
+            error: result.error,
+            extractedAt: new Date()
+        };
+        if (result.status === 'found') {
+            Object.assign(identity, {
+                format: result.format,
+                valid: result.valid,
+                data: encryptionService.sealBuffer(
+                    fileKey,
+                    Buffer.from(JSON.stringify({ fields: result.fields, checks: result.checks })),
+                    this.context(file)
+                )
+            });
+        }
+
+        const update = { identity };
+
+        // A trustworthy expiry date starts tracking (or replaces the tracked one)
+        const { fields, checks } = result;
+        if (result.status === 'found' && fields.expiryDate && checks.expiryDate) {
+            const expiry = expiryService.build(fields.expiryDate, 'mrz');
+            const current = file.documentExpiry && file.documentExpiry.date;
+
+            if (!current || current.getTime() !== expiry.date.getTime()) {
+                update.documentExpiry = expiry;
+            }
+        }
+
+        // The content may have been replaced by a new version meanwhile
+        await File.updateOne(
+            { _id: file._id, checksum: file.checksum, storagePath: file.storagePath },
+            { $set: update }
+        );
+
+        if (result.status === 'found') {
+            logger.info(`${result.format} machine-readable zone read from file ${file._id}` +
+                (result.valid ? '' : ' (check digits do not match)'));
+        }
+    }
+
+    /**
+     * Record an outcome without fields, if extraction was still pending
+     * @param {Object} file - File document
+     * @param {string} status - 'unsupported' or 'failed'
+     * @param {string} [error] - Reason
+     * @returns {Promise<void>}
+     */
+    async setStatus(file, status, error) {
+        if (!this.isPending(file)) return;
+
+        await File.updateOne(
+            { _id: file._id, checksum: file.checksum, 'identity.status': 'pending' },
+            {
+                $set: {
+                    identity: {
+                        status,
+                        error: error ? String(error).substring(0, 200) : undefined,
+                        extractedAt: new Date()
+                    }
+                }
+            }
+        );
+    }
+
+    /**
+     * Find and parse the MRZ in an image
+     * @param {sharp.Sharp} image - Decoded image
+     * @returns {Promise<Object>} `{ status, format, fields, checks, valid, error }`
+     * where status is found, not_found or failed
+     */
+    async extract(image) {
+        let best = null;
+        let worker = null;
+
+        try {
+            const { data, info } = await image.clone()
+                .grayscale()
+                .normalise()
+                .resize({ width: OCR_WIDTH })
+                .png()
+                .toBuffer({ resolveWithObject: true });
+
+            const top = Math.floor(info.height * (1 - MRZ_REGION));
+            const regions = [
+                () => sharp(data).extract({ left: 0, top, width: info.width, height: info.height - top }).png().toBuffer(),
+                () => data
+            ];
+
+            worker = await this.createWorker();
+
+            for (const region of regions) {
+                const result = parseMrz(await this.recognize(worker, await region()));
+                if (result && (!best || (result.valid && !best.valid))) {
+                    best = result;
+                }
+                if (best && best.valid) break;
+            }
+        } catch (error) {
+            const message = error instanceof Error ? error.message : String(error);
+            logger.warn(`Machine-readable zone extraction failed: ${message}`);
+            return { status: 'failed', error: message };
+        } finally {
+            if (worker) {
+                await worker.terminate().catch(() => {});
+            }
+        }
+
+        return best ? { status: 'found', ...best } : { status: 'not_found' };
+    }
+
+    /**
+     * Start an OCR worker with the MRZ model, set up to read one uniform
+     * block of MRZ characters
+     * @returns {Promise<Object>} tesseract.js worker
+     */
+    async createWorker() {
+        const gzip = fs.existsSync(path.join(this.tessdataPath, `${this.language}.traineddata.gz`));
+
+        const worker = await createWorker(this.language, OEM.LSTM_ONLY, {
+            langPath: this.tessdataPath,
+            gzip,
+            // Read the model where it is; the app directory may be read-only
+            cacheMethod: 'none'
+        });
+
+        await worker.setParameters({
+            tessedit_pageseg_mode: PSM.SINGLE_BLOCK,
+            tessedit_char_whitelist: MRZ_CHARACTERS
+        });
+
+        return worker;
+    }
+
+    /**
+     * Recognise text in an image, in memory so no plaintext touches the disk
+     * @param {Object} worker - OCR worker from createWorker
+     * @param {Buffer} png - PNG image
+     * @returns {Promise<string>} Recognised text
+     * @throws {Error} If recognition fails or takes longer than MRZ_OCR_TIMEOUT
+     */
+    async recognize(worker, png) {
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+                // Stops the work; extract() would terminate it anyway
+                worker.terminate().catch(() => {});
+                reject(new Error('Text recognition timed out'));
+            }, this.timeout);
+        });
+
+        try {
+            const { data } = await Promise.race([worker.recognize(png), timeout]);
+            return data.text;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Describe a file's identity fields for responses, decrypting them
+     * @param {Object} file - File document
+     * @param {Buffer|string} fileKey - File data key
+     * @returns {Object|undefined} Identity fields, if extraction was attempted
+     */
+    read(file, fileKey) {
+        if (!file.identity || !file.identity.status) return undefined;
+
+        const { status, format, valid, error, extractedAt } = file.identity;
+        const identity = { status, format, valid, error, extractedAt };
+
+        if (file.identity.data) {
+            try {
+                const opened = encryptionService.openBuffer(fileKey, file.identity.data, this.context(file));
+                Object.assign(identity, JSON.parse(opened.toString('utf8')));
+            } catch (err) {
+                logger.error(`Could not decrypt identity fields of file ${file._id}: ${err.message}`);
+                identity.status = 'failed';
+            }
+        }
+
+        return identity;
+    }
+}
+
+module.exports = new IdentityService();
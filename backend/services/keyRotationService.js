@@ -0,0 +1,474 @@
+const crypto = require('crypto');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { v4: uuidv4 } = require('uuid');
+const File = require('../models/File');
+const FileVersion = require('../models/FileVersion');
+const UploadSession = require('../models/UploadSession');
+const User = require('../models/User');
+const KeyRotationJob = require('../models/KeyRotationJob');
+const AppError = require('../utils/AppError');
+const encryptionService = require('./encryptionService');
+const storageService = require('./storageService');
+const keyService = require('./keyService');
+const twoFactorService = require('./twoFactorService');
+const renditionService = require('./renditionService');
+const { getCurrentMasterKeyId } = require('../config/keys');
+const logger = require('../utils/logger');
+
+// A running job whose lock is older than this is assumed to have crashed
+const LOCK_TIMEOUT_MS = 5 * 60 * 1000;
+
+const USER_KEY_FIELDS = '+encryptionKey +encryptionKeySalt +encryptionKeys +currentKeyId';
+
+/**
+ * Runs key rotation jobs. Every item is idempotent and its outcome is stored
+ * on the job, so a job interrupted by a crash can be resumed where it stopped.
+ */
+class KeyRotationService {
+    /**
+     * Start rotating a user's key-encryption-key
+     * @param {string} userId - User to rotate
+     * @param {Object} [options] - Rotation options
+     * @param {string} [options.mode='rewrap'] - 'rewrap' or 'reencrypt'
+     * @param {string} [options.initiatedBy] - Admin who started the job
+     * @returns {Promise<Object>} Created job
+     */
+    async startUserRotation(userId, options = {}) {
+        const mode = options.mode || 'rewrap';
+        if (!['rewrap', 'reencrypt'].includes(mode)) {
+            throw new AppError('Rotation mode must be rewrap or reencrypt', 400);
+        }
+
+        const user = await User.findById(userId).select(USER_KEY_FIELDS);
+        if (!user) {
+            throw new AppError('User not found', 404);
+        }
+
+        const active = await KeyRotationJob.findOne({
+            type: 'user',
+            user: user._id,
+            status: { $in: ['pending', 'running'] }
+        });
+        if (active) {
+            throw new AppError(`A key rotation is already in progress for this user (job ${active._id})`, 409);
+        }
+
+        // New uploads use the new key from here on, so the file list below is complete
+        const { fromKeyIds, toKey } = await keyService.rotateUserKey(user);
+
+        const [files, versions] = await Promise.all([
+            File.find({ user: user._id })
+                .setOptions({ includeDeleted: true })
+                .select('_id'),
+            FileVersion.find({ user: user._id }).select('_id')
+        ]);
+
+        const job = await KeyRotationJob.create({
+            type: 'user',
+            user: user._id,
+            mode,
+            fromKeyIds,
+            toKeyId: toKey.keyId,
+            initiatedBy: options.initiatedBy,
+            total: files.length + versions.length,
+            items: [
+                ...files.map(f => ({ target: f._id })),
+                ...versions.map(v => ({ target: v._id, kind: 'version' }))
+            ]
+        });
+
+        logger.info(`Key rotation job ${job._id} created for user ${user._id} (${files.length} files, ${versions.length} older versions, ${mode})`);
+        return job;
+    }
+
+    /**
+     * Start re-wrapping every user key (and two-factor secret) still protected by a retired master key
+     * @param {Object} [options] - Rotation options
+     * @param {string} [options.initiatedBy] - Admin who started the job
+     * @returns {Promise<Object>} Created job
+     */
+    async startMasterRotation(options = {}) {
+        const masterKeyId = getCurrentMasterKeyId();
+
+        const active = await KeyRotationJob.findOne({
+            type: 'master',
+            status: { $in: ['pending', 'running'] }
+        });
+        if (active) {
+            throw new AppError(`A master key rotation is already in progress (job ${active._id})`, 409);
+        }
+
+        const secretPrefix = masterKeyId.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const users = await User.find({
+            $or: [
+                { encryptionKeys: { $elemMatch: { masterKeyId: { $ne: masterKeyId } } } },
+                { twoFactorSecret: { $exists: true, $not: new RegExp(`^${secretPrefix}:`) } }
+            ]
+        }).select('_id');
+
+        const job = await KeyRotationJob.create({
+            type: 'master',
+            toKeyId: masterKeyId,
+            initiatedBy: options.initiatedBy,
+            total: users.length,
+            items: users.map(u => ({ target: u._id }))
+        });
+
+        logger.info(`Master key rotation job ${job._id} created (${users.length} users)`);
+        return job;
+    }
+
+    /**
+     * Run (or resume) a job until every item is done or has failed
+     * @param {string} jobId - Job ID
+     * @returns {Promise<Object|null>} Finished job, or null if another worker holds it
+     */
+    async runJob(jobId) {
+        const job = await this.claimJob(jobId);
+        if (!job) {
+            logger.info(`Key rotation job ${jobId} is locked by another worker or already finished`);
+            return null;
+        }
+
+        logger.info(`Running key rotation job ${job._id} (${job.processed}/${job.total} done)`);
+
+        try {
+            for (const item of job.items) {
+                if (item.status === 'done') continue;
+
+                try {
+                    if (job.type === 'user') {
+                        await this.rotateFile(job, item);
+                    } else {
+                        await this.rotateUserMasterKey(item);
+                    }
+                    await this.markItem(job, item, 'done');
+                } catch (error) {
+                    logger.error(`Key rotation job ${job._id} failed on ${item.target}:`, error);
+                    await this.markItem(job, item, 'failed', error.message);
+                }
+            }
+
+            return await this.finishJob(job);
+        } catch (error) {
+            logger.error(`Key rotation job ${job._id} aborted:`, error);
+            await KeyRotationJob.updateOne(
+                { _id: job._id },
+                { $set: { status: 'failed', lastError: error.message }, $unset: { lockedAt: 1 } }
+            );
+            throw error;
+        }
+    }
+
+    /**
+     * Resume every job that was left pending, failed part-way, or whose worker died
+     * @returns {Promise<number>} Number of jobs resumed
+     */
+    async resumeJobs() {
+        const jobs = await KeyRotationJob.find({
+            status: { $in: ['pending', 'running'] },
+            $or: [
+                { lockedAt: { $exists: false } },
+                { lockedAt: { $lt: new Date(Date.now() - LOCK_TIMEOUT_MS) } }
+            ]
+        }).select('_id');
+
+        for (const job of jobs) {
+            await this.runJob(job._id);
+        }
+
+        return jobs.length;
+    }
+
+    /**
+     * Atomically take the lock on a job
+     * @param {string} jobId - Job ID
+     * @returns {Promise<Object|null>} Locked job
+     */
+    async claimJob(jobId) {
+        // Failed jobs can be retried; their failed items are reset below
+        const job = await KeyRotationJob.findOneAndUpdate(
+            {
+                _id: jobId,
+                status: { $in: ['pending', 'running', 'failed'] },
+                $or: [
+                    { lockedAt: { $exists: false } },
+                    { lockedAt: { $lt: new Date(Date.now() - LOCK_TIMEOUT_MS) } }
+                ]
+            },
+            {
+                $set: { status: 'running', lockedAt: new Date() },
+                $unset: { lastError: 1 }
+            },
+            { new: true }
+        );
+
+        if (job && !job.startedAt) {
+            job.startedAt = new Date();
+            await job.save();
+        }
+
+        return job;
+    }
+
+    /**
+     * Record the outcome of one item and refresh the job lock
+     * @param {Object} job - Job document
+     * @param {Object} item - Job item
+     * @param {string} status - 'done' or 'failed'
+     * @param {string} [error] - Failure reason
+     * @returns {Promise<void>}
+     */
+    async markItem(job, item, status, error) {
+        const update = {
+            $set: {
+                'items.$.status': status,
+                'items.$.updatedAt': new Date(),
+                lockedAt: new Date()
+            },
+            $inc: {}
+        };
+
+        if (status === 'done') {
+            update.$unset = { 'items.$.error': 1, 'items.$.pendingPath': 1, 'items.$.pendingBackend': 1 };
+            update.$inc.processed = 1;
+            if (item.status === 'failed') update.$inc.failed = -1;
+        } else {
+            update.$set['items.$.error'] = error;
+            if (item.status !== 'failed') update.$inc.failed = 1;
+        }
+
+        await KeyRotationJob.updateOne({ _id: job._id, 'items.target': item.target }, update);
+
+        item.status = status;
+    }
+
+    /**
+     * Complete a job and retire the keys it replaced
+     * @param {Object} job - Job document
+     * @returns {Promise<Object>} Updated job
+     */
+    async finishJob(job) {
+        const fresh = await KeyRotationJob.findById(job._id);
+        const failed = fresh.items.filter(i => i.status !== 'done').length;
+
+        if (failed === 0 && fresh.type === 'user') {
+            await this.retireUserKeys(fresh);
+        }
+
+        fresh.status = failed === 0 ? 'completed' : 'failed';
+        fresh.completedAt = failed === 0 ? new Date() : undefined;
+        fresh.lastError = failed === 0 ? undefined : `${failed} item(s) failed; resume the job to retry them`;
+        fresh.lockedAt = undefined;
+        await fresh.save();
+
+        logger.info(`Key rotation job ${fresh._id} ${fresh.status} (${fresh.processed}/${fresh.total})`);
+        return fresh;
+    }
+
+    /**
+     * Drop the old KEKs (and the legacy key) once no file, and no resumable
+     * upload still in progress, depends on them
+     * @param {Object} job - Completed user rotation job
+     * @returns {Promise<void>}
+     */
+    async retireUserKeys(job) {
+        const user = await User.findById(job.user).select(USER_KEY_FIELDS);
+        if (!user) return;
+
+        const keyFilter = {
+            user: user._id,
+            'encryptionMetadata.keyId': { $in: job.fromKeyIds }
+        };
+        const [usedByFiles, usedByVersions, usedByUploads] = await Promise.all([
+            File.distinct('encryptionMetadata.keyId', keyFilter).setOptions({ includeDeleted: true }),
+            FileVersion.distinct('encryptionMetadata.keyId', keyFilter),
+            // Left for the next rotation to retire once these uploads end
+            UploadSession.distinct('keyId', { user: user._id, keyId: { $in: job.fromKeyIds } })
+        ]);
+        const stillUsed = [...usedByFiles, ...usedByVersions, ...usedByUploads];
+
+        const retired = job.fromKeyIds.filter(id => !stillUsed.includes(id));
+        if (retired.length > 0) {
+            await keyService.retireUserKeys(user, retired);
+        }
+
+        const legacyFilter = {
+            user: user._id,
+            'encryptionMetadata.wrappedKey': { $exists: false }
+        };
+        const [legacyFiles, legacyVersions] = await Promise.all([
+            File.countDocuments(legacyFilter).setOptions({ includeDeleted: true }),
+            FileVersion.countDocuments(legacyFilter)
+        ]);
+
+        if (legacyFiles + legacyVersions === 0 && user.encryptionKey) {
+            user.encryptionKey = undefined;
+            user.encryptionKeySalt = undefined;
+            await user.save({ validateBeforeSave: false });
+            logger.info(`Removed legacy encryption key for user ${user._id}`);
+        }
+    }
+
+    /**
+     * Model holding a user rotation item: a File, or an older FileVersion
+     * @param {Object} item - Job item
+     * @returns {mongoose.Model} File or FileVersion
+     */
+    modelFor(item) {
+        return item.kind === 'version' ? FileVersion : File;
+    }
+
+    /**
+     * Move one file (or older file version) to the job's target key
+     * @param {Object} job - User rotation job
+     * @param {Object} item - Job item for the file
+     * @returns {Promise<void>}
+     */
+    async rotateFile(job, item) {
+        const file = await this.modelFor(item).findById(item.target)
+            .setOptions({ includeDeleted: true })
+            .select('+storagePath');
+
+        // Ciphertext left behind by an interrupted re-encryption of this file
+        if (item.pendingPath && (!file || file.storagePath !== item.pendingPath)) {
+            await storageService.getDriver(item.pendingBackend).delete(item.pendingPath);
+        }
+
+        // Deleted since the job started, or already moved before a crash
+        if (!file || file.encryptionMetadata.keyId === job.toKeyId) return;
+
+        const user = await User.findById(job.user).select(USER_KEY_FIELDS);
+        if (!user) {
+            throw new Error('File owner not found');
+        }
+
+        const isLegacy = !file.encryptionMetadata.wrappedKey;
+
+        if (job.mode === 'reencrypt' || isLegacy) {
+            await this.reencryptFile(job, item, file, user);
+        } else {
+            await this.rewrapFile(job, item, file, user);
+        }
+    }
+
+    /**
+     * Re-wrap a file's data key under the new user key
+     * @param {Object} job - User rotation job
+     * @param {Object} item - Job item for the file
+     * @param {Object} file - File document
+     * @param {Object} user - Owner with key fields selected
+     * @returns {Promise<void>}
+     */
+    async rewrapFile(job, item, file, user) {
+        const previousKeyId = file.encryptionMetadata.keyId;
+        const { keyId, keyVersion, wrappedKey } = keyService.wrapDataKey(
+            user, keyService.getFileKey(user, file), job.toKeyId, keyService.bindingId(file)
+        );
+
+        await this.modelFor(item).updateOne(
+            { _id: file._id, 'encryptionMetadata.keyId': previousKeyId },
+            {
+                $set: {
+                    'encryptionMetadata.keyId': keyId,
+                    'encryptionMetadata.keyVersion': keyVersion,
+                    'encryptionMetadata.wrappedKey': wrappedKey
+                }
+            }
+        ).setOptions({ includeDeleted: true });
+    }
+
+    /**
+     * Decrypt a file and encrypt it again under a fresh data key. The new
+     * ciphertext goes to a new path and the record is switched over in a single
+     * update, so a crash at any point leaves one complete, readable copy.
+     * @param {Object} job - User rotation job
+     * @param {Object} item - Job item for the file
+     * @param {Object} file - File document with storagePath selected
+     * @param {Object} user - Owner with key fields selected
+     * @returns {Promise<void>}
+     */
+    async reencryptFile(job, item, file, user) {
+        const storage = storageService.forFile(file);
+        const oldPath = file.storagePath;
+        const encryptedName = `${uuidv4()}${path.extname(file.originalName)}.encrypted`;
+        const newPath = storage.createKey(file.user, encryptedName);
+
+        await KeyRotationJob.updateOne(
+            { _id: job._id, 'items.target': item.target },
+            { $set: { 'items.$.pendingPath': newPath, 'items.$.pendingBackend': storage.name } }
+        );
+        item.pendingPath = newPath;
+        item.pendingBackend = storage.name;
+
+        const { dataKey, keyId, keyVersion, wrappedKey } = keyService.wrapDataKey(
+            user, crypto.randomBytes(keyService.keyLength), job.toKeyId, keyService.bindingId(file)
+        );
+        const cipher = encryptionService.createEncryptStream(dataKey);
+        const encryptedDigest = encryptionService.createDigestStream();
+
+        try {
+            await pipeline(
+                storage.createReadStream(oldPath),
+                encryptionService.createDecryptStream(keyService.getFileKey(user, file), file.encryptionMetadata.format),
+                encryptionService.createDigestStream(file.checksum),
+                cipher,
+                encryptedDigest,
+                storage.createWriteStream(newPath)
+            );
+        } catch (error) {
+            await storage.delete(newPath);
+            throw error;
+        }
+
+        const result = await this.modelFor(item).updateOne(
+            { _id: file._id, storagePath: oldPath },
+            {
+                $set: {
+                    storagePath: newPath,
+                    encryptedName,
+                    encryptedSize: encryptedDigest.bytes,
+                    encryptedChecksum: encryptedDigest.digest,
+                    encryptionMetadata: {
+                        ...encryptionService.getStreamMetadata(cipher.chunkSize),
+                        keyId,
+                        keyVersion,
+                        wrappedKey
+                    },
+                    // Previews were encrypted with the old data key
+                    ...(item.kind === 'version' ? {} : renditionService.resetFields(file))
+                }
+            }
+        ).setOptions({ includeDeleted: true });
+
+        if (result.modifiedCount === 0) {
+            await storage.delete(newPath);
+            throw new Error('File changed during re-encryption');
+        }
+
+        await storage.delete(oldPath);
+
+        if (item.kind !== 'version') {
+            await renditionService.replaced(file, { _id: file._id, ...renditionService.resetFields(file) });
+        }
+    }
+
+    /**
+     * Re-wrap one user's KEKs (and two-factor secret) under the current master key
+     * @param {Object} item - Job item for the user
+     * @returns {Promise<void>}
+     */
+    async rotateUserMasterKey(item) {
+        const user = await User.findById(item.target).select(`${USER_KEY_FIELDS} +twoFactorSecret`);
+        if (!user) return;
+
+        await keyService.rewrapUserKeys(user);
+
+        if (twoFactorService.rewrapSecret(user)) {
+            await user.save({ validateBeforeSave: false });
+        }
+    }
+}
+
+module.exports = new KeyRotationService();
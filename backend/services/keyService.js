@@ -0,0 +1,253 @@
+const crypto = require('crypto');
+const { getMasterKey, getCurrentMasterKeyId } = require('../config/keys');
+const logger = require('../utils/logger');
+
+/**
+ * Envelope encryption key hierarchy:
+ *   master key (config) -> wraps user key-encryption-key (User.encryptionKeys)
+ *   user KEK            -> wraps per-file data key (File.encryptionMetadata.wrappedKey)
+ * Rotating a key therefore only re-wraps small keys, never file contents.
+ */
+class KeyService {
+    constructor() {
+        this.algorithm = 'aes-256-gcm';
+        this.keyLength = 32; // 256 bits
+        this.ivLength = 12;
+        this.tagLength = 16;
+    }
+
+    /**
+     * Wrap a key with AES-256-GCM
+     * @param {Buffer} key - Key to wrap
+     * @param {Buffer} wrappingKey - Key-encryption key
+     * @param {string} context - Additional authenticated data binding the wrap to its owner
+     * @returns {string} Base64 of iv + tag + ciphertext
+     */
+    wrapKey(key, wrappingKey, context) {
+        const iv = crypto.randomBytes(this.ivLength);
+        const cipher = crypto.createCipheriv(this.algorithm, wrappingKey, iv);
+        cipher.setAAD(Buffer.from(context));
+
+        const encrypted = Buffer.concat([cipher.update(key), cipher.final()]);
+
+        return Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString('base64');
+    }
+
+    /**
+     * Unwrap a key produced by wrapKey
+     * @param {string} wrapped - Base64 of iv + tag + ciphertext
+     * @param {Buffer} wrappingKey - Key-encryption key
+     * @param {string} context - Additional authenticated data used when wrapping
+     * @returns {Buffer} Unwrapped key
+     */
+    unwrapKey(wrapped, wrappingKey, context) {
+        try {
+            const data = Buffer.from(wrapped, 'base64');
+            const iv = data.subarray(0, this.ivLength);
+            const authTag = data.subarray(this.ivLength, this.ivLength + this.tagLength);
+            const encrypted = data.subarray(this.ivLength + this.tagLength);
+
+            const decipher = crypto.createDecipheriv(this.algorithm, wrappingKey, iv);
+            decipher.setAAD(Buffer.from(context));
+            decipher.setAuthTag(authTag);
+
+            return Buffer.concat([decipher.update(encrypted), decipher.final()]);
+        } catch (error) {
+            logger.error('Key unwrap error:', error);
+            throw new Error('Key unwrap failed: Invalid key or corrupted data');
+        }
+    }
+
+    /**
+     * AAD for a user KEK wrapped by the master key
+     * @param {Object} user - User document
+     * @param {string} keyId - User key ID
+     * @returns {string} Context string
+     */
+    userKeyContext(user, keyId) {
+        return `user-key:${user._id}:${keyId}`;
+    }
+
+    /**
+     * AAD for a file data key wrapped by a user KEK. Binding it to the file
+     * means a wrapped key copied onto another record no longer unwraps.
+     * @param {string} keyId - User key ID
+     * @param {string} blobId - ID the key is bound to (see bindingId)
+     * @returns {string} Context string
+     */
+    dataKeyContext(keyId, blobId) {
+        return `data-key:${keyId}:${blobId}`;
+    }
+
+    /**
+     * ID a file's data key is bound to: the File itself, which all of its
+     * versions share so they can be restored without re-wrapping
+     * @param {Object} file - File or FileVersion document
+     * @returns {string} File ID
+     */
+    bindingId(file) {
+        return String(file.file || file._id);
+    }
+
+    /**
+     * Generate a new user key-encryption-key, wrapped by the current master key
+     * @param {Object} user - User document
+     * @returns {Object} Key entry for User.encryptionKeys
+     */
+    createUserKey(user) {
+        const keyId = crypto.randomBytes(8).toString('hex');
+        const masterKeyId = getCurrentMasterKeyId();
+        const kek = crypto.randomBytes(this.keyLength);
+        const version = (user.encryptionKeys || []).reduce((max, k) => Math.max(max, k.version || 0), 0) + 1;
+
+        return {
+            keyId,
+            version,
+            masterKeyId,
+            wrappedKey: this.wrapKey(kek, getMasterKey(masterKeyId), this.userKeyContext(user, keyId)),
+            createdAt: new Date()
+        };
+    }
+
+    /**
+     * Add a new KEK and make it the one used for new files. Existing files
+     * keep pointing at their old key until a rotation job moves them.
+     * Requires `+encryptionKeys +currentKeyId`.
+     * @param {Object} user - User document
+     * @returns {Promise<Object>} `{ fromKeyIds, toKey }`
+     */
+    async rotateUserKey(user) {
+        const fromKeyIds = user.encryptionKeys.map(k => k.keyId);
+        const entry = this.createUserKey(user);
+
+        user.encryptionKeys.push(entry);
+        user.currentKeyId = entry.keyId;
+        await user.save({ validateBeforeSave: false });
+
+        logger.info(`Rotated key-encryption-key for user ${user._id} to version ${entry.version}`);
+        return { fromKeyIds, toKey: entry };
+    }
+
+    /**
+     * Re-wrap a user's KEKs that are still protected by a retired master key
+     * @param {Object} user - User document with +encryptionKeys
+     * @returns {Promise<number>} Number of keys re-wrapped
+     */
+    async rewrapUserKeys(user) {
+        const masterKeyId = getCurrentMasterKeyId();
+        let rewrapped = 0;
+
+        user.encryptionKeys.forEach(entry => {
+            if (entry.masterKeyId === masterKeyId) return;
+
+            const kek = this.getUserKey(user, entry.keyId);
+            entry.wrappedKey = this.wrapKey(kek, getMasterKey(masterKeyId), this.userKeyContext(user, entry.keyId));
+            entry.masterKeyId = masterKeyId;
+            rewrapped++;
+        });
+
+        if (rewrapped > 0) {
+            user.markModified('encryptionKeys');
+            await user.save({ validateBeforeSave: false });
+        }
+
+        return rewrapped;
+    }
+
+    /**
+     * Drop KEKs that no longer protect any file
+     * @param {Object} user - User document with +encryptionKeys +currentKeyId
+     * @param {string[]} keyIds - Candidate key IDs
+     * @returns {Promise<void>}
+     */
+    async retireUserKeys(user, keyIds) {
+        user.encryptionKeys = user.encryptionKeys.filter(
+            k => k.keyId === user.currentKeyId || !keyIds.includes(k.keyId)
+        );
+        await user.save({ validateBeforeSave: false });
+
+        logger.info(`Retired ${keyIds.length} key-encryption-key(s) for user ${user._id}`);
+    }
+
+    /**
+     * Make sure a user has an active KEK, creating one for accounts that
+     * predate envelope encryption. Requires `+encryptionKeys +currentKeyId`.
+     * @param {Object} user - User document
+     * @returns {Promise<Object>} Active key entry
+     */
+    async ensureUserKey(user) {
+        const existing = user.currentKeyId && user.encryptionKeys.find(k => k.keyId === user.currentKeyId);
+        if (existing) return existing;
+
+        const entry = this.createUserKey(user);
+        user.encryptionKeys.push(entry);
+        user.currentKeyId = entry.keyId;
+        await user.save({ validateBeforeSave: false });
+
+        logger.info(`Created key-encryption-key ${entry.keyId} for user ${user._id}`);
+        return entry;
+    }
+
+    /**
+     * Unwrap one of a user's KEKs
+     * @param {Object} user - User document with +encryptionKeys
+     * @param {string} keyId - User key ID
+     * @returns {Buffer} KEK
+     */
+    getUserKey(user, keyId) {
+        const entry = user.encryptionKeys.find(k => k.keyId === keyId);
+        if (!entry) {
+            throw new Error(`Unknown user key: ${keyId}`);
+        }
+        return this.unwrapKey(entry.wrappedKey, getMasterKey(entry.masterKeyId), this.userKeyContext(user, keyId));
+    }
+
+    /**
+     * Generate a random data key for a new file, wrapped by the user's active KEK
+     * @param {Object} user - User document with +encryptionKeys +currentKeyId
+     * @param {string} blobId - ID to bind the key to (see bindingId)
+     * @returns {Promise<Object>} `{ dataKey, keyId, keyVersion, wrappedKey }`
+     */
+    async createDataKey(user, blobId) {
+        const { keyId } = await this.ensureUserKey(user);
+        return this.wrapDataKey(user, crypto.randomBytes(this.keyLength), keyId, blobId);
+    }
+
+    /**
+     * Wrap a data key with one of the user's KEKs
+     * @param {Object} user - User document with +encryptionKeys
+     * @param {Buffer} dataKey - File data key
+     * @param {string} keyId - User key ID
+     * @param {string} blobId - ID to bind the key to (see bindingId)
+     * @returns {Object} `{ dataKey, keyId, keyVersion, wrappedKey }`
+     */
+    wrapDataKey(user, dataKey, keyId, blobId) {
+        const entry = user.encryptionKeys.find(k => k.keyId === keyId);
+
+        return {
+            dataKey,
+            keyId,
+            keyVersion: entry && entry.version,
+            wrappedKey: this.wrapKey(dataKey, this.getUserKey(user, keyId), this.dataKeyContext(keyId, String(blobId)))
+        };
+    }
+
+    /**
+     * Get the key material that decrypts a file: the unwrapped data key for
+     * envelope-encrypted files, or the legacy per-user key for older files.
+     * @param {Object} user - Owner with +encryptionKey +encryptionKeys
+     * @param {Object} file - File or FileVersion document
+     * @returns {Buffer|string} Data key, or legacy user key
+     */
+    getFileKey(user, file) {
+        const { keyId, wrappedKey } = file.encryptionMetadata || {};
+
+        if (!wrappedKey) {
+            return user.encryptionKey;
+        }
+
+        return this.unwrapKey(wrappedKey, this.getUserKey(user, keyId), this.dataKeyContext(keyId, this.bindingId(file)));
+    }
+}
+
+module.exports = new KeyService();
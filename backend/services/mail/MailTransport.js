@@ -0,0 +1,30 @@
+/**
+ * Base class for mail transports. A transport delivers one fully addressed
+ * message; templates and the sender address are handled by mailService.
+ *
+ * Subclasses implement send.
+ */
+class MailTransport {
+    /**
+     * @param {string} name - Transport name, as set in MAIL_TRANSPORT
+     */
+    constructor(name) {
+        this.name = name;
+    }
+
+    /**
+     * Deliver a message
+     * @param {Object} message - Message to send
+     * @param {string} message.from - Sender address
+     * @param {string} message.to - Recipient address
+     * @param {string} message.subject - Subject line
+     * @param {string} message.text - Plain-text body
+     * @param {string} [message.html] - HTML body
+     * @returns {Promise<Object>} `{ messageId }`
+     */
+    async send(message) {
+        throw new Error(`${this.name} mail transport does not implement send`);
+    }
+}
+
+module.exports = MailTransport;
@@ -0,0 +1,23 @@
+const { v4: uuidv4 } = require('uuid');
+const MailTransport = require('./MailTransport');
+const logger = require('../../utils/logger');
+
+/**
+ * Logs messages instead of sending them. The default, so a fresh checkout
+ * works without mail settings; links in the message appear in the log.
+ */
+class ConsoleTransport extends MailTransport {
+    constructor() {
+        super('console');
+    }
+
+    async send(message) {
+        const messageId = `<${uuidv4()}@console>`;
+
+        logger.info(`Mail to ${message.to}: ${message.subject}\n${message.text}`);
+
+        return { messageId };
+    }
+}
+
+module.exports = ConsoleTransport;
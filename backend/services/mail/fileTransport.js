@@ -0,0 +1,31 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { v4: uuidv4 } = require('uuid');
+const MailTransport = require('./MailTransport');
+
+/**
+ * Writes each message as an .eml file instead of sending it, for local
+ * testing. Open the files with any mail client.
+ *
+ * Environment: MAIL_FILE_PATH (default ./logs/mail).
+ */
+class FileTransport extends MailTransport {
+    constructor() {
+        super('file');
+        this.root = process.env.MAIL_FILE_PATH || './logs/mail';
+        this.builder = nodemailer.createTransport({ streamTransport: true, buffer: true });
+    }
+
+    async send(message) {
+        const info = await this.builder.sendMail(message);
+        const filePath = path.join(this.root, `${Date.now()}-${uuidv4()}.eml`);
+
+        await fs.promises.mkdir(this.root, { recursive: true });
+        await fs.promises.writeFile(filePath, info.message);
+
+        return { messageId: info.messageId, path: filePath };
+    }
+}
+
+module.exports = FileTransport;
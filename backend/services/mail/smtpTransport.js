@@ -0,0 +1,36 @@
+const nodemailer = require('nodemailer');
+const MailTransport = require('./MailTransport');
+
+/**
+ * Sends mail through an SMTP server.
+ *
+ * Environment: SMTP_HOST, SMTP_PORT (default 587), SMTP_SECURE ("true" for
+ * implicit TLS, usually port 465), SMTP_USER and SMTP_PASS.
+ */
+class SmtpTransport extends MailTransport {
+    constructor() {
+        super('smtp');
+
+        if (!process.env.SMTP_HOST) {
+            throw new Error('SMTP_HOST is not configured');
+        }
+
+        const port = parseInt(process.env.SMTP_PORT) || 587;
+
+        this.transporter = nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port,
+            secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+            auth: process.env.SMTP_USER
+                ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+                : undefined
+        });
+    }
+
+    async send(message) {
+        const info = await this.transporter.sendMail(message);
+        return { messageId: info.messageId };
+    }
+}
+
+module.exports = SmtpTransport;
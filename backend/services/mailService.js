@@ -0,0 +1,140 @@
+const logger = require('../utils/logger');
+
+// Transport constructors by name; loaded lazily so nodemailer is only
+// required when a transport that needs it is used
+const TRANSPORTS = {
+    console: () => require('./mail/consoleTransport'),
+    file: () => require('./mail/fileTransport'),
+    smtp: () => require('./mail/smtpTransport')
+};
+
+/**
+ * Sends application mail through the transport selected by MAIL_TRANSPORT
+ * (default "console"). MAIL_FROM sets the sender address.
+ */
+class MailService {
+    constructor() {
+        this.transports = new Map();
+    }
+
+    /**
+     * Name of the configured transport
+     * @returns {string} Transport name
+     */
+    get defaultTransport() {
+        return process.env.MAIL_TRANSPORT || 'console';
+    }
+
+    /**
+     * Sender address for outgoing mail
+     * @returns {string} From header
+     */
+    get from() {
+        return process.env.MAIL_FROM || 'SecureVault <no-reply@localhost>';
+    }
+
+    /**
+     * Get a transport by name
+     * @param {string} [name] - Transport name, defaults to the configured transport
+     * @returns {MailTransport} Transport instance
+     */
+    getTransport(name = this.defaultTransport) {
+        if (!this.transports.has(name)) {
+            const load = TRANSPORTS[name];
+            if (!load) {
+                throw new Error(`Unknown mail transport: ${name}`);
+            }
+
+            const Transport = load();
+            this.transports.set(name, new Transport());
+            logger.info(`Mail transport initialized: ${name}`);
+        }
+
+        return this.transports.get(name);
+    }
+
+    /**
+     * Send a message
+     * @param {Object} message - `{ to, subject, text, html? }`
+     * @returns {Promise<Object>} `{ messageId }`
+     */
+    async send(message) {
+        const transport = this.getTransport();
+        const info = await transport.send({ from: this.from, ...message });
+
+        logger.info(`Mail sent via ${transport.name}: "${message.subject}" to ${message.to} (${info.messageId})`);
+        return info;
+    }
+
+    /**
+     * Send a password reset link
+     * @param {Object} user - Recipient
+     * @param {string} resetUrl - Link containing the reset token
+     * @param {number} expiresInMinutes - How long the link is valid
+     * @returns {Promise<Object>} `{ messageId }`
+     */
+    sendPasswordReset(user, resetUrl, expiresInMinutes) {
+        const escapedUrl = resetUrl.replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+
+        return this.send({
+            to: user.email,
+            subject: 'Reset your SecureVault password',
+            text: [
+                `Hi ${user.username},`,
+                '',
+                'Someone asked to reset the password for your SecureVault account.',
+                `Open this link within ${expiresInMinutes} minutes to choose a new password:`,
+                '',
+                resetUrl,
+                '',
+                'If this was not you, ignore this email; your password will not change.'
+            ].join('\n'),
+            html: `
+                <p>Hi ${user.username},</p>
+                <p>Someone asked to reset the password for your SecureVault account.
+                Open this link within ${expiresInMinutes} minutes to choose a new password:</p>
+                <p><a href="${escapedUrl}">Reset your password</a></p>
+                <p>If this was not you, ignore this email; your password will not change.</p>
+            `
+        });
+    }
+
+    /**
+     * Remind a user of identity documents that expire soon or have expired
+     * @param {Object} user - Recipient
+     * @param {Object[]} documents - `{ name, expiresOn, daysLeft }` per document
+     * @returns {Promise<Object>} `{ messageId }`
+     */
+    sendExpiryReminder(user, documents) {
+        const escape = value => String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+        const describe = ({ name, expiresOn, daysLeft }) => {
+            if (daysLeft > 1) return `${name} expires on ${expiresOn} (in ${daysLeft} days)`;
+            if (daysLeft === 1) return `${name} expires tomorrow, ${expiresOn}`;
+            if (daysLeft === 0) return `${name} expires today, ${expiresOn}`;
+            return `${name} expired on ${expiresOn}`;
+        };
+        const anyExpired = documents.some(document => document.daysLeft < 0);
+
+        return this.send({
+            to: user.email,
+            subject: anyExpired ? 'Some of your documents have expired' : 'Some of your documents expire soon',
+            text: [
+                `Hi ${user.username},`,
+                '',
+                'These identity documents in your SecureVault need attention:',
+                '',
+                ...documents.map(document => `- ${describe(document)}`),
+                '',
+                'Upload a renewed document as a new version of the file to keep it up to date.'
+            ].join('\n'),
+            html: `
+                <p>Hi ${escape(user.username)},</p>
+                <p>These identity documents in your SecureVault need attention:</p>
+                <ul>${documents.map(document => `<li>${escape(describe(document))}</li>`).join('')}</ul>
+                <p>Upload a renewed document as a new version of the file to keep it up to date.</p>
+            `
+        });
+    }
+}
+
+module.exports = new MailService();
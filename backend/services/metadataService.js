@@ -0,0 +1,632 @@
+const fs = require('fs');
+const zlib = require('zlib');
+const { parseTiff, bufferReader } = require('../utils/exif');
+const { diskReader, storedReader } = require('../utils/readers');
+const logger = require('../utils/logger');
+
+const TEXT_TYPES = /^(text\/|application\/(json|xml)$|image\/svg\+xml$)/;
+
+// How much of a text file is examined to guess its encoding
+const TEXT_SAMPLE_SIZE = 64 * 1024;
+
+// How much of a media container is searched for its header elements
+const HEADER_SCAN_SIZE = 1024 * 1024;
+
+/**
+ * Read an EBML variable-length integer
+ * @param {Buffer} buffer - Data
+ * @param {number} offset - Position
+ * @param {boolean} keepMarker - Keep the length marker bit (element IDs)
+ * @returns {Object|null} `{ value, length }`, value is null for "unknown size"
+ */
+const readVint = (buffer, offset, keepMarker) => {
+    const first = buffer[offset];
+    if (first === undefined || first === 0) return null;
+
+    let length = 1;
+    while (!(first & (0x80 >> (length - 1)))) length++;
+    if (offset + length > buffer.length) return null;
+
+    let value = keepMarker ? first : first & (0xff >> length);
+    let allOnes = value === (0xff >> length);
+    for (let i = 1; i < length; i++) {
+        value = value * 256 + buffer[offset + i];
+        allOnes = allOnes && buffer[offset + i] === 0xff;
+    }
+
+    return { value: !keepMarker && allOnes ? null : value, length };
+};
+
+/**
+ * Round a duration to milliseconds, dropping nonsense values
+ * @param {number} seconds - Duration
+ * @returns {number|undefined} Duration in seconds
+ */
+const toDuration = (seconds) => (
+    Number.isFinite(seconds) && seconds > 0 ? Math.round(seconds * 1000) / 1000 : undefined
+);
+
+/**
+ * Reads descriptive metadata from file content before or after it is
+ * encrypted: image dimensions and camera details, PDF page counts,
+ * audio/video duration and text encoding. Only headers are read where the
+ * format allows it. Extraction is best effort: an unrecognised or damaged
+ * file simply yields fewer fields, never an error.
+ */
+class MetadataService {
+    constructor() {
+        this.maxPdfScanSize = parseInt(process.env.METADATA_MAX_PDF_SCAN) || 32 * 1024 * 1024; // 32MB
+    }
+
+    /**
+     * Extract metadata from a staged plaintext upload
+     * @param {string} filePath - Path to the plaintext
+     * @param {string} mimeType - MIME type
+     * @returns {Promise<Object>} Metadata fields
+     */
+    async extractFromFile(filePath, mimeType) {
+        const { size } = await fs.promises.stat(filePath);
+        return this.extract(diskReader(filePath, size), mimeType);
+    }
+
+    /**
+     * Extract metadata from a stored file in the chunked format
+     * @param {StorageDriver} storage - Driver holding the blob
+     * @param {string} storagePath - Blob key
+     * @param {Buffer} fileKey - File data key
+     * @param {number} size - Plaintext size
+     * @param {string} mimeType - MIME type
+     * @returns {Promise<Object>} Metadata fields
+     */
+    extractFromStorage(storage, storagePath, fileKey, size, mimeType) {
+        return this.extract(storedReader(storage, storagePath, fileKey, size), mimeType);
+    }
+
+    /**
+     * Extract metadata through a reader
+     * @param {Object} reader - `{ size, read(start, length) }`
+     * @param {string} mimeType - MIME type
+     * @returns {Promise<Object>} Metadata fields (`extractedAt` is always set)
+     */
+    async extract(reader, mimeType) {
+        let fields = {};
+
+        try {
+            if (reader.size > 0) {
+                if (mimeType === 'image/svg+xml') {
+                    fields = { ...(await this.readSvg(reader)), ...(await this.readText(reader)) };
+                } else if (mimeType.startsWith('image/')) {
+                    fields = await this.readImage(reader);
+                } else if (mimeType === 'application/pdf') {
+                    fields = await this.readPdf(reader);
+                } else if (mimeType.startsWith('video/') || mimeType.startsWith('audio/')) {
+                    fields = await this.readMedia(reader);
+                } else if (TEXT_TYPES.test(mimeType)) {
+                    fields = await this.readText(reader);
+                }
+            }
+        } catch (error) {
+            logger.warn(`Metadata extraction failed (${mimeType}): ${error.message}`);
+        }
+
+        // Drop empty values so they are not stored
+        const clean = (object) => Object.fromEntries(
+            Object.entries(object).filter(([, value]) => value !== undefined && value !== null)
+        );
+        if (fields.exif) {
+            fields.exif = clean(fields.exif);
+        }
+
+        return { ...clean(fields), extractedAt: new Date() };
+    }
+
+    /**
+     * Read image dimensions and EXIF camera details, detecting the format
+     * from the content
+     * @param {Object} reader - Reader
+     * @returns {Promise<Object>} `{ width, height, exif }`
+     */
+    async readImage(reader) {
+        const head = await reader.read(0, 64);
+
+        if (head.toString('latin1', 1, 4) === 'PNG') {
+            return { width: head.readUInt32BE(16), height: head.readUInt32BE(20) };
+        }
+        if (head.toString('latin1', 0, 3) === 'GIF') {
+            return { width: head.readUInt16LE(6), height: head.readUInt16LE(8) };
+        }
+        if (head.toString('latin1', 0, 2) === 'BM') {
+            return { width: head.readInt32LE(18), height: Math.abs(head.readInt32LE(22)) };
+        }
+        if (head.toString('latin1', 0, 4) === 'RIFF' && head.toString('latin1', 8, 12) === 'WEBP') {
+            return this.readWebp(reader);
+        }
+        if (head[0] === 0xff && head[1] === 0xd8) {
+            return this.readJpeg(reader);
+        }
+
+        // TIFF: the whole file is one TIFF structure
+        return (await parseTiff(reader)) || {};
+    }
+
+    /**
+     * Walk JPEG segments up to the image data
+     * @param {Object} reader - Reader
+     * @returns {Promise<Object>} `{ width, height, exif }`
+     */
+    async readJpeg(reader) {
+        const result = {};
+        let offset = 2;
+
+        for (let segments = 0; segments < 100 && offset + 4 <= reader.size; segments++) {
+            const marker = await reader.read(offset, 4);
+            if (marker[0] !== 0xff) break;
+
+            const type = marker[1];
+            const length = marker.readUInt16BE(2);
+
+            // Start of frame (not DHT, JPG or DAC, which share the range)
+            if (type >= 0xc0 && type <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(type)) {
+                const frame = await reader.read(offset + 5, 4);
+                result.height = frame.readUInt16BE(0);
+                result.width = frame.readUInt16BE(2);
+            } else if (type === 0xe1 && !result.exif) {
+                const id = await reader.read(offset + 4, 6);
+                if (id.toString('latin1') === 'Exif\0\0') {
+                    const segment = await reader.read(offset + 10, length - 8);
+                    const tiff = await parseTiff(bufferReader(segment));
+                    if (tiff) result.exif = tiff.exif;
+                }
+            } else if (type === 0xda) {
+                break;
+            }
+
+            offset += 2 + length;
+        }
+
+        return result;
+    }
+
+    /**
+     * Read a WebP header and its EXIF chunk
+     * @param {Object} reader - Reader
+     * @returns {Promise<Object>} `{ width, height, exif }`
+     */
+    async readWebp(reader) {
+        const result = {};
+        let offset = 12;
+
+        for (let chunks = 0; chunks < 64 && offset + 8 <= reader.size; chunks++) {
+            const chunk = await reader.read(offset, 8);
+            const type = chunk.toString('latin1', 0, 4);
+            const length = chunk.readUInt32LE(4);
+
+            if (type === 'VP8X') {
+                const data = await reader.read(offset + 8, 10);
+                result.width = data.readUIntLE(4, 3) + 1;
+                result.height = data.readUIntLE(7, 3) + 1;
+            } else if (type === 'VP8 ' && !result.width) {
+                const data = await reader.read(offset + 8, 10);
+                result.width = data.readUInt16LE(6) & 0x3fff;
+                result.height = data.readUInt16LE(8) & 0x3fff;
+            } else if (type === 'VP8L' && !result.width) {
+                const bits = (await reader.read(offset + 9, 4)).readUInt32LE(0);
+                result.width = (bits & 0x3fff) + 1;
+                result.height = ((bits >> 14) & 0x3fff) + 1;
+            } else if (type === 'EXIF') {
+                let data = await reader.read(offset + 8, Math.min(length, 64 * 1024));
+                if (data.toString('latin1', 0, 6) === 'Exif\0\0') data = data.subarray(6);
+                const tiff = await parseTiff(bufferReader(data));
+                if (tiff) result.exif = tiff.exif;
+            }
+
+            offset += 8 + length + (length % 2);
+        }
+
+        return result;
+    }
+
+    /**
+     * Read the declared size of an SVG from its root element
+     * @param {Object} reader - Reader
+     * @returns {Promise<Object>} `{ width, height }`
+     */
+    async readSvg(reader) {
+        const head = (await reader.read(0, 4096)).toString('utf8');
+        const root = /<svg\b[^>]*>/i.exec(head);
+        if (!root) return {};
+
+        const attribute = (name) => {
+            const match = new RegExp(`\\s${name}\\s*=\\s*["']\\s*([\\d.]+)(px)?\\s*["']`, 'i').exec(root[0]);
+            return match ? Math.round(parseFloat(match[1])) : undefined;
+        };
+        const viewBox = /\sviewBox\s*=\s*["']\s*[-\d.]+[\s,]+[-\d.]+[\s,]+([\d.]+)[\s,]+([\d.]+)/i.exec(root[0]);
+
+        return {
+            width: attribute('width') || (viewBox ? Math.round(parseFloat(viewBox[1])) : undefined),
+            height: attribute('height') || (viewBox ? Math.round(parseFloat(viewBox[2])) : undefined)
+        };
+    }
+
+    /**
+     * Count the pages of a PDF: from the linearization dictionary if there is
+     * one, else from the page tree root (looking inside compressed object
+     * streams too), else by counting page objects. Large files are only
+     * scanned at the start and the end.
+     * @param {Object} reader - Reader
+     * @returns {Promise<Object>} `{ pages }`
+     */
+    async readPdf(reader) {
+        let text;
+        if (reader.size <= this.maxPdfScanSize) {
+            text = (await reader.read(0, reader.size)).toString('latin1');
+        } else {
+            const half = Math.floor(this.maxPdfScanSize / 2);
+            text = (await reader.read(0, half)).toString('latin1') +
+                (await reader.read(reader.size - half, half)).toString('latin1');
+        }
+
+        const linearized = /\/Linearized\b[^>]*?\/N\s+(\d+)/.exec(text.substring(0, 2048));
+        if (linearized) {
+            return { pages: parseInt(linearized[1], 10) };
+        }
+
+        const pageTreeCount = (source) => {
+            let max = 0;
+            const pattern = /\/Type\s*\/Pages\b/g;
+            let match;
+            while ((match = pattern.exec(source)) !== null) {
+                // The /Count of this dictionary, before or after /Type
+                const start = source.lastIndexOf('<<', match.index);
+                const end = source.indexOf('>>', match.index);
+                const count = /\/Count\s+(\d+)/.exec(source.substring(start, end === -1 ? undefined : end));
+                if (count) max = Math.max(max, parseInt(count[1], 10));
+            }
+            return max;
+        };
+
+        let pages = pageTreeCount(text);
+
+        if (!pages) {
+            // PDF 1.5+ may keep the page tree in compressed object streams
+            const streams = /\/Type\s*\/ObjStm\b[\s\S]*?stream\r?\n([\s\S]*?)endstream/g;
+            let match;
+            while (!pages && (match = streams.exec(text)) !== null) {
+                try {
+                    pages = pageTreeCount(zlib.inflateSync(Buffer.from(match[1], 'latin1')).toString('latin1'));
+                } catch (error) {
+                    // Not Flate-encoded, or encrypted
+                }
+            }
+        }
+
+        if (!pages) {
+            pages = (text.match(/\/Type\s*\/Page\b(?!s)/g) || []).length;
+        }
+
+        return { pages: pages || undefined };
+    }
+
+    /**
+     * Read the duration (and, for video, the frame size) of an audio or video
+     * file, detecting the container from the content
+     * @param {Object} reader - Reader
+     * @returns {Promise<Object>} `{ duration, width, height }`
+     */
+    async readMedia(reader) {
+        const head = await reader.read(0, 64);
+        const tag = (start, end) => head.toString('latin1', start, end);
+
+        if (tag(4, 8) === 'ftyp' || ['moov', 'mdat', 'wide', 'free'].includes(tag(4, 8))) {
+            return this.readMp4(reader);
+        }
+        if (head.readUInt32BE(0) === 0x1a45dfa3) {
+            return this.readMatroska(reader);
+        }
+        if (tag(0, 4) === 'RIFF' && tag(8, 12) === 'WAVE') {
+            return this.readWav(reader);
+        }
+        if (tag(0, 4) === 'RIFF' && tag(8, 12) === 'AVI ') {
+            return this.readAvi(reader);
+        }
+        if (tag(0, 4) === 'OggS') {
+            return this.readOgg(reader);
+        }
+        if (tag(0, 3) === 'ID3' || (head[0] === 0xff && (head[1] & 0xe0) === 0xe0)) {
+            return this.readMp3(reader);
+        }
+
+        return {};
+    }
+
+    /**
+     * Read the movie header and the first video track of an MP4/QuickTime file
+     * @param {Object} reader - Reader
+     * @returns {Promise<Object>} `{ duration, width, height }`
+     */
+    async readMp4(reader) {
+        const findBox = async (start, end, type) => {
+            let offset = start;
+            for (let boxes = 0; boxes < 1000 && offset + 8 <= end; boxes++) {
+                const header = await reader.read(offset, 16);
+                let size = header.readUInt32BE(0);
+                let headerSize = 8;
+                if (size === 1) {
+                    size = Number(header.readBigUInt64BE(8));
+                    headerSize = 16;
+                } else if (size === 0) {
+                    size = end - offset;
+                }
+                if (size < headerSize) return null;
+
+                if (header.toString('latin1', 4, 8) === type) {
+                    return { start: offset + headerSize, end: Math.min(offset + size, end) };
+                }
+                offset += size;
+            }
+            return null;
+        };
+
+        const moov = await findBox(0, reader.size, 'moov');
+        if (!moov) return {};
+
+        const result = {};
+        const mvhd = await findBox(moov.start, moov.end, 'mvhd');
+        if (mvhd) {
+            const data = await reader.read(mvhd.start, 32);
+            const [timescale, duration] = data[0] === 1
+                ? [data.readUInt32BE(20), Number(data.readBigUInt64BE(24))]
+                : [data.readUInt32BE(12), data.readUInt32BE(16)];
+            result.duration = timescale ? toDuration(duration / timescale) : undefined;
+        }
+
+        // Track headers end with the display size as 16.16 fixed point
+        let offset = moov.start;
+        for (let tracks = 0; tracks < 32; tracks++) {
+            const trak = await findBox(offset, moov.end, 'trak');
+            if (!trak) break;
+
+            const tkhd = await findBox(trak.start, trak.end, 'tkhd');
+            if (tkhd) {
+                const size = await reader.read(tkhd.end - 8, 8);
+                const width = size.readUInt32BE(0) >>> 16;
+                const height = size.readUInt32BE(4) >>> 16;
+                if (width && height) {
+                    result.width = width;
+                    result.height = height;
+                    break;
+                }
+            }
+            offset = trak.end;
+        }
+
+        return result;
+    }
+
+    /**
+     * Read the segment info and first video track of a WebM/Matroska file
+     * @param {Object} reader - Reader
+     * @returns {Promise<Object>} `{ duration, width, height }`
+     */
+    async readMatroska(reader) {
+        const data = await reader.read(0, HEADER_SCAN_SIZE);
+        const ids = { SEGMENT: 0x18538067, INFO: 0x1549a966, TRACKS: 0x1654ae6b, TRACK: 0xae, VIDEO: 0xe0 };
+        const containers = new Set(Object.values(ids));
+        const result = {};
+        let timecodeScale = 1000000;
+        let duration;
+
+        const walk = (start, end, depth) => {
+            let offset = start;
+            while (offset < end && depth < 8) {
+                const id = readVint(data, offset, true);
+                if (!id) return;
+                const size = readVint(data, offset + id.length, false);
+                if (!size) return;
+
+                const bodyStart = offset + id.length + size.length;
+                const bodyEnd = size.value === null ? end : Math.min(bodyStart + size.value, end);
+
+                if (containers.has(id.value)) {
+                    walk(bodyStart, bodyEnd, depth + 1);
+                } else if (id.value === 0x2ad7b1) {
+                    timecodeScale = data.readUIntBE(bodyStart, Math.min(bodyEnd - bodyStart, 6));
+                } else if (id.value === 0x4489) {
+                    duration = bodyEnd - bodyStart === 4 ? data.readFloatBE(bodyStart) : data.readDoubleBE(bodyStart);
+                } else if (id.value === 0xb0 && !result.width) {
+                    result.width = data.readUIntBE(bodyStart, Math.min(bodyEnd - bodyStart, 6));
+                } else if (id.value === 0xba && !result.height) {
+                    result.height = data.readUIntBE(bodyStart, Math.min(bodyEnd - bodyStart, 6));
+                } else if (id.value === 0x1f43b675) {
+                    // Clusters hold the media data; the headers come before them
+                    return;
+                }
+
+                offset = bodyEnd;
+            }
+        };
+
+        walk(0, data.length, 0);
+
+        if (duration !== undefined) {
+            result.duration = toDuration((duration * timecodeScale) / 1e9);
+        }
+        return result;
+    }
+
+    /**
+     * Read the format and data size of a WAV file
+     * @param {Object} reader - Reader
+     * @returns {Promise<Object>} `{ duration }`
+     */
+    async readWav(reader) {
+        let offset = 12;
+        let byteRate;
+
+        for (let chunks = 0; chunks < 64 && offset + 8 <= reader.size; chunks++) {
+            const chunk = await reader.read(offset, 8);
+            const type = chunk.toString('latin1', 0, 4);
+            const length = chunk.readUInt32LE(4);
+
+            if (type === 'fmt ') {
+                byteRate = (await reader.read(offset + 8, 16)).readUInt32LE(8);
+            } else if (type === 'data' && byteRate) {
+                // Streamed WAVs may declare 0 or 0xffffffff; use the real size then
+                const dataSize = length === 0 || length === 0xffffffff ? reader.size - offset - 8 : length;
+                return { duration: toDuration(dataSize / byteRate) };
+            }
+
+            offset += 8 + length + (length % 2);
+        }
+
+        return {};
+    }
+
+    /**
+     * Read the main header of an AVI file
+     * @param {Object} reader - Reader
+     * @returns {Promise<Object>} `{ duration, width, height }`
+     */
+    async readAvi(reader) {
+        const head = await reader.read(0, 4096);
+        const at = head.indexOf('avih');
+        if (at === -1 || at + 48 > head.length) return {};
+
+        const microSecPerFrame = head.readUInt32LE(at + 8);
+        const totalFrames = head.readUInt32LE(at + 24);
+
+        return {
+            duration: toDuration((microSecPerFrame * totalFrames) / 1e6),
+            width: head.readUInt32LE(at + 40) || undefined,
+            height: head.readUInt32LE(at + 44) || undefined
+        };
+    }
+
+    /**
+     * Read the duration of an Ogg Vorbis or Opus file from the granule
+     * position of its last page
+     * @param {Object} reader - Reader
+     * @returns {Promise<Object>} `{ duration }`
+     */
+    async readOgg(reader) {
+        const head = await reader.read(0, 512);
+        let sampleRate;
+        let preSkip = 0;
+
+        const vorbis = head.indexOf('\x01vorbis', 0, 'latin1');
+        const opus = head.indexOf('OpusHead', 0, 'latin1');
+        if (vorbis !== -1) {
+            sampleRate = head.readUInt32LE(vorbis + 12);
+        } else if (opus !== -1) {
+            // Opus granules always count 48 kHz samples
+            sampleRate = 48000;
+            preSkip = head.readUInt16LE(opus + 10);
+        }
+        if (!sampleRate) return {};
+
+        const tailSize = Math.min(reader.size, 64 * 1024);
+        const tail = await reader.read(reader.size - tailSize, tailSize);
+        const last = tail.lastIndexOf('OggS', tail.length, 'latin1');
+        if (last === -1 || last + 14 > tail.length) return {};
+
+        const granule = Number(tail.readBigInt64LE(last + 6));
+        return { duration: toDuration((granule - preSkip) / sampleRate) };
+    }
+
+    /**
+     * Read the duration of an MP3 file from its Xing/VBRI header, or estimate
+     * it from the bitrate of the first frame
+     * @param {Object} reader - Reader
+     * @returns {Promise<Object>} `{ duration }`
+     */
+    async readMp3(reader) {
+        let offset = 0;
+        const id3 = await reader.read(0, 10);
+        if (id3.toString('latin1', 0, 3) === 'ID3') {
+            // Tag size is a 28-bit "synchsafe" integer
+            offset = 10 + ((id3[6] & 0x7f) << 21 | (id3[7] & 0x7f) << 14 | (id3[8] & 0x7f) << 7 | (id3[9] & 0x7f));
+        }
+
+        const data = await reader.read(offset, 4096);
+        let frame = -1;
+        for (let i = 0; i + 4 <= data.length; i++) {
+            if (data[i] === 0xff && (data[i + 1] & 0xe0) === 0xe0 && (data[i + 2] & 0xf0) !== 0xf0) {
+                frame = i;
+                break;
+            }
+        }
+        if (frame === -1) return {};
+
+        const header = data.readUInt32BE(frame);
+        const versionBits = (header >> 19) & 3;
+        const layerBits = (header >> 17) & 3;
+        const mpeg1 = versionBits === 3;
+        if (versionBits === 1 || layerBits === 0) return {};
+
+        const sampleRates = { 3: [44100, 48000, 32000], 2: [22050, 24000, 16000], 0: [11025, 12000, 8000] };
+        const sampleRate = sampleRates[versionBits][(header >> 10) & 3];
+        const layer = 4 - layerBits;
+        const samplesPerFrame = layer === 1 ? 384 : layer === 3 && !mpeg1 ? 576 : 1152;
+        if (!sampleRate) return {};
+
+        // A VBR header records the frame count
+        const mono = ((header >> 6) & 3) === 3;
+        const sideInfo = mpeg1 ? (mono ? 17 : 32) : (mono ? 9 : 17);
+        const xing = frame + 4 + sideInfo;
+        const xingTag = data.toString('latin1', xing, xing + 4);
+        if ((xingTag === 'Xing' || xingTag === 'Info') && data.readUInt32BE(xing + 4) & 1) {
+            return { duration: toDuration((data.readUInt32BE(xing + 8) * samplesPerFrame) / sampleRate) };
+        }
+        if (data.toString('latin1', frame + 36, frame + 40) === 'VBRI') {
+            return { duration: toDuration((data.readUInt32BE(frame + 50) * samplesPerFrame) / sampleRate) };
+        }
+
+        const bitrates = {
+            '1-1': [32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+            '1-2': [32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+            '1-3': [32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+            '2-1': [32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+            '2-2': [8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+        };
+        const table = bitrates[mpeg1 ? `1-${layer}` : (layer === 1 ? '2-1' : '2-2')];
+        const bitrate = table[((header >> 12) & 0xf) - 1];
+        if (!bitrate) return {};
+
+        return { duration: toDuration(((reader.size - offset - frame) * 8) / (bitrate * 1000)) };
+    }
+
+    /**
+     * Guess the character encoding of a text file from its byte order mark or
+     * from whether its start is valid UTF-8
+     * @param {Object} reader - Reader
+     * @returns {Promise<Object>} `{ encoding }`
+     */
+    async readText(reader) {
+        const sample = await reader.read(0, TEXT_SAMPLE_SIZE);
+
+        if (sample[0] === 0xef && sample[1] === 0xbb && sample[2] === 0xbf) return { encoding: 'utf-8' };
+        if (sample[0] === 0xff && sample[1] === 0xfe) return { encoding: 'utf-16le' };
+        if (sample[0] === 0xfe && sample[1] === 0xff) return { encoding: 'utf-16be' };
+
+        if (sample.every(byte => byte < 0x80)) {
+            return { encoding: 'ascii' };
+        }
+
+        // Do not count a multi-byte character cut off by the sample as invalid
+        let end = sample.length;
+        if (reader.size > sample.length) {
+            let i = end - 1;
+            while (i > end - 4 && i > 0 && (sample[i] & 0xc0) === 0x80) i--;
+            end = i;
+        }
+
+        try {
+            new TextDecoder('utf-8', { fatal: true }).decode(sample.subarray(0, end));
+            return { encoding: 'utf-8' };
+        } catch (error) {
+            return { encoding: 'iso-8859-1' };
+        }
+    }
+}
+
+module.exports = new MetadataService();
@@ -0,0 +1,474 @@
+const path = require('path');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { v4: uuidv4 } = require('uuid');
+const sharp = require('sharp');
+const File = require('../models/File');
+const User = require('../models/User');
+const { decodeBmp } = require('../utils/bmp');
+const encryptionService = require('./encryptionService');
+const keyService = require('./keyService');
+const storageService = require('./storageService');
+const scanService = require('./scanService');
+const identityService = require('./identityService');
+const logger = require('../utils/logger');
+
+const USER_KEY_FIELDS = '+encryptionKey +encryptionKeys +currentKeyId';
+
+// Longest edge of each rendition, in pixels
+const SIZES = {
+    thumbnail: 256,
+    medium: 1024
+};
+
+// Formats the image library decodes itself
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'image/svg+xml', 'image/tiff'];
+const BMP_TYPES = ['image/bmp', 'image/x-ms-bmp'];
+const PDF_TYPES = ['application/pdf'];
+
+// Largest image decoded (width * height), against decompression bombs
+const MAX_PIXELS = 100 * 1000 * 1000;
+
+// Metrics of the 14 standard PDF fonts, for documents that do not embed them
+const STANDARD_FONTS = path.join(path.dirname(require.resolve('pdfjs-dist/package.json')), 'standard_fonts') + path.sep;
+
+// Files processed per processPending call, to stay within a serverless time limit
+const PENDING_BATCH_SIZE = 10;
+
+/**
+ * Generates thumbnail and medium-size previews of images and PDFs in the
+ * background. Renditions are WebP, encrypted with the file's own data key and
+ * stored next to the original, so they are readable exactly when the file is.
+ * The same pass reads identity documents' MRZ when that is enabled (see
+ * identityService). Work runs one file at a time in-process; files left
+ * pending by a restart are picked up again by resumePending, or on serverless
+ * deployments by processPending.
+ */
+class RenditionService {
+    constructor() {
+        this.maxSourceSize = parseInt(process.env.RENDITION_MAX_SOURCE_SIZE) || 50 * 1024 * 1024; // 50MB
+        this.timeout = parseInt(process.env.RENDITION_TIMEOUT) || 30 * 1000;
+        this.maxAttempts = parseInt(process.env.RENDITION_MAX_ATTEMPTS) || 3;
+        this.sizes = Object.keys(SIZES);
+        this.queue = [];
+        this.queued = new Set();
+        this.running = false;
+    }
+
+    /**
+     * Check whether renditions can be generated for a file
+     * @param {Object} file - File document
+     * @returns {boolean} True for server-readable images and PDFs that are
+     * not quarantined
+     */
+    supports(file) {
+        if (file.isClientEncrypted || scanService.isQuarantined(file)) return false;
+
+        return [...IMAGE_TYPES, ...BMP_TYPES, ...PDF_TYPES].includes(file.mimeType);
+    }
+
+    /**
+     * Queue a file for rendition generation. Queuing a file twice before it
+     * is processed has no extra effect.
+     * @param {string|Object} fileId - File ID
+     */
+    enqueue(fileId) {
+        const id = String(fileId);
+        if (this.queued.has(id)) return;
+
+        this.queued.add(id);
+        this.queue.push(id);
+
+        if (!this.running) {
+            this.running = true;
+            setImmediate(() => this.drain());
+        }
+    }
+
+    /**
+     * Process queued files until the queue is empty
+     * @returns {Promise<void>}
+     */
+    async drain() {
+        while (this.queue.length > 0) {
+            const id = this.queue.shift();
+            this.queued.delete(id);
+
+            try {
+                await this.processFile(id);
+            } catch (error) {
+                logger.error(`Rendition generation failed for file ${id}:`, error);
+            }
+        }
+
+        this.running = false;
+    }
+
+    /**
+     * Queue every file whose renditions were not finished, e.g. because the
+     * server restarted while they were pending
+     * @returns {Promise<number>} Number of files queued
+     */
+    async resumePending() {
+        const files = await File.find({ renditionStatus: { $in: ['pending', 'processing'] } })
+            .select('_id');
+
+        files.forEach(file => this.enqueue(file._id));
+
+        if (files.length > 0) {
+            logger.info(`Resumed rendition generation for ${files.length} file(s)`);
+        }
+        return files.length;
+    }
+
+    /**
+     * Generate the renditions of pending files now rather than in the
+     * background, for serverless deployments where work left running after
+     * a response may never finish (see cronController)
+     * @param {number} [limit=PENDING_BATCH_SIZE] - Most files to process
+     * @returns {Promise<number>} Number of files processed
+     */
+    async processPending(limit = PENDING_BATCH_SIZE) {
+        // Files still 'processing' were interrupted; a previous invocation
+        // was frozen or timed out part-way through them
+        const files = await File.find({ renditionStatus: { $in: ['pending', 'processing'] } })
+            .select('_id')
+            .sort({ updatedAt: 1 })
+            .limit(limit);
+
+        for (const file of files) {
+            try {
+                await this.processFile(file._id);
+            } catch (error) {
+                logger.error(`Rendition generation failed for file ${file._id}:`, error);
+            }
+        }
+
+        return files.length;
+    }
+
+    /**
+     * Generate and store the renditions of one file. The result is only saved
+     * if the file's content is still the one that was rendered.
+     * @param {string} fileId - File ID
+     * @returns {Promise<void>}
+     */
+    async processFile(fileId) {
+        const file = await File.findById(fileId).select('+storagePath');
+        if (!file) return;
+
+        if (!this.supports(file)) {
+            await this.setStatus(file, 'unsupported');
+            return;
+        }
+        if (file.originalSize > this.maxSourceSize) {
+            await this.setStatus(file, 'unsupported', 'File too large for a preview');
+            await identityService.setStatus(file, 'unsupported', 'File too large to read');
+            return;
+        }
+
+        const user = await User.findById(file.user).select(USER_KEY_FIELDS);
+        if (!user) return;
+
+        // A file that never finishes (e.g. always exceeds the time limit) is
+        // given up on rather than retried forever
+        if ((file.renditionAttempts || 0) >= this.maxAttempts) {
+            const reason = `Gave up after ${this.maxAttempts} unfinished attempts`;
+            await this.setStatus(file, 'failed', reason);
+            await identityService.setStatus(file, 'failed', reason);
+            return;
+        }
+
+        await File.updateOne(
+            { _id: file._id, checksum: file.checksum },
+            { $set: { renditionStatus: 'processing' }, $unset: { renditionError: 1 }, $inc: { renditionAttempts: 1 } }
+        );
+
+        const fileKey = keyService.getFileKey(user, file);
+        const readIdentity = identityService.isPending(file);
+
+        let images;
+        try {
+            const source = await this.readPlaintext(file, user);
+            // PDF pages are rendered large enough for OCR when it will run
+            const image = await this.decode(source, file.mimeType, readIdentity ? identityService.pdfScale : SIZES.medium);
+
+            if (readIdentity) {
+                await identityService.process(file, fileKey, image);
+            }
+            images = await this.render(image);
+        } catch (error) {
+            const status = error.code === 'RENDERER_UNAVAILABLE' ? 'unsupported' : 'failed';
+            const reason = error.code === 'RENDERER_UNAVAILABLE' ? 'PDF renderer not available' : error.message;
+            logger.warn(`Could not render file ${file._id}: ${error.message}`);
+            await this.setStatus(file, status, reason);
+            await identityService.setStatus(file, status, reason);
+            return;
+        }
+
+        const storage = storageService.forFile(file);
+        const renditions = [];
+
+        try {
+            for (const image of images) {
+                const storagePath = storage.createKey(file.user, `${uuidv4()}.${image.size}.webp.encrypted`);
+                renditions.push({ size: image.size, storagePath, storageBackend: storage.name });
+
+                const encrypted = await encryptionService.encryptStream(
+                    Readable.from([image.data]),
+                    storage.createWriteStream(storagePath),
+                    fileKey
+                );
+
+                Object.assign(renditions[renditions.length - 1], {
+                    width: image.width,
+                    height: image.height,
+                    mimeType: 'image/webp',
+                    originalSize: encrypted.metadata.originalSize,
+                    encryptedSize: encrypted.metadata.encryptedSize,
+                    format: encrypted.metadata.format,
+                    generatedAt: new Date()
+                });
+            }
+        } catch (error) {
+            await this.deleteBlobs(renditions);
+            throw error;
+        }
+
+        // The content may have been replaced by a new version meanwhile
+        const result = await File.updateOne(
+            { _id: file._id, checksum: file.checksum, storagePath: file.storagePath },
+            {
+                $set: { renditions, renditionStatus: 'ready' },
+                $unset: { renditionError: 1 }
+            }
+        );
+
+        if (result.modifiedCount === 0) {
+            await this.deleteBlobs(renditions);
+            return;
+        }
+
+        // Renditions of an earlier attempt are superseded
+        await this.deleteBlobs(file.renditions || []);
+
+        logger.info(`Renditions generated for file ${file._id}`);
+    }
+
+    /**
+     * Record a file's rendition status
+     * @param {Object} file - File document
+     * @param {string} status - New status
+     * @param {string} [error] - Reason for failed or unsupported
+     * @returns {Promise<void>}
+     */
+    async setStatus(file, status, error) {
+        await File.updateOne(
+            { _id: file._id, checksum: file.checksum },
+            error
+                ? { $set: { renditionStatus: status, renditionError: String(error).substring(0, 200) } }
+                : { $set: { renditionStatus: status }, $unset: { renditionError: 1 } }
+        );
+    }
+
+    /**
+     * Decrypt a file into memory, verifying its checksum
+     * @param {Object} file - File with storagePath selected
+     * @param {Object} user - Owner with key fields selected
+     * @returns {Promise<Buffer>} Plaintext
+     */
+    async readPlaintext(file, user) {
+        const chunks = [];
+
+        await pipeline(
+            storageService.forFile(file).createReadStream(file.storagePath),
+            encryptionService.createDecryptStream(keyService.getFileKey(user, file), file.encryptionMetadata.format),
+            encryptionService.createDigestStream(file.checksum),
+            async (source) => {
+                for await (const chunk of source) {
+                    chunks.push(chunk);
+                }
+            }
+        );
+
+        return Buffer.concat(chunks);
+    }
+
+    /**
+     * Decode an image, or the first page of a PDF
+     * @param {Buffer} source - File content
+     * @param {string} mimeType - File MIME type
+     * @param {number} pdfScale - Longest edge to render PDF pages at
+     * @returns {Promise<sharp.Sharp>} Decoded image
+     */
+    async decode(source, mimeType, pdfScale) {
+        if (BMP_TYPES.includes(mimeType)) {
+            const { data, width, height } = decodeBmp(source);
+            return sharp(data, { raw: { width, height, channels: 4 } });
+        }
+        if (PDF_TYPES.includes(mimeType)) {
+            return sharp(await this.renderPdfPage(source, pdfScale), { limitInputPixels: MAX_PIXELS });
+        }
+
+        // Follow the EXIF orientation so photos are not shown sideways
+        return sharp(source, { limitInputPixels: MAX_PIXELS }).rotate();
+    }
+
+    /**
+     * Render every rendition size of a decoded image
+     * @param {sharp.Sharp} image - Decoded image
+     * @returns {Promise<Object[]>} `{ size, data, width, height }` per size
+     */
+    async render(image) {
+        const images = [];
+        for (const size of this.sizes) {
+            const { data, info } = await image.clone()
+                .resize({ width: SIZES[size], height: SIZES[size], fit: 'inside', withoutEnlargement: true })
+                .webp({ quality: 80 })
+                .toBuffer({ resolveWithObject: true });
+
+            images.push({ size, data, width: info.width, height: info.height });
+        }
+
+        return images;
+    }
+
+    /**
+     * Render the first page of a PDF to PNG with the bundled renderer
+     * (pdf.js drawing onto @napi-rs/canvas), in memory so no plaintext
+     * touches the disk. Scripts and eval in the document are never run.
+     * @param {Buffer} pdf - PDF content
+     * @param {number} [scale] - Longest edge of the page image
+     * @returns {Promise<Buffer>} PNG image
+     * @throws {Error} With code RENDERER_UNAVAILABLE if the renderer cannot be loaded
+     */
+    async renderPdfPage(pdf, scale = SIZES.medium) {
+        let pdfjs;
+        try {
+            pdfjs = await import('pdfjs-dist/legacy/build/pdf.mjs');
+        } catch (error) {
+            throw Object.assign(new Error(`PDF renderer unavailable: ${error.message}`), { code: 'RENDERER_UNAVAILABLE' });
+        }
+
+        const task = pdfjs.getDocument({
+            data: new Uint8Array(pdf),
+            standardFontDataUrl: STANDARD_FONTS,
+            isEvalSupported: false,
+            enableXfa: false,
+            verbosity: pdfjs.VerbosityLevel.ERRORS
+        });
+
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error('PDF rendering timed out')), this.timeout);
+        });
+
+        const render = async () => {
+            const document = await task.promise;
+            const page = await document.getPage(1);
+
+            const { width, height } = page.getViewport({ scale: 1 });
+            const viewport = page.getViewport({ scale: scale / Math.max(width, height) });
+            const { canvas, context } = document.canvasFactory.create(
+                Math.ceil(viewport.width), Math.ceil(viewport.height)
+            );
+
+            // Transparent pages are shown on white, as a viewer would
+            context.fillStyle = '#ffffff';
+            context.fillRect(0, 0, canvas.width, canvas.height);
+
+            await page.render({ canvasContext: context, viewport }).promise;
+            return canvas.toBuffer('image/png');
+        };
+
+        try {
+            return await Promise.race([render(), timeout]);
+        } finally {
+            clearTimeout(timer);
+            await task.destroy().catch(() => {});
+        }
+    }
+
+    /**
+     * Find a file's rendition of a given size
+     * @param {Object} file - File document
+     * @param {string} size - 'thumbnail' or 'medium'
+     * @returns {Object|null} Rendition, if it is ready
+     */
+    getRendition(file, size) {
+        if (file.renditionStatus !== 'ready') return null;
+
+        return (file.renditions || []).find(rendition => rendition.size === size) || null;
+    }
+
+    /**
+     * Open a decrypting stream of a rendition
+     * @param {Object} user - Owner with key fields selected
+     * @param {Object} file - File document
+     * @param {Object} rendition - Rendition from getRendition
+     * @returns {Stream[]} Source stream followed by the decrypting transform
+     */
+    createReadStreams(user, file, rendition) {
+        return [
+            storageService.getDriver(rendition.storageBackend).createReadStream(rendition.storagePath),
+            encryptionService.createDecryptStream(keyService.getFileKey(user, file), rendition.format)
+        ];
+    }
+
+    /**
+     * Delete rendition blobs. Failures are logged, not thrown: an orphaned
+     * preview must not block deleting or replacing its file.
+     * @param {Object[]} renditions - Renditions with storagePath
+     * @returns {Promise<void>}
+     */
+    async deleteBlobs(renditions) {
+        for (const rendition of renditions) {
+            await storageService.getDriver(rendition.storageBackend).delete(rendition.storagePath)
+                .catch(error => logger.error(`Failed to remove rendition ${rendition.storagePath}:`, error));
+        }
+    }
+
+    /**
+     * Delete the renditions of a file that is being deleted permanently
+     * @param {Object} file - File document
+     * @returns {Promise<void>}
+     */
+    deleteRenditions(file) {
+        return this.deleteBlobs(file.renditions || []);
+    }
+
+    /**
+     * Fields that reset a file's renditions (and the identity fields read
+     * with them) when its content or data key changes; add them to the
+     * update that switches the file over
+     * @param {Object} file - Updated or new file fields
+     * @returns {Object} Fields to $set
+     */
+    resetFields(file) {
+        const supported = this.supports(file);
+
+        return {
+            renditions: [],
+            renditionStatus: supported ? 'pending' : 'unsupported',
+            renditionAttempts: 0,
+            identity: supported && identityService.enabled ? { status: 'pending' } : null
+        };
+    }
+
+    /**
+     * Clean up after a file's content or data key changed: the previous
+     * renditions are deleted and new ones are queued
+     * @param {Object} previous - File as it was before the change
+     * @param {Object} updated - File after the change
+     * @returns {Promise<void>}
+     */
+    async replaced(previous, updated) {
+        await this.deleteBlobs(previous.renditions || []);
+
+        if (updated.renditionStatus === 'pending') {
+            this.enqueue(updated._id);
+        }
+    }
+}
+
+module.exports = new RenditionService();
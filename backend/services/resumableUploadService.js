@@ -0,0 +1,493 @@
+const path = require('path');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { v4: uuidv4 } = require('uuid');
+const mongoose = require('mongoose');
+const File = require('../models/File');
+const UploadSession = require('../models/UploadSession');
+const AppError = require('../utils/AppError');
+const encryptionService = require('./encryptionService');
+const keyService = require('./keyService');
+const storageService = require('./storageService');
+const versionService = require('./versionService');
+const renditionService = require('./renditionService');
+const metadataService = require('./metadataService');
+const sanitizeService = require('./sanitizeService');
+const fileTypeService = require('./fileTypeService');
+const scanService = require('./scanService');
+const archiveInspectionService = require('./archiveInspectionService');
+const logger = require('../utils/logger');
+
+// A lock not refreshed for this long belongs to a request that died
+const LOCK_TIMEOUT_MS = 60 * 1000;
+
+/**
+ * Server side of resumable (tus) uploads. Plaintext is sealed into the chunked
+ * format as it arrives: every PATCH stores its sealed chunks as a separate
+ * blob, and the few bytes that do not fill a chunk are kept encrypted on the
+ * session. When the last byte arrives the blobs are concatenated into the
+ * final ciphertext and a File record is created, or a new version is added
+ * when the upload targets an existing file or one with the same name exists in
+ * the folder.
+ */
+class ResumableUploadService {
+    constructor() {
+        this.maxSize = parseInt(process.env.MAX_RESUMABLE_FILE_SIZE) || 2 * 1024 * 1024 * 1024; // 2GB
+        this.expiryHours = parseInt(process.env.RESUMABLE_UPLOAD_EXPIRY_HOURS) || 24;
+        // Largest PATCH body accepted, advertised to clients; the default fits
+        // under the ~4.5MB request limit of serverless functions (Vercel)
+        this.maxChunkSize = parseInt(process.env.RESUMABLE_MAX_CHUNK_SIZE) || 4 * 1024 * 1024; // 4MB
+    }
+
+    /**
+     * When an upload left alone from now on expires
+     * @returns {Date} Expiry date
+     */
+    nextExpiry() {
+        return new Date(Date.now() + this.expiryHours * 60 * 60 * 1000);
+    }
+
+    /**
+     * Create a new upload
+     * @param {Object} user - Owner with +encryptionKeys +currentKeyId
+     * @param {Object} options - Upload description
+     * @param {number} options.length - Total size in bytes
+     * @param {string} options.filename - Original file name
+     * @param {string} options.mimeType - Declared MIME type
+     * @param {string} [options.folder] - Target folder
+     * @param {string} [options.targetFile] - Existing file to add a version to
+     * @param {string[]} [options.tags] - Tags
+     * @param {string} [options.description] - Description
+     * @param {Object} [options.clientEncryption] - Browser encryption parameters, if encrypted client-side
+     * @returns {Promise<Object>} Upload session
+     */
+    async createUpload(user, options) {
+        if (options.length > this.maxSize) {
+            throw new AppError(`File too large. Maximum size is ${Math.round(this.maxSize / (1024 * 1024))}MB.`, 413);
+        }
+
+        if (user.storageUsed + options.length > user.storageLimit) {
+            throw new AppError('Storage limit exceeded', 400);
+        }
+
+        // Bound to the upload until it completes and the file is known
+        const sessionId = new mongoose.Types.ObjectId();
+        const { keyId, keyVersion, wrappedKey } = await keyService.createDataKey(user, sessionId);
+        const storage = storageService.getDriver();
+        const encryptedName = `${uuidv4()}${path.extname(options.filename)}.encrypted`;
+
+        let session = await UploadSession.create({
+            _id: sessionId,
+            user: user._id,
+            originalName: options.filename,
+            mimeType: options.mimeType,
+            folder: options.folder || '/',
+            targetFile: options.targetFile,
+            tags: options.tags || [],
+            description: options.description || '',
+            clientEncryption: options.clientEncryption,
+            length: options.length,
+            storageBackend: storage.name,
+            storagePath: storage.createKey(user._id, encryptedName),
+            encryptedName,
+            header: encryptionService.createHeader().toString('base64'),
+            keyId,
+            keyVersion,
+            wrappedKey,
+            expiresAt: this.nextExpiry()
+        });
+
+        logger.info(`Resumable upload ${session._id} created: ${session.originalName} (${session.length} bytes) by user ${user.email}`);
+
+        // Nothing to wait for
+        if (session.length === 0) {
+            session = await this.lock(session, 0);
+            await this.appendChunk(session, user, Readable.from([]));
+        }
+
+        return session;
+    }
+
+    /**
+     * Find one of a user's uploads
+     * @param {string} userId - Owner ID
+     * @param {string} uploadId - Upload ID
+     * @returns {Promise<Object>} Upload session
+     */
+    async getUpload(userId, uploadId) {
+        const session = await UploadSession.findOne({ _id: uploadId, user: userId });
+
+        if (!session) {
+            throw new AppError('Upload not found', 404);
+        }
+
+        if (session.isExpired) {
+            throw new AppError('Upload has expired', 410);
+        }
+
+        return session;
+    }
+
+    /**
+     * Take the lock on an upload for one PATCH (or its completion)
+     * @param {Object} session - Upload session
+     * @param {number} offset - Offset the client is writing at
+     * @returns {Promise<Object>} Locked session, with tail selected
+     */
+    async lock(session, offset) {
+        const locked = await UploadSession.findOneAndUpdate(
+            {
+                _id: session._id,
+                offset,
+                $or: [
+                    { lockedAt: { $exists: false } },
+                    { lockedAt: null },
+                    { lockedAt: { $lt: new Date(Date.now() - LOCK_TIMEOUT_MS) } }
+                ]
+            },
+            { $set: { lockedAt: new Date() } },
+            { new: true }
+        ).select('+tail');
+
+        if (!locked) {
+            const current = await UploadSession.findById(session._id);
+            if (current && current.offset !== offset) {
+                throw new AppError(`Upload-Offset mismatch: expected ${current.offset}`, 409);
+            }
+            throw new AppError('Upload is in use by another request', 423);
+        }
+
+        return locked;
+    }
+
+    /**
+     * Release an upload lock without changing anything else
+     * @param {Object} session - Locked upload session
+     * @returns {Promise<void>}
+     */
+    async unlock(session) {
+        await UploadSession.updateOne({ _id: session._id }, { $unset: { lockedAt: 1 } });
+    }
+
+    /**
+     * Encrypt the bytes of one PATCH and store them. Whatever arrived is kept
+     * even if the client disconnects part-way, so the next attempt can resume
+     * from the returned offset. Completes the upload when the last byte arrives.
+     * @param {Object} session - Upload session locked with lock()
+     * @param {Object} user - Owner with key fields selected
+     * @param {Readable} input - Request body; ending early is not an error
+     * @returns {Promise<Object>} Updated session
+     */
+    async appendChunk(session, user, input) {
+        const heartbeat = setInterval(() => {
+            UploadSession.updateOne({ _id: session._id }, { $set: { lockedAt: new Date() } })
+                .catch(error => logger.error(`Failed to refresh upload lock ${session._id}:`, error));
+        }, LOCK_TIMEOUT_MS / 3);
+
+        try {
+            const dataKey = keyService.getFileKey(user, {
+                _id: session._id,
+                encryptionMetadata: { keyId: session.keyId, wrappedKey: session.wrappedKey }
+            });
+
+            // Every byte is already stored; only the completion is outstanding
+            if (session.offset === session.length && session.parts.length > 0) {
+                return await this.complete(session, user, dataKey);
+            }
+
+            const tailContext = `upload-tail:${session._id}`;
+
+            const storage = storageService.getDriver(session.storageBackend);
+            const partKey = storage.createKey(user._id, `${session._id}-${session.parts.length}.upload`);
+            const sealer = encryptionService.createSealStream(dataKey, Buffer.from(session.header, 'base64'), {
+                offset: session.offset,
+                totalSize: session.length,
+                tail: session.tail ? encryptionService.openBuffer(dataKey, session.tail, tailContext) : undefined
+            });
+            const sealed = encryptionService.createDigestStream();
+
+            try {
+                await pipeline(input, sealer, sealed, storage.createWriteStream(partKey));
+            } catch (error) {
+                await storage.delete(partKey);
+                throw error;
+            }
+
+            const update = {
+                $set: {
+                    offset: session.offset + sealer.received,
+                    expiresAt: this.nextExpiry()
+                },
+                $unset: {}
+            };
+
+            if (sealed.bytes > 0) {
+                update.$push = { parts: { key: partKey, size: sealed.bytes } };
+            } else {
+                await storage.delete(partKey);
+            }
+
+            if (sealer.tail.length > 0) {
+                update.$set.tail = encryptionService.sealBuffer(dataKey, sealer.tail, tailContext);
+            } else {
+                update.$unset.tail = 1;
+            }
+
+            // Keep the lock if we are about to complete
+            if (update.$set.offset < session.length) {
+                update.$unset.lockedAt = 1;
+            }
+
+            const updated = await UploadSession.findOneAndUpdate({ _id: session._id }, update, { new: true });
+
+            if (updated.offset === updated.length) {
+                return await this.complete(updated, user, dataKey);
+            }
+
+            return updated;
+        } catch (error) {
+            await this.unlock(session);
+            throw error;
+        } finally {
+            clearInterval(heartbeat);
+        }
+    }
+
+    /**
+     * Finish an upload whose bytes have all arrived but which has no File yet
+     * (for instance because the server stopped while completing it)
+     * @param {Object} session - Upload session
+     * @param {Object} user - Owner with key fields selected
+     * @returns {Promise<Object>} Updated session
+     */
+    async resumeCompletion(session, user) {
+        if (session.status === 'completed' || session.offset !== session.length) {
+            return session;
+        }
+
+        const locked = await this.lock(session, session.offset);
+        return this.appendChunk(locked, user, Readable.from([]));
+    }
+
+    /**
+     * Assemble the stored parts into the final ciphertext, verify it and
+     * create the File record (or a new version of an existing one). Safe to
+     * run again after a crash.
+     * @param {Object} session - Locked upload session with every byte received
+     * @param {Object} user - Owner
+     * @param {Buffer} dataKey - Unwrapped file data key
+     * @returns {Promise<Object>} Completed session
+     */
+    async complete(session, user, dataKey) {
+        const storage = storageService.getDriver(session.storageBackend);
+
+        let file = await File.findOne({ storagePath: session.storagePath }).setOptions({ includeDeleted: true });
+
+        if (!file) {
+            if (user.storageUsed + session.length > user.storageLimit) {
+                await this.terminate(session);
+                throw new AppError('Storage limit exceeded', 400);
+            }
+
+            const header = Buffer.from(session.header, 'base64');
+            const parts = session.parts;
+            const encrypted = encryptionService.createDigestStream();
+
+            await pipeline(
+                Readable.from((async function* () {
+                    yield header;
+                    for (const part of parts) {
+                        yield* storage.createReadStream(part.key);
+                    }
+                })()),
+                encrypted,
+                storage.createWriteStream(session.storagePath)
+            );
+
+            // Decrypt the result once to verify it and compute the plaintext checksum
+            const plain = encryptionService.createDigestStream();
+            await pipeline(
+                storage.createReadStream(session.storagePath),
+                encryptionService.createDecryptStream(dataKey),
+                plain
+            );
+
+            if (plain.bytes !== session.length) {
+                await storage.delete(session.storagePath);
+                throw new Error('Assembled upload does not match its declared length');
+            }
+
+            const isClientEncrypted = !!(session.clientEncryption && session.clientEncryption.algorithm);
+
+            // The stored type is the one the content turns out to be; browser-
+            // encrypted content cannot be inspected, so its declared type stands
+            let mimeType;
+            try {
+                mimeType = isClientEncrypted
+                    ? fileTypeService.resolveDeclared(session.originalName, session.mimeType)
+                    : await fileTypeService.verifyStored(
+                        storage, session.storagePath, dataKey, session.length, session.originalName, session.mimeType
+                    );
+            } catch (error) {
+                if (error instanceof AppError) await this.terminate(session);
+                throw error;
+            }
+
+            const blob = {
+                encryptedName: session.encryptedName,
+                mimeType,
+                originalSize: session.length,
+                encryptedSize: encrypted.bytes,
+                checksum: plain.digest,
+                encryptedChecksum: encrypted.digest,
+                storagePath: session.storagePath,
+                storageBackend: session.storageBackend,
+                isClientEncrypted,
+                clientEncryption: session.clientEncryption,
+                encryptionMetadata: encryptionService.getStreamMetadata(encryptionService.parseHeader(header).chunkSize)
+            };
+
+            // Browser-encrypted content has nothing the server can read; the
+            // rest is scanned by decrypting what was stored, before the file
+            // record exists
+            blob.scan = isClientEncrypted
+                ? { status: 'skipped', scannedAt: new Date() }
+                : await scanService.scanStored(storage, session.storagePath, dataKey);
+
+            if (scanService.isQuarantined(blob)) {
+                logger.warn(`Malware found in upload ${session.originalName} by user ${user.email}: ${blob.scan.signature}`);
+            } else if (!isClientEncrypted) {
+                if (archiveInspectionService.supports(mimeType)) {
+                    try {
+                        blob.archive = await archiveInspectionService.inspectStored(
+                            storage, session.storagePath, dataKey, session.length, mimeType
+                        );
+                    } catch (error) {
+                        if (error instanceof AppError) await this.terminate(session);
+                        throw error;
+                    }
+                }
+
+                // The plaintext was never staged, so images are cleaned now
+                // and their ciphertext rewritten (a retry reassembles it from
+                // the parts, which are still there)
+                const { record, encrypted: sanitized } = await sanitizeService.sanitizeStored(
+                    user, storage, session.storagePath, dataKey, session.length, mimeType
+                );
+
+                if (sanitized) {
+                    Object.assign(blob, {
+                        originalSize: sanitized.metadata.originalSize,
+                        encryptedSize: sanitized.metadata.encryptedSize,
+                        checksum: sanitized.checksum,
+                        encryptedChecksum: sanitized.encryptedChecksum
+                    });
+                    blob.encryptionMetadata.chunkSize = sanitized.metadata.chunkSize;
+                }
+
+                blob.metadata = {
+                    ...(await metadataService.extractFromStorage(storage, session.storagePath, dataKey, blob.originalSize, mimeType)),
+                    sanitization: record
+                };
+            }
+
+            const existing = session.targetFile
+                ? await File.findOne({ _id: session.targetFile, user: user._id }).select('+storagePath')
+                : await versionService.findExisting(user._id, session.folder, session.originalName);
+
+            if (session.targetFile && !existing) {
+                await this.terminate(session);
+                throw new AppError('File not found', 404);
+            }
+
+            // The data key moves from the upload to the file it now belongs to
+            const fileId = existing ? existing._id : new mongoose.Types.ObjectId();
+            const { keyId, keyVersion, wrappedKey } = keyService.wrapDataKey(user, dataKey, session.keyId, fileId);
+            Object.assign(blob.encryptionMetadata, { keyId, keyVersion, wrappedKey });
+
+            file = existing
+                ? await versionService.addVersion(existing, blob, { originalName: session.originalName })
+                : await File.create({
+                    _id: fileId,
+                    ...blob,
+                    ...renditionService.resetFields(blob),
+                    user: user._id,
+                    originalName: session.originalName,
+                    folder: session.folder,
+                    tags: session.tags,
+                    description: session.description
+                });
+
+            await user.updateStorageUsed(blob.originalSize);
+
+            if (!existing && file.renditionStatus === 'pending') {
+                renditionService.enqueue(file._id);
+            }
+
+            logger.info(`File uploaded: ${file.originalName} by user ${user.email} (resumable upload ${session._id})`);
+        }
+
+        const completed = await UploadSession.findOneAndUpdate(
+            { _id: session._id },
+            {
+                $set: { status: 'completed', file: file._id, parts: [] },
+                $unset: { tail: 1, lockedAt: 1 }
+            },
+            { new: true }
+        );
+
+        await this.deleteParts(storage, session.parts);
+        return completed;
+    }
+
+    /**
+     * Abandon an upload and delete everything stored for it
+     * @param {Object} session - Upload session
+     * @returns {Promise<void>}
+     */
+    async terminate(session) {
+        const storage = storageService.getDriver(session.storageBackend);
+
+        await this.deleteParts(storage, session.parts);
+        if (session.status !== 'completed') {
+            await storage.delete(session.storagePath);
+        }
+        await UploadSession.deleteOne({ _id: session._id });
+
+        logger.info(`Resumable upload ${session._id} terminated`);
+    }
+
+    /**
+     * Remove expired uploads and their stored parts
+     * @returns {Promise<number>} Number of uploads removed
+     */
+    async cleanupExpired() {
+        const sessions = await UploadSession.find({ expiresAt: { $lt: new Date() } }).limit(100);
+
+        for (const session of sessions) {
+            try {
+                await this.terminate(session);
+            } catch (error) {
+                logger.error(`Failed to clean up upload ${session._id}:`, error);
+            }
+        }
+
+        return sessions.length;
+    }
+
+    /**
+     * Delete part blobs, logging rather than failing on errors
+     * @param {StorageDriver} storage - Driver holding the parts
+     * @param {Object[]} parts - Session parts
+     * @returns {Promise<void>}
+     */
+    async deleteParts(storage, parts) {
+        for (const part of parts) {
+            await storage.delete(part.key).catch(error => {
+                logger.error(`Failed to delete upload part ${part.key}:`, error);
+            });
+        }
+    }
+}
+
+module.exports = new ResumableUploadService();
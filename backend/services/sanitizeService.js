@@ -0,0 +1,425 @@
+const fs = require('fs');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { parseTiff, bufferReader } = require('../utils/exif');
+const AppError = require('../utils/AppError');
+const encryptionService = require('./encryptionService');
+const storageService = require('./storageService');
+const logger = require('../utils/logger');
+
+const POLICIES = ['strip', 'keep'];
+
+// Formats whose embedded metadata can be removed without re-encoding
+const SUPPORTED_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+const XMP_ID = 'http://ns.adobe.com/xap/1.0/\0';
+const XMP_EXTENSION_ID = 'http://ns.adobe.com/xmp/extension/\0';
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+/**
+ * Build a JPEG APP1 segment holding an EXIF block with only the orientation,
+ * so stripped photos are still displayed the right way up
+ * @param {number} orientation - EXIF orientation (2-8)
+ * @returns {Buffer} APP1 segment
+ */
+const orientationSegment = (orientation) => {
+    const tiff = Buffer.alloc(26);
+    tiff.write('MM', 0, 'latin1');
+    tiff.writeUInt16BE(42, 2);
+    tiff.writeUInt32BE(8, 4);
+    tiff.writeUInt16BE(1, 8);
+    tiff.writeUInt16BE(0x0112, 10);
+    tiff.writeUInt16BE(3, 12);
+    tiff.writeUInt32BE(1, 14);
+    tiff.writeUInt16BE(orientation, 18);
+    // Next IFD offset (22-25) stays zero
+
+    const header = Buffer.alloc(10);
+    header.writeUInt16BE(0xffe1, 0);
+    header.writeUInt16BE(2 + 6 + tiff.length, 2);
+    header.write('Exif\0\0', 4, 'latin1');
+
+    return Buffer.concat([header, tiff]);
+};
+
+/**
+ * Removes EXIF, XMP and IPTC blocks (and free-text comments) from images
+ * before they are encrypted, so location and device details are not stored
+ * or shared. Pixel data is copied unchanged. Whether it runs is decided per
+ * user: `metadataPolicy` on the user, else METADATA_POLICY; an admin can lock
+ * a user's policy, and METADATA_POLICY_ENFORCED makes stripping mandatory.
+ */
+class SanitizeService {
+    constructor() {
+        this.defaultPolicy = POLICIES.includes(process.env.METADATA_POLICY) ? process.env.METADATA_POLICY : 'strip';
+        this.enforced = process.env.METADATA_POLICY_ENFORCED === 'true';
+        this.maxSize = parseInt(process.env.SANITIZE_MAX_SIZE) || 100 * 1024 * 1024; // 100MB
+        this.policies = POLICIES;
+    }
+
+    /**
+     * Resolve the policy that applies to a user's uploads
+     * @param {Object} user - User document
+     * @returns {string} 'strip' or 'keep'
+     */
+    policyFor(user) {
+        if (this.enforced) return 'strip';
+        return user.metadataPolicy || this.defaultPolicy;
+    }
+
+    /**
+     * Check that a user may choose a policy for themselves
+     * @param {Object} user - User document
+     * @param {string|null} policy - Requested policy (null follows the default)
+     * @throws {AppError} If the policy is unknown, locked or enforced
+     */
+    checkUserChoice(user, policy) {
+        if (policy !== null && !POLICIES.includes(policy)) {
+            throw new AppError(`Metadata policy must be one of: ${POLICIES.join(', ')}`, 400);
+        }
+        if (user.metadataPolicyLocked) {
+            throw new AppError('Your metadata policy is set by an administrator', 403);
+        }
+        if (this.enforced && policy === 'keep') {
+            throw new AppError('Metadata stripping is required on this server', 403);
+        }
+    }
+
+    /**
+     * Check whether metadata can be removed from a MIME type
+     * @param {string} mimeType - MIME type
+     * @returns {boolean} True for JPEG, PNG and WebP
+     */
+    supports(mimeType) {
+        return SUPPORTED_TYPES.includes(mimeType);
+    }
+
+    /**
+     * Check whether a stored file may still carry metadata that must be
+     * removed before it is shared
+     * @param {Object} file - File document
+     * @returns {boolean} True if shared downloads must be sanitized on the fly
+     */
+    needsSanitizing(file) {
+        if (file.isClientEncrypted || !this.supports(file.mimeType)) return false;
+
+        const record = file.metadata && file.metadata.sanitization;
+        return !(record && record.policy === 'strip' && !record.skipped);
+    }
+
+    /**
+     * Start the sanitization record of an upload and decide whether the
+     * content has to be examined
+     * @param {Object} user - Owner
+     * @param {string} mimeType - MIME type
+     * @param {number} size - Plaintext size
+     * @returns {Object|undefined} `{ record, run }`, or undefined if the type is not an image
+     */
+    plan(user, mimeType, size) {
+        if (!mimeType.startsWith('image/')) return undefined;
+
+        const policy = this.policyFor(user);
+        const record = { policy, removed: [], removedBytes: 0, sanitizedAt: new Date() };
+
+        if (policy === 'keep') return { record, run: false };
+        if (!this.supports(mimeType)) return { record: { ...record, skipped: 'unsupported format' }, run: false };
+        if (size > this.maxSize) return { record: { ...record, skipped: 'file too large' }, run: false };
+
+        return { record, run: true };
+    }
+
+    /**
+     * Sanitize a staged plaintext upload in place according to a user's policy
+     * @param {Object} user - Owner
+     * @param {string} filePath - Staged plaintext
+     * @param {string} mimeType - MIME type
+     * @returns {Promise<Object|undefined>} Sanitization record for File.metadata, if the type is an image
+     */
+    async sanitizeFile(user, filePath, mimeType) {
+        const { size } = await fs.promises.stat(filePath);
+        const plan = this.plan(user, mimeType, size);
+        if (!plan || !plan.run) return plan && plan.record;
+
+        const original = await fs.promises.readFile(filePath);
+        const { buffer, removed } = await this.sanitizeBuffer(original);
+
+        if (buffer !== original) {
+            await fs.promises.writeFile(filePath, buffer);
+        }
+
+        return { ...plan.record, removed, removedBytes: original.length - buffer.length };
+    }
+
+    /**
+     * Sanitize an image that was encrypted as it arrived (resumable uploads),
+     * rewriting its ciphertext in place if anything is removed
+     * @param {Object} user - Owner
+     * @param {StorageDriver} storage - Driver holding the blob
+     * @param {string} storagePath - Blob key
+     * @param {Buffer} fileKey - File data key
+     * @param {number} size - Plaintext size
+     * @param {string} mimeType - MIME type
+     * @returns {Promise<Object>} `{ record, encrypted }`; encrypted is the encryptStream result when the blob was rewritten
+     */
+    async sanitizeStored(user, storage, storagePath, fileKey, size, mimeType) {
+        const plan = this.plan(user, mimeType, size);
+        if (!plan || !plan.run) return { record: plan && plan.record, encrypted: null };
+
+        const original = await this.decrypt(storage, storagePath, fileKey, 'chunked');
+        const { buffer, removed } = await this.sanitizeBuffer(original);
+
+        const encrypted = buffer === original
+            ? null
+            : await encryptionService.encryptStream(Readable.from([buffer]), storage.createWriteStream(storagePath), fileKey);
+
+        return {
+            record: { ...plan.record, removed, removedBytes: original.length - buffer.length },
+            encrypted
+        };
+    }
+
+    /**
+     * Decrypt a stored file and remove its metadata, for shared downloads of
+     * files stored with the "keep" policy
+     * @param {Object} file - File with storagePath selected
+     * @param {Buffer|string} fileKey - File data key (or legacy user key)
+     * @returns {Promise<Buffer>} Sanitized content
+     * @throws {AppError} If the file is too large to sanitize in memory
+     */
+    async readSanitized(file, fileKey) {
+        if (file.originalSize > this.maxSize) {
+            throw new AppError('This image is too large to be shared without its metadata', 413);
+        }
+
+        const original = await this.decrypt(
+            storageService.forFile(file), file.storagePath, fileKey, file.encryptionMetadata.format, file.checksum
+        );
+
+        return (await this.sanitizeBuffer(original)).buffer;
+    }
+
+    /**
+     * Decrypt a blob into memory
+     * @param {StorageDriver} storage - Driver holding the blob
+     * @param {string} storagePath - Blob key
+     * @param {Buffer|string} fileKey - Key
+     * @param {string} format - Encryption format
+     * @param {string} [checksum] - Expected plaintext checksum
+     * @returns {Promise<Buffer>} Plaintext
+     */
+    async decrypt(storage, storagePath, fileKey, format, checksum) {
+        const chunks = [];
+
+        await pipeline(
+            storage.createReadStream(storagePath),
+            encryptionService.createDecryptStream(fileKey, format),
+            encryptionService.createDigestStream(checksum),
+            async (source) => {
+                for await (const chunk of source) {
+                    chunks.push(chunk);
+                }
+            }
+        );
+
+        return Buffer.concat(chunks);
+    }
+
+    /**
+     * Sanitize image content in memory, detecting the format from the content
+     * @param {Buffer} buffer - Image
+     * @returns {Promise<Object>} `{ buffer, removed }`; buffer is the input itself if nothing was removed
+     */
+    async sanitizeBuffer(buffer) {
+        let result = null;
+
+        try {
+            if (buffer[0] === 0xff && buffer[1] === 0xd8) {
+                result = await this.stripJpeg(buffer);
+            } else if (buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+                result = this.stripPng(buffer);
+            } else if (buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') {
+                result = await this.stripWebp(buffer);
+            }
+        } catch (error) {
+            // A structure we cannot follow must not be passed on half-cleaned
+            logger.warn(`Could not sanitize image: ${error.message}`);
+            throw new AppError('The image is damaged and its metadata could not be removed', 400);
+        }
+
+        if (!result || result.removed.length === 0) {
+            return { buffer, removed: [] };
+        }
+        return result;
+    }
+
+    /**
+     * Remove APP1 (EXIF, XMP), APP13 (IPTC) and COM segments from a JPEG
+     * @param {Buffer} buffer - JPEG
+     * @returns {Promise<Object>} `{ buffer, removed }`
+     */
+    async stripJpeg(buffer) {
+        const kept = [buffer.subarray(0, 2)];
+        const removed = new Set();
+        let orientation;
+        let offset = 2;
+
+        while (offset < buffer.length) {
+            if (buffer[offset] !== 0xff) {
+                throw new Error('Malformed JPEG segment');
+            }
+            const marker = buffer[offset + 1];
+
+            // Fill bytes before a marker
+            if (marker === 0xff) {
+                offset++;
+                continue;
+            }
+
+            // Markers without a length
+            if ((marker >= 0xd0 && marker <= 0xd9) || marker === 0x01) {
+                kept.push(buffer.subarray(offset, offset + 2));
+                offset += 2;
+                continue;
+            }
+
+            // Start of scan: the rest is image data
+            if (marker === 0xda) {
+                kept.push(buffer.subarray(offset));
+                break;
+            }
+
+            const length = buffer.readUInt16BE(offset + 2);
+            const end = offset + 2 + length;
+            if (length < 2 || end > buffer.length) {
+                throw new Error('Truncated JPEG segment');
+            }
+            const segment = buffer.subarray(offset, end);
+            const id = (size) => buffer.toString('latin1', offset + 4, offset + 4 + size);
+
+            if (marker === 0xe1 && id(6) === 'Exif\0\0') {
+                removed.add('exif');
+                const tiff = await this.readExif(buffer.subarray(offset + 10, end));
+                if (tiff.hasLocation) removed.add('gps');
+                orientation = orientation || tiff.orientation;
+            } else if (marker === 0xe1 && (id(XMP_ID.length) === XMP_ID || id(XMP_EXTENSION_ID.length) === XMP_EXTENSION_ID)) {
+                removed.add('xmp');
+            } else if (marker === 0xed && id(14) === 'Photoshop 3.0\0') {
+                removed.add('iptc');
+            } else if (marker === 0xfe) {
+                removed.add('comment');
+            } else {
+                kept.push(segment);
+            }
+
+            offset = end;
+        }
+
+        if (orientation && orientation !== 1) {
+            // Right after SOI and the JFIF header, where readers look for it
+            const at = kept.length > 1 && buffer[3] === 0xe0 ? 2 : 1;
+            kept.splice(at, 0, orientationSegment(orientation));
+        }
+
+        return { buffer: Buffer.concat(kept), removed: [...removed] };
+    }
+
+    /**
+     * Read what an EXIF block holds that matters for stripping it
+     * @param {Buffer} tiff - TIFF structure of the EXIF block
+     * @returns {Promise<Object>} `{ orientation, hasLocation }`
+     */
+    async readExif(tiff) {
+        const parsed = await parseTiff(bufferReader(tiff)).catch(() => null);
+        return parsed ? parsed.exif : { hasLocation: false };
+    }
+
+    /**
+     * Remove eXIf and text chunks (tEXt, zTXt, iTXt, which hold XMP, raw
+     * EXIF/IPTC profiles and free-text fields) from a PNG
+     * @param {Buffer} buffer - PNG
+     * @returns {Object} `{ buffer, removed }`
+     */
+    stripPng(buffer) {
+        const kept = [buffer.subarray(0, 8)];
+        const removed = new Set();
+        let offset = 8;
+
+        while (offset + 12 <= buffer.length) {
+            const length = buffer.readUInt32BE(offset);
+            const type = buffer.toString('latin1', offset + 4, offset + 8);
+            const end = offset + 12 + length;
+            if (end > buffer.length) {
+                throw new Error('Truncated PNG chunk');
+            }
+
+            if (type === 'eXIf') {
+                removed.add('exif');
+            } else if (['tEXt', 'zTXt', 'iTXt'].includes(type)) {
+                const keyword = buffer.toString('latin1', offset + 8, Math.min(offset + 8 + 80, end)).split('\0')[0];
+                if (keyword === 'XML:com.adobe.xmp') {
+                    removed.add('xmp');
+                } else if (/^Raw profile type (exif|APP1)$/i.test(keyword)) {
+                    removed.add('exif');
+                } else if (/^Raw profile type (iptc|8bim)$/i.test(keyword)) {
+                    removed.add('iptc');
+                } else {
+                    removed.add('comment');
+                }
+            } else {
+                kept.push(buffer.subarray(offset, end));
+            }
+
+            offset = end;
+            if (type === 'IEND') break;
+        }
+
+        return { buffer: Buffer.concat(kept), removed: [...removed] };
+    }
+
+    /**
+     * Remove EXIF and XMP chunks from a WebP and clear their flags
+     * @param {Buffer} buffer - WebP
+     * @returns {Promise<Object>} `{ buffer, removed }`
+     */
+    async stripWebp(buffer) {
+        const kept = [];
+        const removed = new Set();
+        let offset = 12;
+
+        while (offset + 8 <= buffer.length) {
+            const type = buffer.toString('latin1', offset, offset + 4);
+            const length = buffer.readUInt32LE(offset + 4);
+            const end = offset + 8 + length + (length % 2);
+            if (offset + 8 + length > buffer.length) {
+                throw new Error('Truncated WebP chunk');
+            }
+
+            if (type === 'EXIF') {
+                removed.add('exif');
+                let tiff = buffer.subarray(offset + 8, offset + 8 + length);
+                if (tiff.toString('latin1', 0, 6) === 'Exif\0\0') tiff = tiff.subarray(6);
+                if ((await this.readExif(tiff)).hasLocation) removed.add('gps');
+            } else if (type === 'XMP ') {
+                removed.add('xmp');
+            } else {
+                kept.push(Buffer.from(buffer.subarray(offset, Math.min(end, buffer.length))));
+            }
+
+            offset = end;
+        }
+
+        const vp8x = kept.find(chunk => chunk.toString('latin1', 0, 4) === 'VP8X');
+        if (vp8x) {
+            // Flags: 0x08 EXIF, 0x04 XMP
+            vp8x[8] &= ~0x0c;
+        }
+
+        const header = Buffer.from(buffer.subarray(0, 12));
+        const body = Buffer.concat(kept);
+        header.writeUInt32LE(4 + body.length, 4);
+
+        return { buffer: Buffer.concat([header, body]), removed: [...removed] };
+    }
+}
+
+module.exports = new SanitizeService();
@@ -0,0 +1,226 @@
+const fs = require('fs');
+const net = require('net');
+const { once } = require('events');
+const { pipeline } = require('stream');
+const AppError = require('../utils/AppError');
+const encryptionService = require('./encryptionService');
+const logger = require('../utils/logger');
+
+// Longest INSTREAM chunk sent to the daemon
+const MAX_CHUNK_SIZE = 64 * 1024;
+
+// How long a VERSION reply is reused before the daemon is asked again
+const VERSION_CACHE_MS = 5 * 60 * 1000;
+
+/**
+ * Scans upload content for malware with a ClamAV daemon (clamd), streaming
+ * the plaintext over its INSTREAM protocol before the file is stored. clamd
+ * is reached through CLAMD_SOCKET (a Unix socket) or CLAMD_HOST/CLAMD_PORT;
+ * with neither set, scanning is off and files are recorded as not scanned.
+ * If the daemon cannot be reached, uploads are refused unless
+ * SCAN_FAIL_OPEN=true, in which case the failure is recorded on the file.
+ * Infected files are kept, but quarantined until an admin reviews them.
+ */
+class ScanService {
+    constructor() {
+        this.socketPath = process.env.CLAMD_SOCKET;
+        this.host = process.env.CLAMD_HOST;
+        this.port = parseInt(process.env.CLAMD_PORT) || 3310;
+        this.timeout = parseInt(process.env.CLAMD_TIMEOUT) || 60 * 1000;
+        this.failOpen = process.env.SCAN_FAIL_OPEN === 'true';
+        this.enabled = !!(this.socketPath || this.host);
+        this.version = null;
+    }
+
+    /**
+     * Check whether a File or FileVersion is quarantined
+     * @param {Object} blob - File or FileVersion
+     * @returns {boolean} True if it was found infected and not released
+     */
+    isQuarantined(blob) {
+        return !!(blob.scan && blob.scan.status === 'infected');
+    }
+
+    /**
+     * Open a connection to the daemon
+     * @returns {net.Socket} Socket with the scan timeout applied
+     */
+    connect() {
+        const socket = this.socketPath
+            ? net.createConnection(this.socketPath)
+            : net.createConnection(this.port, this.host);
+
+        socket.setTimeout(this.timeout, () => socket.destroy(new Error('Virus scanner timed out')));
+        return socket;
+    }
+
+    /**
+     * Collect a daemon reply, which ends with a NUL byte in the z-command mode
+     * @param {net.Socket} socket - Connection
+     * @returns {Promise<string>} Reply text
+     */
+    readReply(socket) {
+        return new Promise((resolve, reject) => {
+            let reply = '';
+
+            socket.on('data', (chunk) => {
+                reply += chunk.toString('utf8');
+                if (reply.includes('\0')) {
+                    socket.end();
+                    resolve(reply.split('\0')[0].trim());
+                }
+            });
+            socket.on('error', reject);
+            socket.on('close', () => {
+                if (reply) {
+                    resolve(reply.replace(/\0[\s\S]*$/, '').trim());
+                } else {
+                    reject(new Error('Virus scanner closed the connection without replying'));
+                }
+            });
+        });
+    }
+
+    /**
+     * Ask the daemon for its engine and signature database versions
+     * @returns {Promise<Object>} `{ engine, database }`
+     */
+    async getVersion() {
+        if (this.version && Date.now() - this.version.fetchedAt < VERSION_CACHE_MS) {
+            return this.version;
+        }
+
+        const socket = this.connect();
+        const reply = this.readReply(socket);
+        socket.write('zVERSION\0');
+
+        // "ClamAV 1.3.1/27300/Tue Jun 11 08:21:31 2024"
+        const [engine, database] = (await reply).split('/');
+        this.version = { engine, database, fetchedAt: Date.now() };
+        return this.version;
+    }
+
+    /**
+     * Stream content to the daemon and return its verdict
+     * @param {AsyncIterable<Buffer>} source - Plaintext
+     * @returns {Promise<string>} Raw reply, e.g. "stream: OK"
+     */
+    async instream(source) {
+        const socket = this.connect();
+        const reply = this.readReply(socket);
+        reply.catch(() => {});
+
+        try {
+            socket.write('zINSTREAM\0');
+
+            for await (const data of source) {
+                for (let at = 0; at < data.length; at += MAX_CHUNK_SIZE) {
+                    // The daemon hung up early, e.g. over its size limit
+                    if (socket.destroyed) return reply;
+
+                    const chunk = data.subarray(at, at + MAX_CHUNK_SIZE);
+                    const length = Buffer.alloc(4);
+                    length.writeUInt32BE(chunk.length, 0);
+
+                    if (!socket.write(Buffer.concat([length, chunk]))) {
+                        await Promise.race([once(socket, 'drain'), once(socket, 'close')]);
+                    }
+                }
+            }
+
+            // A zero-length chunk ends the stream
+            socket.write(Buffer.alloc(4));
+        } catch (error) {
+            socket.destroy();
+            // Prefer the daemon's own explanation, if it gave one
+            return reply.catch(() => {
+                throw error;
+            });
+        }
+
+        return reply;
+    }
+
+    /**
+     * Scan content and describe the result as stored on a file
+     * @param {Function} openSource - Returns a fresh readable of the plaintext
+     * @returns {Promise<Object>} Scan record (`status` is clean, infected,
+     * error, or skipped when scanning is off)
+     * @throws {AppError} If the scanner is unavailable and failing closed
+     */
+    async scan(openSource) {
+        if (!this.enabled) {
+            return { status: 'skipped', scannedAt: new Date() };
+        }
+
+        let version;
+        let reply;
+        try {
+            version = await this.getVersion();
+            reply = await this.instream(openSource());
+        } catch (error) {
+            return this.failed(error.message, version);
+        }
+
+        const record = { engine: version.engine, database: version.database, scannedAt: new Date() };
+
+        const found = /^stream: (.+) FOUND$/.exec(reply);
+        if (found) {
+            return { ...record, status: 'infected', signature: found[1].substring(0, 200) };
+        }
+        if (reply === 'stream: OK') {
+            return { ...record, status: 'clean' };
+        }
+
+        return this.failed(reply.replace(/^stream: /, '').replace(/ ERROR$/, ''), version);
+    }
+
+    /**
+     * Handle a scan that did not produce a verdict
+     * @param {string} reason - What went wrong
+     * @param {Object} [version] - Daemon version, if it was reached
+     * @returns {Object} Scan record with status error (when failing open)
+     * @throws {AppError} When failing closed
+     */
+    failed(reason, version) {
+        logger.error(`Virus scan failed: ${reason}`);
+
+        if (!this.failOpen) {
+            throw new AppError('The file could not be checked for viruses. Please try again later.', 503);
+        }
+
+        return {
+            status: 'error',
+            error: String(reason).substring(0, 200),
+            engine: version ? version.engine : undefined,
+            database: version ? version.database : undefined,
+            scannedAt: new Date()
+        };
+    }
+
+    /**
+     * Scan a staged plaintext upload
+     * @param {string} filePath - Path to the plaintext
+     * @returns {Promise<Object>} Scan record
+     */
+    scanFile(filePath) {
+        return this.scan(() => fs.createReadStream(filePath));
+    }
+
+    /**
+     * Scan a stored file by decrypting it on the fly
+     * @param {StorageDriver} storage - Driver holding the blob
+     * @param {string} storagePath - Blob key
+     * @param {Buffer} fileKey - File data key
+     * @returns {Promise<Object>} Scan record
+     */
+    scanStored(storage, storagePath, fileKey) {
+        return this.scan(() => pipeline(
+            storage.createReadStream(storagePath),
+            encryptionService.createDecryptStream(fileKey),
+            () => {}
+        ));
+    }
+}
+
+module.exports = new ScanService();
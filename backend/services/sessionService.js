@@ -0,0 +1,265 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const AppError = require('../utils/AppError');
+const logger = require('../utils/logger');
+
+// How many rotated-out refresh token hashes to remember for reuse detection
+const MAX_PREVIOUS_TOKENS = 50;
+
+/**
+ * Server-side sessions. Each login creates a Session and gets a short-lived
+ * access token (a JWT naming the session) plus a refresh token. A refresh
+ * token can be used once: refreshing rotates it, and presenting a token that
+ * was already rotated out revokes the session, since only a copy held by
+ * someone else could still be presenting it.
+ *
+ * The exception is the token rotated out moments ago: tabs sharing the
+ * refresh cookie can all refresh at once, so for a few seconds that token
+ * gets the current one back instead of revoking the session.
+ *
+ * Refresh tokens look like "<sessionId>.<secret>"; only a hash of the secret
+ * is stored.
+ */
+class SessionService {
+    constructor() {
+        this.refreshTokenDays = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+        this.reuseGraceMs = (parseInt(process.env.REFRESH_REUSE_GRACE_SECONDS) || 10) * 1000;
+    }
+
+    /**
+     * Hash a refresh token secret for storage
+     * @param {string} secret - Token secret
+     * @returns {string} Hex digest
+     */
+    hashToken(secret) {
+        return crypto.createHash('sha256').update(secret).digest('hex');
+    }
+
+    /**
+     * Derive the secret that replaces a rotated-out one. Deriving it (rather
+     * than drawing it at random) lets a refresh racing the rotation be given
+     * the current token without the server storing any secret.
+     * @param {string} sessionId - Session ID
+     * @param {string} previousHash - Hash of the secret being replaced
+     * @returns {string} Next secret
+     */
+    nextSecret(sessionId, previousHash) {
+        return crypto.createHmac('sha256', process.env.JWT_SECRET)
+            .update(`refresh:${sessionId}:${previousHash}`)
+            .digest('base64url');
+    }
+
+    /**
+     * When a session used from now on expires
+     * @returns {Date} Expiry date
+     */
+    nextExpiry() {
+        return new Date(Date.now() + this.refreshTokenDays * 24 * 60 * 60 * 1000);
+    }
+
+    /**
+     * Describe the client making a request
+     * @param {Object} req - Express request
+     * @returns {Object} `{ ip, userAgent }`
+     */
+    getClient(req) {
+        return {
+            ip: req.ip,
+            userAgent: (req.get('User-Agent') || '').slice(0, 500)
+        };
+    }
+
+    /**
+     * Start a session for a user who has just authenticated
+     * @param {Object} user - User document
+     * @param {Object} req - Express request
+     * @returns {Promise<Object>} `{ session, accessToken, refreshToken }`
+     */
+    async createSession(user, req) {
+        const secret = crypto.randomBytes(32).toString('base64url');
+
+        const session = await Session.create({
+            user: user._id,
+            tokenHash: this.hashToken(secret),
+            ...this.getClient(req),
+            expiresAt: this.nextExpiry()
+        });
+
+        return {
+            session,
+            accessToken: user.generateAuthToken(session._id),
+            refreshToken: `${session._id}.${secret}`
+        };
+    }
+
+    /**
+     * Exchange a refresh token for a new access token and refresh token
+     * @param {string} refreshToken - Token from the last login or refresh
+     * @param {Object} req - Express request
+     * @returns {Promise<Object>} `{ user, session, accessToken, refreshToken }`
+     */
+    async refresh(refreshToken, req) {
+        const [sessionId, secret] = String(refreshToken || '').split('.');
+
+        if (!sessionId || !secret || !mongoose.isValidObjectId(sessionId)) {
+            throw new AppError('Invalid refresh token. Please log in again.', 401);
+        }
+
+        const presentedHash = this.hashToken(secret);
+        const nextSecret = this.nextSecret(sessionId, presentedHash);
+
+        // Rotate only if the presented token is the current one
+        const session = await Session.findOneAndUpdate(
+            {
+                _id: sessionId,
+                tokenHash: presentedHash,
+                revokedAt: null,
+                expiresAt: { $gt: new Date() }
+            },
+            {
+                $set: {
+                    tokenHash: this.hashToken(nextSecret),
+                    lastUsedAt: new Date(),
+                    rotatedAt: new Date(),
+                    expiresAt: this.nextExpiry(),
+                    ...this.getClient(req)
+                },
+                $push: {
+                    previousTokenHashes: { $each: [presentedHash], $slice: -MAX_PREVIOUS_TOKENS }
+                }
+            },
+            { new: true }
+        ) || await this.findJustRotated(sessionId, nextSecret);
+
+        if (!session) {
+            await this.detectReuse(sessionId, presentedHash);
+            throw new AppError('Invalid refresh token. Please log in again.', 401);
+        }
+
+        const user = await User.findById(session.user);
+
+        if (!user || !user.isActive) {
+            await this.revoke(session._id, 'deactivated');
+            throw new AppError('Invalid refresh token. Please log in again.', 401);
+        }
+
+        return {
+            user,
+            session,
+            accessToken: user.generateAuthToken(session._id),
+            refreshToken: `${session._id}.${nextSecret}`
+        };
+    }
+
+    /**
+     * Find the session a refresh token was rotated out of within the grace
+     * period, i.e. a concurrent refresh won the race to rotate it. Only the
+     * token directly before the current one matches, since the current
+     * secret is derived from it.
+     * @param {string} sessionId - Session named by the token
+     * @param {string} currentSecret - Secret the presented one rotates to
+     * @returns {Promise<Object|null>} Session, left as it is
+     */
+    findJustRotated(sessionId, currentSecret) {
+        return Session.findOne({
+            _id: sessionId,
+            tokenHash: this.hashToken(currentSecret),
+            rotatedAt: { $gt: new Date(Date.now() - this.reuseGraceMs) },
+            revokedAt: null,
+            expiresAt: { $gt: new Date() }
+        });
+    }
+
+    /**
+     * Revoke a session if a refresh token it already rotated out is presented
+     * @param {string} sessionId - Session named by the token
+     * @param {string} presentedHash - Hash of the presented secret
+     * @returns {Promise<void>}
+     */
+    async detectReuse(sessionId, presentedHash) {
+        const reused = await Session.findOneAndUpdate(
+            { _id: sessionId, previousTokenHashes: presentedHash, revokedAt: null },
+            { $set: { revokedAt: new Date(), revokedReason: 'reuse' } },
+            { new: true }
+        );
+
+        if (reused) {
+            logger.warn(`Refresh token reuse detected; session ${reused._id} of user ${reused.user} revoked`);
+        }
+    }
+
+    /**
+     * Check that the session an access token belongs to is still active
+     * @param {string} sessionId - Session ID from the token
+     * @param {string} userId - User ID from the token
+     * @returns {Promise<boolean>} Whether the session is active
+     */
+    async isActive(sessionId, userId) {
+        if (!sessionId || !mongoose.isValidObjectId(sessionId)) return false;
+
+        return !!(await Session.exists({
+            _id: sessionId,
+            user: userId,
+            revokedAt: null,
+            expiresAt: { $gt: new Date() }
+        }));
+    }
+
+    /**
+     * List a user's active sessions
+     * @param {string} userId - User ID
+     * @returns {Promise<Object[]>} Sessions, most recently used first
+     */
+    listActive(userId) {
+        return Session.find({
+            user: userId,
+            revokedAt: null,
+            expiresAt: { $gt: new Date() }
+        }).sort({ lastUsedAt: -1 });
+    }
+
+    /**
+     * Revoke one session
+     * @param {string} sessionId - Session ID
+     * @param {string} reason - Revocation reason
+     * @param {string} [userId] - Only revoke if the session belongs to this user
+     * @returns {Promise<boolean>} Whether an active session was revoked
+     */
+    async revoke(sessionId, reason, userId) {
+        const filter = { _id: sessionId, revokedAt: null };
+        if (userId) filter.user = userId;
+
+        const result = await Session.updateOne(filter, {
+            $set: { revokedAt: new Date(), revokedReason: reason }
+        });
+
+        return result.modifiedCount > 0;
+    }
+
+    /**
+     * Revoke every session of a user
+     * @param {string} userId - User ID
+     * @param {string} reason - Revocation reason
+     * @param {Object} [options] - Options
+     * @param {string} [options.except] - Session to keep (the caller's own)
+     * @returns {Promise<number>} Number of sessions revoked
+     */
+    async revokeAll(userId, reason, options = {}) {
+        const filter = { user: userId, revokedAt: null };
+        if (options.except) filter._id = { $ne: options.except };
+
+        const result = await Session.updateMany(filter, {
+            $set: { revokedAt: new Date(), revokedReason: reason }
+        });
+
+        if (result.modifiedCount > 0) {
+            logger.info(`Revoked ${result.modifiedCount} session(s) of user ${userId} (${reason})`);
+        }
+
+        return result.modifiedCount;
+    }
+}
+
+module.exports = new SessionService();
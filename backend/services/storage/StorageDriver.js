@@ -0,0 +1,103 @@
+const { pipeline } = require('stream/promises');
+
+/**
+ * Base class for blob storage drivers. Drivers store opaque ciphertext under
+ * a key; they know nothing about users, files or encryption.
+ *
+ * Subclasses implement createKey, createWriteStream, createReadStream,
+ * delete and stat.
+ */
+class StorageDriver {
+    /**
+     * @param {string} name - Backend name recorded on File.storageBackend
+     */
+    constructor(name) {
+        this.name = name;
+    }
+
+    /**
+     * Build the key for a new blob
+     * @param {string} userId - Owner ID, used to group blobs
+     * @param {string} filename - Unique blob name
+     * @returns {string} Storage key
+     */
+    createKey(userId, filename) {
+        throw new Error(`${this.name} storage driver does not implement createKey`);
+    }
+
+    /**
+     * Open a stream that writes a new blob. The blob is only guaranteed to be
+     * stored once the stream has finished without error.
+     * @param {string} key - Storage key
+     * @returns {Writable} Write stream
+     */
+    createWriteStream(key) {
+        throw new Error(`${this.name} storage driver does not implement createWriteStream`);
+    }
+
+    /**
+     * Open a stream over a blob, or part of it
+     * @param {string} key - Storage key
+     * @param {Object} [range] - Byte range to read
+     * @param {number} [range.start] - First byte (inclusive)
+     * @param {number} [range.end] - Last byte (inclusive)
+     * @returns {Readable} Read stream
+     */
+    createReadStream(key, range) {
+        throw new Error(`${this.name} storage driver does not implement createReadStream`);
+    }
+
+    /**
+     * Delete a blob. Deleting a missing blob is not an error.
+     * @param {string} key - Storage key
+     * @returns {Promise<void>}
+     */
+    async delete(key) {
+        throw new Error(`${this.name} storage driver does not implement delete`);
+    }
+
+    /**
+     * Get blob information
+     * @param {string} key - Storage key
+     * @returns {Promise<Object|null>} `{ size }`, or null if the blob does not exist
+     */
+    async stat(key) {
+        throw new Error(`${this.name} storage driver does not implement stat`);
+    }
+
+    /**
+     * Store a stream as a blob
+     * @param {string} key - Storage key
+     * @param {Readable} source - Blob contents
+     * @returns {Promise<void>}
+     */
+    async put(key, source) {
+        await pipeline(source, this.createWriteStream(key));
+    }
+
+    /**
+     * Read part of a blob into memory
+     * @param {string} key - Storage key
+     * @param {number} start - First byte (inclusive)
+     * @param {number} end - Last byte (inclusive)
+     * @returns {Promise<Buffer>} Bytes read (shorter if the blob ends first)
+     */
+    async read(key, start, end) {
+        const chunks = [];
+        for await (const chunk of this.createReadStream(key, { start, end })) {
+            chunks.push(chunk);
+        }
+        return Buffer.concat(chunks);
+    }
+
+    /**
+     * Check whether a blob exists
+     * @param {string} key - Storage key
+     * @returns {Promise<boolean>} Whether the blob exists
+     */
+    async exists(key) {
+        return (await this.stat(key)) !== null;
+    }
+}
+
+module.exports = StorageDriver;
@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+const { PassThrough, Writable } = require('stream');
+const StorageDriver = require('./StorageDriver');
+
+/**
+ * Stores blobs in MongoDB GridFS, for deployments without a persistent
+ * filesystem. Keys are GridFS filenames (`<userId>/<name>`).
+ *
+ * Configuration: GRIDFS_BUCKET (default "uploads")
+ */
+class GridFSDriver extends StorageDriver {
+    /**
+     * @param {Object} [options] - Driver options
+     * @param {string} [options.bucketName] - GridFS bucket name
+     * @param {Object} [options.connection] - Mongoose connection to use
+     */
+    constructor(options = {}) {
+        super('gridfs');
+        this.bucketName = options.bucketName || process.env.GRIDFS_BUCKET || 'uploads';
+        this.connection = options.connection || mongoose.connection;
+        this.gridfs = null;
+    }
+
+    /**
+     * GridFS bucket on the current database connection
+     * @returns {GridFSBucket} Bucket
+     */
+    get bucket() {
+        const { db } = this.connection;
+        if (!db) {
+            throw new Error('GridFS storage requires a database connection');
+        }
+
+        // Reconnects may hand us a new Db instance
+        if (!this.gridfs || this.gridfs.db !== db) {
+            this.gridfs = { db, bucket: new mongoose.mongo.GridFSBucket(db, { bucketName: this.bucketName }) };
+        }
+        return this.gridfs.bucket;
+    }
+
+    /**
+     * Find the newest GridFS file stored under a key
+     * @param {string} key - Storage key
+     * @returns {Promise<Object|null>} GridFS file document
+     */
+    async findFile(key) {
+        const [doc] = await this.bucket.find({ filename: key }).sort({ uploadDate: -1 }).limit(1).toArray();
+        return doc || null;
+    }
+
+    createKey(userId, filename) {
+        return `${userId}/${filename}`;
+    }
+
+    createWriteStream(key) {
+        return new GridFSWriteStream(this.bucket.openUploadStream(key));
+    }
+
+    createReadStream(key, range = {}) {
+        const output = new PassThrough();
+
+        this.findFile(key)
+            .then(doc => {
+                if (!doc) {
+                    const error = new Error(`Blob not found: ${key}`);
+                    error.code = 'ENOENT';
+                    throw error;
+                }
+                if (output.destroyed) return;
+
+                // GridFS ranges are end-exclusive and may not run past the file
+                const download = this.bucket.openDownloadStream(doc._id, {
+                    start: range.start || 0,
+                    end: range.end !== undefined ? Math.min(range.end + 1, doc.length) : undefined
+                });
+                download.on('error', error => output.destroy(error));
+                output.on('close', () => download.destroy());
+                download.pipe(output);
+            })
+            .catch(error => output.destroy(error));
+
+        return output;
+    }
+
+    async delete(key) {
+        const docs = await this.bucket.find({ filename: key }).project({ _id: 1 }).toArray();
+        for (const doc of docs) {
+            await this.bucket.delete(doc._id);
+        }
+    }
+
+    async stat(key) {
+        const doc = await this.findFile(key);
+        return doc ? { size: doc.length } : null;
+    }
+}
+
+/**
+ * Wraps a GridFS upload stream so that a failed or abandoned upload removes
+ * the chunks it already wrote. The file document only appears on success.
+ */
+class GridFSWriteStream extends Writable {
+    constructor(upload) {
+        super();
+        this.upload = upload;
+        this.completed = false;
+        this.upload.on('error', error => this.destroy(error));
+    }
+
+    _write(chunk, encoding, callback) {
+        if (this.upload.write(chunk)) {
+            callback();
+        } else {
+            this.upload.once('drain', callback);
+        }
+    }
+
+    _final(callback) {
+        this.upload.end(error => {
+            this.completed = !error;
+            callback(error);
+        });
+    }
+
+    _destroy(error, callback) {
+        if (this.completed) return callback(error);
+
+        this.upload.abort().catch(() => {}).finally(() => callback(error));
+    }
+}
+
+module.exports = GridFSDriver;
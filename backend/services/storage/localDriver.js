@@ -0,0 +1,90 @@
+const fs = require('fs');
+const path = require('path');
+const { Writable } = require('stream');
+const StorageDriver = require('./StorageDriver');
+
+/**
+ * Stores blobs on the local filesystem under UPLOAD_PATH. Keys are file paths
+ * (as stored in File.storagePath before storage drivers existed).
+ */
+class LocalDriver extends StorageDriver {
+    /**
+     * @param {Object} [options] - Driver options
+     * @param {string} [options.root] - Base directory for new blobs
+     */
+    constructor(options = {}) {
+        super('local');
+        this.root = options.root || process.env.UPLOAD_PATH || './uploads';
+    }
+
+    createKey(userId, filename) {
+        return path.join(this.root, String(userId), filename);
+    }
+
+    createWriteStream(key) {
+        return new AtomicFileWriteStream(key);
+    }
+
+    createReadStream(key, range = {}) {
+        return fs.createReadStream(key, { start: range.start, end: range.end });
+    }
+
+    async delete(key) {
+        await fs.promises.rm(key, { force: true });
+    }
+
+    async stat(key) {
+        try {
+            const stats = await fs.promises.stat(key);
+            return { size: stats.size };
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+}
+
+/**
+ * Writes to `<path>.part` and renames it into place on finish, so a blob is
+ * never visible half-written.
+ */
+class AtomicFileWriteStream extends Writable {
+    constructor(filePath) {
+        super();
+        this.filePath = filePath;
+        this.tempPath = `${filePath}.part`;
+        this.committed = false;
+
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        this.file = fs.createWriteStream(this.tempPath);
+        this.file.on('error', error => this.destroy(error));
+    }
+
+    _write(chunk, encoding, callback) {
+        if (this.file.write(chunk)) {
+            callback();
+        } else {
+            this.file.once('drain', callback);
+        }
+    }
+
+    _final(callback) {
+        this.file.end(error => {
+            if (error) return callback(error);
+
+            fs.rename(this.tempPath, this.filePath, renameError => {
+                this.committed = !renameError;
+                callback(renameError);
+            });
+        });
+    }
+
+    _destroy(error, callback) {
+        if (this.committed) return callback(error);
+
+        this.file.destroy();
+        fs.rm(this.tempPath, { force: true }, () => callback(error));
+    }
+}
+
+module.exports = LocalDriver;
@@ -0,0 +1,133 @@
+const { PassThrough, Writable } = require('stream');
+const {
+    S3Client,
+    GetObjectCommand,
+    HeadObjectCommand,
+    DeleteObjectCommand
+} = require('@aws-sdk/client-s3');
+const { Upload } = require('@aws-sdk/lib-storage');
+const StorageDriver = require('./StorageDriver');
+
+/**
+ * Stores blobs in an S3-compatible bucket (AWS S3, MinIO, ...).
+ *
+ * Configuration:
+ *   S3_BUCKET, S3_REGION, S3_ENDPOINT (for non-AWS services),
+ *   S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY, S3_FORCE_PATH_STYLE, S3_PREFIX
+ */
+class S3Driver extends StorageDriver {
+    /**
+     * @param {Object} [options] - Overrides for the environment configuration
+     */
+    constructor(options = {}) {
+        super('s3');
+
+        this.bucket = options.bucket || process.env.S3_BUCKET;
+        this.prefix = options.prefix ?? process.env.S3_PREFIX ?? '';
+
+        if (!this.bucket) {
+            throw new Error('S3_BUCKET is not configured');
+        }
+
+        const accessKeyId = options.accessKeyId || process.env.S3_ACCESS_KEY_ID;
+        const secretAccessKey = options.secretAccessKey || process.env.S3_SECRET_ACCESS_KEY;
+
+        this.client = options.client || new S3Client({
+            region: options.region || process.env.S3_REGION || 'us-east-1',
+            endpoint: options.endpoint || process.env.S3_ENDPOINT || undefined,
+            forcePathStyle: options.forcePathStyle ?? process.env.S3_FORCE_PATH_STYLE === 'true',
+            // Fall back to the SDK's default credential chain when not set explicitly
+            credentials: accessKeyId && secretAccessKey ? { accessKeyId, secretAccessKey } : undefined
+        });
+    }
+
+    createKey(userId, filename) {
+        return `${this.prefix}${userId}/${filename}`;
+    }
+
+    createWriteStream(key) {
+        return new S3UploadStream(this.client, this.bucket, key);
+    }
+
+    createReadStream(key, range = {}) {
+        const output = new PassThrough();
+        let byteRange;
+
+        if (range.start !== undefined || range.end !== undefined) {
+            byteRange = `bytes=${range.start || 0}-${range.end !== undefined ? range.end : ''}`;
+        }
+
+        this.client.send(new GetObjectCommand({ Bucket: this.bucket, Key: key, Range: byteRange }))
+            .then(({ Body }) => {
+                if (output.destroyed) {
+                    Body.destroy();
+                    return;
+                }
+                Body.on('error', error => output.destroy(error));
+                output.on('close', () => Body.destroy());
+                Body.pipe(output);
+            })
+            .catch(error => output.destroy(error));
+
+        return output;
+    }
+
+    async delete(key) {
+        await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: key }));
+    }
+
+    async stat(key) {
+        try {
+            const head = await this.client.send(new HeadObjectCommand({ Bucket: this.bucket, Key: key }));
+            return { size: head.ContentLength };
+        } catch (error) {
+            if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) return null;
+            throw error;
+        }
+    }
+}
+
+/**
+ * Writable side of a multipart upload. The stream only finishes once the
+ * object has been completed in the bucket; destroying it aborts the upload.
+ */
+class S3UploadStream extends Writable {
+    constructor(client, bucket, key) {
+        super();
+        this.body = new PassThrough();
+        this.upload = new Upload({
+            client,
+            params: { Bucket: bucket, Key: key, Body: this.body }
+        });
+        this.completed = false;
+        this.done = this.upload.done();
+        // A failed part upload would otherwise leave writers waiting for 'drain'
+        this.done.catch(error => this.destroy(error));
+    }
+
+    _write(chunk, encoding, callback) {
+        if (this.body.write(chunk)) {
+            callback();
+        } else {
+            this.body.once('drain', callback);
+        }
+    }
+
+    _final(callback) {
+        this.body.end();
+        this.done.then(() => {
+            this.completed = true;
+            callback();
+        }, callback);
+    }
+
+    _destroy(error, callback) {
+        if (!this.completed) {
+            this.upload.abort().catch(() => {});
+            this.body.destroy();
+        }
+        callback(error);
+    }
+}
+
+module.exports = S3Driver;
@@ -0,0 +1,68 @@
+const LocalDriver = require('./storage/localDriver');
+const logger = require('../utils/logger');
+
+// Driver constructors by backend name; loaded lazily so optional SDKs are
+// only required when their backend is used
+const DRIVERS = {
+    local: () => LocalDriver,
+    s3: () => require('./storage/s3Driver'),
+    gridfs: () => require('./storage/gridfsDriver')
+};
+
+/**
+ * Resolves storage drivers. New blobs go to the backend selected by
+ * STORAGE_DRIVER; existing blobs are read from the backend recorded on
+ * their File (File.storageBackend).
+ */
+class StorageService {
+    constructor() {
+        this.drivers = new Map();
+    }
+
+    /**
+     * Name of the backend used for new blobs
+     * @returns {string} Backend name
+     */
+    get defaultBackend() {
+        return process.env.STORAGE_DRIVER || 'local';
+    }
+
+    /**
+     * List the supported backend names
+     * @returns {string[]} Backend names
+     */
+    get backends() {
+        return Object.keys(DRIVERS);
+    }
+
+    /**
+     * Get a driver by backend name
+     * @param {string} [name] - Backend name, defaults to the configured backend
+     * @returns {StorageDriver} Driver instance
+     */
+    getDriver(name = this.defaultBackend) {
+        if (!this.drivers.has(name)) {
+            const load = DRIVERS[name];
+            if (!load) {
+                throw new Error(`Unknown storage driver: ${name}`);
+            }
+
+            const Driver = load();
+            this.drivers.set(name, new Driver());
+            logger.info(`Storage driver initialized: ${name}`);
+        }
+
+        return this.drivers.get(name);
+    }
+
+    /**
+     * Get the driver holding a file's blob
+     * @param {Object} file - File document
+     * @returns {StorageDriver} Driver instance
+     */
+    forFile(file) {
+        return this.getDriver(file.storageBackend || 'local');
+    }
+}
+
+module.exports = new StorageService();
@@ -0,0 +1,248 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const QRCode = require('qrcode');
+const { getMasterKey, getCurrentMasterKeyId } = require('../config/keys');
+const keyService = require('./keyService');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * TOTP (RFC 6238) two-factor authentication: secrets, codes and recovery codes.
+ * Secrets are stored encrypted under the master key; recovery codes are stored
+ * as bcrypt hashes and can each be used once.
+ */
+class TwoFactorService {
+    constructor() {
+        this.issuer = process.env.TWO_FACTOR_ISSUER || 'SecureVault';
+        this.digits = 6;
+        this.period = 30; // seconds
+        this.window = 1; // accept one step of clock drift either way
+        this.secretLength = 20; // 160 bits, as recommended for HMAC-SHA1
+        this.recoveryCodeCount = 10;
+    }
+
+    /**
+     * Encode bytes as unpadded RFC 4648 base32
+     * @param {Buffer} buffer - Bytes to encode
+     * @returns {string} Base32 string
+     */
+    base32Encode(buffer) {
+        let bits = 0;
+        let value = 0;
+        let output = '';
+
+        for (const byte of buffer) {
+            value = (value << 8) | byte;
+            bits += 8;
+            while (bits >= 5) {
+                output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+                bits -= 5;
+            }
+        }
+
+        if (bits > 0) {
+            output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+        }
+
+        return output;
+    }
+
+    /**
+     * Decode an RFC 4648 base32 string
+     * @param {string} input - Base32 string (case, spaces and padding ignored)
+     * @returns {Buffer} Decoded bytes
+     */
+    base32Decode(input) {
+        const clean = input.toUpperCase().replace(/[\s=]/g, '');
+        let bits = 0;
+        let value = 0;
+        const output = [];
+
+        for (const char of clean) {
+            const index = BASE32_ALPHABET.indexOf(char);
+            if (index === -1) {
+                throw new Error('Invalid base32 character');
+            }
+            value = (value << 5) | index;
+            bits += 5;
+            if (bits >= 8) {
+                output.push((value >>> (bits - 8)) & 255);
+                bits -= 8;
+            }
+        }
+
+        return Buffer.from(output);
+    }
+
+    /**
+     * Generate a new TOTP secret
+     * @returns {string} Base32 secret
+     */
+    generateSecret() {
+        return this.base32Encode(crypto.randomBytes(this.secretLength));
+    }
+
+    /**
+     * AAD binding a stored secret to its user
+     * @param {Object} user - User document
+     * @returns {string} Context string
+     */
+    secretContext(user) {
+        return `totp-secret:${user._id}`;
+    }
+
+    /**
+     * Encrypt a secret for User.twoFactorSecret
+     * @param {Object} user - Owner
+     * @param {string} secret - Base32 secret
+     * @returns {string} "<masterKeyId>:<wrapped>"
+     */
+    encryptSecret(user, secret) {
+        const masterKeyId = getCurrentMasterKeyId();
+        const wrapped = keyService.wrapKey(Buffer.from(secret), getMasterKey(masterKeyId), this.secretContext(user));
+        return `${masterKeyId}:${wrapped}`;
+    }
+
+    /**
+     * Decrypt User.twoFactorSecret
+     * @param {Object} user - Owner with +twoFactorSecret
+     * @returns {string} Base32 secret
+     */
+    decryptSecret(user) {
+        const separator = user.twoFactorSecret.indexOf(':');
+        const masterKeyId = user.twoFactorSecret.slice(0, separator);
+        const wrapped = user.twoFactorSecret.slice(separator + 1);
+
+        return keyService.unwrapKey(wrapped, getMasterKey(masterKeyId), this.secretContext(user)).toString();
+    }
+
+    /**
+     * Re-encrypt User.twoFactorSecret under the current master key
+     * @param {Object} user - Owner with +twoFactorSecret
+     * @returns {boolean} Whether the secret was re-encrypted (caller saves)
+     */
+    rewrapSecret(user) {
+        if (!user.twoFactorSecret || user.twoFactorSecret.startsWith(`${getCurrentMasterKeyId()}:`)) {
+            return false;
+        }
+
+        user.twoFactorSecret = this.encryptSecret(user, this.decryptSecret(user));
+        return true;
+    }
+
+    /**
+     * Compute the code for a time step
+     * @param {string} secret - Base32 secret
+     * @param {number} step - Time step (seconds since epoch / period)
+     * @returns {string} Zero-padded code
+     */
+    generateCode(secret, step) {
+        const counter = Buffer.alloc(8);
+        counter.writeBigUInt64BE(BigInt(step));
+
+        const hmac = crypto.createHmac('sha1', this.base32Decode(secret)).update(counter).digest();
+        const offset = hmac[hmac.length - 1] & 0xf;
+        const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+        return String(binary % 10 ** this.digits).padStart(this.digits, '0');
+    }
+
+    /**
+     * Current time step
+     * @returns {number} Step
+     */
+    currentStep() {
+        return Math.floor(Date.now() / 1000 / this.period);
+    }
+
+    /**
+     * Check a code against the secret, allowing for clock drift. A step at or
+     * before lastStep has already been used and is rejected to stop replays.
+     * @param {string} secret - Base32 secret
+     * @param {string} code - Code entered by the user
+     * @param {number} [lastStep] - Last step accepted for this user
+     * @returns {number|null} Matching step, or null if the code is invalid
+     */
+    verifyCode(secret, code, lastStep) {
+        const normalized = String(code || '').replace(/\s/g, '');
+        if (!new RegExp(`^\\d{${this.digits}}$`).test(normalized)) {
+            return null;
+        }
+
+        const current = this.currentStep();
+        for (let step = current - this.window; step <= current + this.window; step++) {
+            if (lastStep !== undefined && lastStep !== null && step <= lastStep) continue;
+
+            const expected = Buffer.from(this.generateCode(secret, step));
+            if (crypto.timingSafeEqual(expected, Buffer.from(normalized))) {
+                return step;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Build the otpauth:// URI understood by authenticator apps
+     * @param {Object} user - User document
+     * @param {string} secret - Base32 secret
+     * @returns {string} URI
+     */
+    getOtpAuthUri(user, secret) {
+        const label = encodeURIComponent(`${this.issuer}:${user.email}`);
+        const params = new URLSearchParams({
+            secret,
+            issuer: this.issuer,
+            algorithm: 'SHA1',
+            digits: String(this.digits),
+            period: String(this.period)
+        });
+
+        return `otpauth://totp/${label}?${params.toString()}`;
+    }
+
+    /**
+     * Render a URI as a QR code
+     * @param {string} uri - otpauth URI
+     * @returns {Promise<string>} PNG data URL
+     */
+    getQrCode(uri) {
+        return QRCode.toDataURL(uri, { errorCorrectionLevel: 'M', margin: 1, width: 240 });
+    }
+
+    /**
+     * Generate a fresh set of recovery codes
+     * @returns {Promise<{ codes: string[], hashes: string[] }>} Codes to show once, and hashes to store
+     */
+    async generateRecoveryCodes() {
+        const codes = Array.from({ length: this.recoveryCodeCount }, () => {
+            const raw = crypto.randomBytes(5).toString('hex');
+            return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+        });
+
+        const hashes = await Promise.all(codes.map(code => bcrypt.hash(code, 10)));
+
+        return { codes, hashes };
+    }
+
+    /**
+     * Find which stored recovery code matches
+     * @param {string[]} hashes - User.twoFactorRecoveryCodes
+     * @param {string} code - Code entered by the user
+     * @returns {Promise<number>} Index of the matching hash, or -1
+     */
+    async findRecoveryCode(hashes, code) {
+        const normalized = String(code || '').trim().toLowerCase();
+        if (!normalized) return -1;
+
+        for (let i = 0; i < hashes.length; i++) {
+            if (await bcrypt.compare(normalized, hashes[i])) {
+                return i;
+            }
+        }
+
+        return -1;
+    }
+}
+
+module.exports = new TwoFactorService();
@@ -0,0 +1,307 @@
+const File = require('../models/File');
+const FileVersion = require('../models/FileVersion');
+const User = require('../models/User');
+const AppError = require('../utils/AppError');
+const storageService = require('./storageService');
+const renditionService = require('./renditionService');
+const logger = require('../utils/logger');
+
+// Fields describing one version's encrypted blob, shared by File and FileVersion
+const BLOB_FIELDS = [
+    'encryptedName',
+    'mimeType',
+    'originalSize',
+    'encryptedSize',
+    'checksum',
+    'encryptedChecksum',
+    'storagePath',
+    'storageBackend',
+    'encryptionMetadata',
+    'metadata',
+    'archive',
+    'documentExpiry',
+    'scan',
+    'isClientEncrypted',
+    'clientEncryption'
+];
+
+/**
+ * File versioning. A File always describes its current version; superseded
+ * versions are kept as FileVersion documents with their own ciphertext and
+ * data key. Every version counts towards the owner's storageUsed, so adding a
+ * version charges its size and pruning one gives it back.
+ */
+class VersionService {
+    constructor() {
+        // Versions kept automatically after each upload (0 keeps all of them)
+        this.defaultKeep = parseInt(process.env.FILE_VERSION_RETENTION) || 0;
+    }
+
+    /**
+     * Copy the blob fields of a File or FileVersion
+     * @param {Object} source - Document with storagePath selected
+     * @returns {Object} Blob fields
+     */
+    pickBlob(source) {
+        const blob = {};
+        BLOB_FIELDS.forEach(field => {
+            const value = source[field];
+            blob[field] = value && typeof value.toObject === 'function' ? value.toObject() : value;
+        });
+        return blob;
+    }
+
+    /**
+     * Build the update that makes a blob a file's current version. Fields the
+     * blob does not have are unset so nothing leaks over from the old version.
+     * @param {Object} blob - Blob fields
+     * @param {Object} fields - Version fields to set alongside
+     * @returns {Object} MongoDB update
+     */
+    buildUpdate(blob, fields) {
+        const update = { $set: { ...fields }, $unset: {} };
+
+        BLOB_FIELDS.forEach(field => {
+            if (blob[field] === undefined || blob[field] === null) {
+                update.$unset[field] = 1;
+            } else {
+                update.$set[field] = blob[field];
+            }
+        });
+
+        Object.keys(fields).forEach(field => {
+            if (fields[field] === undefined) {
+                delete update.$set[field];
+                update.$unset[field] = 1;
+            }
+        });
+
+        return update;
+    }
+
+    /**
+     * Find the file an upload with this name would become a new version of
+     * @param {string} userId - Owner
+     * @param {string} folder - Target folder
+     * @param {string} originalName - Uploaded file name
+     * @returns {Promise<Object|null>} Existing file with storagePath selected
+     */
+    findExisting(userId, folder, originalName) {
+        return File.findOne({
+            user: userId,
+            folder: folder || '/',
+            originalName
+        }).select('+storagePath');
+    }
+
+    /**
+     * Make a newly stored blob the current version of a file. The previous
+     * current version is archived first, and the file is only switched over if
+     * nobody else changed it in the meantime.
+     * @param {Object} file - File with storagePath selected
+     * @param {Object} blob - Blob fields of the new version (see BLOB_FIELDS)
+     * @param {Object} [options] - Options
+     * @param {string} [options.originalName] - Name the new version was uploaded under
+     * @returns {Promise<Object>} Updated file
+     */
+    async addVersion(file, blob, options = {}) {
+        const archived = await FileVersion.create({
+            file: file._id,
+            user: file.user,
+            version: file.version || 1,
+            uploadedAt: file.versionUploadedAt || file.createdAt,
+            restoredFrom: file.restoredFrom,
+            originalName: file.originalName,
+            ...this.pickBlob(file)
+        });
+
+        const updated = await File.findOneAndUpdate(
+            { _id: file._id, storagePath: file.storagePath },
+            this.buildUpdate(blob, {
+                version: (file.version || 1) + 1,
+                versionUploadedAt: new Date(),
+                restoredFrom: undefined,
+                ...renditionService.resetFields(blob)
+            }),
+            { new: true }
+        ).setOptions({ includeDeleted: true });
+
+        if (!updated) {
+            await archived.deleteOne();
+            throw new AppError('The file was changed by another request. Please try again.', 409);
+        }
+
+        await renditionService.replaced(file, updated);
+
+        logger.info(`File ${file._id} is now at version ${updated.version}` +
+            (options.originalName && options.originalName !== file.originalName ? ` (uploaded as ${options.originalName})` : ''));
+
+        await this.applyRetention(updated);
+
+        return updated;
+    }
+
+    /**
+     * List a file's archived versions, newest first
+     * @param {Object} file - File document
+     * @returns {Promise<Object[]>} Versions
+     */
+    listVersions(file) {
+        return FileVersion.find({ file: file._id }).sort({ version: -1 });
+    }
+
+    /**
+     * Get one archived version
+     * @param {Object} file - File document
+     * @param {number} version - Version number
+     * @returns {Promise<Object>} Version with storagePath selected
+     * @throws {AppError} If there is no such archived version
+     */
+    async getVersion(file, version) {
+        const found = Number.isInteger(version)
+            ? await FileVersion.findOne({ file: file._id, version }).select('+storagePath')
+            : null;
+
+        if (!found) {
+            throw new AppError('Version not found', 404);
+        }
+
+        return found;
+    }
+
+    /**
+     * Make an archived version current again. The restored content becomes a
+     * new version (no ciphertext is copied), and the version it replaces is
+     * archived.
+     * @param {Object} file - File with storagePath selected
+     * @param {number} version - Version to restore
+     * @returns {Promise<Object>} Updated file
+     */
+    async restoreVersion(file, version) {
+        const target = await this.getVersion(file, version);
+        const latest = await FileVersion.findOne({ file: file._id }).sort({ version: -1 }).select('version');
+        const nextVersion = Math.max(file.version || 1, latest ? latest.version : 0) + 1;
+
+        const archived = await FileVersion.create({
+            file: file._id,
+            user: file.user,
+            version: file.version || 1,
+            uploadedAt: file.versionUploadedAt || file.createdAt,
+            restoredFrom: file.restoredFrom,
+            originalName: file.originalName,
+            ...this.pickBlob(file)
+        });
+
+        const blob = this.pickBlob(target);
+        const updated = await File.findOneAndUpdate(
+            { _id: file._id, storagePath: file.storagePath },
+            this.buildUpdate(blob, {
+                version: nextVersion,
+                versionUploadedAt: target.uploadedAt,
+                restoredFrom: target.version,
+                ...renditionService.resetFields(blob)
+            }),
+            { new: true }
+        ).setOptions({ includeDeleted: true });
+
+        if (!updated) {
+            await archived.deleteOne();
+            throw new AppError('The file was changed by another request. Please try again.', 409);
+        }
+
+        // Its blob now belongs to the file
+        await target.deleteOne();
+        await renditionService.replaced(file, updated);
+
+        logger.info(`File ${file._id}: version ${version} restored as version ${nextVersion}`);
+
+        return updated;
+    }
+
+    /**
+     * Delete archived versions by a retention rule. A version is removed only
+     * if it is not among the `keep` newest archived versions and, when
+     * `olderThanDays` is given, was uploaded longer ago than that.
+     * @param {Object} file - File document
+     * @param {Object} rule - Retention rule
+     * @param {number} rule.keep - Archived versions to keep regardless of age
+     * @param {number} [rule.olderThanDays] - Only remove versions older than this
+     * @returns {Promise<Object>} `{ deletedCount, freedSpace }`
+     */
+    async prune(file, { keep, olderThanDays }) {
+        const versions = await FileVersion.find({ file: file._id })
+            .sort({ version: -1 })
+            .select('+storagePath');
+
+        const cutoff = olderThanDays ? Date.now() - olderThanDays * 24 * 60 * 60 * 1000 : null;
+        const doomed = versions
+            .slice(keep)
+            .filter(version => cutoff === null || version.uploadedAt.getTime() < cutoff);
+
+        const freedSpace = await this.deleteVersions(doomed);
+
+        if (doomed.length > 0) {
+            await this.releaseStorage(file.user, freedSpace);
+            logger.info(`Pruned ${doomed.length} version(s) of file ${file._id}`);
+        }
+
+        return { deletedCount: doomed.length, freedSpace };
+    }
+
+    /**
+     * Apply the configured automatic retention (FILE_VERSION_RETENTION)
+     * @param {Object} file - File document
+     * @returns {Promise<void>}
+     */
+    async applyRetention(file) {
+        if (this.defaultKeep > 0) {
+            await this.prune(file, { keep: this.defaultKeep });
+        }
+    }
+
+    /**
+     * Delete every archived version of a file that is being deleted
+     * permanently. The caller updates storageUsed with the returned size.
+     * @param {Object} file - File document
+     * @returns {Promise<number>} Plaintext bytes freed
+     */
+    async deleteAllVersions(file) {
+        const versions = await FileVersion.find({ file: file._id }).select('+storagePath');
+        return this.deleteVersions(versions);
+    }
+
+    /**
+     * Delete versions and their blobs
+     * @param {Object[]} versions - Versions with storagePath selected
+     * @returns {Promise<number>} Plaintext bytes freed
+     */
+    async deleteVersions(versions) {
+        let freed = 0;
+
+        for (const version of versions) {
+            await storageService.forFile(version).delete(version.storagePath);
+            await version.deleteOne();
+            freed += version.originalSize;
+        }
+
+        return freed;
+    }
+
+    /**
+     * Give storage back to a user
+     * @param {string} userId - User ID
+     * @param {number} bytes - Bytes freed
+     * @returns {Promise<void>}
+     */
+    async releaseStorage(userId, bytes) {
+        if (bytes <= 0) return;
+
+        const user = await User.findById(userId);
+        if (user) {
+            user.storageUsed = Math.max(0, user.storageUsed - bytes);
+            await user.save({ validateBeforeSave: false });
+        }
+    }
+}
+
+module.exports = new VersionService();
@@ -0,0 +1,245 @@
+const zlib = require('zlib');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+
+const LOCAL_HEADER = 0x04034b50;
+const DATA_DESCRIPTOR = 0x08074b50;
+const CENTRAL_HEADER = 0x02014b50;
+const ZIP64_END = 0x06064b50;
+const ZIP64_LOCATOR = 0x07064b50;
+const END_OF_CENTRAL = 0x06054b50;
+
+// Bit 3: sizes and CRC follow the data; bit 11: names are UTF-8
+const FLAGS = 0x0808;
+const METHOD_STORE = 0;
+const METHOD_DEFLATE = 8;
+const VERSION_NEEDED = 20;
+const VERSION_ZIP64 = 45;
+const MAX_32 = 0xffffffff;
+const MAX_16 = 0xffff;
+
+const CRC_TABLE = new Int32Array(256).map((_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c;
+});
+
+/**
+ * Pass-through that computes the CRC-32 and length of what flows through it
+ */
+class Crc32Stream extends Transform {
+    constructor() {
+        super();
+        this.crc = -1;
+        this.bytes = 0;
+    }
+
+    _transform(data, encoding, callback) {
+        let crc = this.crc;
+        for (let i = 0; i < data.length; i++) {
+            crc = CRC_TABLE[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+        }
+        this.crc = crc;
+        this.bytes += data.length;
+        callback(null, data);
+    }
+
+    get value() {
+        return (this.crc ^ -1) >>> 0;
+    }
+}
+
+/**
+ * Convert a date to MS-DOS time and date fields
+ * @param {Date} date - Date
+ * @returns {Object} `{ time, date }`
+ */
+const toDosDateTime = (date) => {
+    const year = Math.max(date.getFullYear(), 1980);
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+};
+
+/**
+ * Writes a ZIP archive to a stream as entries are added, without knowing
+ * sizes in advance and without buffering whole entries: every entry is
+ * followed by a data descriptor, and ZIP64 records are added when offsets or
+ * the entry count outgrow the classic format. Single entries must stay below
+ * 4 GiB.
+ */
+class ZipWriter {
+    /**
+     * @param {Writable} output - Destination (e.g. an HTTP response)
+     */
+    constructor(output) {
+        this.output = output;
+        this.offset = 0;
+        this.entries = [];
+    }
+
+    /**
+     * Write a buffer, waiting for the destination to drain when it is full
+     * @param {Buffer} buffer - Bytes to write
+     * @returns {Promise<void>}
+     */
+    async write(buffer) {
+        this.offset += buffer.length;
+        if (!this.output.write(buffer)) {
+            await new Promise((resolve, reject) => {
+                const onDrain = () => {
+                    this.output.off('close', onClose);
+                    resolve();
+                };
+                const onClose = () => {
+                    this.output.off('drain', onDrain);
+                    reject(new Error('Output closed before the archive was complete'));
+                };
+                this.output.once('drain', onDrain);
+                this.output.once('close', onClose);
+            });
+        }
+    }
+
+    /**
+     * Add an entry, streaming its content from a source
+     * @param {string} name - Path inside the archive ("folder/file.txt")
+     * @param {Readable|Stream[]} source - Entry content, or a source followed by transforms
+     * @param {Object} [options] - Entry options
+     * @param {Date} [options.date] - Modification time
+     * @param {boolean} [options.store] - Store without compression (for already compressed data)
+     * @returns {Promise<Object>} `{ size, compressedSize, crc }`
+     */
+    async addEntry(name, source, options = {}) {
+        const nameBuffer = Buffer.from(name, 'utf8');
+        const method = options.store ? METHOD_STORE : METHOD_DEFLATE;
+        const { time, date } = toDosDateTime(options.date || new Date());
+        const headerOffset = this.offset;
+
+        const header = Buffer.alloc(30);
+        header.writeUInt32LE(LOCAL_HEADER, 0);
+        header.writeUInt16LE(VERSION_NEEDED, 4);
+        header.writeUInt16LE(FLAGS, 6);
+        header.writeUInt16LE(method, 8);
+        header.writeUInt16LE(time, 10);
+        header.writeUInt16LE(date, 12);
+        // CRC and sizes (14-25) are zero; they follow in the data descriptor
+        header.writeUInt16LE(nameBuffer.length, 26);
+        header.writeUInt16LE(0, 28);
+
+        await this.write(Buffer.concat([header, nameBuffer]));
+
+        const crc = new Crc32Stream();
+        const stages = [...[].concat(source), crc];
+        if (method === METHOD_DEFLATE) {
+            stages.push(zlib.createDeflateRaw());
+        }
+
+        let compressedSize = 0;
+        await pipeline(...stages, async (data) => {
+            for await (const chunk of data) {
+                compressedSize += chunk.length;
+                await this.write(chunk);
+            }
+        });
+
+        if (crc.bytes >= MAX_32 || compressedSize >= MAX_32) {
+            throw new Error(`Archive entry too large: ${name}`);
+        }
+
+        const descriptor = Buffer.alloc(16);
+        descriptor.writeUInt32LE(DATA_DESCRIPTOR, 0);
+        descriptor.writeUInt32LE(crc.value, 4);
+        descriptor.writeUInt32LE(compressedSize, 8);
+        descriptor.writeUInt32LE(crc.bytes, 12);
+        await this.write(descriptor);
+
+        const entry = {
+            nameBuffer,
+            method,
+            time,
+            date,
+            crc: crc.value,
+            compressedSize,
+            size: crc.bytes,
+            offset: headerOffset
+        };
+        this.entries.push(entry);
+
+        return { size: entry.size, compressedSize, crc: entry.crc };
+    }
+
+    /**
+     * Write the central directory. The output is not ended.
+     * @returns {Promise<void>}
+     */
+    async finalize() {
+        const centralOffset = this.offset;
+
+        for (const entry of this.entries) {
+            const needsZip64 = entry.offset >= MAX_32;
+            const extra = needsZip64 ? Buffer.alloc(12) : Buffer.alloc(0);
+            if (needsZip64) {
+                extra.writeUInt16LE(0x0001, 0);
+                extra.writeUInt16LE(8, 2);
+                extra.writeBigUInt64LE(BigInt(entry.offset), 4);
+            }
+
+            const header = Buffer.alloc(46);
+            header.writeUInt32LE(CENTRAL_HEADER, 0);
+            header.writeUInt16LE(needsZip64 ? VERSION_ZIP64 : VERSION_NEEDED, 4);
+            header.writeUInt16LE(needsZip64 ? VERSION_ZIP64 : VERSION_NEEDED, 6);
+            header.writeUInt16LE(FLAGS, 8);
+            header.writeUInt16LE(entry.method, 10);
+            header.writeUInt16LE(entry.time, 12);
+            header.writeUInt16LE(entry.date, 14);
+            header.writeUInt32LE(entry.crc, 16);
+            header.writeUInt32LE(entry.compressedSize, 20);
+            header.writeUInt32LE(entry.size, 24);
+            header.writeUInt16LE(entry.nameBuffer.length, 28);
+            header.writeUInt16LE(extra.length, 30);
+            // Comment length, disk number, internal and external attributes are zero
+            header.writeUInt32LE(needsZip64 ? MAX_32 : entry.offset, 42);
+
+            await this.write(Buffer.concat([header, entry.nameBuffer, extra]));
+        }
+
+        const centralSize = this.offset - centralOffset;
+        const count = this.entries.length;
+
+        if (count >= MAX_16 || centralOffset >= MAX_32 || centralSize >= MAX_32) {
+            const zip64EndOffset = this.offset;
+
+            const zip64End = Buffer.alloc(56);
+            zip64End.writeUInt32LE(ZIP64_END, 0);
+            zip64End.writeBigUInt64LE(44n, 4);
+            zip64End.writeUInt16LE(VERSION_ZIP64, 12);
+            zip64End.writeUInt16LE(VERSION_ZIP64, 14);
+            zip64End.writeBigUInt64LE(BigInt(count), 24);
+            zip64End.writeBigUInt64LE(BigInt(count), 32);
+            zip64End.writeBigUInt64LE(BigInt(centralSize), 40);
+            zip64End.writeBigUInt64LE(BigInt(centralOffset), 48);
+
+            const locator = Buffer.alloc(20);
+            locator.writeUInt32LE(ZIP64_LOCATOR, 0);
+            locator.writeBigUInt64LE(BigInt(zip64EndOffset), 8);
+            locator.writeUInt32LE(1, 16);
+
+            await this.write(Buffer.concat([zip64End, locator]));
+        }
+
+        const end = Buffer.alloc(22);
+        end.writeUInt32LE(END_OF_CENTRAL, 0);
+        end.writeUInt16LE(Math.min(count, MAX_16), 8);
+        end.writeUInt16LE(Math.min(count, MAX_16), 10);
+        end.writeUInt32LE(Math.min(centralSize, MAX_32), 12);
+        end.writeUInt32LE(Math.min(centralOffset, MAX_32), 16);
+
+        await this.write(end);
+    }
+}
+
+module.exports = ZipWriter;
@@ -0,0 +1,61 @@
+const jwt = require('jsonwebtoken');
+
+const ACCESS_COOKIE = 'access_token';
+const REFRESH_COOKIE = 'refresh_token';
+
+/**
+ * Options shared by the session cookies. They are HttpOnly so scripts (and
+ * therefore XSS) cannot read them; set COOKIE_SECURE=false to test over plain
+ * HTTP locally.
+ * @param {string} path - Cookie path
+ * @returns {Object} Cookie options
+ */
+const cookieOptions = (path) => ({
+    httpOnly: true,
+    secure: process.env.COOKIE_SECURE !== 'false',
+    sameSite: 'strict',
+    path
+});
+
+/**
+ * When an access token expires
+ * @param {string} accessToken - Signed JWT
+ * @returns {Date} Expiry
+ */
+const getAccessTokenExpiry = (accessToken) => new Date(jwt.decode(accessToken).exp * 1000);
+
+/**
+ * Store a session's tokens in cookies. The refresh token is only sent to the
+ * auth routes that need it.
+ * @param {Object} res - Express response
+ * @param {Object} tokens - `{ accessToken, refreshToken }`
+ */
+const setAuthCookies = (res, { accessToken, refreshToken }) => {
+    res.cookie(ACCESS_COOKIE, accessToken, {
+        ...cookieOptions('/api'),
+        expires: getAccessTokenExpiry(accessToken)
+    });
+
+    res.cookie(REFRESH_COOKIE, refreshToken, {
+        ...cookieOptions('/api/auth'),
+        maxAge: (parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30) * 24 * 60 * 60 * 1000
+    });
+};
+
+/**
+ * Remove the session cookies
+ * @param {Object} res - Express response
+ */
+const clearAuthCookies = (res) => {
+    res.clearCookie(ACCESS_COOKIE, cookieOptions('/api'));
+    res.clearCookie(REFRESH_COOKIE, cookieOptions('/api/auth'));
+};
+
+module.exports = {
+    ACCESS_COOKIE,
+    REFRESH_COOKIE,
+    cookieOptions,
+    getAccessTokenExpiry,
+    setAuthCookies,
+    clearAuthCookies
+};
@@ -0,0 +1,131 @@
+// Largest BMP decoded for renditions (width * height)
+const MAX_PIXELS = 100 * 1000 * 1000;
+
+const BI_RGB = 0;
+const BI_BITFIELDS = 3;
+const BI_ALPHABITFIELDS = 6;
+
+/**
+ * Read one channel through a bit mask and scale it to 0-255
+ * @param {number} value - Pixel value
+ * @param {number} mask - Channel mask
+ * @returns {number} Channel value
+ */
+const readMasked = (value, mask) => {
+    if (!mask) return 0;
+
+    let shift = 0;
+    while (((mask >>> shift) & 1) === 0) shift++;
+    const max = mask >>> shift;
+
+    return Math.round((((value & mask) >>> shift) * 255) / max);
+};
+
+/**
+ * Decode an uncompressed Windows bitmap (1/4/8-bit palette, 16/24/32-bit
+ * RGB or bit fields), which the image library cannot read itself
+ * @param {Buffer} buffer - BMP file
+ * @returns {Object} `{ data, width, height }` with RGBA pixels, top row first
+ * @throws {Error} If the bitmap is malformed or uses an unsupported encoding
+ */
+const decodeBmp = (buffer) => {
+    if (buffer.length < 54 || buffer.toString('latin1', 0, 2) !== 'BM') {
+        throw new Error('Not a BMP file');
+    }
+
+    const dataOffset = buffer.readUInt32LE(10);
+    const headerSize = buffer.readUInt32LE(14);
+    if (headerSize < 40) {
+        throw new Error('Unsupported BMP header');
+    }
+
+    const width = buffer.readInt32LE(18);
+    const rawHeight = buffer.readInt32LE(22);
+    const height = Math.abs(rawHeight);
+    const topDown = rawHeight < 0;
+    const bitsPerPixel = buffer.readUInt16LE(28);
+    const compression = buffer.readUInt32LE(30);
+
+    if (width <= 0 || height === 0 || width * height > MAX_PIXELS) {
+        throw new Error('Unsupported BMP dimensions');
+    }
+    if (![BI_RGB, BI_BITFIELDS, BI_ALPHABITFIELDS].includes(compression)) {
+        throw new Error('Compressed BMP files are not supported');
+    }
+
+    // Channel masks follow the 40-byte header (inside it for V4/V5 headers)
+    let masks = null;
+    if (compression !== BI_RGB) {
+        masks = {
+            r: buffer.readUInt32LE(54),
+            g: buffer.readUInt32LE(58),
+            b: buffer.readUInt32LE(62),
+            a: compression === BI_ALPHABITFIELDS || headerSize >= 56 ? buffer.readUInt32LE(66) : 0
+        };
+    } else if (bitsPerPixel === 16) {
+        masks = { r: 0x7c00, g: 0x03e0, b: 0x001f, a: 0 };
+    }
+
+    let palette = null;
+    if (bitsPerPixel <= 8) {
+        const colors = Math.min(buffer.readUInt32LE(46) || (1 << bitsPerPixel), 1 << bitsPerPixel);
+        const paletteOffset = 14 + headerSize;
+        palette = [];
+        for (let i = 0; i < colors; i++) {
+            const offset = paletteOffset + i * 4;
+            palette.push([buffer[offset + 2], buffer[offset + 1], buffer[offset]]);
+        }
+    } else if (![16, 24, 32].includes(bitsPerPixel)) {
+        throw new Error(`Unsupported BMP bit depth: ${bitsPerPixel}`);
+    }
+
+    const rowSize = Math.ceil((bitsPerPixel * width) / 32) * 4;
+    if (dataOffset + rowSize * height > buffer.length) {
+        throw new Error('Truncated BMP file');
+    }
+
+    const data = Buffer.alloc(width * height * 4);
+
+    for (let y = 0; y < height; y++) {
+        const row = dataOffset + (topDown ? y : height - 1 - y) * rowSize;
+
+        for (let x = 0; x < width; x++) {
+            const out = (y * width + x) * 4;
+            let r;
+            let g;
+            let b;
+            let a = 255;
+
+            if (palette) {
+                const bit = x * bitsPerPixel;
+                const byte = buffer[row + (bit >> 3)];
+                const index = (byte >> (8 - bitsPerPixel - (bit & 7))) & ((1 << bitsPerPixel) - 1);
+                [r, g, b] = palette[index] || [0, 0, 0];
+            } else if (bitsPerPixel === 24) {
+                const offset = row + x * 3;
+                [b, g, r] = [buffer[offset], buffer[offset + 1], buffer[offset + 2]];
+            } else if (masks) {
+                const value = bitsPerPixel === 16
+                    ? buffer.readUInt16LE(row + x * 2)
+                    : buffer.readUInt32LE(row + x * 4);
+                r = readMasked(value, masks.r);
+                g = readMasked(value, masks.g);
+                b = readMasked(value, masks.b);
+                if (masks.a) a = readMasked(value, masks.a);
+            } else {
+                // 32-bit BI_RGB: BGRX, the fourth byte is unused
+                const offset = row + x * 4;
+                [b, g, r] = [buffer[offset], buffer[offset + 1], buffer[offset + 2]];
+            }
+
+            data[out] = r;
+            data[out + 1] = g;
+            data[out + 2] = b;
+            data[out + 3] = a;
+        }
+    }
+
+    return { data, width, height };
+};
+
+module.exports = { decodeBmp };
@@ -0,0 +1,157 @@
+// Bytes per value of each TIFF field type
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8 };
+
+// Directories with more entries than this are treated as corrupt
+const MAX_ENTRIES = 1000;
+
+const TAGS = {
+    IMAGE_WIDTH: 0x0100,
+    IMAGE_HEIGHT: 0x0101,
+    MAKE: 0x010f,
+    MODEL: 0x0110,
+    ORIENTATION: 0x0112,
+    SOFTWARE: 0x0131,
+    DATE_TIME: 0x0132,
+    EXPOSURE_TIME: 0x829a,
+    F_NUMBER: 0x829d,
+    EXIF_IFD: 0x8769,
+    GPS_IFD: 0x8825,
+    ISO: 0x8827,
+    DATE_TIME_ORIGINAL: 0x9003,
+    FOCAL_LENGTH: 0x920a,
+    PIXEL_X: 0xa002,
+    PIXEL_Y: 0xa003
+};
+
+/**
+ * Read one directory of a TIFF structure
+ * @param {Object} reader - `{ size, read(start, length) }`
+ * @param {number} base - Offset of the TIFF header
+ * @param {number} offset - Directory offset relative to the header
+ * @param {boolean} little - Little-endian byte order
+ * @returns {Promise<Map>} Tag number to value (strings, numbers, or arrays of them)
+ */
+const readIfd = async (reader, base, offset, little) => {
+    const values = new Map();
+    if (!offset || base + offset + 2 > reader.size) return values;
+
+    const countBuffer = await reader.read(base + offset, 2);
+    const count = little ? countBuffer.readUInt16LE(0) : countBuffer.readUInt16BE(0);
+    if (count > MAX_ENTRIES) return values;
+
+    const entries = await reader.read(base + offset + 2, count * 12);
+    const u16 = (buffer, at) => (little ? buffer.readUInt16LE(at) : buffer.readUInt16BE(at));
+    const u32 = (buffer, at) => (little ? buffer.readUInt32LE(at) : buffer.readUInt32BE(at));
+    const i32 = (buffer, at) => (little ? buffer.readInt32LE(at) : buffer.readInt32BE(at));
+
+    for (let i = 0; i + 12 <= entries.length; i += 12) {
+        const tag = u16(entries, i);
+        const type = u16(entries, i + 2);
+        const valueCount = u32(entries, i + 4);
+        const size = (TYPE_SIZES[type] || 0) * valueCount;
+        if (size === 0 || size > 1024) continue;
+
+        const data = size <= 4
+            ? entries.subarray(i + 8, i + 8 + size)
+            : await reader.read(base + u32(entries, i + 8), size);
+        if (data.length < size) continue;
+
+        let value;
+        switch (type) {
+            case 2:
+                value = data.toString('latin1').replace(/\0[\s\S]*$/, '').trim();
+                break;
+            case 3:
+                value = u16(data, 0);
+                break;
+            case 4:
+                value = u32(data, 0);
+                break;
+            case 9:
+                value = i32(data, 0);
+                break;
+            case 5:
+            case 10: {
+                const read = type === 5 ? u32 : i32;
+                const denominator = read(data, 4);
+                value = denominator ? read(data, 0) / denominator : null;
+                break;
+            }
+            default:
+                continue;
+        }
+
+        values.set(tag, value);
+    }
+
+    return values;
+};
+
+/**
+ * Parse an EXIF date ("YYYY:MM:DD HH:MM:SS", camera local time, stored as UTC)
+ * @param {string} value - EXIF date string
+ * @returns {Date|undefined} Date, if valid
+ */
+const parseDate = (value) => {
+    const match = /^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/.exec(value || '');
+    if (!match) return undefined;
+
+    const date = new Date(Date.UTC(+match[1], match[2] - 1, +match[3], +match[4], +match[5], +match[6]));
+    return Number.isNaN(date.getTime()) || match[1] === '0000' ? undefined : date;
+};
+
+/**
+ * Read the camera details and image size from a TIFF structure: a TIFF file,
+ * or the EXIF block of a JPEG, PNG or WebP. GPS coordinates are never
+ * returned; `hasLocation` only says whether they are present.
+ * @param {Object} reader - `{ size, read(start, length) }` returning Buffers
+ * @param {number} [base=0] - Offset of the TIFF header ("II*\0" or "MM\0*")
+ * @returns {Promise<Object|null>} `{ width, height, exif }`, or null if not TIFF
+ */
+const parseTiff = async (reader, base = 0) => {
+    const header = await reader.read(base, 8);
+    if (header.length < 8) return null;
+
+    const order = header.toString('latin1', 0, 2);
+    if (order !== 'II' && order !== 'MM') return null;
+
+    const little = order === 'II';
+    if ((little ? header.readUInt16LE(2) : header.readUInt16BE(2)) !== 42) return null;
+
+    const ifd0 = await readIfd(reader, base, little ? header.readUInt32LE(4) : header.readUInt32BE(4), little);
+    const exifIfd = await readIfd(reader, base, ifd0.get(TAGS.EXIF_IFD), little);
+
+    const text = (value) => (typeof value === 'string' && value ? value.substring(0, 100) : undefined);
+    const number = (value) => (typeof value === 'number' && Number.isFinite(value) ? value : undefined);
+
+    const exif = {
+        make: text(ifd0.get(TAGS.MAKE)),
+        model: text(ifd0.get(TAGS.MODEL)),
+        software: text(ifd0.get(TAGS.SOFTWARE)),
+        takenAt: parseDate(exifIfd.get(TAGS.DATE_TIME_ORIGINAL) || ifd0.get(TAGS.DATE_TIME)),
+        orientation: number(ifd0.get(TAGS.ORIENTATION)),
+        exposureTime: number(exifIfd.get(TAGS.EXPOSURE_TIME)),
+        fNumber: number(exifIfd.get(TAGS.F_NUMBER)),
+        iso: number(exifIfd.get(TAGS.ISO)),
+        focalLength: number(exifIfd.get(TAGS.FOCAL_LENGTH)),
+        hasLocation: ifd0.has(TAGS.GPS_IFD)
+    };
+
+    return {
+        width: number(ifd0.get(TAGS.IMAGE_WIDTH)) || number(exifIfd.get(TAGS.PIXEL_X)),
+        height: number(ifd0.get(TAGS.IMAGE_HEIGHT)) || number(exifIfd.get(TAGS.PIXEL_Y)),
+        exif
+    };
+};
+
+/**
+ * Wrap a buffer in the reader interface parseTiff expects
+ * @param {Buffer} buffer - Data
+ * @returns {Object} Reader
+ */
+const bufferReader = (buffer) => ({
+    size: buffer.length,
+    read: async (start, length) => buffer.subarray(start, start + length)
+});
+
+module.exports = { parseTiff, bufferReader, TAGS };
@@ -0,0 +1,246 @@
+// ICAO 9303 machine-readable zone layouts: line count and line length
+const FORMATS = {
+    TD1: { lines: 3, length: 30 },
+    TD2: { lines: 2, length: 36 },
+    TD3: { lines: 2, length: 44 }
+};
+
+// Letters OCR tends to read in place of digits, for fields that are numeric
+const DIGIT_FIXES = { O: '0', Q: '0', D: '0', U: '0', I: '1', L: '1', Z: '2', S: '5', G: '6', B: '8' };
+
+/**
+ * Compute an ICAO 9303 check digit (weights 7, 3, 1; A-Z count 10-35, '<' 0)
+ * @param {string} value - Field characters
+ * @returns {string} Check digit
+ */
+const checkDigit = (value) => {
+    let sum = 0;
+
+    for (let i = 0; i < value.length; i++) {
+        const char = value[i];
+        const code = char >= '0' && char <= '9'
+            ? char.charCodeAt(0) - 48
+            : char >= 'A' && char <= 'Z' ? char.charCodeAt(0) - 55 : 0;
+        sum += code * [7, 3, 1][i % 3];
+    }
+
+    return String(sum % 10);
+};
+
+/**
+ * Replace letters misread in a numeric field by the digits they resemble
+ * @param {string} value - Field characters
+ * @returns {string} Digits (and fillers)
+ */
+const toDigits = (value) => value.replace(/[A-Z]/g, char => DIGIT_FIXES[char] || char);
+
+/**
+ * Strip the '<' fillers from a field
+ * @param {string} value - Field characters
+ * @returns {string} Value
+ */
+const clean = (value) => value.replace(/<+$/, '').replace(/</g, ' ').trim();
+
+/**
+ * Read a YYMMDD date. Two-digit years are placed in the past for birth
+ * dates and within the next 50 years for expiry dates.
+ * @param {string} value - Six digits
+ * @param {boolean} isExpiry - Whether the date is an expiry date
+ * @returns {string|null} ISO date (YYYY-MM-DD), or null if it is not a date
+ */
+const parseDate = (value, isExpiry) => {
+    if (!/^\d{6}$/.test(value)) return null;
+
+    const yy = parseInt(value.substring(0, 2), 10);
+    const month = parseInt(value.substring(2, 4), 10);
+    const day = parseInt(value.substring(4, 6), 10);
+    const thisYear = new Date().getUTCFullYear() % 100;
+
+    const century = isExpiry
+        ? (yy < thisYear + 50 ? 2000 : 1900)
+        : (yy > thisYear ? 1900 : 2000);
+    const date = new Date(Date.UTC(century + yy, month - 1, day));
+
+    if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+    return date.toISOString().substring(0, 10);
+};
+
+/**
+ * Parse the fields shared by every layout and check their digits
+ * @param {Object} raw - Field characters by name
+ * @param {string} composite - Characters covered by the composite check digit
+ * @param {string} compositeDigit - Composite check digit
+ * @returns {Object} `{ fields, checks, valid }`
+ */
+const build = (raw, composite, compositeDigit) => {
+    const checks = {
+        documentNumber: checkDigit(raw.documentNumber) === raw.documentNumberDigit,
+        birthDate: checkDigit(raw.birthDate) === raw.birthDateDigit,
+        expiryDate: checkDigit(raw.expiryDate) === raw.expiryDateDigit,
+        composite: checkDigit(composite) === compositeDigit
+    };
+    if (raw.optionalDataDigit !== undefined) {
+        // An unused personal number may have a filler as its check digit
+        checks.optionalData = checkDigit(raw.optionalData) === raw.optionalDataDigit ||
+            (raw.optionalDataDigit === '<' && /^<*$/.test(raw.optionalData));
+    }
+
+    const fields = {
+        documentType: clean(raw.documentType),
+        issuingCountry: clean(raw.issuingCountry),
+        documentNumber: clean(raw.documentNumber),
+        nationality: clean(raw.nationality),
+        birthDate: parseDate(raw.birthDate, false),
+        expiryDate: parseDate(raw.expiryDate, true),
+        sex: raw.sex === '<' ? 'X' : raw.sex
+    };
+
+    return {
+        fields,
+        checks,
+        valid: Object.values(checks).every(Boolean) && !!fields.birthDate && !!fields.expiryDate
+    };
+};
+
+/**
+ * Parse TD3 (passport) lines
+ * @param {string[]} lines - Two 44-character lines
+ * @returns {Object} Parse result
+ */
+const parseTD3 = ([first, second]) => {
+    const line = second.substring(0, 13) + toDigits(second.substring(13, 20)) + second[20] +
+        toDigits(second.substring(21, 28)) + second.substring(28, 42) + toDigits(second.substring(42));
+
+    return build({
+        documentType: first.substring(0, 2),
+        issuingCountry: first.substring(2, 5),
+        documentNumber: line.substring(0, 9),
+        documentNumberDigit: toDigits(line[9]),
+        nationality: line.substring(10, 13),
+        birthDate: line.substring(13, 19),
+        birthDateDigit: line[19],
+        sex: line[20],
+        expiryDate: line.substring(21, 27),
+        expiryDateDigit: line[27],
+        optionalData: line.substring(28, 42),
+        optionalDataDigit: line[42]
+    }, line.substring(0, 10) + line.substring(13, 20) + line.substring(21, 43), line[43]);
+};
+
+/**
+ * Parse TD2 (larger ID card and visa) lines
+ * @param {string[]} lines - Two 36-character lines
+ * @returns {Object} Parse result
+ */
+const parseTD2 = ([first, second]) => {
+    const line = second.substring(0, 13) + toDigits(second.substring(13, 20)) + second[20] +
+        toDigits(second.substring(21, 28)) + second.substring(28, 35) + toDigits(second.substring(35));
+
+    return build({
+        documentType: first.substring(0, 2),
+        issuingCountry: first.substring(2, 5),
+        documentNumber: line.substring(0, 9),
+        documentNumberDigit: toDigits(line[9]),
+        nationality: line.substring(10, 13),
+        birthDate: line.substring(13, 19),
+        birthDateDigit: line[19],
+        sex: line[20],
+        expiryDate: line.substring(21, 27),
+        expiryDateDigit: line[27]
+    }, line.substring(0, 10) + line.substring(13, 20) + line.substring(21, 35), line[35]);
+};
+
+/**
+ * Parse TD1 (credit card sized ID card) lines
+ * @param {string[]} lines - Three 30-character lines
+ * @returns {Object} Parse result
+ */
+const parseTD1 = ([first, second]) => {
+    const line = toDigits(second.substring(0, 7)) + second[7] + toDigits(second.substring(8, 15)) +
+        second.substring(15, 29) + toDigits(second.substring(29));
+
+    // Document numbers longer than nine characters continue in the optional
+    // data, ending with their check digit, and leave a filler in its place
+    let documentNumber = first.substring(5, 14);
+    let documentNumberDigit = first[14];
+    if (documentNumberDigit === '<') {
+        const overflow = first.substring(15, 30).replace(/<.*$/, '');
+        documentNumber += overflow.slice(0, -1);
+        documentNumberDigit = overflow.slice(-1);
+    }
+
+    return build({
+        documentType: first.substring(0, 2),
+        issuingCountry: first.substring(2, 5),
+        documentNumber,
+        documentNumberDigit: toDigits(documentNumberDigit),
+        nationality: line.substring(15, 18),
+        birthDate: line.substring(0, 6),
+        birthDateDigit: line[6],
+        sex: line[7],
+        expiryDate: line.substring(8, 14),
+        expiryDateDigit: line[14]
+    }, first.substring(5, 30) + line.substring(0, 7) + line.substring(8, 15) + line.substring(18, 29), line[29]);
+};
+
+const PARSERS = { TD1: parseTD1, TD2: parseTD2, TD3: parseTD3 };
+
+/**
+ * Reduce OCR output to candidate MRZ lines: upper case, no spaces, only
+ * MRZ characters, and long enough to be one
+ * @param {string} text - OCR output
+ * @returns {string[]} Candidate lines, in order
+ */
+const candidateLines = (text) => text
+    .split(/\r?\n/)
+    .map(line => line.toUpperCase().replace(/\s+/g, '').replace(/[«‹]/g, '<').replace(/[^A-Z0-9<]/g, ''))
+    .filter(line => line.length >= FORMATS.TD1.length - 2 && line.includes('<'));
+
+/**
+ * Bring a line to the length of its layout. OCR drops or adds a few
+ * trailing fillers; anything further off is not that layout.
+ * @param {string} line - Candidate line
+ * @param {number} length - Layout line length
+ * @returns {string|null} Line of the right length, or null
+ */
+const fit = (line, length) => {
+    if (line.length === length) return line;
+    if (line.length < length && line.length >= length - 3) return line.padEnd(length, '<');
+    if (line.length > length && line.length <= length + 3 && /^<*$/.test(line.substring(length))) {
+        return line.substring(0, length);
+    }
+    return null;
+};
+
+/**
+ * Find and parse a machine-readable zone in OCR output, trying every layout
+ * at every position and keeping the reading whose check digits agree best
+ * @param {string} text - OCR output
+ * @returns {Object|null} `{ format, fields, checks, valid }`, or null if no
+ * MRZ was found
+ */
+const parseMrz = (text) => {
+    const lines = candidateLines(text);
+    let best = null;
+
+    for (const [format, layout] of Object.entries(FORMATS)) {
+        for (let start = 0; start + layout.lines <= lines.length; start++) {
+            const fitted = lines.slice(start, start + layout.lines).map(line => fit(line, layout.length));
+            if (fitted.includes(null)) continue;
+
+            const result = { format, ...PARSERS[format](fitted) };
+            const score = Object.values(result.checks).filter(Boolean).length + (result.valid ? 10 : 0);
+            if (!best || score > best.score) {
+                best = { ...result, score };
+            }
+        }
+    }
+
+    // A reading where no check digit agrees is not an MRZ
+    if (!best || best.score === 0) return null;
+
+    const { score, ...result } = best;
+    return result;
+};
+
+module.exports = { parseMrz, checkDigit };
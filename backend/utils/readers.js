@@ -0,0 +1,68 @@
+const fs = require('fs');
+const { pipeline } = require('stream/promises');
+const encryptionService = require('../services/encryptionService');
+
+/**
+ * Open a reader over a plaintext file on disk
+ * @param {string} filePath - Path to the file
+ * @param {number} size - File size
+ * @returns {Object} `{ size, read(start, length) }`
+ */
+const diskReader = (filePath, size) => ({
+    size,
+    read: async (start, length) => {
+        const end = Math.min(start + length, size);
+        if (start < 0 || end <= start) return Buffer.alloc(0);
+
+        const handle = await fs.promises.open(filePath, 'r');
+        try {
+            const buffer = Buffer.alloc(end - start);
+            const { bytesRead } = await handle.read(buffer, 0, buffer.length, start);
+            return buffer.subarray(0, bytesRead);
+        } finally {
+            await handle.close();
+        }
+    }
+});
+
+/**
+ * Open a reader over a stored file in the chunked format, decrypting only the
+ * chunks each read touches
+ * @param {StorageDriver} storage - Driver holding the blob
+ * @param {string} storagePath - Blob key
+ * @param {Buffer} fileKey - File data key
+ * @param {number} size - Plaintext size
+ * @returns {Object} `{ size, read(start, length) }`
+ */
+const storedReader = (storage, storagePath, fileKey, size) => {
+    let header;
+
+    return {
+        size,
+        read: async (start, length) => {
+            const end = Math.min(start + length, size) - 1;
+            if (start < 0 || end < start) return Buffer.alloc(0);
+
+            header = header || encryptionService.parseHeader(
+                await storage.read(storagePath, 0, encryptionService.headerLength - 1)
+            );
+            const { cipherStart, cipherEnd, stream } = encryptionService.createRangeDecryptStream(
+                fileKey, header, size, start, end
+            );
+
+            const chunks = [];
+            await pipeline(
+                storage.createReadStream(storagePath, { start: cipherStart, end: cipherEnd }),
+                stream,
+                async (source) => {
+                    for await (const chunk of source) {
+                        chunks.push(chunk);
+                    }
+                }
+            );
+            return Buffer.concat(chunks);
+        }
+    };
+};
+
+module.exports = { diskReader, storedReader };
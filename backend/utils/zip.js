@@ -0,0 +1,144 @@
+const END_SIGNATURE = 0x06054b50;
+const ZIP64_LOCATOR_SIGNATURE = 0x07064b50;
+const ZIP64_END_SIGNATURE = 0x06064b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+
+const END_LENGTH = 22;
+const CENTRAL_LENGTH = 46;
+const MAX_COMMENT_LENGTH = 0xffff;
+
+// How much of the central directory is read at a time
+const WINDOW_SIZE = 64 * 1024;
+
+/**
+ * Find the end of central directory record, following it to the ZIP64
+ * record when the archive has one
+ * @param {Object} reader - `{ size, read(start, length) }`
+ * @returns {Promise<Object|null>} `{ total, size, offset }`, or null if not a ZIP
+ */
+const readEnd = async (reader) => {
+    const tailLength = Math.min(reader.size, END_LENGTH + MAX_COMMENT_LENGTH);
+    const tailStart = reader.size - tailLength;
+    const tail = await reader.read(tailStart, tailLength);
+
+    for (let i = tail.length - END_LENGTH; i >= 0; i--) {
+        if (tail.readUInt32LE(i) !== END_SIGNATURE) continue;
+        if (i + END_LENGTH + tail.readUInt16LE(i + 20) > tail.length) continue;
+
+        const end = {
+            total: tail.readUInt16LE(i + 10),
+            size: tail.readUInt32LE(i + 12),
+            offset: tail.readUInt32LE(i + 16)
+        };
+
+        if (i >= 20 && tail.readUInt32LE(i - 20) === ZIP64_LOCATOR_SIGNATURE) {
+            const record = await reader.read(Number(tail.readBigUInt64LE(i - 12)), 56);
+            if (record.length === 56 && record.readUInt32LE(0) === ZIP64_END_SIGNATURE) {
+                end.total = Number(record.readBigUInt64LE(32));
+                end.size = Number(record.readBigUInt64LE(40));
+                end.offset = Number(record.readBigUInt64LE(48));
+            }
+        }
+
+        return end;
+    }
+
+    return null;
+};
+
+/**
+ * Apply a ZIP64 extended information field to the values that overflowed
+ * @param {Object} entry - Entry being read
+ * @param {Buffer} extra - Extra field data
+ */
+const applyZip64 = (entry, extra) => {
+    for (let at = 0; at + 4 <= extra.length;) {
+        const id = extra.readUInt16LE(at);
+        const length = extra.readUInt16LE(at + 2);
+        const data = extra.subarray(at + 4, at + 4 + length);
+        at += 4 + length;
+        if (id !== 0x0001) continue;
+
+        let position = 0;
+        for (const field of ['size', 'compressedSize', 'offset']) {
+            if (entry[field] !== 0xffffffff) continue;
+            if (position + 8 > data.length) return;
+            entry[field] = Number(data.readBigUInt64LE(position));
+            position += 8;
+        }
+        return;
+    }
+};
+
+/**
+ * Read the central directory of a ZIP archive: the listing of its entries
+ * with their sizes, without reading or inflating any content
+ * @param {Object} reader - `{ size, read(start, length) }`
+ * @param {Object} [options] - Options
+ * @param {number} [options.maxEntries=Infinity] - Stop after this many entries
+ * @returns {Promise<Object|null>} `{ total, entries }` where `total` is the
+ * entry count the archive declares and each entry has `name`, `size`,
+ * `compressedSize`, `method`, `encrypted`, `isDirectory`, `mode` and
+ * `offset`; null if the content is not a ZIP archive
+ */
+const readCentralDirectory = async (reader, options = {}) => {
+    const maxEntries = options.maxEntries === undefined ? Infinity : options.maxEntries;
+
+    if (reader.size < END_LENGTH) return null;
+    const end = await readEnd(reader);
+    if (!end) return null;
+
+    const entries = [];
+    const limit = Math.min(end.offset + end.size, reader.size);
+    let window = Buffer.alloc(0);
+    let windowStart = end.offset;
+    let position = end.offset;
+
+    // Make `length` bytes from `position` available in the window
+    const load = async (length) => {
+        if (position + length > windowStart + window.length) {
+            window = await reader.read(position, Math.max(length, WINDOW_SIZE));
+            windowStart = position;
+        }
+        return position + length <= windowStart + window.length;
+    };
+
+    while (entries.length < Math.min(end.total, maxEntries) && position + CENTRAL_LENGTH <= limit) {
+        if (!(await load(CENTRAL_LENGTH))) break;
+
+        let at = position - windowStart;
+        if (window.readUInt32LE(at) !== CENTRAL_SIGNATURE) break;
+
+        const flags = window.readUInt16LE(at + 8);
+        const nameLength = window.readUInt16LE(at + 28);
+        const extraLength = window.readUInt16LE(at + 30);
+        const commentLength = window.readUInt16LE(at + 32);
+        const recordLength = CENTRAL_LENGTH + nameLength + extraLength + commentLength;
+
+        if (!(await load(recordLength))) break;
+        at = position - windowStart;
+
+        // Bit 11 marks UTF-8 names; older tools use the DOS code page
+        const name = window.toString(flags & 0x800 ? 'utf8' : 'latin1', at + CENTRAL_LENGTH, at + CENTRAL_LENGTH + nameLength);
+        const entry = {
+            name,
+            method: window.readUInt16LE(at + 10),
+            compressedSize: window.readUInt32LE(at + 20),
+            size: window.readUInt32LE(at + 24),
+            offset: window.readUInt32LE(at + 42),
+            encrypted: !!(flags & 0x1),
+            isDirectory: name.endsWith('/'),
+            // Unix permission and file type bits, when made on Unix
+            mode: window.readUInt8(at + 5) === 3 ? window.readUInt32LE(at + 38) >>> 16 : undefined
+        };
+
+        applyZip64(entry, window.subarray(at + CENTRAL_LENGTH + nameLength, at + CENTRAL_LENGTH + nameLength + extraLength));
+
+        entries.push(entry);
+        position += recordLength;
+    }
+
+    return { total: end.total, entries };
+};
+
+module.exports = { readCentralDirectory };
@@ -0,0 +1,432 @@
+/**
+ * Admin Console Module
+ * System statistics, user management and quarantine review for administrators
+ */
+
+const AdminConsole = {
+    filters: {
+        search: '',
+        status: ''
+    },
+    pagination: {
+        page: 1,
+        limit: 20,
+        pages: 0
+    },
+    users: [],
+    quarantine: [],
+
+    /**
+     * Initialize admin console
+     */
+    init() {
+        this.bindEvents();
+    },
+
+    /**
+     * Bind admin console events
+     */
+    bindEvents() {
+        const searchInput = document.getElementById('admin-user-search');
+        let searchTimeout;
+
+        searchInput?.addEventListener('input', () => {
+            clearTimeout(searchTimeout);
+            searchTimeout = setTimeout(() => {
+                this.filters.search = searchInput.value.trim();
+                this.pagination.page = 1;
+                this.loadUsers();
+            }, 300);
+        });
+
+        document.getElementById('admin-status-filter')?.addEventListener('change', (e) => {
+            this.filters.status = e.target.value;
+            this.pagination.page = 1;
+            this.loadUsers();
+        });
+
+        document.getElementById('admin-prev-page')?.addEventListener('click', () => {
+            if (this.pagination.page > 1) {
+                this.pagination.page--;
+                this.loadUsers();
+            }
+        });
+
+        document.getElementById('admin-next-page')?.addEventListener('click', () => {
+            if (this.pagination.page < this.pagination.pages) {
+                this.pagination.page++;
+                this.loadUsers();
+            }
+        });
+
+        // User actions (the table is re-rendered, so delegate)
+        document.getElementById('admin-users')?.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-admin-action]');
+            if (btn) {
+                this.handleAction(btn.dataset.adminAction, btn.dataset.id);
+            }
+        });
+
+        document.getElementById('admin-quarantine')?.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-quarantine-action]');
+            if (btn) {
+                this.handleQuarantineAction(btn.dataset.quarantineAction, btn.dataset.id);
+            }
+        });
+    },
+
+    /**
+     * Load statistics, the user list and the quarantine
+     */
+    load() {
+        this.loadStats();
+        this.loadUsers();
+        this.loadQuarantine();
+    },
+
+    /**
+     * Load system statistics
+     */
+    async loadStats() {
+        const container = document.getElementById('admin-stats');
+        container.innerHTML = '<div class="spinner"></div>';
+
+        try {
+            const response = await App.apiRequest('/admin/stats');
+            this.renderStats(response.data);
+        } catch (error) {
+            container.innerHTML = `<p class="text-muted">${App.escapeHtml(error.message || 'Failed to load statistics')}</p>`;
+        }
+    },
+
+    /**
+     * Render system statistics
+     * @param {object} stats - Stats from GET /admin/stats
+     */
+    renderStats(stats) {
+        const cards = [
+            {
+                icon: 'fa-users',
+                value: stats.users.total,
+                label: `Users (${stats.users.active} active, ${stats.users.locked} locked)`
+            },
+            {
+                icon: 'fa-database',
+                value: App.formatBytes(stats.storage.used),
+                label: `Storage used of ${App.formatBytes(stats.storage.allocated)} allocated`
+            },
+            {
+                icon: 'fa-file',
+                value: stats.files.total,
+                label: `Files (${stats.files.trashed} in trash, ${stats.files.shared} shared)`
+            },
+            {
+                icon: 'fa-biohazard',
+                value: stats.files.quarantined,
+                label: 'Quarantined files'
+            },
+            {
+                icon: 'fa-cloud-upload-alt',
+                value: stats.uploads.last24Hours,
+                label: `Uploads today (${stats.uploads.last7Days} this week, ${stats.uploads.last30Days} this month)`
+            },
+            {
+                icon: 'fa-desktop',
+                value: stats.activeSessions,
+                label: 'Active sessions'
+            }
+        ];
+
+        document.getElementById('admin-stats').innerHTML = cards.map(card => `
+            <div class="stat-card">
+                <div class="stat-icon"><i class="fas ${card.icon}"></i></div>
+                <div class="stat-info">
+                    <h4>${App.escapeHtml(String(card.value))}</h4>
+                    <p>${App.escapeHtml(card.label)}</p>
+                </div>
+            </div>
+        `).join('');
+    },
+
+    /**
+     * Load the user list for the current filters and page
+     */
+    async loadUsers() {
+        const container = document.getElementById('admin-users');
+        container.innerHTML = '<div class="spinner"></div>';
+
+        try {
+            const params = new URLSearchParams({
+                page: this.pagination.page,
+                limit: this.pagination.limit
+            });
+
+            if (this.filters.search) params.set('search', this.filters.search);
+            if (this.filters.status) params.set('status', this.filters.status);
+
+            const response = await App.apiRequest(`/admin/users?${params.toString()}`);
+            this.users = response.data.users;
+            this.pagination.pages = response.data.pagination.pages;
+
+            this.renderUsers();
+            this.updatePagination();
+        } catch (error) {
+            container.innerHTML = `<p class="text-muted">${App.escapeHtml(error.message || 'Failed to load users')}</p>`;
+        }
+    },
+
+    /**
+     * Render the user table
+     */
+    renderUsers() {
+        const container = document.getElementById('admin-users');
+
+        if (this.users.length === 0) {
+            container.innerHTML = '<p class="text-muted">No users match these filters.</p>';
+            return;
+        }
+
+        const isSelf = (user) => App.state.user && String(App.state.user.id) === String(user.id);
+
+        container.innerHTML = `
+            <table class="admin-table">
+                <thead>
+                    <tr>
+                        <th>User</th>
+                        <th>Status</th>
+                        <th>Storage</th>
+                        <th>Last login</th>
+                        <th>Sessions</th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${this.users.map(user => `
+                        <tr>
+                            <td>
+                                <div>${App.escapeHtml(user.username)}${user.role === 'admin' ? ' <span class="admin-role">admin</span>' : ''}</div>
+                                <div class="text-muted">${App.escapeHtml(user.email)}</div>
+                            </td>
+                            <td>
+                                <span class="admin-status ${user.isActive ? 'active' : 'inactive'}">${user.isActive ? 'Active' : 'Deactivated'}</span>
+                                ${user.isLocked ? '<span class="admin-status locked">Locked</span>' : ''}
+                            </td>
+                            <td>${App.formatBytes(user.storageUsed)} / ${App.formatBytes(user.storageLimit)}</td>
+                            <td>${user.lastLogin ? App.formatDate(user.lastLogin) : 'Never'}</td>
+                            <td>${user.activeSessions}</td>
+                            <td class="admin-actions">
+                                ${user.isLocked ? `<button class="btn btn-outline btn-sm" data-admin-action="unlock" data-id="${user.id}">Unlock</button>` : ''}
+                                <button class="btn btn-outline btn-sm" data-admin-action="storage" data-id="${user.id}">Quota</button>
+                                <button class="btn btn-outline btn-sm" data-admin-action="metadata" data-id="${user.id}"
+                                        title="Photo metadata: ${user.metadataPolicy}${user.metadataPolicyLocked ? ' (locked)' : ''}">Metadata</button>
+                                ${user.activeSessions > 0 ? `<button class="btn btn-outline btn-sm" data-admin-action="logout" data-id="${user.id}">Sign out</button>` : ''}
+                                ${isSelf(user) ? '' : user.isActive
+                                    ? `<button class="btn btn-danger btn-sm" data-admin-action="deactivate" data-id="${user.id}">Deactivate</button>`
+                                    : `<button class="btn btn-primary btn-sm" data-admin-action="activate" data-id="${user.id}">Activate</button>`}
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    },
+
+    /**
+     * Update the user list pagination controls
+     */
+    updatePagination() {
+        const pagination = document.getElementById('admin-pagination');
+        const pageInfo = document.getElementById('admin-page-info');
+
+        pagination?.classList.toggle('hidden', this.pagination.pages <= 1);
+        if (pageInfo) {
+            pageInfo.textContent = `Page ${this.pagination.page} of ${this.pagination.pages}`;
+        }
+
+        document.getElementById('admin-prev-page').disabled = this.pagination.page <= 1;
+        document.getElementById('admin-next-page').disabled = this.pagination.page >= this.pagination.pages;
+    },
+
+    /**
+     * Load the files held in quarantine
+     */
+    async loadQuarantine() {
+        const container = document.getElementById('admin-quarantine');
+        container.innerHTML = '<div class="spinner"></div>';
+
+        try {
+            const response = await App.apiRequest('/admin/quarantine?limit=100');
+            this.quarantine = response.data.files;
+            this.renderQuarantine(response.data.pagination.total);
+        } catch (error) {
+            container.innerHTML = `<p class="text-muted">${App.escapeHtml(error.message || 'Failed to load quarantine')}</p>`;
+        }
+    },
+
+    /**
+     * Render the quarantine table
+     * @param {number} total - Number of quarantined files, shown or not
+     */
+    renderQuarantine(total) {
+        const container = document.getElementById('admin-quarantine');
+
+        if (this.quarantine.length === 0) {
+            container.innerHTML = '<p class="text-muted">No files are quarantined.</p>';
+            return;
+        }
+
+        container.innerHTML = `
+            <table class="admin-table">
+                <thead>
+                    <tr>
+                        <th>File</th>
+                        <th>Owner</th>
+                        <th>Detection</th>
+                        <th>Scanned</th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${this.quarantine.map(file => `
+                        <tr>
+                            <td>
+                                <div>${App.escapeHtml(file.name)}${file.isDeleted ? ' <span class="text-muted">(in trash)</span>' : ''}</div>
+                                <div class="text-muted">${App.escapeHtml(file.mimeType)}, ${App.formatBytes(file.size)}</div>
+                            </td>
+                            <td>${App.escapeHtml(file.owner.email || String(file.owner.id))}</td>
+                            <td>
+                                <span class="admin-status infected">${App.escapeHtml(file.scan.signature || 'Malware')}</span>
+                                <div class="text-muted">${App.escapeHtml([file.scan.engine, file.scan.database].filter(Boolean).join(', signatures '))}</div>
+                            </td>
+                            <td>${file.scan.scannedAt ? App.formatDate(file.scan.scannedAt) : ''}</td>
+                            <td class="admin-actions">
+                                <button class="btn btn-outline btn-sm" data-quarantine-action="release" data-id="${file.id}">Release</button>
+                                <button class="btn btn-danger btn-sm" data-quarantine-action="delete" data-id="${file.id}">Delete</button>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            ${total > this.quarantine.length ? `<p class="text-muted">Showing ${this.quarantine.length} of ${total}.</p>` : ''}
+        `;
+    },
+
+    /**
+     * Release or delete a quarantined file
+     * @param {string} action - 'release' or 'delete'
+     * @param {string} fileId - Target file ID
+     */
+    async handleQuarantineAction(action, fileId) {
+        const file = this.quarantine.find(f => String(f.id) === String(fileId));
+        if (!file) return;
+
+        let request;
+
+        if (action === 'release') {
+            if (!confirm(`Release ${file.name} to its owner? Only do this for a false positive.`)) return;
+            request = { endpoint: `/admin/quarantine/${fileId}/release`, method: 'POST' };
+        } else if (action === 'delete') {
+            if (!confirm(`Permanently delete ${file.name}, with all its versions?`)) return;
+            request = { endpoint: `/admin/quarantine/${fileId}`, method: 'DELETE' };
+        } else {
+            return;
+        }
+
+        try {
+            const response = await App.apiRequest(request.endpoint, { method: request.method });
+            Toast.success(response.message);
+            this.loadStats();
+            this.loadQuarantine();
+        } catch (error) {
+            Toast.error(error.message || 'Action failed');
+        }
+    },
+
+    /**
+     * Run a user action from the table
+     * @param {string} action - Action name
+     * @param {string} userId - Target user ID
+     */
+    async handleAction(action, userId) {
+        const user = this.users.find(u => String(u.id) === String(userId));
+        if (!user) return;
+
+        let request;
+
+        switch (action) {
+            case 'activate':
+                request = { endpoint: `/admin/users/${userId}/status`, method: 'PATCH', body: { isActive: true } };
+                break;
+            case 'deactivate':
+                if (!confirm(`Deactivate ${user.username}? They will be signed out everywhere.`)) return;
+                request = { endpoint: `/admin/users/${userId}/status`, method: 'PATCH', body: { isActive: false } };
+                break;
+            case 'unlock':
+                request = { endpoint: `/admin/users/${userId}/unlock`, method: 'POST' };
+                break;
+            case 'logout':
+                if (!confirm(`Sign ${user.username} out of all sessions?`)) return;
+                request = { endpoint: `/admin/users/${userId}/logout`, method: 'POST' };
+                break;
+            case 'storage': {
+                const current = Math.round(user.storageLimit / (1024 * 1024));
+                const input = prompt(`Storage limit for ${user.username} in MB:`, current);
+                if (input === null) return;
+
+                const megabytes = Number(input);
+                if (!Number.isFinite(megabytes) || megabytes < 0) {
+                    Toast.error('Please enter a valid number of megabytes');
+                    return;
+                }
+
+                request = {
+                    endpoint: `/admin/users/${userId}/storage-limit`,
+                    method: 'PATCH',
+                    body: { storageLimit: Math.round(megabytes * 1024 * 1024) }
+                };
+                break;
+            }
+            case 'metadata': {
+                const input = prompt(
+                    `Photo metadata for ${user.username}: "strip", "keep" or "default" (currently ${user.metadataPolicy})`,
+                    user.metadataPolicy
+                );
+                if (input === null) return;
+
+                const policy = input.trim().toLowerCase();
+                if (!['strip', 'keep', 'default'].includes(policy)) {
+                    Toast.error('Please enter strip, keep or default');
+                    return;
+                }
+
+                request = {
+                    endpoint: `/admin/users/${userId}/metadata-policy`,
+                    method: 'PATCH',
+                    body: {
+                        policy: policy === 'default' ? null : policy,
+                        locked: confirm(`Prevent ${user.username} from changing this?`)
+                    }
+                };
+                break;
+            }
+            default:
+                return;
+        }
+
+        try {
+            const response = await App.apiRequest(request.endpoint, {
+                method: request.method,
+                body: request.body ? JSON.stringify(request.body) : undefined
+            });
+            Toast.success(response.message);
+            this.load();
+        } catch (error) {
+            Toast.error(error.message || 'Action failed');
+        }
+    }
+};
+
+// Initialize admin console when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+    AdminConsole.init();
+});
@@ -7,7 +7,8 @@ const App = {
     // Application state
     state: {
         user: null,
-        token: null,
+        // When the access token cookie expires (the cookie itself is HttpOnly)
+        accessTokenExpiresAt: null,
         currentView: 'files',
         files: [],
         selectedFiles: new Set(),
@@ -26,6 +27,9 @@ const App = {
     // API Base URL
     apiUrl: '/api',
 
+    // In-flight token refresh, shared by concurrent requests
+    refreshPromise: null,
+
     /**
      * Initialize the application
      */
@@ -41,13 +45,12 @@ const App = {
      */
     loadState() {
         try {
-            const token = localStorage.getItem('token');
             const user = localStorage.getItem('user');
             const viewMode = localStorage.getItem('viewMode');
 
-            if (token) {
-                this.state.token = token;
-            }
+            // Tokens now live in HttpOnly cookies; drop any left by older versions
+            localStorage.removeItem('token');
+            localStorage.removeItem('refreshToken');
 
             if (user) {
                 this.state.user = JSON.parse(user);
@@ -67,9 +70,6 @@ const App = {
      */
     saveState() {
         try {
-            if (this.state.token) {
-                localStorage.setItem('token', this.state.token);
-            }
             if (this.state.user) {
                 localStorage.setItem('user', JSON.stringify(this.state.user));
             }
@@ -83,11 +83,13 @@ const App = {
      * Clear application state
      */
     clearState() {
-        this.state.token = null;
+        this.state.accessTokenExpiresAt = null;
         this.state.user = null;
         this.state.files = [];
         this.state.selectedFiles.clear();
-        localStorage.removeItem('token');
+        if (typeof ClientEncryption !== 'undefined') {
+            ClientEncryption.clearPassphrase();
+        }
         localStorage.removeItem('user');
     },
 
@@ -95,7 +97,16 @@ const App = {
      * Check authentication status
      */
     async checkAuth() {
-        if (!this.state.token) {
+        // A password reset link always opens the reset form
+        if (Auth.readResetToken()) {
+            this.showAuth();
+            Auth.showResetPasswordForm();
+            return;
+        }
+
+        // The session cookie cannot be seen from here, so a remembered user is
+        // the only hint that one exists
+        if (!this.state.user) {
             this.showAuth();
             return;
         }
@@ -143,6 +154,8 @@ const App = {
         if (userNameEl && this.state.user) {
             userNameEl.textContent = this.state.user.username;
         }
+
+        document.getElementById('admin-nav')?.classList.toggle('hidden', this.state.user?.role !== 'admin');
     },
 
     /**
@@ -175,13 +188,95 @@ const App = {
         }
     },
 
+    /**
+     * Record the session from a login or refresh. The tokens themselves are
+     * set by the server as HttpOnly cookies.
+     * @param {object} data - Response data with accessTokenExpiresAt
+     */
+    setSession(data) {
+        this.state.accessTokenExpiresAt = data.accessTokenExpiresAt ? Date.parse(data.accessTokenExpiresAt) : null;
+        this.saveState();
+    },
+
+    /**
+     * Seconds until the access token expires
+     * @returns {number|null} Seconds left, or null if unknown (e.g. after a reload)
+     */
+    getTokenLifetime() {
+        if (!this.state.accessTokenExpiresAt) return null;
+        return Math.max(0, (this.state.accessTokenExpiresAt - Date.now()) / 1000);
+    },
+
+    /**
+     * Refresh the session first if the access token is about to expire.
+     * For requests that cannot go through apiRequest (downloads, upload XHRs).
+     * @returns {Promise<void>}
+     */
+    async ensureSession() {
+        const lifetime = this.getTokenLifetime();
+        if (this.state.user && lifetime !== null && lifetime < 30) {
+            await this.refreshSession();
+        }
+    },
+
+    /**
+     * Get the CSRF token that state-changing requests must echo back in the
+     * X-CSRF-Token header, fetching one if this browser has none yet
+     * @returns {Promise<string>} CSRF token
+     */
+    async getCsrfToken() {
+        const match = document.cookie.match(/(?:^|;\s*)csrf_token=([^;]+)/);
+        if (match) {
+            return decodeURIComponent(match[1]);
+        }
+
+        const response = await fetch(`${this.apiUrl}/auth/csrf`, { credentials: 'same-origin' });
+        const data = await response.json();
+        return data.data.csrfToken;
+    },
+
+    /**
+     * Exchange the refresh token cookie for new tokens. Concurrent callers share
+     * one request, since each refresh token can only be used once.
+     * @returns {Promise<void>} Rejects (and logs out) if the session has ended
+     */
+    refreshSession() {
+        if (!this.refreshPromise) {
+            this.refreshPromise = (async () => {
+                const response = await fetch(`${this.apiUrl}/auth/refresh`, {
+                    method: 'POST',
+                    credentials: 'same-origin',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'X-CSRF-Token': await this.getCsrfToken()
+                    },
+                    body: JSON.stringify({})
+                });
+                const data = await response.json();
+
+                if (!response.ok) {
+                    this.clearState();
+                    this.showAuth();
+                    throw new Error(data.message || 'Your session has ended. Please log in again.');
+                }
+
+                this.setSession(data.data);
+            })().finally(() => {
+                this.refreshPromise = null;
+            });
+        }
+
+        return this.refreshPromise;
+    },
+
     /**
      * Make API request
      * @param {string} endpoint - API endpoint
      * @param {object} options - Fetch options
+     * @param {boolean} [retry=true] - Refresh the session and retry once on 401
      * @returns {Promise<object>} Response data
      */
-    async apiRequest(endpoint, options = {}) {
+    async apiRequest(endpoint, options = {}, retry = true) {
         const url = `${this.apiUrl}${endpoint}`;
 
         const headers = {
@@ -189,8 +284,11 @@ const App = {
             ...options.headers
         };
 
-        if (this.state.token) {
-            headers['Authorization'] = `Bearer ${this.state.token}`;
+        await this.ensureSession().catch(() => null);
+
+        const method = (options.method || 'GET').toUpperCase();
+        if (method !== 'GET' && method !== 'HEAD') {
+            headers['X-CSRF-Token'] = await this.getCsrfToken();
         }
 
         // Don't set Content-Type for FormData
@@ -201,11 +299,20 @@ const App = {
         try {
             const response = await fetch(url, {
                 ...options,
+                credentials: 'same-origin',
                 headers
             });
 
             const data = await response.json();
 
+            // The access token expired or its session ended early (e.g. clock skew or
+            // a revoked session); refreshing either recovers or logs out
+            const tokenRejected = response.status === 401 && /expired|session|not logged in/i.test(data.message || '');
+            if (tokenRejected && retry && this.state.user) {
+                await this.refreshSession();
+                return this.apiRequest(endpoint, options, false);
+            }
+
             if (!response.ok) {
                 throw new Error(data.message || 'Request failed');
             }
@@ -364,8 +471,10 @@ const App = {
             images: 'Images',
             documents: 'Documents',
             videos: 'Videos',
+            expiring: 'Expiring ID Documents',
             shared: 'Shared Files',
-            trash: 'Trash'
+            trash: 'Trash',
+            admin: 'Admin Console'
         };
 
         const titleEl = document.getElementById('current-view-title');
@@ -376,6 +485,16 @@ const App = {
         // Close mobile sidebar
         document.querySelector('.sidebar')?.classList.remove('open');
 
+        // The admin console replaces the file list
+        const isAdmin = view === 'admin';
+        document.querySelector('.files-container')?.classList.toggle('hidden', isAdmin);
+        document.getElementById('admin-container')?.classList.toggle('hidden', !isAdmin);
+
+        if (isAdmin) {
+            AdminConsole.load();
+            return;
+        }
+
         // Load files
         FileManager.loadFiles();
     },
@@ -422,6 +541,11 @@ const App = {
         document.querySelectorAll('.modal').forEach(modal => {
             modal.classList.add('hidden');
         });
+
+        // Stop any media still playing in a hidden preview
+        document.querySelectorAll('.modal video, .modal audio').forEach(media => {
+            media.pause();
+        });
     },
 
     /**
@@ -454,6 +578,20 @@ const App = {
         return parseFloat((bytes / Math.pow(k, i)).toFixed(dm)) + ' ' + sizes[i];
     },
 
+    /**
+     * Format a duration as h:mm:ss or m:ss
+     * @param {number} seconds - Duration in seconds
+     * @returns {string} Formatted duration
+     */
+    formatDuration(seconds) {
+        const total = Math.round(seconds);
+        const h = Math.floor(total / 3600);
+        const m = Math.floor((total % 3600) / 60);
+        const s = String(total % 60).padStart(2, '0');
+
+        return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+    },
+
     /**
      * Format date to relative time
      * @param {string} dateString - ISO date string
@@ -1,9 +1,15 @@
 /**
  * Authentication Module
- * Handles login, registration, and password management
+ * Handles login, registration, two-factor authentication, and password management
  */
 
 const Auth = {
+    // Token from the password step of a login that still needs a 2FA code
+    pendingToken: null,
+
+    // Token from a password reset link
+    resetToken: null,
+
     /**
      * Initialize authentication handlers
      */
@@ -27,6 +33,47 @@ const Auth = {
             registerForm.addEventListener('submit', (e) => this.handleRegister(e));
         }
 
+        // Password reset
+        document.getElementById('forgot-password')?.addEventListener('submit', (e) => this.handleForgotPassword(e));
+        document.getElementById('reset-password')?.addEventListener('submit', (e) => this.handleResetPassword(e));
+
+        document.getElementById('show-forgot-password')?.addEventListener('click', (e) => {
+            e.preventDefault();
+            this.showForm('forgot-password-form');
+        });
+
+        document.querySelectorAll('.show-login-link').forEach(link => {
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.resetToken = null;
+                this.showLoginForm();
+            });
+        });
+
+        // Two-factor login step
+        document.getElementById('two-factor')?.addEventListener('submit', (e) => this.handleTwoFactor(e));
+
+        document.getElementById('toggle-recovery-code')?.addEventListener('click', (e) => {
+            e.preventDefault();
+            this.toggleRecoveryCode();
+        });
+
+        document.getElementById('cancel-two-factor')?.addEventListener('click', (e) => {
+            e.preventDefault();
+            this.pendingToken = null;
+            this.showLoginForm();
+        });
+
+        // Security settings
+        document.getElementById('security-btn')?.addEventListener('click', () => {
+            this.showSecurity();
+        });
+
+        document.getElementById('api-key-form')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.createApiKey();
+        });
+
         // Toggle between login and register
         document.getElementById('show-register')?.addEventListener('click', (e) => {
             e.preventDefault();
@@ -90,15 +137,17 @@ const Auth = {
         try {
             const response = await App.apiRequest('/auth/login', {
                 method: 'POST',
-                body: JSON.stringify({ email, password })
+                body: JSON.stringify({ email, password, mode: 'cookie' })
             });
 
-            App.state.token = response.data.token;
-            App.state.user = response.data.user;
-            App.saveState();
+            if (response.data.twoFactorRequired) {
+                this.pendingToken = response.data.pendingToken;
+                form.reset();
+                this.showTwoFactorForm();
+                return;
+            }
 
-            Toast.success('Login successful!');
-            App.showDashboard();
+            this.completeLogin(response.data);
 
         } catch (error) {
             Toast.error(error.message || 'Login failed. Please check your credentials.');
@@ -107,6 +156,710 @@ const Auth = {
         }
     },
 
+    /**
+     * Handle the two-factor code form submission
+     * @param {Event} e - Form submit event
+     */
+    async handleTwoFactor(e) {
+        e.preventDefault();
+
+        const useRecovery = !document.getElementById('two-factor-recovery-group').classList.contains('hidden');
+        const code = document.getElementById('two-factor-code').value.trim();
+        const recoveryCode = document.getElementById('two-factor-recovery').value.trim();
+
+        if (!this.pendingToken) {
+            this.showLoginForm();
+            return;
+        }
+
+        if (useRecovery ? !recoveryCode : !/^\d{6}$/.test(code)) {
+            Toast.error(useRecovery ? 'Please enter a recovery code' : 'Please enter the 6-digit code from your app');
+            return;
+        }
+
+        App.showLoading(true);
+
+        try {
+            const response = await App.apiRequest('/auth/2fa/verify', {
+                method: 'POST',
+                body: JSON.stringify(useRecovery
+                    ? { pendingToken: this.pendingToken, recoveryCode, mode: 'cookie' }
+                    : { pendingToken: this.pendingToken, code, mode: 'cookie' })
+            });
+
+            this.pendingToken = null;
+            e.target.reset();
+            this.completeLogin(response.data);
+
+        } catch (error) {
+            Toast.error(error.message || 'Verification failed');
+
+            // The pending token is short-lived; start over once it has expired
+            if (/expired/i.test(error.message)) {
+                this.pendingToken = null;
+                this.showLoginForm();
+            }
+        } finally {
+            App.showLoading(false);
+        }
+    },
+
+    /**
+     * Handle the forgot password form submission
+     * @param {Event} e - Form submit event
+     */
+    async handleForgotPassword(e) {
+        e.preventDefault();
+
+        const email = document.getElementById('forgot-email').value.trim();
+
+        if (!this.validateEmail(email)) {
+            Toast.error('Please enter a valid email address');
+            return;
+        }
+
+        App.showLoading(true);
+
+        try {
+            const response = await App.apiRequest('/auth/forgot-password', {
+                method: 'POST',
+                body: JSON.stringify({ email })
+            });
+
+            e.target.reset();
+            Toast.success(response.message);
+            this.showLoginForm();
+
+        } catch (error) {
+            Toast.error(error.message || 'Failed to request a password reset');
+        } finally {
+            App.showLoading(false);
+        }
+    },
+
+    /**
+     * Handle the reset password form submission
+     * @param {Event} e - Form submit event
+     */
+    async handleResetPassword(e) {
+        e.preventDefault();
+
+        const password = document.getElementById('reset-password-input').value;
+        const confirmPassword = document.getElementById('reset-confirm-password').value;
+
+        if (!this.resetToken) {
+            Toast.error('Password reset link is invalid or has expired');
+            this.showForm('forgot-password-form');
+            return;
+        }
+
+        if (password.length < 8) {
+            Toast.error('Password must be at least 8 characters long');
+            return;
+        }
+
+        if (!this.validatePasswordStrength(password)) {
+            Toast.error('Password must contain at least one uppercase letter, one lowercase letter, one number, and one special character');
+            return;
+        }
+
+        if (password !== confirmPassword) {
+            Toast.error('Passwords do not match');
+            return;
+        }
+
+        App.showLoading(true);
+
+        try {
+            const response = await App.apiRequest(`/auth/reset-password/${encodeURIComponent(this.resetToken)}`, {
+                method: 'POST',
+                body: JSON.stringify({ password, confirmPassword })
+            });
+
+            this.resetToken = null;
+            e.target.reset();
+            Toast.success(response.message);
+            this.showLoginForm();
+
+        } catch (error) {
+            Toast.error(error.message || 'Failed to reset password');
+        } finally {
+            App.showLoading(false);
+        }
+    },
+
+    /**
+     * Take the token from a password reset link (#reset-password/<token>)
+     * and remove it from the address bar and history
+     * @returns {string|null} Reset token, or null if this is not a reset link
+     */
+    readResetToken() {
+        const match = window.location.hash.match(/^#reset-password\/([a-f0-9]+)$/);
+        if (!match) return null;
+
+        this.resetToken = match[1];
+        history.replaceState(null, '', window.location.pathname + window.location.search);
+        return this.resetToken;
+    },
+
+    /**
+     * Store the session from a successful login and open the dashboard
+     * @param {object} data - Login response data
+     */
+    completeLogin(data) {
+        App.state.user = data.user;
+        App.setSession(data);
+
+        // Leave the login form in place for the next time the auth screen is shown
+        this.showLoginForm();
+
+        Toast.success('Login successful!');
+        App.showDashboard();
+    },
+
+    /**
+     * Switch the two-factor form between app codes and recovery codes
+     */
+    toggleRecoveryCode() {
+        const codeGroup = document.getElementById('two-factor-code-group');
+        const recoveryGroup = document.getElementById('two-factor-recovery-group');
+        const toggle = document.getElementById('toggle-recovery-code');
+        const useRecovery = recoveryGroup.classList.contains('hidden');
+
+        codeGroup.classList.toggle('hidden', useRecovery);
+        recoveryGroup.classList.toggle('hidden', !useRecovery);
+        toggle.textContent = useRecovery ? 'Use your authenticator app instead' : 'Use a recovery code instead';
+        document.getElementById(useRecovery ? 'two-factor-recovery' : 'two-factor-code').focus();
+    },
+
+    /**
+     * Open the security modal (two-factor settings, sessions and API keys)
+     */
+    async showSecurity() {
+        const modal = document.getElementById('security-modal');
+        const content = document.getElementById('security-content');
+
+        content.innerHTML = '<div class="spinner"></div>';
+        modal.classList.remove('hidden');
+        this.loadSessions();
+        this.loadApiKeys();
+        this.loadMetadataPolicy();
+
+        try {
+            const response = await App.apiRequest('/auth/2fa');
+            this.renderSecurityStatus(response.data);
+        } catch (error) {
+            Toast.error(error.message || 'Failed to load security settings');
+            modal.classList.add('hidden');
+        }
+    },
+
+    /**
+     * Render the current two-factor status
+     * @param {object} status - Status from GET /auth/2fa
+     */
+    renderSecurityStatus(status) {
+        const content = document.getElementById('security-content');
+
+        if (!status.enabled) {
+            content.innerHTML = `
+                <div class="two-factor-status disabled">
+                    <i class="fas fa-exclamation-triangle"></i>
+                    <span>Two-factor authentication is <strong>off</strong>.</span>
+                </div>
+                <p class="text-muted">Protect your account with a code from an authenticator app in addition to your password.</p>
+                <div class="security-actions">
+                    <button class="btn btn-primary" id="enroll-two-factor">
+                        <i class="fas fa-shield-alt"></i> Enable two-factor authentication
+                    </button>
+                </div>
+            `;
+            document.getElementById('enroll-two-factor').addEventListener('click', () => this.startEnrollment());
+            return;
+        }
+
+        content.innerHTML = `
+            <div class="two-factor-status enabled">
+                <i class="fas fa-check-circle"></i>
+                <span>Two-factor authentication is <strong>on</strong>.</span>
+            </div>
+            <p class="text-muted">${status.recoveryCodesRemaining} recovery code(s) left.</p>
+            <div class="form-group">
+                <label for="security-password">Confirm with your password</label>
+                <input type="password" id="security-password" class="form-control" autocomplete="current-password">
+            </div>
+            <div class="security-actions">
+                <button class="btn btn-outline" id="regenerate-recovery-codes">
+                    <i class="fas fa-sync"></i> New recovery codes
+                </button>
+                <button class="btn btn-danger" id="disable-two-factor">
+                    <i class="fas fa-times"></i> Disable
+                </button>
+            </div>
+        `;
+
+        document.getElementById('regenerate-recovery-codes').addEventListener('click', () => this.regenerateRecoveryCodes());
+        document.getElementById('disable-two-factor').addEventListener('click', () => this.disableTwoFactor());
+    },
+
+    /**
+     * Start enrollment and show the secret to add to an authenticator app
+     */
+    async startEnrollment() {
+        App.showLoading(true);
+
+        try {
+            const response = await App.apiRequest('/auth/2fa/enroll', { method: 'POST' });
+            const { secret, qrCode } = response.data;
+            const content = document.getElementById('security-content');
+
+            content.innerHTML = `
+                <p>Scan this QR code with your authenticator app, or enter the key manually.</p>
+                <img class="two-factor-qr" src="${qrCode}" alt="Two-factor QR code" width="240" height="240">
+                <code class="two-factor-secret">${App.escapeHtml(secret.match(/.{1,4}/g).join(' '))}</code>
+                <form id="confirm-two-factor-form">
+                    <div class="form-group">
+                        <label for="enroll-code">Enter the 6-digit code shown in the app</label>
+                        <input type="text" id="enroll-code" class="form-control" inputmode="numeric"
+                            autocomplete="one-time-code" maxlength="6">
+                    </div>
+                    <button type="submit" class="btn btn-primary btn-block">
+                        <i class="fas fa-check"></i> Confirm
+                    </button>
+                </form>
+            `;
+
+            document.getElementById('confirm-two-factor-form').addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.confirmEnrollment();
+            });
+            document.getElementById('enroll-code').focus();
+
+        } catch (error) {
+            Toast.error(error.message || 'Failed to start two-factor setup');
+        } finally {
+            App.showLoading(false);
+        }
+    },
+
+    /**
+     * Confirm enrollment with the first code from the app
+     */
+    async confirmEnrollment() {
+        const code = document.getElementById('enroll-code').value.trim();
+
+        if (!/^\d{6}$/.test(code)) {
+            Toast.error('Please enter the 6-digit code from your app');
+            return;
+        }
+
+        App.showLoading(true);
+
+        try {
+            const response = await App.apiRequest('/auth/2fa/confirm', {
+                method: 'POST',
+                body: JSON.stringify({ code })
+            });
+
+            this.setTwoFactorEnabled(true);
+            Toast.success('Two-factor authentication enabled');
+            this.renderRecoveryCodes(response.data.recoveryCodes);
+
+        } catch (error) {
+            Toast.error(error.message || 'Failed to enable two-factor authentication');
+        } finally {
+            App.showLoading(false);
+        }
+    },
+
+    /**
+     * Show recovery codes (only ever shown once)
+     * @param {string[]} codes - Recovery codes
+     */
+    renderRecoveryCodes(codes) {
+        const content = document.getElementById('security-content');
+
+        content.innerHTML = `
+            <p>Save these recovery codes somewhere safe. Each one can be used once to log in if you lose your device. They will not be shown again.</p>
+            <div class="recovery-codes">
+                ${codes.map(code => `<span>${App.escapeHtml(code)}</span>`).join('')}
+            </div>
+            <div class="security-actions">
+                <button class="btn btn-outline" id="copy-recovery-codes">
+                    <i class="fas fa-copy"></i> Copy
+                </button>
+            </div>
+        `;
+
+        document.getElementById('copy-recovery-codes').addEventListener('click', async () => {
+            try {
+                await navigator.clipboard.writeText(codes.join('\n'));
+                Toast.success('Recovery codes copied');
+            } catch (error) {
+                Toast.error('Failed to copy recovery codes');
+            }
+        });
+    },
+
+    /**
+     * Read the password confirming a two-factor settings change
+     * @returns {string|null} Password, or null if empty
+     */
+    getSecurityPassword() {
+        const password = document.getElementById('security-password')?.value;
+
+        if (!password) {
+            Toast.error('Please enter your password');
+            return null;
+        }
+
+        return password;
+    },
+
+    /**
+     * Replace the recovery codes
+     */
+    async regenerateRecoveryCodes() {
+        const password = this.getSecurityPassword();
+        if (!password) return;
+
+        App.showLoading(true);
+
+        try {
+            const response = await App.apiRequest('/auth/2fa/recovery-codes', {
+                method: 'POST',
+                body: JSON.stringify({ password })
+            });
+
+            Toast.success('New recovery codes generated');
+            this.renderRecoveryCodes(response.data.recoveryCodes);
+
+        } catch (error) {
+            Toast.error(error.message || 'Failed to generate recovery codes');
+        } finally {
+            App.showLoading(false);
+        }
+    },
+
+    /**
+     * Turn two-factor authentication off
+     */
+    async disableTwoFactor() {
+        const password = this.getSecurityPassword();
+        if (!password) return;
+
+        App.showLoading(true);
+
+        try {
+            await App.apiRequest('/auth/2fa/disable', {
+                method: 'POST',
+                body: JSON.stringify({ password })
+            });
+
+            this.setTwoFactorEnabled(false);
+            Toast.success('Two-factor authentication disabled');
+            this.renderSecurityStatus({ enabled: false });
+
+        } catch (error) {
+            Toast.error(error.message || 'Failed to disable two-factor authentication');
+        } finally {
+            App.showLoading(false);
+        }
+    },
+
+    /**
+     * Load and render the active sessions
+     */
+    async loadSessions() {
+        const content = document.getElementById('sessions-content');
+        content.innerHTML = '<div class="spinner"></div>';
+
+        try {
+            const response = await App.apiRequest('/auth/sessions');
+            this.renderSessions(response.data.sessions);
+        } catch (error) {
+            content.innerHTML = `<p class="text-muted">${App.escapeHtml(error.message || 'Failed to load sessions')}</p>`;
+        }
+    },
+
+    /**
+     * Render the active sessions
+     * @param {object[]} sessions - Sessions from GET /auth/sessions
+     */
+    renderSessions(sessions) {
+        const content = document.getElementById('sessions-content');
+        const others = sessions.filter(session => !session.current);
+
+        content.innerHTML = `
+            <div class="session-list">
+                ${sessions.map(session => `
+                    <div class="session-item">
+                        <i class="fas ${/mobile|android|iphone/i.test(session.userAgent || '') ? 'fa-mobile-alt' : 'fa-desktop'}"></i>
+                        <div class="session-info">
+                            <div>
+                                ${App.escapeHtml(this.describeUserAgent(session.userAgent))}
+                                ${session.current ? '<span class="session-current">· This device</span>' : ''}
+                            </div>
+                            <div class="text-muted">
+                                ${App.escapeHtml(session.ip || 'Unknown IP')} · Last active ${App.formatDate(session.lastUsedAt)}
+                            </div>
+                        </div>
+                        ${session.current ? '' : `
+                            <button class="btn btn-outline btn-sm revoke-session" data-id="${session.id}">
+                                Sign out
+                            </button>
+                        `}
+                    </div>
+                `).join('')}
+            </div>
+            ${others.length > 0 ? `
+                <div class="security-actions">
+                    <button class="btn btn-outline" id="revoke-other-sessions">
+                        <i class="fas fa-sign-out-alt"></i> Sign out all other sessions
+                    </button>
+                </div>
+            ` : ''}
+        `;
+
+        content.querySelectorAll('.revoke-session').forEach(btn => {
+            btn.addEventListener('click', () => this.revokeSession(btn.dataset.id));
+        });
+        document.getElementById('revoke-other-sessions')?.addEventListener('click', () => this.revokeOtherSessions());
+    },
+
+    /**
+     * Summarize a User-Agent string
+     * @param {string} userAgent - User-Agent header
+     * @returns {string} e.g. "Firefox on Windows"
+     */
+    describeUserAgent(userAgent = '') {
+        const browser = [['Edge', /Edg\//], ['Opera', /OPR\//], ['Chrome', /Chrome\//], ['Firefox', /Firefox\//], ['Safari', /Safari\//]]
+            .find(([, re]) => re.test(userAgent));
+        const os = [['Windows', /Windows/], ['Android', /Android/], ['iOS', /iPhone|iPad/], ['macOS', /Mac OS X/], ['Linux', /Linux/]]
+            .find(([, re]) => re.test(userAgent));
+
+        if (!browser && !os) return userAgent ? userAgent.slice(0, 60) : 'Unknown device';
+        return `${browser ? browser[0] : 'Unknown browser'} on ${os ? os[0] : 'unknown OS'}`;
+    },
+
+    /**
+     * Sign out one other session
+     * @param {string} sessionId - Session ID
+     */
+    async revokeSession(sessionId) {
+        try {
+            await App.apiRequest(`/auth/sessions/${sessionId}`, { method: 'DELETE' });
+            Toast.success('Session signed out');
+            this.loadSessions();
+        } catch (error) {
+            Toast.error(error.message || 'Failed to sign out session');
+        }
+    },
+
+    /**
+     * Sign out every session except this one
+     */
+    async revokeOtherSessions() {
+        try {
+            const response = await App.apiRequest('/auth/sessions', { method: 'DELETE' });
+            Toast.success(response.message);
+            this.loadSessions();
+        } catch (error) {
+            Toast.error(error.message || 'Failed to sign out sessions');
+        }
+    },
+
+    /**
+     * Load and render the photo metadata policy
+     */
+    async loadMetadataPolicy() {
+        const content = document.getElementById('metadata-policy-content');
+        content.innerHTML = '<div class="spinner"></div>';
+
+        try {
+            const response = await App.apiRequest('/auth/me');
+            this.renderMetadataPolicy(response.data.user);
+        } catch (error) {
+            content.innerHTML = `<p class="text-muted">${App.escapeHtml(error.message || 'Failed to load metadata policy')}</p>`;
+        }
+    },
+
+    /**
+     * Render the photo metadata policy
+     * @param {object} user - User from GET /auth/me
+     */
+    renderMetadataPolicy(user) {
+        const content = document.getElementById('metadata-policy-content');
+        const choice = user.metadataPolicyChoice || 'default';
+
+        content.innerHTML = `
+            <div class="form-group">
+                <label for="metadata-policy">When I upload photos</label>
+                <select id="metadata-policy" class="form-control" ${user.metadataPolicyLocked ? 'disabled' : ''}>
+                    <option value="default" ${choice === 'default' ? 'selected' : ''}>Use the server default</option>
+                    <option value="strip" ${choice === 'strip' ? 'selected' : ''}>Remove metadata before storing</option>
+                    <option value="keep" ${choice === 'keep' ? 'selected' : ''}>Keep metadata in my copy</option>
+                </select>
+            </div>
+            <p class="text-muted">
+                ${user.metadataPolicyLocked
+                    ? 'This setting is managed by your administrator.'
+                    : `Currently: metadata is ${user.metadataPolicy === 'strip' ? 'removed' : 'kept'}.`}
+            </p>
+        `;
+
+        document.getElementById('metadata-policy').addEventListener('change', (e) => {
+            this.updateMetadataPolicy(e.target.value === 'default' ? null : e.target.value);
+        });
+    },
+
+    /**
+     * Save the photo metadata policy
+     * @param {string|null} policy - 'strip', 'keep', or null for the default
+     */
+    async updateMetadataPolicy(policy) {
+        try {
+            await App.apiRequest('/auth/update-profile', {
+                method: 'PATCH',
+                body: JSON.stringify({ metadataPolicy: policy })
+            });
+            Toast.success('Metadata setting saved');
+        } catch (error) {
+            Toast.error(error.message || 'Failed to save metadata setting');
+        }
+        this.loadMetadataPolicy();
+    },
+
+    /**
+     * Load and render the API keys
+     */
+    async loadApiKeys() {
+        const content = document.getElementById('api-keys-content');
+        content.innerHTML = '<div class="spinner"></div>';
+
+        try {
+            const response = await App.apiRequest('/auth/api-keys');
+            this.renderApiKeys(response.data.apiKeys);
+        } catch (error) {
+            content.innerHTML = `<p class="text-muted">${App.escapeHtml(error.message || 'Failed to load API keys')}</p>`;
+        }
+    },
+
+    /**
+     * Render the API keys
+     * @param {object[]} apiKeys - Keys from GET /auth/api-keys
+     */
+    renderApiKeys(apiKeys) {
+        const content = document.getElementById('api-keys-content');
+
+        if (apiKeys.length === 0) {
+            content.innerHTML = '<p class="text-muted">No API keys yet.</p>';
+            return;
+        }
+
+        const describeStatus = (key) => {
+            if (key.revokedAt) return `Revoked ${App.formatDate(key.revokedAt)}`;
+            if (!key.isActive) return `Expired ${App.formatDate(key.expiresAt)}`;
+            return key.expiresAt ? `Expires ${App.formatDate(key.expiresAt)}` : 'Never expires';
+        };
+
+        content.innerHTML = `
+            <div class="session-list">
+                ${apiKeys.map(key => `
+                    <div class="session-item${key.isActive ? '' : ' inactive'}">
+                        <i class="fas fa-key"></i>
+                        <div class="session-info">
+                            <div>${App.escapeHtml(key.name)} <span class="text-muted">…${App.escapeHtml(key.hint || '')}</span></div>
+                            <div class="text-muted">${key.scopes.map(App.escapeHtml).join(', ')} · ${describeStatus(key)}</div>
+                            <div class="text-muted">
+                                ${key.lastUsedAt ? `Last used ${App.formatDate(key.lastUsedAt)} from ${App.escapeHtml(key.lastUsedIp || 'unknown IP')}` : 'Never used'}
+                            </div>
+                        </div>
+                        ${key.isActive ? `
+                            <button class="btn btn-outline btn-sm revoke-api-key" data-id="${key.id}">Revoke</button>
+                        ` : ''}
+                    </div>
+                `).join('')}
+            </div>
+        `;
+
+        content.querySelectorAll('.revoke-api-key').forEach(btn => {
+            btn.addEventListener('click', () => this.revokeApiKey(btn.dataset.id));
+        });
+    },
+
+    /**
+     * Create an API key from the form and show it once
+     */
+    async createApiKey() {
+        const name = document.getElementById('api-key-name').value.trim();
+        const scopes = [...document.querySelectorAll('input[name="api-key-scope"]:checked')].map(input => input.value);
+        const expiresInDays = document.getElementById('api-key-expiry').value;
+
+        if (!name) {
+            Toast.error('Please name the API key');
+            return;
+        }
+
+        if (scopes.length === 0) {
+            Toast.error('Please choose at least one scope');
+            return;
+        }
+
+        App.showLoading(true);
+
+        try {
+            const response = await App.apiRequest('/auth/api-keys', {
+                method: 'POST',
+                body: JSON.stringify({ name, scopes, expiresInDays: expiresInDays ? Number(expiresInDays) : null })
+            });
+
+            document.getElementById('api-key-form').reset();
+            await this.loadApiKeys();
+
+            const content = document.getElementById('api-keys-content');
+            content.insertAdjacentHTML('afterbegin', `
+                <div class="api-key-created">
+                    <p>Copy this key now. It will not be shown again.</p>
+                    <code class="two-factor-secret">${App.escapeHtml(response.data.key)}</code>
+                </div>
+            `);
+        } catch (error) {
+            Toast.error(error.message || 'Failed to create API key');
+        } finally {
+            App.showLoading(false);
+        }
+    },
+
+    /**
+     * Revoke an API key
+     * @param {string} keyId - Key ID
+     */
+    async revokeApiKey(keyId) {
+        if (!confirm('Revoke this API key? Scripts using it will stop working.')) {
+            return;
+        }
+
+        try {
+            await App.apiRequest(`/auth/api-keys/${keyId}`, { method: 'DELETE' });
+            Toast.success('API key revoked');
+            this.loadApiKeys();
+        } catch (error) {
+            Toast.error(error.message || 'Failed to revoke API key');
+        }
+    },
+
+    /**
+     * Keep the stored user in sync after a two-factor change
+     * @param {boolean} enabled - New state
+     */
+    setTwoFactorEnabled(enabled) {
+        if (App.state.user) {
+            App.state.user.twoFactorEnabled = enabled;
+            App.saveState();
+        }
+    },
+
     /**
      * Handle register form submission
      * @param {Event} e - Form submit event
@@ -161,12 +914,11 @@ const Auth = {
         try {
             const response = await App.apiRequest('/auth/register', {
                 method: 'POST',
-                body: JSON.stringify({ username, email, password, confirmPassword })
+                body: JSON.stringify({ username, email, password, confirmPassword, mode: 'cookie' })
             });
 
-            App.state.token = response.data.token;
             App.state.user = response.data.user;
-            App.saveState();
+            App.setSession(response.data);
 
             Toast.success('Account created successfully!');
             App.showDashboard();
@@ -178,20 +930,44 @@ const Auth = {
         }
     },
 
+    /**
+     * Show one of the auth forms and hide the others
+     * @param {string} id - Form container ID
+     */
+    showForm(id) {
+        document.querySelectorAll('.auth-form').forEach(form => {
+            form.classList.toggle('hidden', form.id !== id);
+        });
+    },
+
     /**
      * Show login form
      */
     showLoginForm() {
-        document.getElementById('login-form').classList.remove('hidden');
-        document.getElementById('register-form').classList.add('hidden');
+        this.showForm('login-form');
     },
 
     /**
      * Show register form
      */
     showRegisterForm() {
-        document.getElementById('login-form').classList.add('hidden');
-        document.getElementById('register-form').classList.remove('hidden');
+        this.showForm('register-form');
+    },
+
+    /**
+     * Show the two-factor code form for the second login step
+     */
+    showTwoFactorForm() {
+        this.showForm('two-factor-form');
+        document.getElementById('two-factor-code').focus();
+    },
+
+    /**
+     * Show the form for choosing a new password from a reset link
+     */
+    showResetPasswordForm() {
+        this.showForm('reset-password-form');
+        document.getElementById('reset-password-input').focus();
     },
 
     /**
@@ -0,0 +1,478 @@
+/**
+ * Client Encryption Module
+ * Opt-in end-to-end encryption: files are encrypted in the browser with
+ * AES-256-GCM under a key derived from a passphrase that never leaves it.
+ *
+ * Format: MAGIC "SVCE" | version (1) | chunkSize (4) | iterations (4) | salt (16) | noncePrefix (8),
+ * followed by chunks of (ciphertext | tag). Each chunk's nonce is noncePrefix || index and its
+ * additional data is header || index || final flag, so chunks cannot be reordered or truncated.
+ */
+
+const ClientEncryption = {
+    magic: [0x53, 0x56, 0x43, 0x45], // "SVCE"
+    version: 1,
+    chunkSize: 1024 * 1024, // 1MB
+    iterations: 600000,
+    saltLength: 16,
+    noncePrefixLength: 8,
+    tagLength: 16,
+    headerLength: 37,
+    passphrase: null,
+    pendingPrompt: null,
+    downloadWorker: '/sw.js',
+
+    /**
+     * Initialize module
+     */
+    init() {
+        this.bindEvents();
+        this.registerDownloadWorker();
+    },
+
+    /**
+     * Register the service worker that decrypts downloads straight to disk
+     */
+    registerDownloadWorker() {
+        if (!('serviceWorker' in navigator)) return;
+
+        navigator.serviceWorker.register(this.downloadWorker).catch((error) => {
+            console.warn('Download worker unavailable:', error.message);
+        });
+    },
+
+    /**
+     * Bind passphrase modal events
+     */
+    bindEvents() {
+        const form = document.getElementById('passphrase-form');
+        const modal = document.getElementById('passphrase-modal');
+
+        form?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submitPassphrase();
+        });
+
+        document.getElementById('confirm-passphrase')?.addEventListener('click', () => {
+            this.submitPassphrase();
+        });
+
+        modal?.querySelectorAll('.modal-close, .modal-cancel, .modal-overlay').forEach(el => {
+            el.addEventListener('click', (e) => {
+                if (e.target === el) {
+                    this.cancelPassphrase();
+                }
+            });
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.cancelPassphrase();
+            }
+        });
+    },
+
+    /**
+     * Check whether the browser can encrypt files
+     * @returns {boolean} Whether WebCrypto is available
+     */
+    isSupported() {
+        return !!(window.crypto && window.crypto.subtle);
+    },
+
+    /**
+     * Get the passphrase for this session, asking for it if needed
+     * @param {object} [options] - Options
+     * @param {boolean} [options.confirm=false] - Ask twice (when encrypting)
+     * @returns {Promise<string>} Passphrase
+     */
+    async getPassphrase(options = {}) {
+        if (this.passphrase) {
+            return this.passphrase;
+        }
+
+        this.passphrase = await this.requestPassphrase(options);
+        return this.passphrase;
+    },
+
+    /**
+     * Forget the cached passphrase (e.g. on logout or after a wrong guess)
+     */
+    clearPassphrase() {
+        this.passphrase = null;
+    },
+
+    /**
+     * Show the passphrase modal
+     * @param {object} [options] - Options
+     * @param {boolean} [options.confirm=false] - Show the confirmation field
+     * @returns {Promise<string>} Entered passphrase
+     */
+    requestPassphrase(options = {}) {
+        const modal = document.getElementById('passphrase-modal');
+        const input = document.getElementById('passphrase-input');
+        const confirmInput = document.getElementById('passphrase-confirm');
+        const confirmGroup = document.getElementById('passphrase-confirm-group');
+
+        input.value = '';
+        confirmInput.value = '';
+        confirmGroup?.classList.toggle('hidden', !options.confirm);
+        modal?.classList.remove('hidden');
+        input.focus();
+
+        return new Promise((resolve, reject) => {
+            this.pendingPrompt = { resolve, reject, confirm: !!options.confirm };
+        });
+    },
+
+    /**
+     * Validate and accept the entered passphrase
+     */
+    submitPassphrase() {
+        if (!this.pendingPrompt) return;
+
+        const passphrase = document.getElementById('passphrase-input').value;
+        const confirmation = document.getElementById('passphrase-confirm').value;
+
+        if (passphrase.length < 8) {
+            Toast.error('Passphrase must be at least 8 characters long');
+            return;
+        }
+
+        if (this.pendingPrompt.confirm && passphrase !== confirmation) {
+            Toast.error('Passphrases do not match');
+            return;
+        }
+
+        const { resolve } = this.pendingPrompt;
+        this.pendingPrompt = null;
+        document.getElementById('passphrase-modal')?.classList.add('hidden');
+        resolve(passphrase);
+    },
+
+    /**
+     * Abort a pending passphrase prompt
+     */
+    cancelPassphrase() {
+        if (!this.pendingPrompt) return;
+
+        const { reject } = this.pendingPrompt;
+        this.pendingPrompt = null;
+        document.getElementById('passphrase-modal')?.classList.add('hidden');
+
+        const error = new Error('Passphrase required');
+        error.aborted = true;
+        reject(error);
+    },
+
+    /**
+     * Derive the AES-GCM key for a file
+     * @param {string} passphrase - User passphrase
+     * @param {Uint8Array} salt - Per-file salt
+     * @param {number} iterations - PBKDF2 iterations
+     * @returns {Promise<CryptoKey>} Derived key
+     */
+    async deriveKey(passphrase, salt, iterations) {
+        const material = await crypto.subtle.importKey(
+            'raw',
+            new TextEncoder().encode(passphrase),
+            'PBKDF2',
+            false,
+            ['deriveKey']
+        );
+
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    },
+
+    /**
+     * Build a chunk's nonce
+     * @param {Uint8Array} noncePrefix - Per-file nonce prefix
+     * @param {number} index - Chunk index
+     * @returns {Uint8Array} 12-byte nonce
+     */
+    chunkNonce(noncePrefix, index) {
+        const nonce = new Uint8Array(this.noncePrefixLength + 4);
+        nonce.set(noncePrefix, 0);
+        new DataView(nonce.buffer).setUint32(this.noncePrefixLength, index);
+        return nonce;
+    },
+
+    /**
+     * Build a chunk's additional authenticated data
+     * @param {Uint8Array} header - Serialized header
+     * @param {number} index - Chunk index
+     * @param {boolean} isFinal - Whether this is the last chunk
+     * @returns {Uint8Array} AAD
+     */
+    chunkAAD(header, index, isFinal) {
+        const aad = new Uint8Array(header.length + 5);
+        aad.set(header, 0);
+        const view = new DataView(aad.buffer);
+        view.setUint32(header.length, index);
+        view.setUint8(header.length + 4, isFinal ? 1 : 0);
+        return aad;
+    },
+
+    /**
+     * Build a fresh header for a file being encrypted
+     * @returns {object} Header bytes with its salt and nonce prefix
+     */
+    createHeader() {
+        const salt = crypto.getRandomValues(new Uint8Array(this.saltLength));
+        const noncePrefix = crypto.getRandomValues(new Uint8Array(this.noncePrefixLength));
+
+        const header = new Uint8Array(this.headerLength);
+        const view = new DataView(header.buffer);
+        header.set(this.magic, 0);
+        view.setUint8(4, this.version);
+        view.setUint32(5, this.chunkSize);
+        view.setUint32(9, this.iterations);
+        header.set(salt, 13);
+        header.set(noncePrefix, 13 + this.saltLength);
+
+        return { header, salt, noncePrefix };
+    },
+
+    /**
+     * Read the parameters stored in a header
+     * @param {Uint8Array} header - Serialized header
+     * @returns {object} Chunk size, iterations, salt and nonce prefix
+     */
+    parseHeader(header) {
+        if (header.length < this.headerLength || !this.magic.every((byte, i) => header[i] === byte)) {
+            throw new Error('This file was not encrypted in the browser');
+        }
+
+        const view = new DataView(header.buffer, header.byteOffset, header.byteLength);
+        if (view.getUint8(4) !== this.version) {
+            throw new Error('Unsupported encrypted file version');
+        }
+
+        return {
+            chunkSize: view.getUint32(5),
+            iterations: view.getUint32(9),
+            salt: header.slice(13, 13 + this.saltLength),
+            noncePrefix: header.slice(13 + this.saltLength, this.headerLength)
+        };
+    },
+
+    /**
+     * Prepare a file for upload without holding its ciphertext in memory.
+     * Chunks are sealed only when the uploader slices the bytes that contain
+     * them; sealing a chunk again gives the same bytes, so retries and
+     * resumes can ask for any range.
+     * @param {File|Blob} file - Plaintext file
+     * @param {string} passphrase - User passphrase
+     * @returns {Promise<object>} Upload body with `size` and an async `slice(start, end)`
+     */
+    async createEncryptedBody(file, passphrase) {
+        const { header, salt, noncePrefix } = this.createHeader();
+        const key = await this.deriveKey(passphrase, salt, this.iterations);
+        const chunkCount = Math.max(1, Math.ceil(file.size / this.chunkSize));
+        const sealedSize = this.chunkSize + this.tagLength;
+        let cached = null;
+
+        const sealChunk = async (index) => {
+            // Upload slices rarely line up with chunks, so the boundary chunk is asked for twice
+            if (cached && cached.index === index) return cached.bytes;
+
+            const start = index * this.chunkSize;
+            const plaintext = await file.slice(start, start + this.chunkSize).arrayBuffer();
+            const bytes = new Uint8Array(await crypto.subtle.encrypt(
+                {
+                    name: 'AES-GCM',
+                    iv: this.chunkNonce(noncePrefix, index),
+                    additionalData: this.chunkAAD(header, index, index === chunkCount - 1),
+                    tagLength: this.tagLength * 8
+                },
+                key,
+                plaintext
+            ));
+
+            cached = { index, bytes };
+            return bytes;
+        };
+
+        return {
+            size: this.headerLength + file.size + chunkCount * this.tagLength,
+
+            slice: async (start, end) => {
+                const parts = [];
+
+                if (start < this.headerLength) {
+                    parts.push(header.subarray(start, Math.min(end, this.headerLength)));
+                }
+
+                const from = Math.max(start, this.headerLength) - this.headerLength;
+                const to = end - this.headerLength;
+
+                for (let index = Math.floor(from / sealedSize); index * sealedSize < to && index < chunkCount; index++) {
+                    const chunkStart = index * sealedSize;
+                    const sealed = await sealChunk(index);
+                    parts.push(sealed.subarray(Math.max(from - chunkStart, 0), Math.min(to - chunkStart, sealed.length)));
+                }
+
+                return new Blob(parts, { type: 'application/octet-stream' });
+            }
+        };
+    },
+
+    /**
+     * Decrypt ciphertext as it arrives, so downloads of any size never sit in
+     * memory in full. Errors (wrong passphrase, tampering, truncation) surface
+     * as a failed read.
+     * @param {ReadableStream<Uint8Array>} source - Ciphertext, e.g. a fetch response body
+     * @param {string} passphrase - User passphrase
+     * @returns {ReadableStream<Uint8Array>} Plaintext
+     */
+    decryptStream(source, passphrase) {
+        const reader = source.getReader();
+        let pending = [];
+        let pendingLength = 0;
+        let done = false;
+        let params = null;
+        let key = null;
+        let index = 0;
+
+        // Buffer until `length` bytes are available or the source ends
+        const fill = async (length) => {
+            while (!done && pendingLength < length) {
+                const result = await reader.read();
+                if (result.done) {
+                    done = true;
+                } else {
+                    pending.push(result.value);
+                    pendingLength += result.value.length;
+                }
+            }
+        };
+
+        const take = (length) => {
+            const buffer = new Uint8Array(pendingLength);
+            let offset = 0;
+            pending.forEach(part => {
+                buffer.set(part, offset);
+                offset += part.length;
+            });
+
+            const rest = buffer.subarray(length);
+            pending = rest.length ? [rest] : [];
+            pendingLength = rest.length;
+            return buffer.subarray(0, length);
+        };
+
+        return new ReadableStream({
+            pull: async (controller) => {
+                if (!key) {
+                    await fill(this.headerLength);
+                    const header = take(this.headerLength).slice();
+                    params = { header, ...this.parseHeader(header) };
+                    params.sealedSize = params.chunkSize + this.tagLength;
+                    key = await this.deriveKey(passphrase, params.salt, params.iterations);
+                }
+
+                // One byte past a full chunk tells us whether it is the last one
+                await fill(params.sealedSize + 1);
+                const isFinal = pendingLength <= params.sealedSize;
+
+                const sealed = take(isFinal ? pendingLength : params.sealedSize);
+
+                try {
+                    controller.enqueue(new Uint8Array(await crypto.subtle.decrypt(
+                        {
+                            name: 'AES-GCM',
+                            iv: this.chunkNonce(params.noncePrefix, index),
+                            additionalData: this.chunkAAD(params.header, index, isFinal),
+                            tagLength: this.tagLength * 8
+                        },
+                        key,
+                        sealed
+                    )));
+                } catch (error) {
+                    throw new Error('Decryption failed: wrong passphrase or corrupted file');
+                }
+
+                index++;
+                if (isFinal) controller.close();
+            },
+
+            cancel: (reason) => reader.cancel(reason)
+        });
+    },
+
+    /**
+     * Whether downloads can be decrypted straight to disk
+     * @returns {boolean} Whether the download worker controls this page
+     */
+    canStreamDownloads() {
+        return !!(navigator.serviceWorker && navigator.serviceWorker.controller);
+    },
+
+    /**
+     * Have the download worker fetch, decrypt and save a file
+     * @param {string} url - Download endpoint
+     * @param {string} passphrase - User passphrase
+     * @param {string} [type] - MIME type for the result
+     * @returns {Promise<void>} Resolves once the first chunk decrypts; rejected
+     *   errors carry `status` when the server refused the download
+     */
+    streamDownload(url, passphrase, type = 'application/octet-stream') {
+        const id = crypto.randomUUID();
+        const channel = new MessageChannel();
+        const frame = document.createElement('iframe');
+
+        return new Promise((resolve, reject) => {
+            channel.port1.onmessage = ({ data }) => {
+                if (data.ready) {
+                    // Navigating a hidden frame lets the browser save the response as it streams
+                    frame.hidden = true;
+                    frame.src = `/e2e-download/${id}`;
+                    document.body.appendChild(frame);
+                    return;
+                }
+
+                if (data.ok) {
+                    resolve();
+                } else {
+                    const error = new Error(data.message);
+                    error.status = data.status;
+                    reject(error);
+                }
+            };
+
+            navigator.serviceWorker.controller.postMessage(
+                { type: 'e2e-download', id, url, passphrase, mimeType: type },
+                [channel.port2]
+            );
+        }).finally(() => {
+            channel.port1.close();
+            // Leave the frame long enough for the browser to take over the download
+            setTimeout(() => frame.remove(), 60 * 1000);
+        });
+    },
+
+    /**
+     * Describe the scheme for the server's records
+     * @returns {object} Encryption parameters (no key material)
+     */
+    getMetadata() {
+        return {
+            algorithm: 'aes-256-gcm',
+            keyDerivation: 'pbkdf2-sha256',
+            iterations: this.iterations,
+            formatVersion: this.version
+        };
+    }
+};
+
+// Initialize when DOM is ready (the download service worker loads this file too)
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', () => {
+        ClientEncryption.init();
+    });
+}
@@ -44,6 +44,28 @@ const FileManager = {
             this.saveFileDetails();
         });
 
+        // Version history (re-rendered with the details, so delegate)
+        const detailsEl = document.getElementById('file-details');
+
+        detailsEl?.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-version-action]');
+            if (!btn || !this.currentFile) return;
+
+            const version = parseInt(btn.dataset.version, 10);
+            if (btn.dataset.versionAction === 'download') {
+                this.downloadFile(this.currentFile.id, version);
+            } else if (btn.dataset.versionAction === 'restore') {
+                this.restoreVersion(version);
+            }
+        });
+
+        detailsEl?.addEventListener('change', (e) => {
+            if (e.target.id === 'version-upload-input' && e.target.files.length > 0) {
+                this.uploadVersion(e.target.files[0]);
+                e.target.value = '';
+            }
+        });
+
         // Delete modal
         document.getElementById('confirm-delete')?.addEventListener('click', () => {
             this.confirmDelete();
@@ -73,7 +95,10 @@ const FileManager = {
             });
 
             // Category filter
-            if (App.state.currentView !== 'files' && App.state.currentView !== 'shared' && App.state.currentView !== 'trash') {
+            if (App.state.currentView === 'expiring') {
+                // Documents expiring within 30 days, and those already expired
+                params.set('expiring', '30d');
+            } else if (App.state.currentView !== 'files' && App.state.currentView !== 'shared' && App.state.currentView !== 'trash') {
                 params.set('category', App.state.currentView);
             }
 
@@ -138,11 +163,15 @@ const FileManager = {
      */
     renderFileCard(file) {
         const isSelected = App.state.selectedFiles.has(file.id);
-        const isImage = file.category === 'image';
+        // The server cannot render previews of files it cannot decrypt
+        const isImage = file.category === 'image' && !file.clientEncrypted;
+        const hasThumbnail = !file.clientEncrypted &&
+            (file.category === 'image' || file.mimeType === 'application/pdf') &&
+            !['failed', 'unsupported'].includes(file.previewStatus);
 
         return `
             <div class="file-card ${isSelected ? 'selected' : ''}" data-id="${file.id}" data-category="${file.category}">
-                <label class="file-card-checkbox checkbox-wrapper" onclick="event.stopPropagation()">
+                <label class="file-card-checkbox checkbox-wrapper">
                     <input type="checkbox" ${isSelected ? 'checked' : ''} data-file-id="${file.id}">
                     <span class="checkmark"></span>
                 </label>
@@ -161,14 +190,21 @@ const FileManager = {
                     </button>
                 </div>
                 <div class="file-card-preview">
-                    ${isImage ? 
-                        `<img src="${App.apiUrl}/files/${file.id}/preview" alt="${App.escapeHtml(file.name)}" loading="lazy" onerror="this.style.display='none'; this.nextElementSibling.style.display='block';">
-                         <i class="${App.getFileIcon(file.category)}" style="display: none;"></i>` :
+                    ${hasThumbnail || isImage ?
+                        `<img src="${App.apiUrl}/files/${file.id}/${hasThumbnail ? `thumbnail?size=thumbnail&v=${file.version || 1}` : 'preview'}"
+                              ${hasThumbnail && isImage ? `data-fallback="${App.apiUrl}/files/${file.id}/preview"` : ''}
+                              alt="${App.escapeHtml(file.name)}" loading="lazy">
+                         <i class="${App.getFileIcon(file.category)} hidden"></i>` :
                         `<i class="${App.getFileIcon(file.category)}"></i>`
                     }
                 </div>
                 <div class="file-card-info">
-                    <div class="file-card-name" title="${App.escapeHtml(file.name)}">${App.escapeHtml(file.name)}</div>
+                    <div class="file-card-name" title="${App.escapeHtml(file.name)}">
+                        ${file.quarantined ? '<i class="fas fa-biohazard quarantine-badge" title="Quarantined: malware was found in this file"></i>' : ''}
+                        ${file.clientEncrypted ? '<i class="fas fa-user-lock e2e-badge" title="End-to-end encrypted"></i>' : ''}
+                        ${this.renderExpiryBadge(file.documentExpiry)}
+                        ${App.escapeHtml(file.name)}
+                    </div>
                     <div class="file-card-meta">
                         <span>${file.formattedSize}</span>
                         <span>${App.formatDate(file.createdAt)}</span>
@@ -178,12 +214,38 @@ const FileManager = {
         `;
     },
 
+    /**
+     * Render the expiry badge of an identity document
+     * @param {object} [expiry] - Document expiry from the file list
+     * @returns {string} HTML string
+     */
+    renderExpiryBadge(expiry) {
+        if (!expiry || expiry.status === 'valid') return '';
+
+        return expiry.status === 'expired'
+            ? `<i class="fas fa-calendar-times expiry-badge expired" title="Document expired on ${expiry.date}"></i>`
+            : `<i class="fas fa-hourglass-half expiry-badge" title="Document expires on ${expiry.date}"></i>`;
+    },
+
     /**
      * Bind file card events
      */
     bindFileCardEvents() {
         // File card click - preview
         document.querySelectorAll('.file-card').forEach(card => {
+            // Fall back to the full image while the thumbnail is still being
+            // generated, then to the file icon
+            card.querySelector('.file-card-preview img')?.addEventListener('error', (e) => {
+                const fallback = e.target.dataset.fallback;
+                if (fallback) {
+                    delete e.target.dataset.fallback;
+                    e.target.src = fallback;
+                    return;
+                }
+                e.target.classList.add('hidden');
+                e.target.nextElementSibling.classList.remove('hidden');
+            });
+
             card.addEventListener('click', (e) => {
                 // Ignore if clicking on action buttons or checkbox
                 if (e.target.closest('.file-card-actions') || e.target.closest('.file-card-checkbox')) {
@@ -327,7 +389,7 @@ const FileManager = {
      * Show file preview
      * @param {object} file - File object
      */
-    showPreview(file) {
+    async showPreview(file) {
         this.currentFile = file;
 
         const modal = document.getElementById('preview-modal');
@@ -339,8 +401,35 @@ const FileManager = {
         }
 
         // Render preview based on file type
-        if (file.category === 'image') {
+        if (file.clientEncrypted) {
+            containerEl.innerHTML = `
+                <div class="preview-icon">
+                    <i class="fas fa-user-lock"></i>
+                    <p>${App.escapeHtml(file.name)}</p>
+                    <p class="text-muted">End-to-end encrypted. Download it to decrypt with your passphrase.</p>
+                </div>
+            `;
+        } else if (file.category === 'image') {
             containerEl.innerHTML = `<img src="${App.apiUrl}/files/${file.id}/preview" alt="${App.escapeHtml(file.name)}">`;
+        } else if (file.category === 'video' || file.category === 'audio') {
+            containerEl.innerHTML = '<div class="spinner"></div>';
+            modal?.classList.remove('hidden');
+
+            try {
+                // Media elements fetch ranges on their own, so they need a tokenised URL
+                const response = await App.apiRequest(`/files/${file.id}/stream`, { method: 'POST' });
+                const tag = file.category === 'video' ? 'video' : 'audio';
+                containerEl.innerHTML = `<${tag} src="${App.escapeHtml(response.data.streamUrl)}" controls preload="metadata"></${tag}>`;
+            } catch (error) {
+                containerEl.innerHTML = `
+                    <div class="preview-icon">
+                        <i class="${App.getFileIcon(file.category)}"></i>
+                        <p>${App.escapeHtml(file.name)}</p>
+                        <p class="text-muted">${file.formattedSize}</p>
+                    </div>
+                `;
+                Toast.error(error.message || 'Failed to load preview');
+            }
         } else {
             containerEl.innerHTML = `
                 <div class="preview-icon">
@@ -357,15 +446,26 @@ const FileManager = {
     /**
      * Download file
      * @param {string} fileId - File ID
+     * @param {number} [version] - Older version to download instead of the current one
      */
-    async downloadFile(fileId) {
+    async downloadFile(fileId, version) {
         try {
             App.showLoading(true);
 
-            const response = await fetch(`${App.apiUrl}/files/${fileId}/download`, {
-                headers: {
-                    'Authorization': `Bearer ${App.state.token}`
-                }
+            const endpoint = version
+                ? `/files/${fileId}/versions/${version}/download`
+                : `/files/${fileId}/download`;
+            const file = App.state.files.find(f => f.id === fileId);
+
+            if (file && file.clientEncrypted && ClientEncryption.canStreamDownloads()) {
+                await this.streamDecryptedDownload(`${App.apiUrl}${endpoint}`, file);
+                Toast.success('Download started');
+                return;
+            }
+
+            await App.ensureSession();
+            const response = await fetch(`${App.apiUrl}${endpoint}`, {
+                credentials: 'same-origin'
             });
 
             if (!response.ok) {
@@ -384,7 +484,10 @@ const FileManager = {
             }
 
             // Create blob and download
-            const blob = await response.blob();
+            const blob = file && file.clientEncrypted
+                ? await this.decryptDownload(response, file)
+                : await response.blob();
+
             const url = window.URL.createObjectURL(blob);
             const a = document.createElement('a');
             a.href = url;
@@ -397,12 +500,63 @@ const FileManager = {
             Toast.success('Download started');
 
         } catch (error) {
+            if (error.aborted) return;
             Toast.error(error.message || 'Failed to download file');
         } finally {
             App.showLoading(false);
         }
     },
 
+    /**
+     * Ask for the passphrase with the loading overlay out of the way
+     * @returns {Promise<string>} Passphrase
+     */
+    async getDownloadPassphrase() {
+        App.showLoading(false);
+        const passphrase = await ClientEncryption.getPassphrase();
+        App.showLoading(true);
+        return passphrase;
+    },
+
+    /**
+     * Save an end-to-end encrypted file through the download worker, which
+     * decrypts it on its way to disk
+     * @param {string} url - Download endpoint
+     * @param {object} file - File object
+     */
+    async streamDecryptedDownload(url, file) {
+        const passphrase = await this.getDownloadPassphrase();
+        await App.ensureSession();
+
+        try {
+            await ClientEncryption.streamDownload(url, passphrase, file.mimeType);
+        } catch (error) {
+            // Ask again next time rather than retrying a wrong passphrase
+            if (!error.status) ClientEncryption.clearPassphrase();
+            throw error;
+        }
+    },
+
+    /**
+     * Decrypt an end-to-end encrypted download in the page. Only used when
+     * the download worker is unavailable, since the plaintext ends up in memory.
+     * @param {Response} response - Download response carrying the ciphertext
+     * @param {object} file - File object
+     * @returns {Promise<Blob>} Plaintext
+     */
+    async decryptDownload(response, file) {
+        const passphrase = await this.getDownloadPassphrase();
+
+        try {
+            const plaintext = await new Response(ClientEncryption.decryptStream(response.body, passphrase)).blob();
+            return new Blob([plaintext], { type: file.mimeType || 'application/octet-stream' });
+        } catch (error) {
+            // Ask again next time rather than retrying a wrong passphrase
+            ClientEncryption.clearPassphrase();
+            throw error;
+        }
+    },
+
     /**
      * Show share modal
      * @param {object} file - File object
@@ -510,6 +664,21 @@ const FileManager = {
                     <span class="detail-label">Type</span>
                     <span class="detail-value">${fullFile.mimeType}</span>
                 </div>
+                ${this.renderMetadataRows(fullFile.metadata)}
+                ${this.renderIdentityRows(fullFile.identity)}
+                <div class="detail-row">
+                    <span class="detail-label">Document expiry</span>
+                    <div class="detail-value">
+                        <input type="date" id="detail-expiry" value="${fullFile.documentExpiry ? fullFile.documentExpiry.date : ''}"
+                               data-original="${fullFile.documentExpiry ? fullFile.documentExpiry.date : ''}">
+                        ${fullFile.documentExpiry ? `
+                            <span class="text-muted detail-hint">
+                                ${fullFile.documentExpiry.source === 'mrz' ? 'Read from the document.' : 'Entered by you.'}
+                                ${{ expired: 'Expired.', expiring: 'Expires soon.', valid: '' }[fullFile.documentExpiry.status]}
+                            </span>
+                        ` : ''}
+                    </div>
+                </div>
                 <div class="detail-row">
                     <span class="detail-label">Uploaded</span>
                     <span class="detail-value">${new Date(fullFile.createdAt).toLocaleString()}</span>
@@ -518,6 +687,12 @@ const FileManager = {
                     <span class="detail-label">Downloads</span>
                     <span class="detail-value">${fullFile.downloadCount}</span>
                 </div>
+                <div class="detail-row">
+                    <span class="detail-label">Encryption</span>
+                    <span class="detail-value">${fullFile.clientEncrypted ? 'End-to-end (passphrase, in browser)' : 'Server-side'}</span>
+                </div>
+                ${this.renderScanRow(fullFile)}
+                ${this.renderArchiveRows(fullFile.archive)}
                 <div class="detail-row">
                     <span class="detail-label">Checksum</span>
                     <span class="detail-value" style="word-break: break-all; font-family: monospace; font-size: 12px;">${fullFile.checksum}</span>
@@ -534,15 +709,320 @@ const FileManager = {
                         <input type="text" id="detail-tags" value="${(fullFile.tags || []).join(', ')}" placeholder="Enter tags, separated by commas">
                     </div>
                 </div>
+                <div class="version-history">
+                    <div class="version-history-header">
+                        <h4>Version history</h4>
+                        <label class="btn btn-outline btn-sm">
+                            <i class="fas fa-upload"></i> Upload new version
+                            <input type="file" id="version-upload-input" hidden>
+                        </label>
+                    </div>
+                    <div id="version-list"><div class="spinner"></div></div>
+                </div>
             `;
 
             modal?.classList.remove('hidden');
+            this.loadVersions(file.id);
 
         } catch (error) {
             Toast.error('Failed to load file details');
         }
     },
 
+    /**
+     * Render the malware scan result of a file as a detail row
+     * @param {object} file - File details
+     * @returns {string} HTML string
+     */
+    renderScanRow(file) {
+        if (!file.scan) return '';
+
+        const labels = {
+            clean: 'No threats found',
+            infected: `Quarantined: ${file.scan.signature || 'malware found'}. An administrator will review it.`,
+            released: 'Released by an administrator after review',
+            error: 'Could not be scanned',
+            skipped: file.clientEncrypted ? 'Not scanned (end-to-end encrypted)' : 'Not scanned'
+        };
+        const engine = file.scan.engine ? ` (${file.scan.engine}${file.scan.database ? `, signatures ${file.scan.database}` : ''})` : '';
+
+        return `
+            <div class="detail-row">
+                <span class="detail-label">Virus scan</span>
+                <span class="detail-value">${App.escapeHtml((labels[file.scan.status] || file.scan.status) + engine)}</span>
+            </div>
+        `;
+    },
+
+    /**
+     * Render the identity document fields read from a file's MRZ as detail rows
+     * @param {object} [identity] - Identity fields from the file details
+     * @returns {string} HTML string
+     */
+    renderIdentityRows(identity) {
+        if (!identity) return '';
+
+        const row = (label, value) => `
+            <div class="detail-row">
+                <span class="detail-label">${label}</span>
+                <span class="detail-value">${App.escapeHtml(value)}</span>
+            </div>
+        `;
+
+        if (identity.status !== 'found' || !identity.fields) {
+            const labels = {
+                pending: 'Being read...',
+                not_found: 'No machine-readable zone found',
+                unsupported: 'Not read',
+                failed: 'Could not be read'
+            };
+            return identity.status === 'unsupported' ? '' : row('ID document', labels[identity.status] || identity.status);
+        }
+
+        const { fields } = identity;
+        const formatDate = (date) => (date ? new Date(`${date}T00:00:00Z`).toLocaleDateString(undefined, { timeZone: 'UTC' }) : 'Unreadable');
+        const types = { P: 'Passport', I: 'ID card', A: 'ID card', C: 'ID card', V: 'Visa' };
+        const type = types[fields.documentType.charAt(0)] || fields.documentType;
+
+        return `
+            ${row('ID document', `${type} issued by ${fields.issuingCountry} (${identity.format})`)}
+            ${row('Document no.', fields.documentNumber)}
+            ${row('Nationality', fields.nationality)}
+            ${row('Date of birth', formatDate(fields.birthDate))}
+            ${row('Expires', formatDate(fields.expiryDate))}
+            ${identity.valid ? '' : `
+                <div class="detail-row">
+                    <span class="detail-label"></span>
+                    <span class="detail-value identity-warning">
+                        <i class="fas fa-exclamation-triangle"></i>
+                        Check digits do not match; compare these details with the document.
+                    </span>
+                </div>
+            `}
+        `;
+    },
+
+    /**
+     * Render the entry listing of an archive as detail rows
+     * @param {object} [archive] - Archive inspection from the file details
+     * @returns {string} HTML string
+     */
+    renderArchiveRows(archive) {
+        if (!archive) return '';
+
+        if (archive.status === 'unsupported') {
+            return `
+                <div class="detail-row">
+                    <span class="detail-label">Contents</span>
+                    <span class="detail-value">Not inspected (${App.escapeHtml(archive.format)} archives cannot be read on this server)</span>
+                </div>
+            `;
+        }
+
+        const entries = archive.entries || [];
+        const summary = `${archive.entryCount} ${archive.entryCount === 1 ? 'entry' : 'entries'}, ${App.formatBytes(archive.expandedSize)} uncompressed`;
+        const more = archive.entryCount - entries.length;
+
+        return `
+            <div class="detail-row">
+                <span class="detail-label">Contents</span>
+                <div class="detail-value">
+                    <div>${App.escapeHtml(summary)}</div>
+                    <ul class="archive-entries">
+                        ${entries.map(entry => `
+                            <li class="archive-entry" style="padding-left: ${(entry.depth - 1) * 16}px">
+                                <i class="fas ${entry.isDirectory ? 'fa-folder' : 'fa-file'}"></i>
+                                <span class="archive-entry-path">${App.escapeHtml(entry.path)}</span>
+                                ${entry.encrypted ? '<i class="fas fa-lock" title="Encrypted"></i>' : ''}
+                                <span class="archive-entry-size">${entry.isDirectory ? '' : App.formatBytes(entry.size)}</span>
+                            </li>
+                        `).join('')}
+                    </ul>
+                    ${more > 0 ? `<div class="archive-entries-more">and ${more} more</div>` : ''}
+                </div>
+            </div>
+        `;
+    },
+
+    /**
+     * Render the extracted metadata of a file as detail rows
+     * @param {object} [metadata] - Metadata from the file details
+     * @returns {string} HTML string
+     */
+    renderMetadataRows(metadata) {
+        if (!metadata) return '';
+
+        const exif = metadata.exif || {};
+        const rows = [];
+
+        if (metadata.width && metadata.height) {
+            rows.push(['Dimensions', `${metadata.width} × ${metadata.height} px`]);
+        }
+        if (metadata.duration) {
+            rows.push(['Duration', App.formatDuration(metadata.duration)]);
+        }
+        if (metadata.pages) {
+            rows.push(['Pages', metadata.pages]);
+        }
+        if (metadata.encoding) {
+            rows.push(['Encoding', metadata.encoding.toUpperCase()]);
+        }
+        if (exif.make || exif.model) {
+            rows.push(['Camera', [exif.make, exif.model].filter(Boolean).join(' ')]);
+        }
+        if (exif.takenAt) {
+            // EXIF times are camera local time, stored without a zone
+            rows.push(['Taken', new Date(exif.takenAt).toLocaleString(undefined, { timeZone: 'UTC' })]);
+        }
+
+        const settings = [
+            exif.exposureTime && (exif.exposureTime < 1 ? `1/${Math.round(1 / exif.exposureTime)}s` : `${exif.exposureTime}s`),
+            exif.fNumber && `f/${exif.fNumber}`,
+            exif.iso && `ISO ${exif.iso}`,
+            exif.focalLength && `${exif.focalLength}mm`
+        ].filter(Boolean);
+        if (settings.length > 0) {
+            rows.push(['Exposure', settings.join(' · ')]);
+        }
+        if (exif.hasLocation) {
+            rows.push(['Location', 'Embedded in the file']);
+        }
+
+        const sanitization = metadata.sanitization;
+        if (sanitization) {
+            const labels = { exif: 'EXIF', gps: 'GPS location', xmp: 'XMP', iptc: 'IPTC', comment: 'comments' };
+            let summary;
+            if (sanitization.policy === 'keep') {
+                summary = 'Kept (removed from shared downloads)';
+            } else if (sanitization.skipped) {
+                summary = `Not removed: ${sanitization.skipped}`;
+            } else if (sanitization.removed.length > 0) {
+                summary = `Removed ${sanitization.removed.map(item => labels[item] || item).join(', ')}`;
+            } else {
+                summary = 'None found';
+            }
+            rows.push(['Photo metadata', summary]);
+        }
+
+        return rows.map(([label, value]) => `
+            <div class="detail-row">
+                <span class="detail-label">${label}</span>
+                <span class="detail-value">${App.escapeHtml(String(value))}</span>
+            </div>
+        `).join('');
+    },
+
+    /**
+     * Load and render a file's version history in the details modal
+     * @param {string} fileId - File ID
+     */
+    async loadVersions(fileId) {
+        const listEl = document.getElementById('version-list');
+        if (!listEl) return;
+
+        try {
+            const response = await App.apiRequest(`/files/${fileId}/versions`);
+            const versions = response.data.versions;
+
+            listEl.innerHTML = versions.map(version => {
+                const changes = [];
+                if (version.restoredFrom) {
+                    changes.push(`restored from v${version.restoredFrom}`);
+                }
+                if (version.changes) {
+                    if (!version.changes.contentChanged) {
+                        changes.push('same content');
+                    } else if (version.changes.sizeDelta !== 0) {
+                        const sign = version.changes.sizeDelta > 0 ? '+' : '-';
+                        changes.push(`${sign}${App.formatBytes(Math.abs(version.changes.sizeDelta))}`);
+                    }
+                    if (version.changes.typeChanged) {
+                        changes.push(`type changed to ${version.mimeType}`);
+                    }
+                }
+
+                return `
+                    <div class="version-item ${version.isCurrent ? 'current' : ''}">
+                        <div class="version-info">
+                            <strong>v${version.version}</strong>${version.isCurrent ? ' <span class="version-current">current</span>' : ''}
+                            <div class="text-muted">
+                                ${App.formatDate(version.uploadedAt)} &middot; ${App.formatBytes(version.size)}${changes.length > 0 ? ` &middot; ${App.escapeHtml(changes.join(', '))}` : ''}
+                            </div>
+                        </div>
+                        ${version.isCurrent ? '' : `
+                            <div class="version-actions">
+                                <button class="btn btn-outline btn-sm" data-version-action="download" data-version="${version.version}" title="Download">
+                                    <i class="fas fa-download"></i>
+                                </button>
+                                <button class="btn btn-outline btn-sm" data-version-action="restore" data-version="${version.version}" title="Restore">
+                                    <i class="fas fa-undo"></i>
+                                </button>
+                            </div>
+                        `}
+                    </div>
+                `;
+            }).join('');
+        } catch (error) {
+            listEl.innerHTML = `<p class="text-muted">${App.escapeHtml(error.message || 'Failed to load versions')}</p>`;
+        }
+    },
+
+    /**
+     * Upload a new version of the file shown in the details modal
+     * @param {File} upload - Selected file
+     */
+    async uploadVersion(upload) {
+        if (!this.currentFile) return;
+
+        const formData = new FormData();
+        formData.append('file', upload);
+
+        try {
+            App.showLoading(true);
+
+            const response = await App.apiRequest(`/files/${this.currentFile.id}/versions`, {
+                method: 'POST',
+                body: formData
+            });
+
+            Toast.success(response.message);
+            this.loadVersions(this.currentFile.id);
+            this.loadFiles();
+            App.updateStorageInfo();
+
+        } catch (error) {
+            Toast.error(error.message || 'Failed to upload new version');
+        } finally {
+            App.showLoading(false);
+        }
+    },
+
+    /**
+     * Make an older version of the file shown in the details modal current
+     * @param {number} version - Version number
+     */
+    async restoreVersion(version) {
+        if (!this.currentFile) return;
+        if (!confirm(`Restore version ${version}? The current version stays in the history.`)) return;
+
+        try {
+            App.showLoading(true);
+
+            const response = await App.apiRequest(`/files/${this.currentFile.id}/versions/${version}/restore`, {
+                method: 'POST'
+            });
+
+            Toast.success(response.message);
+            this.loadVersions(this.currentFile.id);
+            this.loadFiles();
+
+        } catch (error) {
+            Toast.error(error.message || 'Failed to restore version');
+        } finally {
+            App.showLoading(false);
+        }
+    },
+
     /**
      * Save file details
      */
@@ -552,6 +1032,7 @@ const FileManager = {
         const name = document.getElementById('detail-name')?.value.trim();
         const description = document.getElementById('detail-description')?.value.trim();
         const tags = document.getElementById('detail-tags')?.value.trim();
+        const expiryInput = document.getElementById('detail-expiry');
 
         if (!name) {
             Toast.error('File name cannot be empty');
@@ -566,7 +1047,11 @@ const FileManager = {
                 body: JSON.stringify({
                     originalName: name,
                     description,
-                    tags
+                    tags,
+                    // Only sent when changed, so a date read from the document stays marked as such
+                    documentExpiry: expiryInput && expiryInput.value !== expiryInput.dataset.original
+                        ? expiryInput.value || null
+                        : undefined
                 })
             });
 
@@ -666,7 +1151,7 @@ const FileManager = {
     },
 
     /**
-     * Bulk download files
+     * Bulk download files as one ZIP archive
      */
     async bulkDownload() {
         const fileIds = Array.from(App.state.selectedFiles);
@@ -676,11 +1161,57 @@ const FileManager = {
             return;
         }
 
-        // Download files one by one
-        for (const fileId of fileIds) {
-            await this.downloadFile(fileId);
-            // Small delay between downloads
-            await new Promise(resolve => setTimeout(resolve, 500));
+        // A single file downloads as itself
+        if (fileIds.length === 1) {
+            await this.downloadFile(fileIds[0]);
+            return;
+        }
+
+        try {
+            App.showLoading(true);
+
+            await App.ensureSession();
+            const response = await fetch(`${App.apiUrl}/files/archive`, {
+                method: 'POST',
+                credentials: 'same-origin',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-CSRF-Token': await App.getCsrfToken()
+                },
+                body: JSON.stringify({ fileIds })
+            });
+
+            if (!response.ok) {
+                const error = await response.json();
+                throw new Error(error.message || 'Download failed');
+            }
+
+            let filename = 'files.zip';
+            const contentDisposition = response.headers.get('Content-Disposition');
+            const match = contentDisposition && contentDisposition.match(/filename="([^"]+)"/);
+            if (match) {
+                filename = decodeURIComponent(match[1]);
+            }
+
+            const url = window.URL.createObjectURL(await response.blob());
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = filename;
+            document.body.appendChild(a);
+            a.click();
+            window.URL.revokeObjectURL(url);
+            a.remove();
+
+            if (fileIds.some(id => App.state.files.find(f => f.id === id)?.clientEncrypted)) {
+                Toast.info('End-to-end encrypted files are included still encrypted');
+            } else {
+                Toast.success('Download started');
+            }
+
+        } catch (error) {
+            Toast.error(error.message || 'Failed to download files');
+        } finally {
+            App.showLoading(false);
         }
     },
 
@@ -1,12 +1,16 @@
 /**
  * Upload Module
- * Handles file uploads with progress tracking
+ * Handles resumable (tus) file uploads with progress tracking
  */
 
 const Uploader = {
     uploadQueue: [],
     isUploading: false,
     currentXHR: null,
+    currentUpload: null,
+    maxSize: 2 * 1024 * 1024 * 1024, // 2GB
+    chunkSize: 4 * 1024 * 1024, // Bytes sent per PATCH request, until the server advertises its limit
+    retryDelays: [1000, 3000, 5000, 10000, 20000],
 
     /**
      * Initialize uploader
@@ -88,12 +92,10 @@ const Uploader = {
      * @param {FileList} files - Files to upload
      */
     addFiles(files) {
-        const maxSize = 150 * 1024 * 1024; // 150MB
-
         for (const file of files) {
             // Check file size
-            if (file.size > maxSize) {
-                Toast.error(`File "${file.name}" is too large. Maximum size is 150MB.`);
+            if (file.size > this.maxSize) {
+                Toast.error(`File "${file.name}" is too large. Maximum size is 2GB.`);
                 continue;
             }
 
@@ -109,6 +111,7 @@ const Uploader = {
                 size: file.size,
                 progress: 0,
                 status: 'pending',
+                e2e: !!document.getElementById('e2e-toggle')?.checked,
                 id: Date.now() + Math.random().toString(36).substr(2, 9)
             });
         }
@@ -225,6 +228,8 @@ const Uploader = {
                 return `${item.progress}%`;
             case 'encrypting':
                 return 'Encrypting...';
+            case 'retrying':
+                return 'Reconnecting...';
             case 'success':
                 return '<i class="fas fa-check"></i> Done';
             case 'error':
@@ -286,83 +291,276 @@ const Uploader = {
      * @param {object} item - Queue item
      */
     async uploadFile(item) {
-        return new Promise((resolve) => {
-            const formData = new FormData();
-            formData.append('files', item.file);
+        try {
+            // Zero-knowledge mode: only ciphertext leaves the browser
+            if (item.e2e) {
+                const passphrase = await ClientEncryption.getPassphrase({ confirm: true });
+                this.updateProgressItem(item.id, { status: 'encrypting' });
+                item.body = await ClientEncryption.createEncryptedBody(item.file, passphrase);
+            }
 
-            const xhr = new XMLHttpRequest();
-            this.currentXHR = xhr;
+            this.updateProgressItem(item.id, { status: 'uploading' });
+            await this.uploadResumable(item);
+            this.updateProgressItem(item.id, {
+                progress: 100,
+                status: 'success'
+            });
+        } catch (error) {
+            this.updateProgressItem(item.id, {
+                status: 'error'
+            });
+            if (!error.aborted) {
+                Toast.error(error.message || 'Upload failed');
+            }
+        } finally {
+            this.currentUpload = null;
+            item.body = null;
+        }
+    },
+
+    /**
+     * Upload a file through the tus protocol, resuming a previous attempt for
+     * the same file if the server still has it, and retrying after network
+     * failures from the offset the server confirms
+     * @param {object} item - Queue item
+     */
+    async uploadResumable(item) {
+        const { file } = item;
+        // Client-encrypted bodies differ on every run, so they only resume within this page
+        const body = item.body || file;
+        const fingerprint = item.e2e ? null : this.getFingerprint(file);
+        let url = fingerprint && localStorage.getItem(fingerprint);
+        let offset = null;
+
+        if (url) {
+            offset = await this.getOffset(url).catch(() => null);
+            if (offset === null) {
+                localStorage.removeItem(fingerprint);
+                url = null;
+            }
+        }
 
-            // Progress handler
-            xhr.upload.addEventListener('progress', (e) => {
-                if (e.lengthComputable) {
-                    const progress = Math.round((e.loaded / e.total) * 100);
+        if (!url) {
+            url = await this.createUpload(item, body);
+            if (fingerprint) localStorage.setItem(fingerprint, url);
+            offset = 0;
+        }
+
+        this.currentUpload = { url, fingerprint };
+        let attempt = 0;
+
+        while (offset < body.size) {
+            try {
+                const end = Math.min(offset + this.chunkSize, body.size);
+                const start = offset;
+                const xhr = await this.tusRequest('PATCH', url, {
+                    'Content-Type': 'application/offset+octet-stream',
+                    'Upload-Offset': start
+                }, await body.slice(start, end), (loaded) => {
                     this.updateProgressItem(item.id, {
-                        progress,
+                        progress: Math.round(((start + loaded) / body.size) * 100),
                         status: 'uploading'
                     });
+                });
+
+                if (xhr.status === 204) {
+                    offset = parseInt(xhr.getResponseHeader('Upload-Offset'), 10);
+                    attempt = 0;
+                    continue;
                 }
-            });
 
-            // Load handler
-            xhr.addEventListener('load', () => {
-                if (xhr.status >= 200 && xhr.status < 300) {
-                    try {
-                        const response = JSON.parse(xhr.responseText);
-                        if (response.success) {
-                            this.updateProgressItem(item.id, {
-                                progress: 100,
-                                status: 'success'
-                            });
-                        } else {
-                            this.updateProgressItem(item.id, {
-                                status: 'error'
-                            });
-                            Toast.error(response.message || 'Upload failed');
-                        }
-                    } catch (e) {
-                        this.updateProgressItem(item.id, {
-                            status: 'error'
-                        });
+                if (!this.isRetryable(xhr.status)) {
+                    if (fingerprint && (xhr.status === 404 || xhr.status === 410)) {
+                        localStorage.removeItem(fingerprint);
                     }
-                } else {
-                    this.updateProgressItem(item.id, {
-                        status: 'error'
-                    });
+                    throw new Error(this.getErrorMessage(xhr));
+                }
+            } catch (error) {
+                if (!error.network) throw error;
+            }
 
-                    try {
-                        const response = JSON.parse(xhr.responseText);
-                        Toast.error(response.message || 'Upload failed');
-                    } catch (e) {
-                        Toast.error('Upload failed');
-                    }
+            if (attempt >= this.retryDelays.length) {
+                throw new Error(`Upload of "${file.name}" was interrupted. Add the file again to resume.`);
+            }
+
+            this.updateProgressItem(item.id, { status: 'retrying' });
+            await this.wait(this.retryDelays[attempt++]);
+
+            // Ask the server how much it actually stored before continuing
+            try {
+                offset = await this.getOffset(url);
+            } catch (error) {
+                if (!error.network) {
+                    if (fingerprint) localStorage.removeItem(fingerprint);
+                    throw error;
                 }
-                resolve();
-            });
+            }
+        }
 
-            // Error handler
-            xhr.addEventListener('error', () => {
-                this.updateProgressItem(item.id, {
-                    status: 'error'
+        if (fingerprint) localStorage.removeItem(fingerprint);
+    },
+
+    /**
+     * Create an upload on the server
+     * @param {object} item - Queue item
+     * @param {Blob|object} body - Bytes to upload (the file, or its client-side ciphertext)
+     * @returns {Promise<string>} Upload URL
+     */
+    async createUpload(item, body) {
+        const metadata = {
+            filename: item.file.name,
+            filetype: item.file.type || 'application/octet-stream'
+        };
+
+        if (item.e2e) {
+            metadata.encryption = JSON.stringify(ClientEncryption.getMetadata());
+        }
+
+        const xhr = await this.tusRequest('POST', `${App.apiUrl}/files/tus`, {
+            'Upload-Length': body.size,
+            'Upload-Metadata': Object.entries(metadata)
+                .map(([key, value]) => `${key} ${this.encodeMetadata(value)}`)
+                .join(',')
+        });
+
+        if (xhr.status !== 201) {
+            throw new Error(this.getErrorMessage(xhr));
+        }
+
+        this.applyChunkLimit(xhr);
+        return xhr.getResponseHeader('Location');
+    },
+
+    /**
+     * Get the number of bytes the server has stored for an upload
+     * @param {string} url - Upload URL
+     * @returns {Promise<number>} Upload offset
+     */
+    async getOffset(url) {
+        const xhr = await this.tusRequest('HEAD', url);
+
+        if (xhr.status !== 200) {
+            const error = new Error(this.getErrorMessage(xhr));
+            error.network = this.isRetryable(xhr.status);
+            throw error;
+        }
+
+        this.applyChunkLimit(xhr);
+        return parseInt(xhr.getResponseHeader('Upload-Offset'), 10);
+    },
+
+    /**
+     * Send PATCH bodies no larger than the server accepts
+     * @param {XMLHttpRequest} xhr - Response carrying Upload-Max-Chunk-Size
+     */
+    applyChunkLimit(xhr) {
+        const limit = parseInt(xhr.getResponseHeader('Upload-Max-Chunk-Size'), 10);
+        if (limit > 0) {
+            this.chunkSize = limit;
+        }
+    },
+
+    /**
+     * Send a tus request
+     * @param {string} method - HTTP method
+     * @param {string} url - Request URL
+     * @param {object} [headers] - Extra headers
+     * @param {Blob} [body] - Request body
+     * @param {Function} [onProgress] - Called with the bytes sent so far
+     * @returns {Promise<XMLHttpRequest>} Completed request
+     */
+    async tusRequest(method, url, headers = {}, body = null, onProgress = null) {
+        await App.ensureSession();
+        const csrfToken = await App.getCsrfToken();
+
+        return new Promise((resolve, reject) => {
+            const xhr = new XMLHttpRequest();
+            this.currentXHR = xhr;
+
+            if (onProgress) {
+                xhr.upload.addEventListener('progress', (e) => {
+                    if (e.lengthComputable) onProgress(e.loaded);
                 });
-                Toast.error('Upload failed. Please try again.');
-                resolve();
+            }
+
+            xhr.addEventListener('load', () => resolve(xhr));
+
+            xhr.addEventListener('error', () => {
+                const error = new Error('Network error');
+                error.network = true;
+                reject(error);
             });
 
-            // Abort handler
             xhr.addEventListener('abort', () => {
-                this.updateProgressItem(item.id, {
-                    status: 'error'
-                });
-                resolve();
+                const error = new Error('Upload cancelled');
+                error.aborted = true;
+                reject(error);
             });
 
-            // Send request
-            xhr.open('POST', `${App.apiUrl}/files/upload`);
-            xhr.setRequestHeader('Authorization', `Bearer ${App.state.token}`);
-            xhr.send(formData);
+            xhr.open(method, url);
+            xhr.withCredentials = true;
+            xhr.setRequestHeader('X-CSRF-Token', csrfToken);
+            xhr.setRequestHeader('Tus-Resumable', '1.0.0');
+            Object.entries(headers).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+            xhr.send(body);
+        });
+    },
+
+    /**
+     * Whether a failed request should be retried after re-checking the offset
+     * @param {number} status - HTTP status
+     * @returns {boolean} Whether to retry
+     */
+    isRetryable(status) {
+        return status === 0 || status === 409 || status === 423 || status === 429 || status >= 500;
+    },
 
-            this.updateProgressItem(item.id, { status: 'uploading' });
+    /**
+     * Extract an error message from a failed request
+     * @param {XMLHttpRequest} xhr - Completed request
+     * @returns {string} Error message
+     */
+    getErrorMessage(xhr) {
+        try {
+            return JSON.parse(xhr.responseText).message || 'Upload failed';
+        } catch (e) {
+            return 'Upload failed';
+        }
+    },
+
+    /**
+     * Identify a file across page reloads so its upload can be resumed
+     * @param {File} file - File
+     * @returns {string} Storage key
+     */
+    getFingerprint(file) {
+        const userId = App.state.user ? App.state.user.id : 'anonymous';
+        return `tus::${userId}::${file.name}::${file.size}::${file.lastModified}`;
+    },
+
+    /**
+     * Base64-encode a metadata value (UTF-8 safe)
+     * @param {string} value - Value
+     * @returns {string} Encoded value
+     */
+    encodeMetadata(value) {
+        return btoa(unescape(encodeURIComponent(value)));
+    },
+
+    /**
+     * Wait before retrying, waking early when the browser comes back online
+     * @param {number} ms - Delay in milliseconds
+     * @returns {Promise<void>}
+     */
+    wait(ms) {
+        return new Promise((resolve) => {
+            const done = () => {
+                clearTimeout(timer);
+                window.removeEventListener('online', done);
+                resolve();
+            };
+            const timer = setTimeout(done, ms);
+            window.addEventListener('online', done);
         });
     },
 
@@ -375,6 +573,14 @@ const Uploader = {
             this.currentXHR = null;
         }
 
+        // Tell the server to discard what it has stored
+        if (this.currentUpload) {
+            const { url, fingerprint } = this.currentUpload;
+            if (fingerprint) localStorage.removeItem(fingerprint);
+            this.tusRequest('DELETE', url).catch(() => {});
+            this.currentUpload = null;
+        }
+
         this.uploadQueue = [];
         this.isUploading = false;
         this.hideProgress();
@@ -0,0 +1,102 @@
+/**
+ * Download Service Worker
+ * Saves end-to-end encrypted downloads to disk while decrypting them, so the
+ * plaintext never has to fit in the page's memory. The page registers each
+ * download over a MessageChannel, then opens /e2e-download/<id> to start it.
+ */
+
+importScripts('/js/encryption.js');
+
+const DOWNLOAD_PREFIX = '/e2e-download/';
+const downloads = new Map();
+
+self.addEventListener('install', () => self.skipWaiting());
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(self.clients.claim());
+});
+
+self.addEventListener('message', (event) => {
+    const { data } = event;
+    if (!data || data.type !== 'e2e-download') return;
+
+    const [port] = event.ports;
+    downloads.set(data.id, { ...data, port });
+
+    // Forget downloads the page never opened
+    setTimeout(() => downloads.delete(data.id), 60 * 1000);
+    port.postMessage({ ready: true });
+});
+
+self.addEventListener('fetch', (event) => {
+    const url = new URL(event.request.url);
+    if (url.origin !== self.location.origin || !url.pathname.startsWith(DOWNLOAD_PREFIX)) return;
+
+    const id = url.pathname.slice(DOWNLOAD_PREFIX.length);
+    const download = downloads.get(id);
+    downloads.delete(id);
+
+    event.respondWith(download ? streamDownload(download) : new Response(null, { status: 404 }));
+});
+
+/**
+ * Fetch the ciphertext and answer with its plaintext as a stream. The page
+ * hears back once the first chunk decrypts (or why it did not).
+ * @param {object} download - Registered download
+ * @returns {Promise<Response>} Attachment response
+ */
+async function streamDownload({ url, passphrase, mimeType, port }) {
+    const fail = (message, status) => {
+        port.postMessage({ ok: false, message, status });
+        return new Response(null, { status: 204 });
+    };
+
+    let response;
+    try {
+        response = await fetch(url, { credentials: 'same-origin' });
+    } catch (error) {
+        return fail('Download failed');
+    }
+
+    if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        return fail(error.message || 'Download failed', response.status);
+    }
+
+    const reader = ClientEncryption.decryptStream(response.body, passphrase).getReader();
+    let first;
+    try {
+        first = await reader.read();
+    } catch (error) {
+        return fail(error.message);
+    }
+
+    port.postMessage({ ok: true });
+
+    const body = new ReadableStream({
+        start(controller) {
+            controller.enqueue(first.value);
+        },
+        async pull(controller) {
+            const { done, value } = await reader.read();
+            if (done) {
+                controller.close();
+            } else {
+                controller.enqueue(value);
+            }
+        },
+        cancel(reason) {
+            return reader.cancel(reason);
+        }
+    });
+
+    // The API sends the name percent-encoded; filename* lets the browser decode it
+    const match = (response.headers.get('Content-Disposition') || '').match(/filename="([^"]*)"/);
+
+    return new Response(body, {
+        headers: {
+            'Content-Type': mimeType || 'application/octet-stream',
+            'Content-Disposition': match ? `attachment; filename*=UTF-8''${match[1]}` : 'attachment'
+        }
+    });
+}